@@ -0,0 +1,59 @@
+'use strict';
+
+import { create } from '../lib/adapter.js';
+import PreciseDate from '../lib/precise-date.js';
+import { utc } from '../lib/zones.js';
+
+/**
+ * The `mssql` type names mapped to the SQL type that they are parsed as
+ * @type {Object}
+ */
+export const TYPES = Object.freeze({
+  Date: 'date',
+  Time: 'time',
+  SmallDateTime: 'timestamp',
+  DateTime: 'timestamp',
+  DateTime2: 'timestamp',
+  DateTimeOffset: 'timestamp with time zone'
+});
+
+/**
+ * Installs value handlers into the `mssql` module (i.e. `sql.valueHandler`) that convert each of the date, time and timestamp
+ * types into a {@link PreciseDate} (see {@link MomentDB~Adapter} for the mapping). The Dates generated by the driver are
+ * converted along with any nanoseconds beyond milliseconds (i.e. `nanosecondsDelta`) and `time` values use the same date as
+ * {@link MomentDB.time}. Values that are selected as strings (e.g. `CONVERT(VARCHAR(34), col, 121)`) can be parsed using the
+ * returned adapter's `parse`.
+ * @example
+ * import sql from 'mssql';
+ * import { install } from 'moment-db/adapters/mssql';
+ * const adapter = install(sql);
+ * @param {Object} sql The `mssql` module
+ * @param {Object} [opts] The adapter options (see {@link create}). Defaults to the `mssql` dialect.
+ * @returns {MomentDB~Adapter} The adapter
+ */
+export function install(sql, opts) {
+  if (!sql || !sql.TYPES || !sql.valueHandler || typeof sql.valueHandler.set !== 'function') {
+    throw new TypeError('Expected the mssql module with TYPES and a valueHandler Map');
+  }
+  const adapter = create('mssql', TYPES, { dialect: 'mssql' }, opts);
+  for (let name in TYPES) {
+    if (sql.TYPES[name]) sql.valueHandler.set(sql.TYPES[name], value => convert(adapter, TYPES[name], value));
+  }
+  return adapter;
+}
+
+/**
+ * Converts a value generated by the driver
+ * @private
+ * @param {MomentDB~Adapter} adapter The adapter
+ * @param {String} type The SQL type
+ * @param {(Date | String)} value The value
+ * @returns {PreciseDate} The converted value
+ */
+function convert(adapter, type, value) {
+  if (!(value instanceof Date)) return adapter.parse(type, value);
+  const date = new PreciseDate(type === 'time' ? utc(0, 0, 1, value.getUTCHours(), value.getUTCMinutes(), value.getUTCSeconds(),
+    value.getUTCMilliseconds()) : value.getTime());
+  if (value.nanosecondsDelta) date.setNanoseconds(Math.round(value.nanosecondsDelta * 1e9) % 1e6);
+  return date;
+}
@@ -0,0 +1,54 @@
+'use strict';
+
+import { create } from '../lib/adapter.js';
+
+/**
+ * The `mysql2` field types mapped to the SQL type that they are parsed as. MySQL `DATETIME`/`TIMESTAMP` values do not contain
+ * a timezone, so they are interpreted using the `zone` option (defaults to UTC).
+ * @type {Object}
+ */
+export const TYPES = Object.freeze({
+  DATE: 'date',
+  NEWDATE: 'date',
+  TIME: 'time',
+  TIME2: 'time',
+  DATETIME: 'timestamp',
+  DATETIME2: 'timestamp',
+  TIMESTAMP: 'timestamp',
+  TIMESTAMP2: 'timestamp'
+});
+
+/**
+ * Installs a `typeCast` into a `mysql2` connection/pool configuration that converts each of the date, time and timestamp types
+ * into a {@link PreciseDate} (see {@link MomentDB~Adapter} for the mapping). Any existing `typeCast` will be called for all other
+ * field types. Zero dates and partial zero dates (e.g. `0000-00-00`, `2030-00-00` or `2030-01-00`) are converted into `null`
+ * and `TIME` values that are outside of the range of a time of day (e.g. `-838:59:59` or `25:00:00`) are converted into a
+ * {@link DayToSecondInterval}.
+ * @example
+ * import mysql from 'mysql2';
+ * import { install } from 'moment-db/adapters/mysql2';
+ * const config = { host: 'localhost', user: 'root', database: 'test' };
+ * const adapter = install(config);
+ * const conn = mysql.createConnection(config);
+ * @param {Object} config The `mysql2` connection/pool configuration
+ * @param {Object} [opts] The adapter options (see {@link create}). Defaults to the `mysql` dialect.
+ * @returns {MomentDB~Adapter} The adapter
+ */
+export function install(config, opts) {
+  if (!config || typeof config !== 'object') {
+    throw new TypeError('Expected a mysql2 connection/pool configuration Object');
+  }
+  const adapter = create('mysql2', TYPES, { dialect: 'mysql' }, opts), cast = config.typeCast;
+  config.typeCast = (field, next) => {
+    if (!TYPES.hasOwnProperty(field.type)) return typeof cast === 'function' ? cast(field, next) : next();
+    const value = field.string();
+    if (value === null || /^\d{4}-(?:00-\d{2}|\d{2}-00)/.test(value)) return null;
+    const hms = TYPES[field.type] === 'time' && value.match(/^(-)?(\d+):(\d{2}):(\d{2})(?:\.(\d+))?$/);
+    if (hms && (hms[1] || parseInt(hms[2]) > 23)) {
+      return adapter.parse('interval day to second', `${hms[1] || '+'}${Math.floor(parseInt(hms[2]) / 24)} ${
+        String(parseInt(hms[2]) % 24).padStart(2, '0')}:${hms[3]}:${hms[4]}${hms[5] ? `.${hms[5]}` : ''}`);
+    }
+    return adapter.parse(TYPES[field.type], value);
+  };
+  return adapter;
+}
@@ -0,0 +1,79 @@
+'use strict';
+
+import { create, parse } from '../lib/adapter.js';
+import { YearToMonthInterval, DayToSecondInterval } from '../lib/intervals.js';
+
+/**
+ * The `oracledb` database type constant names mapped to the SQL type that they are parsed as. Oracle `DATE` values contain a
+ * time, so they are parsed as a `timestamp`. `TIMESTAMP WITH LOCAL TIME ZONE` values are fetched in the session time zone, so
+ * they are parsed as a `timestamp` in the `sessionZone` (see {@link install}).
+ * @type {Object}
+ */
+export const TYPES = Object.freeze({
+  DB_TYPE_DATE: 'timestamp',
+  DB_TYPE_TIMESTAMP: 'timestamp',
+  DB_TYPE_TIMESTAMP_LTZ: 'timestamp',
+  DB_TYPE_TIMESTAMP_TZ: 'timestamp with time zone',
+  DB_TYPE_INTERVAL_YM: 'interval year to month',
+  DB_TYPE_INTERVAL_DS: 'interval day to second'
+});
+
+/**
+ * The statement that sets the NLS session formats that are expected when date/time values are fetched as strings (should be
+ * executed once for each connection, e.g. using a pool `sessionCallback`)
+ * @type {String}
+ */
+export const SESSION_SQL = 'ALTER SESSION SET NLS_DATE_FORMAT = \'YYYY-MM-DD HH24:MI:SS\' '
+  + 'NLS_TIMESTAMP_FORMAT = \'YYYY-MM-DD HH24:MI:SS.FF9\' NLS_TIMESTAMP_TZ_FORMAT = \'YYYY-MM-DD HH24:MI:SS.FF9 TZH:TZM\'';
+
+/**
+ * Installs a `fetchTypeHandler` into the `oracledb` module that fetches each of the date, timestamp and interval types as
+ * strings and converts them into a {@link PreciseDate} or interval (see {@link MomentDB~Adapter} for the mapping). Intervals
+ * that are fetched as `IntervalYM`/`IntervalDS` objects are also converted. Any existing `fetchTypeHandler` will be called
+ * for all other types. The {@link SESSION_SQL} should be executed for each connection. `TIMESTAMP WITH LOCAL TIME ZONE` values
+ * are fetched without an offset in the time zone of the session, so they are parsed in the `sessionZone`.
+ * @example
+ * import oracledb from 'oracledb';
+ * import { install, SESSION_SQL } from 'moment-db/adapters/oracledb';
+ * const adapter = install(oracledb);
+ * const pool = await oracledb.createPool({ ...config, sessionCallback: (conn, tag, cb) => conn.execute(SESSION_SQL, cb) });
+ * @param {Object} oracledb The `oracledb` module
+ * @param {Object} [opts] The adapter options (see {@link create}). Defaults to the `oracle` dialect.
+ * @param {(String | Number)} [opts.sessionZone] The session time zone (i.e. `SESSIONTIMEZONE`) that `TIMESTAMP WITH LOCAL TIME
+ * ZONE` values are parsed in. Defaults to the `zone` option or `local` when there is no `zone` (the time zone of the host
+ * process, which is the default session time zone unless `ORA_SDTZ` or `ALTER SESSION SET TIME_ZONE` is used).
+ * @returns {MomentDB~Adapter} The adapter
+ */
+export function install(oracledb, opts) {
+  if (!oracledb || typeof oracledb !== 'object') {
+    throw new TypeError('Expected the oracledb module');
+  }
+  const types = {};
+  for (let name in TYPES) {
+    if (oracledb[name] !== undefined) types[oracledb[name]] = TYPES[name];
+  }
+  const adapter = create('oracledb', types, { dialect: 'oracle' }, opts), handler = oracledb.fetchTypeHandler;
+  const ltz = Object.assign({}, adapter.options, { zone: adapter.options.sessionZone || adapter.options.zone || 'local' });
+  oracledb.fetchTypeHandler = (metaData) => {
+    const type = types[metaData.dbType];
+    if (!type) return typeof handler === 'function' ? handler(metaData) : undefined;
+    if (/^interval/.test(type)) return { converter: value => interval(adapter, type, value) };
+    const local = metaData.dbType === oracledb.DB_TYPE_TIMESTAMP_LTZ;
+    return { type: oracledb.STRING, converter: value => local ? parse(type, value, ltz) : adapter.parse(type, value) };
+  };
+  return adapter;
+}
+
+/**
+ * Converts a fetched interval
+ * @private
+ * @param {MomentDB~Adapter} adapter The adapter
+ * @param {String} type The SQL type
+ * @param {(String | Object)} value The fetched `IntervalYM`/`IntervalDS` or formatted interval
+ * @returns {(YearToMonthInterval | DayToSecondInterval)} The interval
+ */
+function interval(adapter, type, value) {
+  if (!value || typeof value !== 'object') return adapter.parse(type, value);
+  if (type === 'interval year to month') return new YearToMonthInterval(value.years || 0, value.months || 0);
+  return new DayToSecondInterval(value.days || 0, value.hours || 0, value.minutes || 0, value.seconds || 0, value.fseconds || 0);
+}
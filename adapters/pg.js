@@ -0,0 +1,121 @@
+'use strict';
+
+import { create } from '../lib/adapter.js';
+import { parse as parseRange } from '../lib/ranges.js';
+
+/**
+ * The PostgreSQL type OIDs mapped to the SQL type that they are parsed as
+ * @type {Object}
+ */
+export const TYPES = Object.freeze({
+  1082: 'date',
+  1083: 'time',
+  1266: 'time with time zone',
+  1114: 'timestamp',
+  1184: 'timestamp with time zone',
+  1186: 'interval'
+});
+
+/**
+ * The PostgreSQL array type OIDs mapped to the OID of their element type
+ * @type {Object}
+ */
+export const ARRAY_TYPES = Object.freeze({
+  1182: 1082,
+  1183: 1083,
+  1270: 1266,
+  1115: 1114,
+  1185: 1184,
+  1187: 1186
+});
+
+/**
+ * The PostgreSQL range type OIDs mapped to the range type that they are parsed as (their array types are mapped to the OID of
+ * their element type in {@link ARRAY_TYPES})
+ * @type {Object}
+ */
+export const RANGE_TYPES = Object.freeze({
+  3912: 'daterange',
+  3908: 'tsrange',
+  3910: 'tstzrange'
+});
+
+const RANGE_ARRAY_TYPES = Object.freeze({
+  3913: 3912,
+  3909: 3908,
+  3911: 3910
+});
+
+/**
+ * Installs type parsers for each of the `pg` date, time, timestamp and interval types (along with their array types) that convert
+ * values into a {@link PreciseDate} or interval (see {@link MomentDB~Adapter} for the mapping). The `daterange`, `tsrange` and
+ * `tstzrange` types (and their array types) are converted into a {@link Range} (see {@link MomentDB.range}). Since `pg` does
+ * not have a way to register serializers, the returned adapter's `serialize` should be used to convert values into strings
+ * before they are bound.
+ * @example
+ * import pg from 'pg';
+ * import { install } from 'moment-db/adapters/pg';
+ * const adapter = install(pg);
+ * await client.query('INSERT INTO t (ts) VALUES ($1)', [adapter.serialize(date)]);
+ * @param {Object} pg The `pg` module (or `pg.types`)
+ * @param {Object} [opts] The adapter options (see {@link create}). Defaults to the `postgres` dialect and `postgres` interval
+ * style (the PostgreSQL `IntervalStyle` used by the connection should be set as the `intervalStyle` when it differs).
+ * @returns {MomentDB~Adapter} The adapter
+ */
+export function install(pg, opts) {
+  const types = pg && (pg.types || pg);
+  if (!types || typeof types.setTypeParser !== 'function') {
+    throw new TypeError('Expected the pg module or pg.types with a setTypeParser function');
+  }
+  const adapter = create('pg', TYPES, { dialect: 'postgres', intervalStyle: 'postgres' }, opts);
+  for (let oid in TYPES) {
+    types.setTypeParser(Number(oid), value => adapter.parse(TYPES[oid], value));
+  }
+  for (let oid in ARRAY_TYPES) {
+    const type = TYPES[ARRAY_TYPES[oid]];
+    types.setTypeParser(Number(oid), value => array(value, item => adapter.parse(type, item)));
+  }
+  for (let oid in RANGE_TYPES) {
+    types.setTypeParser(Number(oid), value => parseRange(RANGE_TYPES[oid], value, adapter.options));
+  }
+  for (let oid in RANGE_ARRAY_TYPES) {
+    const type = RANGE_TYPES[RANGE_ARRAY_TYPES[oid]];
+    types.setTypeParser(Number(oid), value => array(value, item => parseRange(type, item, adapter.options)));
+  }
+  return adapter;
+}
+
+/**
+ * Parses a PostgreSQL array (e.g. `{"2030-01-31 12:01:20",NULL}`)
+ * @private
+ * @param {String} str The array string
+ * @param {Function} parse The function that will parse each element
+ * @returns {Array} The parsed elements
+ */
+function array(str, parse) {
+  let pos = str.indexOf('{');
+  if (pos < 0) throw new Error(`Invalid PostgreSQL array: ${str}`);
+  const read = () => {
+    const items = [];
+    pos++; // opening brace
+    while (pos < str.length && str[pos] !== '}') {
+      if (str[pos] === ',' || str[pos] === ' ') {
+        pos++;
+      } else if (str[pos] === '{') {
+        items.push(read());
+      } else if (str[pos] === '"') {
+        let item = '';
+        for (pos++; pos < str.length && str[pos] !== '"'; pos++) item += str[pos] === '\\' ? str[++pos] : str[pos];
+        pos++; // closing quote
+        items.push(parse(item));
+      } else {
+        const end = str.slice(pos).search(/[,}]/), item = str.slice(pos, pos + end);
+        pos += end;
+        items.push(item.toUpperCase() === 'NULL' ? null : parse(item));
+      }
+    }
+    pos++; // closing brace
+    return items;
+  };
+  return read();
+}
@@ -0,0 +1,56 @@
+'use strict';
+
+/*
+ * Measures the throughput of the MomentDB formatters/parsers so that performance regressions are visible.
+ * Usage: npm run bench [-- <iterations>]
+ */
+import { Readable, Writable } from 'stream';
+import MomentDB, { PreciseDate } from '../index.js';
+
+const ITERATIONS = parseInt(process.argv[2], 10) || 100000;
+const OPTS = { dialect: 'postgres', zone: 'UTC' };
+const DATES = Array.from({ length: 1000 }, (val, idx) => new PreciseDate(Date.UTC(2030, 0, 1) + idx * 86399903));
+const STRINGS = DATES.map(date => MomentDB.timestamp(date, false, OPTS));
+const fmt = MomentDB.formatter('timestamptz', OPTS);
+
+/**
+ * Runs a benchmark and logs the operations per second
+ * @param {String} name The benchmark name
+ * @param {Function} fn The function to run for each iteration (accepts the iteration index)
+ */
+function bench(name, fn) {
+  for (let i = 0; i < 1000; i++) fn(i);
+  const start = process.hrtime.bigint();
+  for (let i = 0; i < ITERATIONS; i++) fn(i);
+  const ms = Number(process.hrtime.bigint() - start) / 1e6;
+  console.log(`${name.padEnd(40)} ${Math.round(ITERATIONS / ms * 1000).toLocaleString().padStart(12)} ops/sec`);
+}
+
+/**
+ * Pipes CSV text through a transform stream and logs the rows per second
+ * @param {String} name The benchmark name
+ * @returns {Promise} Resolves when the stream has finished
+ */
+function benchStream(name) {
+  const rows = Math.max(1, Math.floor(ITERATIONS / 10)), lines = ['id,created_at,note'];
+  for (let i = 0; i < 1000; i++) lines.push(`${i},${STRINGS[i]},"row, ${i}"`);
+  const chunk = `${lines.slice(1).join('\n')}\n`, chunks = [`${lines[0]}\n`];
+  for (let i = 0; i < rows / 1000; i++) chunks.push(chunk);
+  const start = process.hrtime.bigint();
+  return new Promise((resolve, reject) => {
+    Readable.from(chunks).pipe(MomentDB.transform({ created_at: 'timestamptz' }, { csv: true, from: OPTS, dialect: 'mssql' }))
+      .on('error', reject)
+      .pipe(new Writable({ write: (data, encoding, done) => done() }))
+      .on('finish', () => {
+        const ms = Number(process.hrtime.bigint() - start) / 1e6, count = (chunks.length - 1) * 1000;
+        console.log(`${name.padEnd(40)} ${Math.round(count / ms * 1000).toLocaleString().padStart(12)} rows/sec`);
+        resolve();
+      });
+  });
+}
+
+bench('MomentDB.timestamp (format)', i => MomentDB.timestamp(DATES[i % 1000], false, OPTS));
+bench('MomentDB.formatter (format)', i => fmt.format(DATES[i % 1000]));
+bench('MomentDB.timestamp (parse)', i => MomentDB.timestamp(STRINGS[i % 1000], false, OPTS));
+bench('MomentDB.formatter (parse)', i => fmt.parse(STRINGS[i % 1000]));
+benchStream('MomentDB.transform (csv)');
@@ -1,23 +1,28 @@
 'use strict';
 
-const DATE = 'YYYY-MM-DD';
-const TIME = 'HH:MI:SS.FFF';
-const ZONE = '[+|-]TH:TM';
-const YEAR_TO_MONTH = '[+|-]YEARS-MM';
-const DAY_TO_SEC = '[+|-]DAYS HH:MI:SS.FFF';
-const DATE_RX = /(\d{4})-(\d{1,2})-(\d{1,2})/;
-const TIME_RX = /(\d{2}):(\d{2}):(\d{2})\.(\d{3})/;
-const ZONE_RX = /([+-])(\d{1,2}):(\d{1,2})/;
-const YEAR_TO_MONTH_RX = /([+-]\d{1,4})-(\d{1,2})/;
-const DAY_TO_SEC_RX = /([+-]\d{1,7})/;
+import { register as registerDialect, resolve as resolveDialect } from './lib/dialects.js';
+import { compile } from './lib/mask.js';
+import MomentDBParseError, { MomentDBSchemaError } from './lib/errors.js';
+import { YearToMonthInterval, DayToSecondInterval } from './lib/intervals.js';
+import { LocalDate, LocalTime, LocalDateTime } from './lib/civil.js';
+import * as core from './lib/core.js';
+import * as literal from './lib/literal.js';
+import { create as createSchema } from './lib/schema.js';
+import { create as createTransform } from './lib/stream.js';
+import { register as registerTemporal } from './lib/temporal.js';
+import { encode, decode } from './lib/encodings.js';
+import { detect } from './lib/detect.js';
+import { Range, format as formatRange, parse as parseRange, period } from './lib/ranges.js';
+import { extract, trunc, bin } from './lib/extract.js';
+import PreciseDate from './lib/precise-date.js';
 
 /**
  * Moment implementation for formatting Dates into ANSI compatible strings suitable for database consumption.
  * The following illustrates the notions used for formatting dates:
  * | <u>Notation</u>       | <u>Format</u>                         | <u></u>
  * | :---                  | :---                                  | :---
- * | YYYY                  | 4-digit year                          |
- * | MM                    | 2-digit month (01 to 12)              |
+ * | YYYY                  | 4-digit year (see dialect `era`)      |
+ * | MM                    | Month (01 to 12, intervals 00 to 11)  |
  * | DD                    | 2-digit day (01 to 31)                |
  * | HH                    | 2-digit hour (00 to 23)               |
  * | MI                    | 2-digit minute (00 to 59)             |
@@ -33,66 +38,126 @@ export default class MomentDB {
   /**
    * Formats the specified date into an ANSI compatible __date__ that is suitable for database consumption
    * (i.e. `YYYY-MM-DD`; see {@link MomentDB} for notation details) or when a formatted Date string is provided, a Date is returned.
-   * @param {(Date | String)} date The date to extract the __date__ from or a formatted date string to convert _back_ into a Date
-   * @returns {(String | Date)} The formatted output when a Date was passed or a Date when a formatted date string was passed
+   * @param {(Date | LocalDate | LocalDateTime | Temporal.PlainDate | Temporal.PlainDateTime | Temporal.ZonedDateTime |
+   * Temporal.Instant | String)} date The date to extract the __date__ from or a formatted date string to convert _back_ into a Date
+   * @param {Object} [opts] The formatting/parsing options
+   * @param {(String | MomentDB~Dialect)} [opts.dialect] The name of a registered dialect or a dialect profile that will determine
+   * the output layout and accepted input variants (defaults to `ansi`, see {@link MomentDB.dialect})
+   * @param {(String | Number)} [opts.zone] An IANA time zone identifier (e.g. `America/Denver`) or fixed offset (e.g. `-07:00`)
+   * that the output will be rendered in (defaults to the host time zone when a timezone is output, UTC otherwise) _OR_ the zone
+   * that parsed values that do not contain a timezone will be interpreted in (defaults to UTC)
+   * @param {MomentDB~Disambiguation} [opts.disambiguation] How parsed local wall-clock times that fall within DST gaps/overlaps are
+   * resolved (defaults to `compatible`)
+   * @param {MomentDB~Calendar} [opts.calendar] The calendar of the year, month and day: `gregorian` (the default) or `hybrid` to
+   * use the Julian calendar for dates before `1582-10-15` (the same as Oracle)
+   * @param {Boolean} [opts.strict] Truthy to parse formatted strings strictly: the entire input must match the format and each
+   * field must be within the ranges of the {@link MomentDB} notation or a {@link MomentDBParseError} is thrown
+   * @param {String} [opts.as] `local` to return a {@link LocalDate}, {@link LocalTime} or {@link LocalDateTime} rather than a Date
+   * when a formatted string (without a timezone) is passed. Local values that are formatted with a timezone are interpreted in
+   * the `zone` (defaults to UTC). `temporal` to return the matching `Temporal` type (`PlainDate`, `PlainTime`, `PlainDateTime` or
+   * a `ZonedDateTime` in the parsed region/offset) rather than a Date.
+   * @returns {(String | Date | LocalDate | LocalTime | LocalDateTime | Object)} The formatted output when a Date (or local/Temporal
+   * value) was passed or a Date (or local/Temporal value) when a formatted date string was passed
    */
-  static date(date) {
-    if (date instanceof Date) {
-      return format(DATE, date);
-    }
-    return unformat([DATE_RX], date);
+  static date(date, opts) {
+    return core.date(date, opts);
   }
 
   /**
    * Formats the specified date into an ANSI compatible __time__ (with or w/o a timezone) that is suitable for database consumption
    * (i.e. `HH:MI:SS.FFF [+|-]TH:TM` or `HH:MI:SS.FFF` w/o a timezone; see {@link MomentDB} for notation details) or when a
    * formatted date string is provided, a Date is returned.
-   * @param {(Date | String)} date The date to extract the __time__ from or a formatted __time__ string to convert _back_ into a Date
+   * @param {(Date | LocalTime | LocalDateTime | Temporal.PlainTime | Temporal.PlainDateTime | Temporal.ZonedDateTime |
+   * Temporal.Instant | String)} date The date to extract the __time__ from or a formatted __time__ string to convert _back_ into
+   * a Date
    * @param {Boolean} [excludeTimezone] Truthy to exclude the timezone in the output
-   * @returns {(String | Date)} The formatted output when a Date was passed or a Date when a formatted date string was passed
+   * @param {Object} [opts] The formatting/parsing options
+   * @param {(String | MomentDB~Dialect)} [opts.dialect] The name of a registered dialect or a dialect profile that will determine
+   * the output layout and accepted input variants (defaults to `ansi`, see {@link MomentDB.dialect})
+   * @param {(String | Number)} [opts.zone] An IANA time zone identifier (e.g. `America/Denver`) or fixed offset (e.g. `-07:00`)
+   * that the output will be rendered in (defaults to the host time zone when a timezone is output, UTC otherwise) _OR_ the zone
+   * that parsed values that do not contain a timezone will be interpreted in (defaults to UTC)
+   * @param {MomentDB~Disambiguation} [opts.disambiguation] How parsed local wall-clock times that fall within DST gaps/overlaps are
+   * resolved (defaults to `compatible`)
+   * @param {Number} [opts.precision] The number of fractional second digits to output (0 to 9, no more than the dialect
+   * `accept.fraction` maximum so the output can be parsed back). Defaults to the `precision` of a {@link PreciseDate} (i.e. the
+   * number of digits it was parsed from) or the dialect `fraction`/`intervalFraction`.
+   * @param {Boolean} [opts.strict] Truthy to parse formatted strings strictly: the entire input must match the format and each
+   * field must be within the ranges of the {@link MomentDB} notation or a {@link MomentDBParseError} is thrown
+   * @param {String} [opts.as] `local` to return a {@link LocalDate}, {@link LocalTime} or {@link LocalDateTime} rather than a Date
+   * when a formatted string (without a timezone) is passed. Local values that are formatted with a timezone are interpreted in
+   * the `zone` (defaults to UTC). `temporal` to return the matching `Temporal` type (`PlainDate`, `PlainTime`, `PlainDateTime` or
+   * a `ZonedDateTime` in the parsed region/offset) rather than a Date.
+   * @returns {(String | Date | LocalDate | LocalTime | LocalDateTime | Object)} The formatted output when a Date (or local/Temporal
+   * value) was passed or a Date (or local/Temporal value) when a formatted date string was passed
    */
-  static time(date, excludeTimezone) {
-    if (date instanceof Date) {
-      return format(excludeTimezone ? TIME : `${TIME} ${ZONE}`, date);
-    }
-    return unformat(excludeTimezone ? [TIME_RX] : [TIME_RX, ZONE_RX], date);
+  static time(date, excludeTimezone, opts) {
+    return core.time(date, excludeTimezone, opts);
   }
 
   /**
    * Formats the specified date into an ANSI compatible __timestamp__ (with or w/o a timezone) that is suitable for database consumption
    * (i.e. `YYYY-MM-DD HH:MI:SS.FFF [+|-]TH:TM` or `YYYY-MM-DD HH:MI:SS.FFF` w/o a timezone; see {@link MomentDB} for notation details).
-   * @param {(Date | String)} date The date to extract the __timestamp__ from or a formatted __timestamp__ string to convert _back_ into
-   * a Date
+   * @param {(Date | LocalDate | LocalDateTime | Temporal.PlainDate | Temporal.PlainDateTime | Temporal.ZonedDateTime |
+   * Temporal.Instant | String)} date The date to extract the __timestamp__ from or a formatted __timestamp__ string to convert
+   * _back_ into a Date
    * @param {Boolean} [excludeTimezone] Truthy to exclude the timezone in the output
-   * @returns {(String | Date)} The formatted output when a Date was passed or a Date when a formatted date string was passed
+   * @param {Object} [opts] The formatting/parsing options
+   * @param {(String | MomentDB~Dialect)} [opts.dialect] The name of a registered dialect or a dialect profile that will determine
+   * the output layout and accepted input variants (defaults to `ansi`, see {@link MomentDB.dialect})
+   * @param {(String | Number)} [opts.zone] An IANA time zone identifier (e.g. `America/Denver`) or fixed offset (e.g. `-07:00`)
+   * that the output will be rendered in (defaults to the host time zone when a timezone is output, UTC otherwise) _OR_ the zone
+   * that parsed values that do not contain a timezone will be interpreted in (defaults to UTC)
+   * @param {MomentDB~Disambiguation} [opts.disambiguation] How parsed local wall-clock times that fall within DST gaps/overlaps are
+   * resolved (defaults to `compatible`)
+   * @param {MomentDB~Calendar} [opts.calendar] The calendar of the year, month and day: `gregorian` (the default) or `hybrid` to
+   * use the Julian calendar for dates before `1582-10-15` (the same as Oracle)
+   * @param {Number} [opts.precision] The number of fractional second digits to output (0 to 9, no more than the dialect
+   * `accept.fraction` maximum so the output can be parsed back). Defaults to the `precision` of a {@link PreciseDate} (i.e. the
+   * number of digits it was parsed from) or the dialect `fraction`/`intervalFraction`.
+   * @param {Boolean} [opts.strict] Truthy to parse formatted strings strictly: the entire input must match the format and each
+   * field must be within the ranges of the {@link MomentDB} notation or a {@link MomentDBParseError} is thrown
+   * @param {String} [opts.as] `local` to return a {@link LocalDate}, {@link LocalTime} or {@link LocalDateTime} rather than a Date
+   * when a formatted string (without a timezone) is passed. Local values that are formatted with a timezone are interpreted in
+   * the `zone` (defaults to UTC). `temporal` to return the matching `Temporal` type (`PlainDate`, `PlainTime`, `PlainDateTime` or
+   * a `ZonedDateTime` in the parsed region/offset) rather than a Date.
+   * @returns {(String | Date | LocalDate | LocalTime | LocalDateTime | Object)} The formatted output when a Date (or local/Temporal
+   * value) was passed or a Date (or local/Temporal value) when a formatted date string was passed
    */
-  static timestamp(date, excludeTimezone) {
-    if (date instanceof Date) {
-      return format(`${DATE} ${TIME}${excludeTimezone ? '' : ` ${ZONE}`}`, date);
-    }
-    return unformat(excludeTimezone ? [DATE_RX, TIME_RX] : [DATE_RX, TIME_RX, ZONE_RX], date);
+  static timestamp(date, excludeTimezone, opts) {
+    return core.timestamp(date, excludeTimezone, opts);
   }
 
   /**
-   * Calulates the number of __years__ from the specified `startDate` and `endDate` along with the extracted/formatted __month__
-   * from the `monthDate`. The output is rendered in an ANSI compatible format that is suitable for database consumption
-   * (i.e. `[+|-]YEARS-MM`; see {@link MomentDB} for notation details). When an interval-year-to-month formatted string is passed
-   * as the `startDate`, a Date will be created based upon the number of years and the UTC month within the formatted string.
-   * @param {(Date | String]} startDate The starting date (can be _after_ `endDate` for negative formatting) when generating a 
-   * formatted string _OR_ an interval-year-to-month formatted string to generate a Date from.
-   * @param {Date} [endDate] The ending date (can be _before_ `startDate` for negative formatting). __Required when `startDate`
+   * Calulates the number of __years__ and __months__ (00 to 11) from the specified `startDate` to the `endDate`. The output is
+   * rendered in an ANSI compatible format that is suitable for database consumption (i.e. `[+|-]YEARS-MM`; see {@link MomentDB}
+   * for notation details). When an interval-year-to-month formatted string is passed as the `startDate`, a Date will be created
+   * by adding the number of years and months within the formatted string to the reference date.
+   * @param {(Date | Temporal.Instant | Temporal.ZonedDateTime | String | YearToMonthInterval | Temporal.Duration)} startDate The
+   * starting date (can be _after_ `endDate` for negative formatting) when generating a formatted string _OR_ an
+   * interval-year-to-month formatted string to generate a Date from _OR_ a {@link YearToMonthInterval} (or a `Temporal.Duration`
+   * of years/months) to format (all other arguments, except `opts`, are ignored).
+   * @param {(Date | Temporal.Instant | Temporal.ZonedDateTime)} [endDate] The ending date (can be _before_ `startDate` for negative formatting). __Required when `startDate`
    * is an actual Date__. Optional reference Date when converting an interval-year-to-month formatted string to a Date (default
    * `new Date()` in this case).
-   * @param {Date} [monthDate] The date to extract the __month__ from. __Required when `startDate` is an actual Date (ignored
-   * otherwise)__.
-   * @returns {(String | Date)} The interval-day-to-second formatted string when a Date was passed as `startDate` _OR_ a Date when an
-   * interval-year-to-month formatted string was passed as the `startDate`.
+   * @param {(Date | Temporal.Instant | Temporal.ZonedDateTime)} [monthDate] __Deprecated__ and ignored: the __months__ are
+   * calculated from the `startDate` and `endDate` rather than extracted from `monthDate`. A `DeprecationWarning` (code
+   * `MOMENTDB_MONTH_DATE`) is emitted the first time it is passed.
+   * @param {Object} [opts] The formatting/parsing options
+   * @param {(String | MomentDB~Dialect)} [opts.dialect] The name of a registered dialect or a dialect profile that will determine
+   * the output layout/precision and accepted input variants (defaults to `ansi`, see {@link MomentDB.dialect})
+   * @param {Boolean} [opts.strict] Truthy to parse formatted strings strictly: the entire input must match the format and each
+   * field must be within the ranges of the {@link MomentDB} notation or a {@link MomentDBParseError} is thrown
+   * @param {String} [opts.as] `interval` to return a {@link YearToMonthInterval} _OR_ `temporal` to return a `Temporal.Duration`
+   * rather than a Date when a formatted string is passed
+   * @param {MomentDB~IntervalStyle} [opts.intervalStyle] The representation of the interval: `sql_standard` (the default),
+   * `iso_8601`, `postgres` or `postgres_verbose`. Used when formatting an interval object or when parsing a formatted string
+   * (a Date is then calculated by adding the parsed interval to the reference date).
+   * @returns {(String | Date | YearToMonthInterval | Temporal.Duration)} The interval-day-to-second formatted string when a Date or interval was passed
+   * as `startDate` _OR_ a Date (or interval) when an interval-year-to-month formatted string was passed as the `startDate`.
    */
-  static intervalYearToMonth(startDate, endDate, monthDate) {
-    if (startDate instanceof Date && endDate instanceof Date && monthDate instanceof Date) {
-      return format(YEAR_TO_MONTH, startDate, endDate, monthDate);
-    }
-    return unformat([YEAR_TO_MONTH_RX], startDate, endDate);
+  static intervalYearToMonth(startDate, endDate, monthDate, opts) {
+    return core.intervalYearToMonth(startDate, endDate, monthDate, opts);
   }
 
   /**
@@ -100,161 +165,433 @@ export default class MomentDB {
    * from the `timestamp`. The output is rendered in an ANSI compatible format that is suitable for database consumption
    * (i.e. `[+|-]DAYS HH:MI:SS.FFF`; see {@link MomentDB} for notation details). When an interval-day-to-second formatted string is
    * passed as the `startDate`, a Date will be created based upon the number of days and the UTC time within the formatted string.
-   * @param {(Date | String)} startDate he starting date (can be _after_ `endDate` for negative formatting) when generating a 
-   * formatted string _OR_ an interval-day-to-second formatted string to generate a Date from.
-   * @param {Date} [endDate] The ending date (can be _before_ `startDate` for negative formatting). __Required when `startDate`
+   * @param {(Date | Temporal.Instant | Temporal.ZonedDateTime | String | DayToSecondInterval | Temporal.Duration)} startDate The
+   * starting date (can be _after_ `endDate` for negative formatting) when generating a formatted string _OR_ an
+   * interval-day-to-second formatted string to generate a Date from _OR_ a {@link DayToSecondInterval} (or a `Temporal.Duration`
+   * of weeks/days/time) to format (all other arguments, except `opts`, are ignored).
+   * @param {(Date | Temporal.Instant | Temporal.ZonedDateTime)} [endDate] The ending date (can be _before_ `startDate` for negative formatting). __Required when `startDate`
    * is an actual Date__. Optional reference Date when converting an interval-day-to-second formatted string to a Date (default
    * `new Date()` in this case).
-   * @param {Date} [timestamp] The date to extract the __time__ from. __Required when `startDate` is an actual Date (ignored
+   * @param {(Date | Temporal.Instant | Temporal.ZonedDateTime)} [timestamp] The date to extract the __time__ from. __Required when `startDate` is an actual Date (ignored
    * otherwise)__.
-   * @returns {(String | Date)} The interval-day-to-second formatted string when a Date was passed as `startDate` _OR_ a Date when an
-   * interval-day-to-second formatted string was passed as the `startDate`.
+   * @param {Object} [opts] The formatting/parsing options
+   * @param {(String | MomentDB~Dialect)} [opts.dialect] The name of a registered dialect or a dialect profile that will determine
+   * the output layout/precision and accepted input variants (defaults to `ansi`, see {@link MomentDB.dialect})
+   * @param {Number} [opts.precision] The number of fractional second digits to output (0 to 9, no more than the dialect
+   * `accept.fraction` maximum so the output can be parsed back). Defaults to the `precision` of a {@link PreciseDate} (i.e. the
+   * number of digits it was parsed from) or the dialect `fraction`/`intervalFraction`.
+   * @param {Boolean} [opts.strict] Truthy to parse formatted strings strictly: the entire input must match the format and each
+   * field must be within the ranges of the {@link MomentDB} notation or a {@link MomentDBParseError} is thrown
+   * @param {String} [opts.as] `interval` to return a {@link DayToSecondInterval} _OR_ `temporal` to return a `Temporal.Duration`
+   * rather than a Date when a formatted string is passed
+   * @param {MomentDB~IntervalStyle} [opts.intervalStyle] The representation of the interval: `sql_standard` (the default),
+   * `iso_8601`, `postgres` or `postgres_verbose`. Used when formatting an interval object or when parsing a formatted string
+   * (a Date is then calculated by adding the parsed interval to the reference date).
+   * @returns {(String | Date | DayToSecondInterval | Temporal.Duration)} The interval-day-to-second formatted string when a Date or interval was passed
+   * as `startDate` _OR_ a Date (or interval) when an interval-day-to-second formatted string was passed as the `startDate`.
    */
-  static intervalDayToSecond(startDate, endDate, timestamp) {
-    if (startDate instanceof Date && endDate instanceof Date && timestamp instanceof Date) {
-      return format(DAY_TO_SEC, startDate, endDate, timestamp);
-    }
-    return unformat([DAY_TO_SEC_RX, TIME_RX], startDate, endDate);
+  static intervalDayToSecond(startDate, endDate, timestamp, opts) {
+    return core.intervalDayToSecond(startDate, endDate, timestamp, opts);
   }
-}
 
-/**
- * Formats dates/times into an ANSI compatible string.
- * @private
- * @param {String} format The format described in {@link MomentDB}
- * @param  {...any} dates Either a single date that will be formatted OR
- * a __start__ date, __end__ date and __extraction__ date (see {@link interval} for more details)
- * @returns {String} The formatted output
- */
-function format(format, ...dates) {
-  for (let date of dates) {
-    if (!(date instanceof Date)) {
-      throw new Error('Specified date must be an instance of Date');
-    }
+  /**
+   * Formats a {@link Range} into a PostgreSQL compatible __range__ (e.g. `[2030-01-01,2030-02-01)`, `empty` or an unbounded
+   * `("2030-01-31 12:01:20.903",)`) or when a formatted range string is provided, a {@link Range} is returned. Bounds are
+   * formatted/parsed the same as {@link MomentDB.date} or {@link MomentDB.timestamp} and can be `infinity`/`-infinity`.
+   * @example
+   * const range = MomentDB.range('daterange', '[2030-01-01,2030-01-31]', { as: 'local' });
+   * const str = MomentDB.range('daterange', range.canonicalize());
+   * // [2030-01-01,2030-02-01)
+   * const stay = MomentDB.range('tstzrange', '["2030-01-31 12:00:00+00","2030-02-02 10:00:00+00")', { dialect: 'postgres' });
+   * // stay.contains(new Date('2030-02-01T00:00:00Z')) === true
+   * @param {String} type The range type: `daterange`, `tsrange` or `tstzrange` (or the SQL type of the bounds: `date`,
+   * `timestamp` or `timestamp with time zone`)
+   * @param {(Range | String)} range The range to format _OR_ a formatted range string to convert into a {@link Range}
+   * @param {Object} [opts] The formatting/parsing options used for each bound (see the `opts` of the {@link MomentDB} function
+   * for the SQL type of the bounds)
+   * @returns {(String | Range)} The formatted range when a {@link Range} was passed _OR_ a {@link Range} when a formatted range
+   * string was passed
+   * @throws {MomentDBParseError} When a formatted range string is not a valid range
+   */
+  static range(type, range, opts) {
+    return typeof range === 'string' ? parseRange(type, range, opts) : formatRange(type, range, opts);
   }
-  const frmt = format.toUpperCase();
-  const useZone = frmt.indexOf(ZONE) >= 0;
-  const dts = dates[0].toISOString().split('T');
 
-  const date = frmt.indexOf(DATE) >= 0 ? dts[0] : '';
-  let time = frmt.indexOf(TIME) >= 0 ? useZone ? `${
-    ('00' + dates[0].getHours()).slice(-2)}:${
-      ('00' + dates[0].getMinutes()).slice(-2)}:${
-        ('00' + dates[0].getSeconds()).slice(-2)}.${
-          ('000' + dates[0].getMilliseconds()).slice(-3)}` : 
-    dts[1].replace('Z', '') : '';
-  const zone = useZone ? timezone(dates[0]) : '';
-  const intvl = frmt.indexOf(YEAR_TO_MONTH) >= 0 ? interval(false, dates) : 
-    frmt.indexOf(DAY_TO_SEC) >= 0 && !(time = '') ? interval(true, dates) : '';
+  /**
+   * Creates a {@link Range} from the start and end columns of an SQL:2011 application-time `PERIOD` (e.g.
+   * `PERIOD FOR valid_period (valid_from, valid_to)`). A period always includes its start and excludes its end, so the range is
+   * always `[)` (see {@link Range#toPeriod} for the reverse).
+   * @example
+   * const valid = MomentDB.period('date', '2030-01-01', '2030-02-01');
+   * // valid.contains(new Date('2030-01-31T00:00:00Z')) === true
+   * @param {String} type The range type (see {@link MomentDB.range})
+   * @param {(Date | LocalDate | LocalDateTime | Temporal.PlainDate | Temporal.PlainDateTime | Temporal.ZonedDateTime |
+   * Temporal.Instant | String)} start The start of the period (formatted strings are parsed as the SQL type of the bounds)
+   * @param {(Date | LocalDate | LocalDateTime | Temporal.PlainDate | Temporal.PlainDateTime | Temporal.ZonedDateTime |
+   * Temporal.Instant | String)} end The end of the period
+   * @param {Object} [opts] The parsing options for formatted strings (see {@link MomentDB.parse})
+   * @returns {Range} The range
+   * @throws {RangeError} When the start is missing, the end is missing or the start is not before the end
+   */
+  static period(type, start, end, opts) {
+    return period(type, start, end, opts);
+  }
 
-  return `${date}${date && time ? ' ' : ''}${time}${(date || time) && zone ? ' ' : ''}${zone}${
-    (date || time || zone) && intvl ? ' ' : ''}${intvl}`;
-}
+  /**
+   * Converts a formatted string into a Date based upon an SQL type
+   * @example
+   * const date = MomentDB.parse('timestamp with time zone', '2030-01-31 12:01:20.903 -07:00', { strict: true });
+   * // 2030-01-31T19:01:20.903Z
+   * MomentDB.parse('date', '2030-13-45', { strict: true });
+   * // throws MomentDBParseError: Invalid date "2030-13-45": MM must be from 1 to 12, but found 13 at position 5
+   * @param {String} type The SQL type: `date`, `time`, `time with time zone` (or `timetz`), `timestamp`,
+   * `timestamp with time zone` (or `timestamptz`), `interval year to month` or `interval day to second`
+   * @param {String} str The formatted string to convert into a Date
+   * @param {Object} [opts] The parsing options (see the `opts` of the {@link MomentDB} function for the type)
+   * @param {(Date | Temporal.Instant | Temporal.ZonedDateTime)} [opts.refDate] The reference date used by interval types (see {@link MomentDB.intervalYearToMonth} and
+   * {@link MomentDB.intervalDayToSecond})
+   * @param {String} [opts.as] `interval` to return interval types as a {@link YearToMonthInterval} or
+   * {@link DayToSecondInterval} rather than a Date _OR_ `local` to return `date`, `time` and `timestamp` types as a
+   * {@link LocalDate}, {@link LocalTime} or {@link LocalDateTime} rather than a Date _OR_ `temporal` to return the matching
+   * `Temporal` type (`PlainDate`, `PlainTime`, `PlainDateTime`, `ZonedDateTime` or `Duration`, all types except
+   * `time with time zone`) rather than a Date
+   * @param {MomentDB~IntervalStyle} [opts.intervalStyle] The representation of the interval: `sql_standard` (the default),
+   * `iso_8601`, `postgres` or `postgres_verbose`. Used when formatting an interval object or when parsing a formatted string
+   * (a Date is then calculated by adding the parsed interval to the reference date).
+   * @returns {(PreciseDate | YearToMonthInterval | DayToSecondInterval | LocalDate | LocalTime | LocalDateTime | Object)} The
+   * parsed date (or interval/local/Temporal value)
+   */
+  static parse(type, str, opts) {
+    return core.parse(type, str, opts);
+  }
 
-/**
- * Converts a previously formatted date/time from {@link format} into a Date.
- * @param {RegExp[]} rxs The regular expressions that will indicate how the Date will be set (should match one or more of the
- * global regular expressions)
- * @param {String} formatted The formatted date, time, timestamp, etc.
- * @param {Date} [refDate] A reference date to use when calculating __interval-year-to-month__ or __interval-day-to-second__
- * (otherwise, ignored)
- * @returns {Date} A Date set to the proper date/time/zone indicated by the specified regular expressions
- */
-function unformat(rxs, formatted, refDate) {
-  const dte = rxs.includes(DATE_RX) && formatted.match(DATE_RX);
-  const tms = rxs.includes(TIME_RX) && formatted.match(TIME_RX);
-  const zns = rxs.includes(ZONE_RX) && formatted.match(ZONE_RX);
-  const ytm = rxs.includes(YEAR_TO_MONTH_RX) && formatted.match(YEAR_TO_MONTH_RX);
-  const dts = rxs.includes(DAY_TO_SEC_RX) && formatted.match(DAY_TO_SEC_RX);
+  /**
+   * Leniently detects the SQL type of a formatted date/time from a mix of sources (e.g. the output of the {@link MomentDB}
+   * functions, ISO 8601, compact offsets, Oracle `NLS` defaults and MySQL zero dates) and parses it. Each pattern is attempted
+   * in order until one matches a valid date/time.
+   * @example
+   * const found = MomentDB.detect('31-JAN-30 12.01.20.903000 PM');
+   * // { type: 'timestamp', ansi: '2030-01-31 12:01:20.903000', value: 2030-01-31T12:01:20.903Z, confidence: 0.8,
+   * //   pattern: 'oracle' }
+   * const iso = MomentDB.detect('2030-01-31T12:01:20.903+0700');
+   * // { type: 'timestamp with time zone', ansi: '2030-01-31 12:01:20.903 +07:00', value: 2030-01-31T05:01:20.903Z,
+   * //   confidence: 0.95, pattern: 'iso8601' }
+   * const zero = MomentDB.detect('0000-00-00 00:00:00');
+   * // { type: 'timestamp', ansi: null, value: null, confidence: 1, pattern: 'zero' }
+   * @param {String} str The formatted date/time
+   * @param {Object} [opts] The detection options along with the parsing options (see {@link MomentDB.parse}, the `dialect` and
+   * `strict` options are ignored)
+   * @param {Array} [opts.patterns] The ordered names of the built-in patterns that are accepted: `sentinel`, `zero`, `ansi`,
+   * `iso8601`, `sql` and/or `oracle` (defaults to all of them in that order). Custom patterns can be added as an Object with a
+   * format `mask` (see {@link MomentDB.compile}) and an optional `name`, SQL `type` (determined by the mask elements when
+   * omitted) and `confidence` (defaults to `0.75`).
+   * @param {*} [opts.zero=null] The value that MySQL zero dates (a zero month or day, e.g. `0000-00-00`) are detected as
+   * @param {Object} [opts.sentinels] The sentinel strings (case-insensitive) mapped to the value they are detected as (defaults
+   * to `infinity`, `+infinity` and `-infinity` mapped to `Infinity`/`-Infinity`)
+   * @returns {MomentDB~Detection} The detected SQL `type`, the normalized `ansi` string, the parsed `value`, the `confidence`
+   * (`0` to `1`) and the name of the `pattern` (`null` when none of the patterns match)
+   */
+  static detect(str, opts) {
+    return detect(str, opts);
+  }
 
-  let date, time, yyyy, mm, dd, hh, mi, ss, fff;
-  if (ytm) {
-    const years = parseInt(ytm[1]);
-    date = new Date((refDate instanceof Date ? refDate : new Date()).getTime() + years * 3.1556952e+10);
-    mm = parseInt(ytm[2]) - 1;
-    dd = 1;
-    hh = mi = ss = fff = 0;
+  /**
+   * Encodes a date/time into the native numeric/binary representation of a database column (e.g. the bytes of a PostgreSQL
+   * binary protocol `timestamptz` or of an Oracle `DATE`) without a database connection. The value is formatted the same way as
+   * the SQL type of the encoding (e.g. a `timestamp` is rendered in the `zone` option, UTC by default).
+   * @example
+   * const bytes = MomentDB.encode('postgres.timestamptz', new Date('2030-01-31T12:01:20.903Z'));
+   * // Uint8Array <00 03 5f 7a ec 0a ab 58>
+   * const secs = MomentDB.encode('unix.s', new Date('2030-01-31T12:01:20.903Z'));
+   * // 1896091280
+   * @param {MomentDB~Encoding} encoding The encoding (e.g. `postgres.timestamp`, `oracle.date`, `mssql.datetime2`,
+   * `sqlite.julianday` or `unix.ms`)
+   * @param {(Date | LocalDate | LocalTime | LocalDateTime | Temporal.PlainDate | Temporal.PlainTime | Temporal.PlainDateTime |
+   * Temporal.ZonedDateTime | Temporal.Instant | Number)} value The value to encode (or `Infinity`/`-Infinity` for the PostgreSQL
+   * `date`, `timestamp` and `timestamptz` encodings)
+   * @param {Object} [opts] The formatting options (see the `opts` of the {@link MomentDB} function for the SQL type)
+   * @param {Number} [opts.precision] The scale of the SQL Server `time`, `datetime2` and `datetimeoffset` encodings (0 to 7,
+   * defaults to 7). Ignored by the other encodings (fractional seconds beyond the precision of the encoding are truncated).
+   * @param {MomentDB~Calendar} [opts.calendar] The calendar of the Oracle encodings (`hybrid` to match dates stored by Oracle
+   * before `1582-10-15`)
+   * @returns {(Uint8Array | Number | BigInt)} The bytes of the binary encodings, a Number for `sqlite.julianday`, `unix.s` and
+   * `unix.ms` or a BigInt for `unix.us` and `unix.ns` (`null` when the value is `null` or `undefined`)
+   */
+  static encode(encoding, value, opts) {
+    return encode(encoding, value, opts);
   }
-  if (dts) {
-    const days = parseInt(dts[1]);
-    time = (refDate instanceof Date ? refDate : new Date()).getTime() + days * 8.64e+7;
-    date = new Date(time);
+
+  /**
+   * Decodes the native numeric/binary representation of a database column (see {@link MomentDB.encode}) into a Date
+   * @example
+   * const date = MomentDB.decode('oracle.date', Buffer.from([120, 130, 1, 31, 13, 2, 21]));
+   * // 2030-01-31T12:01:20.000Z
+   * const local = MomentDB.decode('postgres.date', 10988, { as: 'local' });
+   * // LocalDate 2030-01-31
+   * @param {MomentDB~Encoding} encoding The encoding
+   * @param {(Uint8Array | Number | BigInt | String)} raw The bytes of the binary encodings (the PostgreSQL `date`, `time`,
+   * `timestamp` and `timestamptz` encodings also accept the integer value) or the Number/BigInt (or numeric String) of the
+   * numeric encodings
+   * @param {Object} [opts] The parsing options (see {@link MomentDB.parse}, the `precision` is used the same as
+   * {@link MomentDB.encode})
+   * @returns {(PreciseDate | LocalDate | LocalTime | LocalDateTime | Object | Number)} The decoded date (or local/Temporal value)
+   * with the `precision` of the encoding, `Infinity`/`-Infinity` for PostgreSQL infinite dates/timestamps or `null` when the
+   * raw value is `null` or `undefined`
+   * @throws {MomentDBParseError} When the raw value is not a valid value of the encoding
+   */
+  static decode(encoding, raw, opts) {
+    return decode(encoding, raw, opts);
   }
-  if (dte) {
-    yyyy = parseInt(dte[1]);
-    mm = parseInt(dte[2]) - 1;
-    dd = parseInt(dte[3]);
-    hh = mi = ss = fff = 0;
-  } else if (tms && !date) {
-    yyyy = 0;
-    mm = 0;
-    dd = 1;
+
+  /**
+   * Extracts a field from a date/time or interval with the same results as the PostgreSQL `EXTRACT`. The fields of a Date are
+   * observed in the `zone` (the same as a `timestamp with time zone` in a session `TimeZone`), local values are used as-is and
+   * weeks always follow ISO 8601 (weeks start on Monday and week 1 contains the first Thursday of the year).
+   * @example
+   * const week = MomentDB.extract('week', new Date('2030-12-30T12:00:00Z'));
+   * // 1 (ISO week 1 of the 2031 ISO year)
+   * const hour = MomentDB.extract('TIMEZONE_HOUR', new Date('2030-01-31T12:01:20.903Z'), { zone: 'America/Denver' });
+   * // -7
+   * @param {String} field The field (case-insensitive): `year`, `isoyear`, `quarter`, `month`, `week`, `day`, `dow` (`0` is
+   * Sunday), `isodow` (`7` is Sunday), `doy`, `hour`, `minute`, `second` (with the fractional seconds), `milliseconds`,
+   * `microseconds` (the seconds field with the fractional seconds, scaled), `epoch` (seconds since `1970-01-01 00:00:00`, the
+   * actual instant of a Date or the wall-clock of a local value), `julian`, `decade`, `century`, `millennium`, `timezone`
+   * (seconds east of UTC), `timezone_hour` or `timezone_minute`. Years before 1 AD do not have a year zero (e.g. `-44` is
+   * 44 BC). Intervals support `millennium` through `epoch` (e.g. `year`, `day`, `second`), a `LocalTime` supports `hour`
+   * through `epoch` and the `timezone` fields require a Date.
+   * @param {(Date | LocalDate | LocalTime | LocalDateTime | YearToMonthInterval | DayToSecondInterval | Temporal.PlainDate |
+   * Temporal.PlainTime | Temporal.PlainDateTime | Temporal.ZonedDateTime | Temporal.Instant | Temporal.Duration)} value The
+   * value to extract the field from
+   * @param {Object} [opts] The extraction options
+   * @param {(String | Number)} [opts.zone] The time zone that the fields of a Date are observed in (defaults to UTC)
+   * @returns {Number} The value of the field
+   */
+  static extract(field, value, opts) {
+    return extract(field, value, opts);
   }
-  if (tms) {
-    hh = parseInt(tms[1]);
-    mi = parseInt(tms[2]);
-    ss = parseInt(tms[3]);
-    fff = parseInt(tms[4]);
+
+  /**
+   * Truncates a date/time to the start of a unit with the same results as the PostgreSQL `date_trunc`. A Date is truncated
+   * using the wall-clock in the `zone` (the same as `date_trunc(unit, value, zone)`) and converted back into a Date. Weeks
+   * start on Monday and centuries/millennia start on their first year (e.g. `2030-01-31` is truncated to `2001-01-01`).
+   * @example
+   * const day = MomentDB.trunc('day', new Date('2030-01-31T03:01:20.903Z'), { zone: 'America/Denver' });
+   * // 2030-01-30T07:00:00.000Z (midnight in Denver)
+   * const quarter = MomentDB.trunc('quarter', new LocalDate(2030, 5, 31));
+   * // LocalDate 2030-04-01
+   * @param {String} unit The unit (case-insensitive): `microseconds`, `milliseconds`, `second`, `minute`, `hour`, `day`, `week`,
+   * `month`, `quarter`, `year`, `decade`, `century` or `millennium` (a `LocalTime` supports up to `hour`)
+   * @param {(Date | LocalDate | LocalTime | LocalDateTime | Temporal.PlainDate | Temporal.PlainTime | Temporal.PlainDateTime |
+   * Temporal.ZonedDateTime | Temporal.Instant)} value The value to truncate
+   * @param {Object} [opts] The truncation options
+   * @param {(String | Number)} [opts.zone] The time zone that a Date is truncated in (defaults to UTC)
+   * @param {MomentDB~Disambiguation} [opts.disambiguation] How a truncated wall-clock time that falls within a DST gap/overlap
+   * is resolved (defaults to `compatible`). Units below a `day` always keep the offset of the Date within an overlap.
+   * @returns {(PreciseDate | LocalDate | LocalTime | LocalDateTime)} The truncated value (a Date is returned as a
+   * {@link PreciseDate} that retains its `precision` and `zone`, Temporal values are converted, see {@link MomentDB.parse})
+   */
+  static trunc(unit, value, opts) {
+    return trunc(unit, value, opts);
   }
-  const type = zns ? '' : 'UTC';
-  if (zns) {
-    if (!time) time = 0;
-    if (hh !== undefined) time += hh * 3.6e+6;
-    if (mi !== undefined) time += mi * 60000;
-    if (ss !== undefined) time += ss * 1000;
-    if (fff !== undefined) time += fff;
-    const offset = (zns[1] === '-' ? -1 : 1) * (parseInt(zns[2]) * 3.6e+6 + parseInt(zns[3]) * 60000);
-    if (time) time -= offset;
-    else time = offset;
-    if (date) date.setTime(time);
-    else date = new Date(time);
-    hh = mi = ss = fff = undefined;
-  } else if (!date) date = new Date();
-  if (yyyy !== undefined) date[`set${type}FullYear`](yyyy);
-  if (mm !== undefined) date[`set${type}Month`](mm);
-  if (dd !== undefined) date[`set${type}Date`](dd);
-  if (hh !== undefined) date[`set${type}Hours`](hh);
-  if (mi !== undefined) date[`set${type}Minutes`](mi);
-  if (ss !== undefined) date[`set${type}Seconds`](ss);
-  if (fff !== undefined) date[`set${type}Milliseconds`](fff);
-  return date;
-}
 
-/**
- * Extracts/formats a timezone from a given date that is suitable for database consumption.
- * @private
- * @param {Date} date The date to extract the timezone from
- * @returns {String} The timezone in the format `[+|-]TH:TM`
- */
-function timezone(date) {
-  const offset = date.getTimezoneOffset(), off = Math.abs(offset);
-  return (offset < 0 ? '+' : '-') + ('00' + Math.floor(off / 60)).slice(-2) + ':' + ('00' + (off % 60)).slice(-2);
-}
+  /**
+   * Bins a timestamp into the start of a fixed-length stride that is aligned with an origin with the same results as the
+   * PostgreSQL `date_bin`. A Date is binned on its actual instant (independent of any time zone), a {@link LocalDateTime} is
+   * binned on its wall-clock.
+   * @example
+   * const bucket = MomentDB.bin('0 00:15:00', new Date('2030-01-31T12:01:20.903Z'));
+   * // 2030-01-31T12:00:00.000Z
+   * const shift = MomentDB.bin(new DayToSecondInterval(0, 8), new Date('2030-01-31T05:01:20Z'), new Date('2030-01-01T06:00:00Z'));
+   * // 2030-01-30T22:00:00.000Z
+   * @param {(DayToSecondInterval | Temporal.Duration | String)} stride The length of each bin (greater than zero and without any
+   * months or years). Strings are parsed as an `interval day to second` (see {@link MomentDB.intervalDayToSecond}).
+   * @param {(Date | LocalDateTime | Temporal.PlainDateTime | Temporal.ZonedDateTime | Temporal.Instant)} value The value to bin
+   * @param {(Date | LocalDateTime | Temporal.PlainDateTime | Temporal.ZonedDateTime | Temporal.Instant)} [origin] The start of
+   * any one of the bins (of the same kind as the `value`). Defaults to the Unix epoch (`1970-01-01 00:00:00`).
+   * @param {Object} [opts] The parsing options used when the `stride` is a String (see {@link MomentDB.parse})
+   * @returns {(PreciseDate | LocalDateTime)} The start of the bin that contains the value (a Date is returned as a
+   * {@link PreciseDate} that retains its `precision` and `zone`)
+   */
+  static bin(stride, value, origin, opts) {
+    return bin(stride, value, origin, opts);
+  }
 
-/**
- * Calculates/formats an interval to either a _year to month_ or a _day to second_ that is suitable for database
- * consumption.
- * @private
- * @param {Boolean} isDayToSec Truthy to indicate that the interval is _day to second_, falsy to indicate the interval
- * is _year to month_ (extracts the value from `dates[2]`).
- * @param {Date[]} dates The __starting__ date, __ending__ date and __extractionDate__: The date to extract either the
- * time from (`isDayToSec` is truthy) or the date to extract the month from (`isDayToSec` is falsy, _year to month_).
- * @returns {String} The formatted interval in the format `[+|-]YEARS-MM` (_year to month_) or `[+|-]DAYS HH:MI:SS.FFF` 
- */
-function interval(isDayToSec, dates) {
-  if (!(dates[0] instanceof Date)) {
-    throw new TypeError(`Interval ${isDayToSec ? 'day-to-second' : 'year-to-month'} requires a starting Date`);
+  /**
+   * Precompiles a formatter/parser for a single SQL type. The options are resolved once and the layout/zone/precision decisions
+   * are made up front so that converting large numbers of values skips the repeated work done by the {@link MomentDB}
+   * functions. Formatted strings that are in the layout output by the dialect are parsed by a single expression, any other
+   * input is handled the same way as {@link MomentDB.parse}.
+   * @example
+   * const fmt = MomentDB.formatter('timestamptz', { dialect: 'postgres', zone: 'UTC' });
+   * const str = fmt.format(new Date());
+   * // 2030-01-31 12:01:20.903000+00
+   * const date = fmt.parse(str);
+   * // 2030-01-31T12:01:20.903Z
+   * @param {String} type The SQL type (see {@link MomentDB.parse})
+   * @param {Object} [opts] The formatting/parsing options (see {@link MomentDB.parse})
+   * @returns {MomentDB~Formatter} The formatter with `format(value)` and `parse(string)` functions. Interval types format
+   * {@link YearToMonthInterval}/{@link DayToSecondInterval} values, all other types format Dates or local values.
+   */
+  static formatter(type, opts) {
+    return core.formatter(type, opts);
+  }
+
+  /**
+   * Generates a set of formatters/parsers that use a database dialect profile. Each of the returned functions have the same
+   * signature as their {@link MomentDB} counterpart (the `dialect` option is always set).
+   * Built-in dialects include `ansi` (the default), `postgres`, `oracle`, `mysql`, `mssql` and `sqlite`.
+   * @example
+   * const pg = MomentDB.dialect('postgres');
+   * const ts = pg.timestamp(new Date());
+   * // assumming date/timezone, the output would be something like:
+   * // 2030-01-31 12:01:20.903000-07
+   * @param {(String | MomentDB~Dialect)} dialect The name of a registered dialect (see {@link MomentDB.registerDialect}) or a
+   * dialect profile
+   * @returns {Object} The `date`, `time`, `timestamp`, `intervalYearToMonth`, `intervalDayToSecond` and `parse` functions that
+   * use the dialect along with the resolved dialect `profile`
+   */
+  static dialect(dialect) {
+    const profile = resolveDialect(dialect), use = (opts) => Object.assign({}, opts, { dialect: profile });
+    return Object.freeze({
+      profile,
+      date: (date, opts) => MomentDB.date(date, use(opts)),
+      time: (date, excludeTimezone, opts) => MomentDB.time(date, excludeTimezone, use(opts)),
+      timestamp: (date, excludeTimezone, opts) => MomentDB.timestamp(date, excludeTimezone, use(opts)),
+      intervalYearToMonth: (startDate, endDate, monthDate, opts) => MomentDB.intervalYearToMonth(startDate, endDate, monthDate,
+        use(opts)),
+      intervalDayToSecond: (startDate, endDate, timestamp, opts) => MomentDB.intervalDayToSecond(startDate, endDate, timestamp,
+        use(opts)),
+      parse: (type, str, opts) => MomentDB.parse(type, str, use(opts))
+    });
   }
-  if (!(dates[1] instanceof Date)) {
-    throw new TypeError(`Interval ${isDayToSec ? 'day-to-second' : 'year-to-month'} requires an ending Date`);
+
+  /**
+   * Compiles an Oracle/NLS-style format mask (e.g. `DD-MON-RR HH12:MI:SS.FF6 AM TZH:TZM`) into a reusable formatter and parser that
+   * follow `TO_CHAR`/`TO_DATE` semantics. The notation used by {@link MomentDB} can also be used in any order (e.g.
+   * `MM/DD/YYYY HH:MI:SS.FFF TH:TM`). See {@link compile} for the supported mask elements.
+   * @example
+   * const mask = MomentDB.compile('DD-MON-YYYY HH24:MI:SS');
+   * const str = mask.format(new Date(Date.UTC(2030, 0, 31, 12, 1, 20)));
+   * // 31-JAN-2030 12:01:20
+   * const date = mask.parse('31-JAN-2030 12:01:20');
+   * // 2030-01-31T12:01:20.000Z
+   * @param {String} mask The format mask
+   * @param {Object} [opts] The formatting/parsing options
+   * @param {(String | Number)} [opts.zone] An IANA time zone identifier (e.g. `America/Denver`) or fixed offset (e.g. `-07:00`)
+   * that will be used to format values and to parse values that do not contain a timezone
+   * @param {MomentDB~Disambiguation} [opts.disambiguation] How local wall-clock times that fall within DST gaps/overlaps are
+   * resolved when parsing
+   * @returns {MomentDB~Mask} The compiled mask with `format(date)` and `parse(string)` functions
+   */
+  static compile(mask, opts) {
+    return compile(mask, opts);
   }
-  if (!(dates[2] instanceof Date)) {
-    throw new TypeError(`Interval ${isDayToSec ? 'day-to-second' : 'year-to-month'} requires an extraction Date for the ${
-      (isDayToSec && 'time') || 'month'}`);
+
+  /**
+   * Typed SQL literal generators (and a parser) that wrap the formatted output in the proper SQL type along with any
+   * `WITH TIME ZONE` and leading/fractional precision qualifiers (see {@link date}, {@link time}, {@link timestamp},
+   * {@link interval} and {@link parse} of the literal module)
+   * @example
+   * const lit = MomentDB.literal.timestamp(new Date(), false, { zone: 'America/Denver' });
+   * // TIMESTAMP WITH TIME ZONE '2030-01-31 05:01:20.903 -07:00'
+   * const lit2 = MomentDB.literal.interval(new DayToSecondInterval(3, 4, 5, 6, 789e6));
+   * // INTERVAL '+0000003 04:05:06.789' DAY(7) TO SECOND(3)
+   * const date = MomentDB.literal.parse('DATE \'2030-01-31\'');
+   * // 2030-01-31T00:00:00.000Z
+   * @returns {Object} The `date`, `time`, `timestamp`, `interval` and `parse` literal functions
+   */
+  static get literal() {
+    return literal;
   }
-  const utc1 = Date.UTC(dates[0].getFullYear(), dates[0].getMonth(), dates[0].getDate());
-  const utc2 = Date.UTC(dates[1].getFullYear(), dates[1].getMonth(), dates[1].getDate());
-  const to = isDayToSec ? dates[2].toISOString().split('T')[1].replace('Z', '') : ('00' + (dates[2].getMonth() + 1)).slice(-2);
-  const num = Math.floor((Math.max(utc1, utc2) - Math.min(utc1, utc2)) / (isDayToSec ? 8.6401e+7 : 3.1536e+10));
-  return (utc1 < utc2 ? '-' : '+') + (isDayToSec ? ('0000000' + Math.abs(num)).slice(-7) : ('0000' + Math.abs(num)).slice(-4)) + (isDayToSec ? ' ' : '-') + to;
-}
\ No newline at end of file
+
+  /**
+   * Generates a row/object mapper that converts the date/time/interval columns of query results (and of rows that will be
+   * inserted) using the {@link MomentDB~Adapter} mapping. Column paths can be nested using `.` (or nested schema Objects) and
+   * can traverse Arrays of objects using `[]` (e.g. `items[].created_at`). Arrays of values found at a column path are converted
+   * element-wise. Missing, `null` and `undefined` values are left as-is.
+   * @example
+   * const mapper = MomentDB.schema({
+   *   created_at: 'timestamptz',
+   *   birth_date: 'date',
+   *   shift_start: { type: 'time', precision: 0 },
+   *   tenure: 'interval year to month',
+   *   'audit.history[].changed_at': 'timestamptz'
+   * }, { dialect: 'postgres' });
+   * const rows = mapper.deserialize(result.rows);
+   * // rows[0].created_at instanceof PreciseDate, rows[0].tenure instanceof YearToMonthInterval
+   * const row = mapper.serialize({ created_at: new Date(), tenure: new YearToMonthInterval(1, 2) });
+   * // { created_at: '2030-01-31 12:01:20.903000-07', tenure: '+1-02' }
+   * @param {Object} spec The column paths mapped to their SQL type (see {@link MomentDB.parse}, `interval` detects the interval
+   * type from the value) or to an Object with the SQL `type` and any options that override the `opts` for the column
+   * @param {Object} [opts] The options used for every column (see {@link MomentDB.parse})
+   * @returns {MomentDB~Schema} The mapper with `serialize(rowOrRows)` and `deserialize(rowOrRows)` functions
+   * @throws {MomentDBSchemaError} From `serialize`/`deserialize` when a column value cannot be converted
+   */
+  static schema(spec, opts) {
+    return createSchema(spec, opts);
+  }
+
+  /**
+   * Generates a Node.js `Transform` stream that converts the date/time/interval columns of rows as they are piped through.
+   * In object mode (the default) each row is converted by a {@link MomentDB.schema} mapper. When the `csv` option is set the
+   * stream converts text and each configured CSV column is parsed using the `from` options and then formatted using the
+   * remaining options (e.g. to convert ISO 8601 or PostgreSQL output into the format of another dialect). Values are parsed
+   * strictly unless `strict: false` is set. Empty CSV values are left as-is. A {@link MomentDBSchemaError} is emitted when a
+   * value cannot be converted.
+   * @example
+   * // object rows from a driver (Dates) into formatted strings
+   * cursorStream.pipe(MomentDB.transform({ created_at: 'timestamptz', birth_date: 'date' }, { dialect: 'oracle' }));
+   * // CSV exported from PostgreSQL into the MSSQL format
+   * fs.createReadStream('in.csv')
+   *   .pipe(MomentDB.transform({ created_at: 'timestamptz' }, { csv: true, from: { dialect: 'postgres' }, dialect: 'mssql' }))
+   *   .pipe(fs.createWriteStream('out.csv'));
+   * @param {Object} spec The column paths mapped to SQL types (see {@link MomentDB.schema}). For CSV, the header names (or the
+   * zero-based column indexes when there is no header) mapped to SQL types.
+   * @param {Object} [opts] The options used for every column (see {@link MomentDB.parse})
+   * @param {String} [opts.direction] Either `serialize` to convert Dates/intervals into formatted strings (the default) or
+   * `deserialize` to convert formatted strings into Dates/intervals (ignored for CSV)
+   * @param {(Boolean | Object)} [opts.csv] Truthy to convert CSV text rather than object rows
+   * @param {String} [opts.csv.delimiter=,] The CSV delimiter
+   * @param {String} [opts.csv.quote="] The CSV quote character
+   * @param {Boolean} [opts.csv.header=true] Whether or not the first CSV record is a header
+   * @param {Object} [opts.from] The options used to parse CSV values (defaults to the `opts`)
+   * @returns {stream.Transform} The transform stream
+   */
+  static transform(spec, opts) {
+    return createTransform(spec, opts);
+  }
+
+  /**
+   * Registers a custom database dialect profile (or replaces an existing one) that can be referenced by name via
+   * {@link MomentDB.dialect} or the `dialect` option of each formatter/parser
+   * @example
+   * MomentDB.registerDialect('cockroach', { extends: 'postgres', fraction: 3 });
+   * const ts = MomentDB.dialect('cockroach').timestamp(new Date());
+   * @param {String} name The name of the dialect (case-insensitive)
+   * @param {Object} profile The {@link MomentDB~Dialect} properties. Omitted properties are inherited from the dialect named by
+   * `profile.extends` (defaults to `ansi`).
+   * @returns {MomentDB~Dialect} The registered dialect
+   */
+  static registerDialect(name, profile) {
+    return registerDialect(name, profile);
+  }
+
+  /**
+   * Registers the `Temporal` namespace of a polyfill that is not installed as the global `Temporal`. Temporal values are always
+   * detected at runtime (native or polyfilled), the namespace is only needed to create the Temporal values returned when the `as`
+   * option is `temporal`.
+   * @example
+   * import { Temporal } from '@js-temporal/polyfill';
+   * MomentDB.registerTemporal(Temporal);
+   * const date = MomentDB.parse('date', '2030-01-31', { as: 'temporal' });
+   * // Temporal.PlainDate 2030-01-31
+   * @param {Object} [temporal] The `Temporal` namespace (omit to revert to the global `Temporal`)
+   * @returns {Object} The registered namespace
+   */
+  static registerTemporal(temporal) {
+    return registerTemporal(temporal);
+  }
+}
+
+export { PreciseDate, MomentDBParseError, MomentDBSchemaError, YearToMonthInterval, DayToSecondInterval, LocalDate, LocalTime,
+  LocalDateTime, Range };
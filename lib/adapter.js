@@ -0,0 +1,142 @@
+'use strict';
+
+import * as core from './core.js';
+import MomentDBParseError from './errors.js';
+import PreciseDate from './precise-date.js';
+import { YearToMonthInterval, DayToSecondInterval } from './intervals.js';
+import { LocalDate, LocalTime, LocalDateTime } from './civil.js';
+import { returnsOf } from './types.js';
+import { isTemporal, fromTemporal, toTemporal } from './temporal.js';
+import { split } from './interval-styles.js';
+import { Range, format as formatRange } from './ranges.js';
+
+/**
+ * A database driver adapter that converts the date/time/interval values of a driver into {@link PreciseDate}s/intervals and
+ * vice versa. Every adapter uses the same mapping:
+ * | <u>SQL Type</u>              | <u>Parsed As</u>
+ * | :---                         | :---
+ * | date                         | {@link PreciseDate} (see {@link MomentDB.date})
+ * | time                         | {@link PreciseDate} (see {@link MomentDB.time})
+ * | time with time zone          | {@link PreciseDate} (see {@link MomentDB.time})
+ * | timestamp                    | {@link PreciseDate} (see {@link MomentDB.timestamp})
+ * | timestamp with time zone     | {@link PreciseDate} (see {@link MomentDB.timestamp})
+ * | interval year to month       | {@link YearToMonthInterval}
+ * | interval day to second       | {@link DayToSecondInterval}
+ * | interval                     | {@link YearToMonthInterval} (years/months) or {@link DayToSecondInterval} (days/time)
+ *
+ * When an `interval` value in a non-ANSI interval style combines years/months with days/time (e.g. `1 year 2 mons 3 days`), no
+ * single interval type can represent it, so it is parsed as an Array containing the {@link YearToMonthInterval} followed by the
+ * {@link DayToSecondInterval} (apply them in that order, e.g. `dts.addTo(ytm.addTo(date))`).
+ * When the `as` option is `local` the `date`, `time` and `timestamp` types are parsed as a {@link LocalDate},
+ * {@link LocalTime} and {@link LocalDateTime} instead. When the `as` option is `temporal` all of the types (except
+ * `time with time zone`) are parsed as the matching `Temporal` type (see {@link MomentDB.parse}). Temporal values can always be
+ * serialized, as can a {@link Range} (see {@link MomentDB.range}).
+ * @typedef {Object} MomentDB~Adapter
+ * @property {String} name The name of the driver
+ * @property {Object} options The options used by the adapter (the driver defaults merged with the `install` options)
+ * @property {Object} types The driver type identifiers mapped to the SQL type that they are parsed as
+ * @property {Function} parse Converts a driver value into a Date/interval. Accepts the SQL type and the value (a formatted
+ * String or a Date) and returns a {@link PreciseDate}, {@link YearToMonthInterval}, {@link DayToSecondInterval}, a pair of
+ * intervals (see above), `Infinity`, `-Infinity` or `null`.
+ * @property {Function} serialize Converts a Date/interval into a formatted String that can be bound to a statement. Accepts the
+ * value and the SQL type (defaults to `timestamp with time zone` for Dates) and returns the formatted String (or `null`).
+ */
+
+const INFINITY = Object.freeze({ 'infinity': Infinity, '+infinity': Infinity, '-infinity': -Infinity });
+
+/**
+ * Creates a driver adapter
+ * @param {String} name The name of the driver
+ * @param {Object} types The driver type identifiers mapped to the SQL type that they are parsed as
+ * @param {Object} defaults The default options for the driver
+ * @param {Object} [opts] The options that override the `defaults` (see {@link MomentDB.parse})
+ * @param {(String | MomentDB~Dialect)} [opts.dialect] The dialect used for formatting/parsing
+ * @param {(String | Number)} [opts.zone] The zone used to format values and to parse values that do not contain a timezone
+ * @param {Boolean} [opts.strict] Truthy to parse strictly
+ * @param {MomentDB~IntervalStyle} [opts.intervalStyle] The representation of intervals used by the driver
+ * @param {String} [opts.as] `local` to parse `date`, `time` and `timestamp` values as a {@link LocalDate}, {@link LocalTime} or
+ * {@link LocalDateTime} _OR_ `temporal` to parse values as the matching `Temporal` type
+ * @returns {MomentDB~Adapter} The adapter
+ */
+export function create(name, types, defaults, opts) {
+  const options = Object.freeze(Object.assign({}, defaults, opts));
+  return Object.freeze({
+    name,
+    options,
+    types: Object.freeze(Object.assign({}, types)),
+    parse: (type, value) => parse(type, value, options),
+    serialize: (value, type) => serialize(value, type, options)
+  });
+}
+
+/**
+ * Converts a driver value into a Date or interval
+ * @param {String} type The SQL type (or `interval` to detect the interval type from the value)
+ * @param {(String | Date)} value The driver value
+ * @param {Object} options The adapter options
+ * @param {MomentDB~Formatter} [formatter] A precompiled formatter for the SQL type used to parse Strings (see
+ * {@link MomentDB.formatter})
+ * @returns {(PreciseDate | YearToMonthInterval | DayToSecondInterval | Array | Number)} The converted value (an Array of a
+ * {@link YearToMonthInterval} and a {@link DayToSecondInterval} for an `interval` that combines both)
+ */
+export function parse(type, value, options, formatter) {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date) return new PreciseDate(value);
+  if (typeof value === 'string' && INFINITY.hasOwnProperty(value.trim().toLowerCase())) {
+    return INFINITY[value.trim().toLowerCase()];
+  }
+  if (type !== 'interval') {
+    if (formatter) return formatter.parse(value);
+    return core.parse(type, value, Object.assign({}, options, { as: returnsOf(type, options.as) }));
+  }
+  const use = Object.assign({}, options, { as: returnsOf(type, options.as) });
+  if (!options.intervalStyle || options.intervalStyle === 'sql_standard') {
+    return core.parse(/^\s*[+-]?\d+-\d+\s*$/.test(value) ? 'interval year to month' : 'interval day to second', value, use);
+  }
+  try {
+    return core.parse('interval year to month', value, use);
+  } catch (err) {
+    if (!(err instanceof MomentDBParseError) || err.field === 'input') throw err;
+  }
+  try {
+    return core.parse('interval day to second', value, use);
+  } catch (err) {
+    if (!(err instanceof MomentDBParseError) || err.field !== 'YEARS') throw err;
+    const pair = split(value, options.intervalStyle);
+    return use.as === 'temporal' ? pair.map((intvl) => toTemporal(intvl)) : pair;
+  }
+}
+
+/**
+ * Converts a Date, local value, interval, range or Temporal value into a formatted String
+ * @param {(Date | LocalDate | LocalTime | LocalDateTime | YearToMonthInterval | DayToSecondInterval | Range | Object)} value The
+ * value
+ * @param {String} [type] The SQL type (defaults to `timestamp with time zone` for Dates and `date`, `time` or `timestamp` for
+ * local values, Temporal values are defaulted the same as the value that they are converted into)
+ * @param {Object} options The adapter options
+ * @param {MomentDB~Formatter} [formatter] A precompiled formatter for the SQL type used to format Dates (see
+ * {@link MomentDB.formatter})
+ * @returns {String} The formatted value
+ */
+export function serialize(value, type, options, formatter) {
+  if (value === null || value === undefined) return null;
+  if (isTemporal(value)) return serialize(fromTemporal(value), type, options, formatter);
+  if (value instanceof YearToMonthInterval) return core.intervalYearToMonth(value, null, null, options);
+  if (value instanceof DayToSecondInterval) return core.intervalDayToSecond(value, null, null, options);
+  if (value instanceof Range) return formatRange(value.type, value, options);
+  const local = value instanceof LocalDate ? 'date' : value instanceof LocalTime ? 'time' :
+    value instanceof LocalDateTime ? 'timestamp' : null;
+  if (!local && !(value instanceof Date)) {
+    throw new TypeError(`Expected a Date, local value, YearToMonthInterval or DayToSecondInterval to serialize, but found: ${
+      value}`);
+  }
+  if (formatter) return formatter.format(value);
+  switch (type || local || 'timestamp with time zone') {
+    case 'date': return core.date(value, options);
+    case 'time': return core.time(value, true, options);
+    case 'time with time zone': return core.time(value, false, options);
+    case 'timestamp': return core.timestamp(value, true, options);
+    case 'timestamp with time zone': return core.timestamp(value, false, options);
+    default: throw new TypeError(`Unable to serialize a ${local ? value.constructor.name : 'Date'} as: ${type}`);
+  }
+}
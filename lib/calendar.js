@@ -0,0 +1,114 @@
+'use strict';
+
+import { pad } from './util.js';
+
+/**
+ * The calendar that the year, month and day of dates are formatted/parsed in: `gregorian` (the proleptic Gregorian calendar
+ * used by `Date`) or `hybrid` (the Julian calendar before the Gregorian cutover on `1582-10-15`, as used by Oracle)
+ * @typedef {String} MomentDB~Calendar
+ */
+
+export const CALENDARS = Object.freeze(['gregorian', 'hybrid']);
+export const ERAS = Object.freeze(['signed', 'bc']);
+const DAY = 86400000;
+const EPOCH_JDN = 2440588;
+const CUTOVER = Date.UTC(1582, 9, 15);
+
+/**
+ * Resolves/validates a calendar
+ * @param {MomentDB~Calendar} [calendar] The calendar (defaults to `gregorian`)
+ * @returns {MomentDB~Calendar} The calendar
+ */
+export function resolveCalendar(calendar) {
+  if (calendar === undefined || calendar === null) return 'gregorian';
+  if (!CALENDARS.includes(calendar)) {
+    throw new RangeError(`Option "calendar" must be one of ${CALENDARS.join(', ')}, but found: ${calendar}`);
+  }
+  return calendar;
+}
+
+/**
+ * Extracts the year, month and day of a date in a calendar
+ * @param {Date} wall A Date whose UTC fields are the wall-clock fields
+ * @param {MomentDB~Calendar} calendar The calendar
+ * @returns {Number[]} The astronomical year (i.e. `0` is 1 BC), month (1 to 12) and day
+ */
+export function fieldsOf(wall, calendar) {
+  const time = wall.getTime();
+  if (calendar !== 'hybrid' || time >= CUTOVER) return [wall.getUTCFullYear(), wall.getUTCMonth() + 1, wall.getUTCDate()];
+  const jdc = Math.floor(time / DAY) + EPOCH_JDN + 32082, yrs = Math.floor((4 * jdc + 3) / 1461);
+  const days = jdc - Math.floor(1461 * yrs / 4), mon = Math.floor((5 * days + 2) / 153);
+  return [yrs - 4800 + Math.floor(mon / 10), mon + 3 - 12 * Math.floor(mon / 10), days - Math.floor((153 * mon + 2) / 5) + 1];
+}
+
+/**
+ * Converts the year, month and day of a calendar into the proleptic Gregorian calendar used by `Date`. Fields that are out of
+ * range overflow into the adjacent months/years (the same as `Date.UTC`).
+ * @param {Number} year The astronomical year
+ * @param {Number} month The month (1 to 12)
+ * @param {Number} day The day
+ * @param {MomentDB~Calendar} calendar The calendar that the fields are in
+ * @returns {Number[]} The proleptic Gregorian year, month (1 to 12) and day
+ */
+export function gregorianOf(year, month, day, calendar) {
+  if (calendar !== 'hybrid' || !julian(year, month, day)) return [year, month, day];
+  const adj = Math.floor((14 - month) / 12), yrs = year + 4800 - adj, mon = month + 12 * adj - 3;
+  const jdn = day + Math.floor((153 * mon + 2) / 5) + 365 * yrs + Math.floor(yrs / 4) - 32083;
+  const date = new Date((jdn - EPOCH_JDN) * DAY);
+  return [date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate()];
+}
+
+/**
+ * @param {Number} year The astronomical year
+ * @param {Number} month The month (1 to 12)
+ * @param {MomentDB~Calendar} calendar The calendar
+ * @returns {Number} The number of days in the month
+ */
+export function daysIn(year, month, calendar) {
+  if (calendar === 'hybrid' && month === 2 && julian(year, month, 1)) return year % 4 ? 28 : 29;
+  return new Date(new Date(0).setUTCFullYear(year, month, 0)).getUTCDate();
+}
+
+/**
+ * @param {Number} year The astronomical year
+ * @param {Number} month The month (1 to 12)
+ * @param {Number} day The day
+ * @param {MomentDB~Calendar} calendar The calendar
+ * @returns {Boolean} `true` when the day was skipped by the Gregorian cutover (`1582-10-05` to `1582-10-14` of the `hybrid`
+ * calendar)
+ */
+export function skipped(year, month, day, calendar) {
+  return calendar === 'hybrid' && year === 1582 && month === 10 && day >= 5 && day <= 14;
+}
+
+/**
+ * Formats a year
+ * @param {Number} year The astronomical year
+ * @param {String} era The dialect `era`: `signed` for ISO 8601 years (i.e. 4 digits from `0000` to `9999`, otherwise a sign
+ * and 6 digits, e.g. `-000043` for 44 BC or `+012345`) _OR_ `bc` for the year of the era (see {@link eraOf})
+ * @returns {String} The formatted year
+ */
+export function formatYear(year, era) {
+  if (era === 'bc') return pad(year > 0 ? year : 1 - year, 4);
+  return year >= 0 && year <= 9999 ? pad(year, 4) : `${year < 0 ? '-' : '+'}${pad(Math.abs(year), 6)}`;
+}
+
+/**
+ * @param {Number} year The astronomical year
+ * @param {String} era The dialect `era` (see {@link formatYear})
+ * @returns {String} The suffix that follows a formatted date/timestamp (i.e. ` BC` for years before 1 AD in the `bc` era)
+ */
+export function eraOf(year, era) {
+  return era === 'bc' && year < 1 ? ' BC' : '';
+}
+
+/**
+ * @private
+ * @param {Number} year The astronomical year
+ * @param {Number} month The month (1 to 12)
+ * @param {Number} day The day
+ * @returns {Boolean} `true` when the date precedes the Gregorian cutover
+ */
+function julian(year, month, day) {
+  return year < 1582 || (year === 1582 && (month < 10 || (month === 10 && day < 15)));
+}
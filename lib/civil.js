@@ -0,0 +1,437 @@
+'use strict';
+
+import PreciseDate, { fractionOf } from './precise-date.js';
+import { resolveZone, resolveDisambiguation, offsetAt, instantOf, utc, LOCAL, UTC } from './zones.js';
+import { formatYear } from './calendar.js';
+import { pad } from './util.js';
+
+/**
+ * A calendar __date__ without a time or time zone (i.e. `YYYY-MM-DD`) that holds the value of an SQL `DATE` exactly as the
+ * database stores it. Conversions into a Date are always explicit (see {@link LocalDate#atZone}).
+ */
+export class LocalDate {
+
+  /**
+   * Constructs a local date
+   * @param {Number} year The year
+   * @param {Number} month The month (1 to 12)
+   * @param {Number} day The day of the month (1 to the last day of the month)
+   */
+  constructor(year, month, day) {
+    ranges('LocalDate', { year, month, day });
+    /**
+     * The year
+     * @type {Number}
+     */
+    this.year = year;
+    /**
+     * The month (1 to 12)
+     * @type {Number}
+     */
+    this.month = month;
+    /**
+     * The day of the month (1 to 31)
+     * @type {Number}
+     */
+    this.day = day;
+    Object.freeze(this);
+  }
+
+  /**
+   * Extracts the calendar date of a Date in a time zone
+   * @param {Date} date The date
+   * @param {(String | Number)} [zone=UTC] The time zone that the date is observed in (see {@link MomentDB~Zone})
+   * @returns {LocalDate} The local date
+   */
+  static from(date, zone) {
+    const wall = wallOf(date, zone);
+    return new LocalDate(wall.getUTCFullYear(), wall.getUTCMonth() + 1, wall.getUTCDate());
+  }
+
+  /**
+   * Combines the date with a time
+   * @param {LocalTime} [time] The time (defaults to midnight)
+   * @returns {LocalDateTime} The local date/time
+   */
+  atTime(time) {
+    const tm = time || MIDNIGHT;
+    if (!(tm instanceof LocalTime)) throw new TypeError(`Expected a LocalTime, but found: ${time}`);
+    return new LocalDateTime(this.year, this.month, this.day, tm.hour, tm.minute, tm.second, tm.nanosecond, tm.precision);
+  }
+
+  /**
+   * Converts the start of the day in a time zone into a Date
+   * @param {(String | Number)} zone The time zone (see {@link MomentDB~Zone})
+   * @param {MomentDB~Disambiguation} [disambiguation] How a start of the day that falls within a DST gap/overlap is resolved
+   * @returns {PreciseDate} The date
+   */
+  atZone(zone, disambiguation) {
+    return this.atTime().atZone(zone, disambiguation);
+  }
+
+  /**
+   * @returns {PreciseDate} The start of the day in UTC (the same Date returned when parsing a __date__ into a Date)
+   */
+  toDate() {
+    return this.atZone(UTC);
+  }
+
+  /**
+   * @param {LocalDate} date The date to compare to
+   * @returns {Number} `-1` when this date is earlier, `1` when later or `0` when equal
+   */
+  compareTo(date) {
+    same(this, date);
+    return compare([this.year, this.month, this.day], [date.year, date.month, date.day]);
+  }
+
+  /**
+   * @param {*} other The value to compare to
+   * @returns {Boolean} `true` when the value is a local date with the same fields
+   */
+  equals(other) {
+    return other instanceof LocalDate && !this.compareTo(other);
+  }
+
+  /**
+   * Formats the date (i.e. `YYYY-MM-DD`, years outside of 0 to 9999 are signed ISO 8601 years, e.g. `-000043-03-13`)
+   * @returns {String} The formatted date
+   */
+  toString() {
+    return `${formatYear(this.year, 'signed')}-${pad(this.month, 2)}-${pad(this.day, 2)}`;
+  }
+}
+
+/**
+ * A __time__ of day without a date or time zone (i.e. `HH:MI:SS.FFF`) that holds the value of an SQL `TIME` exactly as the
+ * database stores it (with up to nanosecond precision). Conversions into a Date are always explicit (see
+ * {@link LocalTime#atZone}).
+ */
+export class LocalTime {
+
+  /**
+   * Constructs a local time
+   * @param {Number} [hour=0] The hour (0 to 23)
+   * @param {Number} [minute=0] The minute (0 to 59)
+   * @param {Number} [second=0] The second (0 to 59)
+   * @param {Number} [nanosecond=0] The nanoseconds within the second (0 to 999999999)
+   * @param {Number} [precision] The number of fractional second digits that the time was parsed from (0 to 9)
+   */
+  constructor(hour = 0, minute = 0, second = 0, nanosecond = 0, precision) {
+    ranges('LocalTime', { hour, minute, second, nanosecond, precision });
+    /**
+     * The hour (0 to 23)
+     * @type {Number}
+     */
+    this.hour = hour;
+    /**
+     * The minute (0 to 59)
+     * @type {Number}
+     */
+    this.minute = minute;
+    /**
+     * The second (0 to 59)
+     * @type {Number}
+     */
+    this.second = second;
+    /**
+     * The nanoseconds within the second (0 to 999999999)
+     * @type {Number}
+     */
+    this.nanosecond = nanosecond;
+    /**
+     * The number of fractional second digits that the time was parsed from (0 to 9) or `undefined` when unknown
+     * @type {Number}
+     */
+    this.precision = precision;
+    Object.freeze(this);
+  }
+
+  /**
+   * Extracts the time of day of a Date in a time zone
+   * @param {Date} date The date (nanoseconds and `precision` of a {@link PreciseDate} are retained)
+   * @param {(String | Number)} [zone=UTC] The time zone that the date is observed in (see {@link MomentDB~Zone})
+   * @returns {LocalTime} The local time
+   */
+  static from(date, zone) {
+    const wall = wallOf(date, zone);
+    return new LocalTime(wall.getUTCHours(), wall.getUTCMinutes(), wall.getUTCSeconds(), fractionOf(date),
+      date instanceof PreciseDate ? date.precision : undefined);
+  }
+
+  /**
+   * Combines the time with a date
+   * @param {LocalDate} date The date
+   * @returns {LocalDateTime} The local date/time
+   */
+  atDate(date) {
+    if (!(date instanceof LocalDate)) throw new TypeError(`Expected a LocalDate, but found: ${date}`);
+    return date.atTime(this);
+  }
+
+  /**
+   * Converts the time on a given date in a time zone into a Date
+   * @param {(String | Number)} zone The time zone (see {@link MomentDB~Zone})
+   * @param {LocalDate} [date] The date that the time occurs on (defaults to the current date in the time zone)
+   * @param {MomentDB~Disambiguation} [disambiguation] How a time that falls within a DST gap/overlap is resolved
+   * @returns {PreciseDate} The date
+   */
+  atZone(zone, date, disambiguation) {
+    return this.atDate(date || LocalDate.from(new Date(), zone)).atZone(zone, disambiguation);
+  }
+
+  /**
+   * @returns {PreciseDate} The time on `0000-01-01` in UTC (the same Date returned when parsing a __time__ into a Date)
+   */
+  toDate() {
+    return this.atZone(UTC, EPOCH);
+  }
+
+  /**
+   * @param {LocalTime} time The time to compare to
+   * @returns {Number} `-1` when this time is earlier, `1` when later or `0` when equal
+   */
+  compareTo(time) {
+    same(this, time);
+    return compare([this.hour, this.minute, this.second, this.nanosecond],
+      [time.hour, time.minute, time.second, time.nanosecond]);
+  }
+
+  /**
+   * @param {*} other The value to compare to
+   * @returns {Boolean} `true` when the value is a local time with the same fields (the `precision` is ignored)
+   */
+  equals(other) {
+    return other instanceof LocalTime && !this.compareTo(other);
+  }
+
+  /**
+   * Formats the time (i.e. `HH:MI:SS.FFF`)
+   * @param {Number} [precision] The number of fractional second digits to output (0 to 9, extra digits are truncated). Defaults
+   * to the `precision` of the time or the fewest number of digits (3, 6 or 9) that retain the nanoseconds.
+   * @returns {String} The formatted time
+   */
+  toString(precision) {
+    return clockOf(this, precision);
+  }
+}
+
+/**
+ * A __timestamp__ without a time zone (i.e. `YYYY-MM-DD HH:MI:SS.FFF`) that holds the value of an SQL
+ * `TIMESTAMP WITHOUT TIME ZONE` exactly as the database stores it (with up to nanosecond precision). Conversions into a Date
+ * are always explicit (see {@link LocalDateTime#atZone}).
+ */
+export class LocalDateTime {
+
+  /**
+   * Constructs a local date/time
+   * @param {Number} year The year
+   * @param {Number} month The month (1 to 12)
+   * @param {Number} day The day of the month (1 to the last day of the month)
+   * @param {Number} [hour=0] The hour (0 to 23)
+   * @param {Number} [minute=0] The minute (0 to 59)
+   * @param {Number} [second=0] The second (0 to 59)
+   * @param {Number} [nanosecond=0] The nanoseconds within the second (0 to 999999999)
+   * @param {Number} [precision] The number of fractional second digits that the timestamp was parsed from (0 to 9)
+   */
+  constructor(year, month, day, hour = 0, minute = 0, second = 0, nanosecond = 0, precision) {
+    ranges('LocalDateTime', { year, month, day, hour, minute, second, nanosecond, precision });
+    /**
+     * The year
+     * @type {Number}
+     */
+    this.year = year;
+    /**
+     * The month (1 to 12)
+     * @type {Number}
+     */
+    this.month = month;
+    /**
+     * The day of the month (1 to 31)
+     * @type {Number}
+     */
+    this.day = day;
+    /**
+     * The hour (0 to 23)
+     * @type {Number}
+     */
+    this.hour = hour;
+    /**
+     * The minute (0 to 59)
+     * @type {Number}
+     */
+    this.minute = minute;
+    /**
+     * The second (0 to 59)
+     * @type {Number}
+     */
+    this.second = second;
+    /**
+     * The nanoseconds within the second (0 to 999999999)
+     * @type {Number}
+     */
+    this.nanosecond = nanosecond;
+    /**
+     * The number of fractional second digits that the timestamp was parsed from (0 to 9) or `undefined` when unknown
+     * @type {Number}
+     */
+    this.precision = precision;
+    Object.freeze(this);
+  }
+
+  /**
+   * Extracts the date and time of day of a Date in a time zone
+   * @param {Date} date The date (nanoseconds and `precision` of a {@link PreciseDate} are retained)
+   * @param {(String | Number)} [zone=UTC] The time zone that the date is observed in (see {@link MomentDB~Zone})
+   * @returns {LocalDateTime} The local date/time
+   */
+  static from(date, zone) {
+    return LocalDate.from(date, zone).atTime(LocalTime.from(date, zone));
+  }
+
+  /**
+   * @returns {LocalDate} The date portion
+   */
+  toLocalDate() {
+    return new LocalDate(this.year, this.month, this.day);
+  }
+
+  /**
+   * @returns {LocalTime} The time portion
+   */
+  toLocalTime() {
+    return new LocalTime(this.hour, this.minute, this.second, this.nanosecond, this.precision);
+  }
+
+  /**
+   * Converts the date/time in a time zone into a Date
+   * @param {(String | Number)} zone The time zone (see {@link MomentDB~Zone})
+   * @param {MomentDB~Disambiguation} [disambiguation] How a date/time that falls within a DST gap/overlap is resolved
+   * @returns {PreciseDate} The date (the `zone` is retained when it is a time zone region)
+   */
+  atZone(zone, disambiguation) {
+    const zn = resolveZone(zone);
+    const wall = utc(this.year, this.month - 1, this.day, this.hour, this.minute, this.second, Math.floor(this.nanosecond / 1e6));
+    const date = new PreciseDate(instantOf(zn, wall, resolveDisambiguation(disambiguation)));
+    date.setNanoseconds(this.nanosecond % 1e6);
+    date.precision = this.precision;
+    if (zn.fixed === undefined && zn !== LOCAL) date.zone = zn.id;
+    return date;
+  }
+
+  /**
+   * @returns {PreciseDate} The date/time in UTC (the same Date returned when parsing a __timestamp__ into a Date)
+   */
+  toDate() {
+    return this.atZone(UTC);
+  }
+
+  /**
+   * @param {LocalDateTime} dateTime The date/time to compare to
+   * @returns {Number} `-1` when this date/time is earlier, `1` when later or `0` when equal
+   */
+  compareTo(dateTime) {
+    same(this, dateTime);
+    return this.toLocalDate().compareTo(dateTime.toLocalDate()) || this.toLocalTime().compareTo(dateTime.toLocalTime());
+  }
+
+  /**
+   * @param {*} other The value to compare to
+   * @returns {Boolean} `true` when the value is a local date/time with the same fields (the `precision` is ignored)
+   */
+  equals(other) {
+    return other instanceof LocalDateTime && !this.compareTo(other);
+  }
+
+  /**
+   * Formats the date/time (i.e. `YYYY-MM-DD HH:MI:SS.FFF`)
+   * @param {Number} [precision] The number of fractional second digits to output (0 to 9, extra digits are truncated). Defaults
+   * to the `precision` of the date/time or the fewest number of digits (3, 6 or 9) that retain the nanoseconds.
+   * @returns {String} The formatted date/time
+   */
+  toString(precision) {
+    return `${this.toLocalDate()} ${clockOf(this, precision)}`;
+  }
+}
+
+const MIDNIGHT = new LocalTime();
+const EPOCH = new LocalDate(0, 1, 1);
+
+/**
+ * Formats the time of day of a local time or date/time
+ * @private
+ * @param {(LocalTime | LocalDateTime)} local The local time or date/time
+ * @param {Number} [precision] The number of fractional second digits
+ * @returns {String} The formatted time (i.e. `HH:MI:SS.FFF`)
+ */
+function clockOf(local, precision) {
+  const nanos = local.nanosecond;
+  const digits = precision !== undefined ? precision : local.precision !== undefined ? local.precision :
+    nanos % 1e6 ? (nanos % 1e3 ? 9 : 6) : 3;
+  return `${pad(local.hour, 2)}:${pad(local.minute, 2)}:${pad(local.second, 2)}${
+    digits ? `.${pad(nanos, 9).slice(0, digits)}` : ''}`;
+}
+
+/**
+ * Shifts a Date by the offset of a time zone so that its UTC fields are the wall-clock fields in the time zone
+ * @private
+ * @param {Date} date The date
+ * @param {(String | Number)} [zone=UTC] The time zone
+ * @returns {Date} The shifted date
+ */
+function wallOf(date, zone) {
+  if (!(date instanceof Date) || isNaN(date.getTime())) {
+    throw new TypeError(`Expected a valid Date, but found: ${date}`);
+  }
+  return new Date(date.getTime() + offsetAt(zone === undefined ? UTC : resolveZone(zone), date.getTime()) * 60000);
+}
+
+/**
+ * Validates the fields of a local date/time
+ * @private
+ * @param {String} name The name of the type
+ * @param {Object} fields The fields to validate (`undefined` fields are skipped)
+ */
+function ranges(name, fields) {
+  const max = {
+    month: 12, hour: 23, minute: 59, second: 59, nanosecond: 999999999, precision: 9,
+    day: fields.month && new Date(utc(fields.year, fields.month, 0, 0, 0, 0, 0)).getUTCDate()
+  };
+  for (let field in fields) {
+    const value = fields[field];
+    if (value === undefined && field === 'precision') continue;
+    if (!Number.isSafeInteger(value)) {
+      throw new TypeError(`${name} ${field} must be an integer, but found: ${value}`);
+    }
+    const min = field === 'month' || field === 'day' ? 1 : field === 'year' ? -Infinity : 0;
+    if (value < min || value > (max[field] || Infinity)) {
+      throw new RangeError(`${name} ${field} must be from ${min} to ${max[field]}, but found: ${value}`);
+    }
+  }
+}
+
+/**
+ * Compares fields in order of significance
+ * @private
+ * @param {Number[]} fields The fields
+ * @param {Number[]} others The other fields
+ * @returns {Number} `-1`, `0` or `1`
+ */
+function compare(fields, others) {
+  for (let i = 0; i < fields.length; i++) {
+    if (fields[i] !== others[i]) return fields[i] < others[i] ? -1 : 1;
+  }
+  return 0;
+}
+
+/**
+ * Validates that two local values are of the same type
+ * @private
+ * @param {(LocalDate | LocalTime | LocalDateTime)} local The local value
+ * @param {(LocalDate | LocalTime | LocalDateTime)} other The other local value
+ */
+function same(local, other) {
+  if (!(other instanceof local.constructor)) {
+    throw new TypeError(`Expected a ${local.constructor.name}, but found: ${other}`);
+  }
+}
@@ -0,0 +1,674 @@
+'use strict';
+
+import { resolve as resolveDialect } from './dialects.js';
+import MomentDBParseError from './errors.js';
+import { resolveType } from './types.js';
+import { YearToMonthInterval, DayToSecondInterval } from './intervals.js';
+import { LocalDate, LocalTime, LocalDateTime } from './civil.js';
+import { resolveStyle, format as formatStyle, parse as parseStyle } from './interval-styles.js';
+import { create as createFormatter } from './formatter.js';
+import { fromTemporal, toTemporal } from './temporal.js';
+import PreciseDate, { fractionOf } from './precise-date.js';
+import { resolveZone, resolveDisambiguation, offsetAt, instantOf, parseDesignator, formatOffset, utc, LOCAL, UTC }
+  from './zones.js';
+import { resolveCalendar, fieldsOf, gregorianOf, daysIn, skipped, formatYear, eraOf } from './calendar.js';
+import { pad } from './util.js';
+
+const DATE = 'YYYY-MM-DD';
+const TIME = 'HH:MI:SS.FFF';
+const ZONE = '[+|-]TH:TM';
+const YEAR_TO_MONTH = '[+|-]YEARS-MM';
+const DAY_TO_SEC = '[+|-]DAYS HH:MI:SS.FFF';
+const TYPES = Object.freeze({
+  'date': [DATE],
+  'time': [TIME],
+  'time with time zone': [TIME, ZONE],
+  'timestamp': [DATE, TIME],
+  'timestamp with time zone': [DATE, TIME, ZONE],
+  'interval year to month': [YEAR_TO_MONTH],
+  'interval day to second': [DAY_TO_SEC, TIME]
+});
+const RETURNS = ['date', 'interval', 'local', 'temporal'];
+const EXPRESSIONS = new WeakMap();
+let monthDateWarned = false;
+
+/**
+ * Formats a Date (or local/Temporal value) into a __date__ or parses a formatted __date__ (see {@link MomentDB.date})
+ * @param {(Date | LocalDate | LocalDateTime | Object | String)} value The value to format or the formatted date to parse
+ * @param {Object} [opts] The formatting/parsing options
+ * @returns {(String | Date | LocalDate | Object)} The formatted date or the parsed value
+ */
+export function date(value, opts) {
+  const options = resolveOptions(opts), val = fromTemporal(value);
+  if (val instanceof Date) return format(DATE, options, val);
+  if (isLocal(val)) return formatLocal(DATE, options, val);
+  return unformat('date', val, null, options);
+}
+
+/**
+ * Formats a Date (or local/Temporal value) into a __time__ or parses a formatted __time__ (see {@link MomentDB.time})
+ * @param {(Date | LocalTime | LocalDateTime | Object | String)} value The value to format or the formatted time to parse
+ * @param {Boolean} [excludeTimezone] Truthy to exclude the timezone
+ * @param {Object} [opts] The formatting/parsing options
+ * @returns {(String | Date | LocalTime | Object)} The formatted time or the parsed value
+ */
+export function time(value, excludeTimezone, opts) {
+  const options = resolveOptions(opts), val = fromTemporal(value);
+  if (val instanceof Date) return format(excludeTimezone ? TIME : `${TIME} ${ZONE}`, options, val);
+  if (isLocal(val)) return formatLocal(excludeTimezone ? TIME : `${TIME} ${ZONE}`, options, val);
+  return unformat(excludeTimezone ? 'time' : 'time with time zone', val, null, options);
+}
+
+/**
+ * Formats a Date (or local/Temporal value) into a __timestamp__ or parses a formatted __timestamp__ (see
+ * {@link MomentDB.timestamp})
+ * @param {(Date | LocalDate | LocalDateTime | Object | String)} value The value to format or the formatted timestamp to parse
+ * @param {Boolean} [excludeTimezone] Truthy to exclude the timezone
+ * @param {Object} [opts] The formatting/parsing options
+ * @returns {(String | Date | LocalDateTime | Object)} The formatted timestamp or the parsed value
+ */
+export function timestamp(value, excludeTimezone, opts) {
+  const options = resolveOptions(opts), val = fromTemporal(value);
+  if (val instanceof Date) return format(`${DATE} ${TIME}${excludeTimezone ? '' : ` ${ZONE}`}`, options, val);
+  if (isLocal(val)) return formatLocal(`${DATE} ${TIME}${excludeTimezone ? '' : ` ${ZONE}`}`, options, val);
+  return unformat(excludeTimezone ? 'timestamp' : 'timestamp with time zone', val, null, options);
+}
+
+/**
+ * Formats an __interval year to month__ or parses a formatted one (see {@link MomentDB.intervalYearToMonth})
+ * @param {(Date | YearToMonthInterval | Object | String)} startDate The start date, the interval or the formatted interval
+ * @param {(Date | Object)} [endDate] The end date (or the reference date when parsing)
+ * @param {Date} [monthDate] Deprecated and ignored (a `DeprecationWarning` is emitted the first time it is passed)
+ * @param {Object} [opts] The formatting/parsing options
+ * @returns {(String | Date | YearToMonthInterval | Object)} The formatted interval or the parsed value
+ */
+export function intervalYearToMonth(startDate, endDate, monthDate, opts) {
+  if (monthDate !== undefined && monthDate !== null && !monthDateWarned) {
+    monthDateWarned = true;
+    process.emitWarning('The monthDate of intervalYearToMonth is ignored (the months are calculated from the start and end dates)',
+      'DeprecationWarning', 'MOMENTDB_MONTH_DATE');
+  }
+  const options = resolveOptions(opts), start = fromTemporal(startDate, YearToMonthInterval), end = fromTemporal(endDate);
+  if (start instanceof YearToMonthInterval) return formatInterval(start, options);
+  if (start instanceof Date && end instanceof Date) return format(YEAR_TO_MONTH, options, start, end);
+  return unformat('interval year to month', start, end, options);
+}
+
+/**
+ * Formats an __interval day to second__ or parses a formatted one (see {@link MomentDB.intervalDayToSecond})
+ * @param {(Date | DayToSecondInterval | Object | String)} startDate The start date, the interval or the formatted interval
+ * @param {(Date | Object)} [endDate] The end date (or the reference date when parsing)
+ * @param {(Date | Object)} [timestamp] The date that the __time__ is extracted from
+ * @param {Object} [opts] The formatting/parsing options
+ * @returns {(String | Date | DayToSecondInterval | Object)} The formatted interval or the parsed value
+ */
+export function intervalDayToSecond(startDate, endDate, timestamp, opts) {
+  const options = resolveOptions(opts), start = fromTemporal(startDate, DayToSecondInterval), end = fromTemporal(endDate);
+  if (start instanceof DayToSecondInterval) return formatInterval(start, options);
+  const time = fromTemporal(timestamp);
+  if (start instanceof Date && end instanceof Date && time instanceof Date) {
+    return format(DAY_TO_SEC, options, start, end, time);
+  }
+  return unformat('interval day to second', start, end, options);
+}
+
+/**
+ * Parses a formatted value of an SQL type (see {@link MomentDB.parse})
+ * @param {String} type The SQL type name or alias
+ * @param {String} str The formatted value
+ * @param {Object} [opts] The parsing options
+ * @returns {(Date | YearToMonthInterval | DayToSecondInterval | LocalDate | LocalTime | LocalDateTime | Object)} The parsed value
+ * @throws {MomentDBParseError} When the formatted value is invalid
+ */
+export function parse(type, str, opts) {
+  return unformat(resolveType(type), str, fromTemporal(opts && opts.refDate), resolveOptions(opts));
+}
+
+/**
+ * Generates a precompiled formatter/parser for an SQL type (see {@link MomentDB.formatter})
+ * @param {String} type The SQL type name or alias
+ * @param {Object} [opts] The formatting/parsing options
+ * @returns {MomentDB~Formatter} The formatter
+ */
+export function formatter(type, opts) {
+  const resolved = resolveType(type), options = resolveOptions(opts), refDate = fromTemporal(opts && opts.refDate);
+  const fmt = createFormatter(resolved, options, {
+    format: (value) => {
+      const val = fromTemporal(value, resolved === 'interval year to month' ? YearToMonthInterval : DayToSecondInterval);
+      if (val !== value) return fmt.format(val);
+      if (!/^interval/.test(resolved)) {
+        if (!isLocal(value)) throw new Error('Specified date must be an instance of Date');
+        return formatLocal(TYPES[resolved].join(' '), options, value);
+      }
+      if (!(value instanceof (resolved === 'interval year to month' ? YearToMonthInterval : DayToSecondInterval))) {
+        throw new TypeError(`Expected a ${resolved === 'interval year to month' ? 'YearToMonthInterval' :
+          'DayToSecondInterval'} to format, but found: ${value}`);
+      }
+      return formatInterval(value, options);
+    },
+    parse: (str) => unformat(resolved, str, refDate, options)
+  });
+  return fmt;
+}
+
+/**
+ * Resolves/validates the options passed into one of the {@link MomentDB} functions
+ * @param {Object} [opts] The options passed into the {@link MomentDB} function
+ * @returns {Object} The resolved options
+ */
+export function resolveOptions(opts) {
+  const options = { dialect: resolveDialect(opts && opts.dialect) };
+  if (opts && opts.precision !== undefined && opts.precision !== null) {
+    if (!Number.isInteger(opts.precision) || opts.precision < 0 || opts.precision > 9) {
+      throw new RangeError(`Precision must be an integer from 0 to 9, but found: ${opts.precision}`);
+    }
+    if (opts.precision > options.dialect.accept.fraction[1]) {
+      throw new RangeError(`Precision ${opts.precision} exceeds the ${options.dialect.accept.fraction[1]} fractional second `
+        + `digits accepted by the ${options.dialect.name} dialect`);
+    }
+    options.precision = opts.precision;
+  }
+  if (opts && opts.zone !== undefined && opts.zone !== null) options.zone = resolveZone(opts.zone);
+  if (opts && opts.as) {
+    if (!RETURNS.includes(opts.as)) {
+      throw new RangeError(`Option "as" must be one of ${RETURNS.join(', ')}, but found: ${opts.as}`);
+    }
+    options.as = opts.as;
+  }
+  options.disambiguation = resolveDisambiguation(opts && opts.disambiguation);
+  options.calendar = resolveCalendar(opts && opts.calendar);
+  options.strict = !!(opts && opts.strict);
+  options.intervalStyle = resolveStyle(opts && opts.intervalStyle);
+  return options;
+}
+
+/**
+ * Validates that values of an SQL type can be returned as the `as` option
+ * @param {String} type The SQL type (one of the global `TYPES`)
+ * @param {Object} options The options from {@link resolveOptions}
+ * @throws {TypeError} When values of the type cannot be returned as the `as` option
+ */
+export function checkReturns(type, options) {
+  const types = TYPES[type], isInterval = types.includes(YEAR_TO_MONTH) || types.includes(DAY_TO_SEC);
+  if (options.as === 'local' && (types.includes(ZONE) || isInterval)) {
+    throw new TypeError(`Only date, time and timestamp types can be returned as a local value, but found: ${type}`);
+  }
+  if (options.as === 'temporal' && types.includes(ZONE) && !types.includes(DATE)) {
+    throw new TypeError(`A ${type} has no matching Temporal type`);
+  }
+  if (options.as === 'interval' && !isInterval) {
+    throw new TypeError(`Only interval types can be returned as an interval, but found: ${type}`);
+  }
+}
+
+/**
+ * Formats dates/times into an ANSI compatible string.
+ * @private
+ * @param {String} format The format described in {@link MomentDB}
+ * @param {Object} options The options from {@link resolveOptions}
+ * @param  {...any} dates Either a single date that will be formatted OR
+ * a __start__ date, __end__ date and __extraction__ date (see {@link interval} for more details)
+ * @returns {String} The formatted output
+ */
+function format(format, options, ...dates) {
+  for (let date of dates) {
+    if (!(date instanceof Date)) {
+      throw new Error('Specified date must be an instance of Date');
+    }
+  }
+  const dialect = options.dialect;
+  const frmt = format.toUpperCase();
+  const useZone = frmt.indexOf(ZONE) >= 0 && !!dialect.offset;
+  const dte = dates[0], digits = precisionOf(options, dte, dialect.fraction);
+  const zn = options.zone || (useZone ? (dte instanceof PreciseDate && dte.zone && resolveZone(dte.zone)) || LOCAL : UTC);
+  const off = offsetAt(zn, dte.getTime()), wall = new Date(dte.getTime() + off * 60000);
+
+  const [yyyy, mm, dd] = fieldsOf(wall, options.calendar), hasDate = frmt.indexOf(DATE) >= 0;
+  const date = hasDate ? `${formatYear(yyyy, dialect.era)}-${pad(mm, 2)}-${pad(dd, 2)}` : '';
+  let time = frmt.indexOf(TIME) >= 0 ?
+    clock(wall.getUTCHours(), wall.getUTCMinutes(), wall.getUTCSeconds(), fractionOf(dte), digits) : '';
+  const zone = useZone ? formatOffset(off, dialect.offset) : '';
+  const intvl = frmt.indexOf(YEAR_TO_MONTH) >= 0 ? interval(false, dates, options) : 
+    frmt.indexOf(DAY_TO_SEC) >= 0 && !(time = '') ? interval(true, dates, options) : '';
+
+  return `${date}${date && time ? dialect.separator : ''}${time}${(date || time) && zone ? dialect.zoneSeparator : ''}${zone}${
+    (date || time || zone) && intvl ? ' ' : ''}${intvl}${hasDate ? eraOf(yyyy, dialect.era) : ''}`;
+}
+
+/**
+ * Formats an interval using the dialect precisions and interval style
+ * @private
+ * @param {(YearToMonthInterval | DayToSecondInterval)} intvl The interval to format
+ * @param {Object} options The options from {@link resolveOptions}
+ * @returns {String} The formatted interval
+ */
+function formatInterval(intvl, options) {
+  const ytm = intvl instanceof YearToMonthInterval;
+  if (options.intervalStyle !== 'sql_standard') {
+    return formatStyle(intvl, options.intervalStyle, ytm ? undefined : options.precision);
+  }
+  if (ytm) return intvl.toString(options.dialect.yearPrecision);
+  return intvl.toString(options.dialect.dayPrecision, options.precision !== undefined ? options.precision :
+    intvl.precision !== undefined ? intvl.precision : options.dialect.intervalFraction);
+}
+
+/**
+ * Converts a previously formatted date/time from {@link format} into a Date.
+ * @param {String} type The SQL type that will indicate how the Date will be set (one of the global `TYPES`)
+ * @param {String} formatted The formatted date, time, timestamp, etc.
+ * @param {Date} [refDate] A reference date to use when calculating __interval-year-to-month__ or __interval-day-to-second__
+ * (otherwise, ignored)
+ * @param {Object} options The options from {@link resolveOptions}
+ * @returns {PreciseDate} A Date set to the proper date/time/zone indicated by the specified format notations (retains any
+ * fractional seconds beyond milliseconds) or an interval/local/Temporal value (see the `as` option of {@link MomentDB.parse})
+ */
+function unformat(type, formatted, refDate, options) {
+  if (typeof formatted !== 'string') {
+    throw new MomentDBParseError(`Expected a formatted ${type} String, but found: ${formatted === null ? 'null' : typeof formatted}`,
+      type, 'input', 0, formatted);
+  }
+  const types = TYPES[type], dialect = options.dialect, rx = expressions(dialect);
+  const isInterval = types.includes(YEAR_TO_MONTH) || types.includes(DAY_TO_SEC);
+  checkReturns(type, options);
+  if (options.intervalStyle !== 'sql_standard' && isInterval) {
+    const intvl = parseStyle(type, formatted, options.intervalStyle);
+    return options.as === 'interval' ? intvl : options.as === 'temporal' ? toTemporal(intvl) :
+      intvl.addTo(refDate instanceof Date ? refDate : new Date());
+  }
+  if (options.strict) validate(type, formatted, options);
+  const era = types.includes(DATE) && formatted.match(rx.era), body = era ? formatted.slice(0, era.index) : formatted;
+  const dte = types.includes(DATE) && body.match(rx.date);
+  const tms = types.includes(TIME) && body.match(rx.time);
+  const rest = tms && body.slice(tms.index + tms[0].length);
+  const zns = types.includes(ZONE) && tms && (offset(rest, rx, dialect) || (dialect.accept.regions && parseDesignator(rest)));
+  const ytm = types.includes(YEAR_TO_MONTH) && formatted.match(rx.yearToMonth);
+  const dts = types.includes(DAY_TO_SEC) && formatted.match(rx.dayToSecond);
+  if (types.includes(TIME) && !tms) {
+    // a date (or days) without a time is midnight, but an unrecognized time is never silently dropped
+    const at = dte ? dte.index + dte[0].length : dts ? dts[0].length : 0;
+    if (!(dte || dts) || body.slice(at).trim()) {
+      const [min, max] = dialect.accept.fraction, fff = body.slice(at).match(/^\s*\d{1,2}:\d{2}:\d{2}\.(\d+)/);
+      const position = fff ? at + fff[0].length - fff[1].length : at + body.slice(at).search(/\S|$/);
+      const reason = fff ? `FFF must be ${min === max ? min : `${min || 1} to ${max}`} digit(s) for the ${dialect.name} dialect, `
+        + `but found ${fff[1].length}` : 'expected HH:MI[:SS]';
+      throw new MomentDBParseError(`Invalid ${type} "${formatted}": ${reason} at position ${position}`, type, fff ? 'FFF' : 'HH',
+        position, formatted);
+    }
+  }
+  if (options.as === 'interval') return intervalOf(type, formatted, ytm, dts, tms);
+  if (options.as === 'local') return localOf(type, formatted, dte, tms, era, options.calendar);
+  if (options.as === 'temporal' && !types.includes(ZONE)) {
+    return toTemporal(isInterval ? intervalOf(type, formatted, ytm, dts, tms) : localOf(type, formatted, dte, tms, era,
+      options.calendar));
+  }
+
+  let date, yyyy, mm, dd, hh, mi, ss, fff, nanos, precision;
+  if (ytm) return intervalOf(type, formatted, ytm).addTo(refDate instanceof Date ? refDate : new Date());
+  if (dts) {
+    date = new DayToSecondInterval(parseInt(dts[1])).addTo(refDate instanceof Date ? refDate : new Date());
+  }
+  if (dte) {
+    [yyyy, mm, dd] = gregorianOf(yearOf(dte[1], era), parseInt(dte[2]), parseInt(dte[3]), options.calendar);
+    mm--;
+    hh = mi = ss = fff = 0;
+  } else if (tms && !date) {
+    yyyy = 0;
+    mm = 0;
+    dd = 1;
+  }
+  if (tms) {
+    hh = parseInt(tms[1]);
+    mi = parseInt(tms[2]);
+    ss = tms[3] ? parseInt(tms[3]) : 0;
+    precision = tms[4] ? tms[4].length : 0;
+    nanos = tms[4] ? parseInt(tms[4].padEnd(9, '0')) : 0;
+    fff = Math.floor(nanos / 1e6);
+  }
+  if (zns || (options.zone && !date)) {
+    const wall = utc(yyyy, mm, dd, hh, mi, ss, fff);
+    date = new PreciseDate(zns && !zns.zone ? wall - zns.offset * 60000 :
+      instantOf((zns && zns.zone) || options.zone, wall, options.disambiguation, zns ? zns.offset : undefined));
+    if (zns && zns.zone) date.zone = zns.zone.id;
+  } else {
+    if (!date) date = new PreciseDate();
+    if (yyyy !== undefined) date.setUTCFullYear(yyyy, mm, dd);
+    else if (mm !== undefined) date.setUTCMonth(mm, dd);
+    if (hh !== undefined) date.setUTCHours(hh, mi, ss, fff);
+  }
+  if (nanos !== undefined) {
+    date.setNanoseconds(nanos % 1e6);
+    date.precision = precision;
+  }
+  if (options.as === 'temporal') {
+    const zone = zns ? date.zone || formatOffset(zns.offset) : (options.zone || UTC).id;
+    return toTemporal(date, zone === LOCAL.id ? new Intl.DateTimeFormat().resolvedOptions().timeZone : zone);
+  }
+  return date;
+}
+
+/**
+ * Converts the matches of a previously formatted interval from {@link unformat} into an interval
+ * @private
+ * @param {String} type The SQL type (one of the global `TYPES`)
+ * @param {String} formatted The formatted interval
+ * @param {Array} [ytm] The interval-year-to-month match
+ * @param {Array} [dts] The interval-day-to-second __DAYS__ match
+ * @param {Array} [tms] The interval-day-to-second __time__ match
+ * @returns {(YearToMonthInterval | DayToSecondInterval)} The interval
+ */
+function intervalOf(type, formatted, ytm, dts, tms) {
+  const types = TYPES[type];
+  if (ytm) {
+    const sign = ytm[1][0] === '-' ? -1 : 1;
+    return new YearToMonthInterval(sign * Math.abs(parseInt(ytm[1])), sign * parseInt(ytm[2]));
+  }
+  if (dts && tms) {
+    const sign = dts[1][0] === '-' ? -1 : 1, fraction = tms[4] || '';
+    return new DayToSecondInterval(sign * Math.abs(parseInt(dts[1])), sign * parseInt(tms[1]), sign * parseInt(tms[2]),
+      sign * (tms[3] ? parseInt(tms[3]) : 0), sign * (fraction ? parseInt(fraction.padEnd(9, '0')) : 0), fraction.length);
+  }
+  const field = types.includes(YEAR_TO_MONTH) ? 'YEARS' : 'DAYS';
+  throw new MomentDBParseError(`Invalid ${type} "${formatted}": expected ${types.join(' ')}`, type, field, 0, formatted);
+}
+
+/**
+ * Converts the matches of a previously formatted date/time from {@link unformat} into a local value (without a Date in between)
+ * @private
+ * @param {String} type The SQL type (`date`, `time` or `timestamp`)
+ * @param {String} formatted The formatted date/time
+ * @param {Array} [dte] The __date__ match
+ * @param {Array} [tms] The __time__ match
+ * @param {Array} [era] The era suffix match
+ * @param {MomentDB~Calendar} calendar The calendar of the __date__
+ * @returns {(LocalDate | LocalTime | LocalDateTime)} The local value
+ */
+function localOf(type, formatted, dte, tms, era, calendar) {
+  const types = TYPES[type];
+  const fail = (field, reason, position) => {
+    throw new MomentDBParseError(`Invalid ${type} "${formatted}": ${reason} at position ${position}`, type, field, position,
+      formatted);
+  };
+  if (types.includes(DATE) && !dte) fail('YYYY', `expected ${DATE}`, 0);
+  if (types.includes(TIME) && !tms) fail('HH', `expected ${TIME}`, dte ? dte.index + dte[0].length : 0);
+  const fields = [], check = (match, idx, field, min, max, pos) => {
+    const val = match[idx] === undefined ? 0 : parseInt(match[idx], 10);
+    if (val < min || val > max) fail(field, `${field} must be from ${min} to ${max}, but found ${match[idx]}`, pos);
+    fields.push(val);
+    return pos + (match[idx] || '').length + 1;
+  };
+  if (dte) {
+    if (era && !(/^\d+$/.test(dte[1]) && parseInt(dte[1], 10) > 0)) {
+      fail('YYYY', `YYYY must be an unsigned year from 1 when followed by ${era[1]}, but found ${dte[1]}`, dte.index);
+    }
+    const yyyy = yearOf(dte[1], era), mm = parseInt(dte[2], 10);
+    fields.push(yyyy);
+    const pos = check(dte, 2, 'MM', 1, 12, dte.index + dte[1].length + 1);
+    check(dte, 3, 'DD', 1, daysIn(yyyy, mm, calendar), pos);
+    if (skipped(yyyy, mm, fields[2], calendar)) fail('DD', `${dte[0]} was skipped by the Gregorian cutover`, pos);
+    fields.splice(0, 3, ...gregorianOf(fields[0], fields[1], fields[2], calendar));
+  }
+  if (tms) {
+    check(tms, 3, 'SS', 0, 59, check(tms, 2, 'MI', 0, 59, check(tms, 1, 'HH', 0, 23, tms.index)));
+    const fraction = tms[4] || '';
+    fields.push(fraction ? parseInt(fraction.padEnd(9, '0'), 10) : 0, fraction.length);
+  }
+  return !tms ? new LocalDate(...fields) : !dte ? new LocalTime(...fields) : new LocalDateTime(...fields);
+}
+
+/**
+ * Formats a local value into an ANSI compatible string. The value is interpreted in the `zone` option (defaults to UTC) when
+ * a timezone is output.
+ * @private
+ * @param {String} format The format described in {@link MomentDB}
+ * @param {Object} options The options from {@link resolveOptions}
+ * @param {(LocalDate | LocalTime | LocalDateTime)} value The local value
+ * @returns {String} The formatted output
+ */
+function formatLocal(format, options, value) {
+  const dialect = options.dialect, hasDate = format.indexOf(DATE) >= 0, hasTime = format.indexOf(TIME) >= 0;
+  if ((hasDate && value instanceof LocalTime) || (!hasDate && value instanceof LocalDate)) {
+    throw new TypeError(`A ${value.constructor.name} cannot be formatted as a ${hasDate && hasTime ? 'timestamp' : hasDate ?
+      'date' : 'time'}`);
+  }
+  const local = value instanceof LocalDate ? value.atTime() : value;
+  const [yyyy, mm, dd] = hasDate ? fieldsOf(new Date(utc(local.year, local.month - 1, local.day, 0, 0, 0, 0)),
+    options.calendar) : [];
+  const date = hasDate ? `${formatYear(yyyy, dialect.era)}-${pad(mm, 2)}-${pad(dd, 2)}` : '';
+  const time = hasTime ? clock(local.hour, local.minute, local.second, local.nanosecond, options.precision !== undefined ?
+    options.precision : local.precision !== undefined ? local.precision : dialect.fraction) : '';
+  let zone = '';
+  if (format.indexOf(ZONE) >= 0 && dialect.offset) {
+    const zn = options.zone || UTC;
+    const instant = local instanceof LocalTime ? local.atZone(zn, undefined, options.disambiguation) :
+      local.atZone(zn, options.disambiguation);
+    zone = formatOffset(offsetAt(zn, instant.getTime()), dialect.offset);
+  }
+  return `${date}${date && time ? dialect.separator : ''}${time}${zone ? dialect.zoneSeparator : ''}${zone}${
+    hasDate ? eraOf(yyyy, dialect.era) : ''}`;
+}
+
+/**
+ * @private
+ * @param {String} year The formatted year (optionally signed)
+ * @param {Array} [era] The era suffix match
+ * @returns {Number} The astronomical year (i.e. `0` is 1 BC)
+ */
+function yearOf(year, era) {
+  const yyyy = parseInt(year, 10);
+  return era && era[1].toUpperCase() === 'BC' ? 1 - yyyy : yyyy;
+}
+
+/**
+ * @private
+ * @param {*} value The value
+ * @returns {Boolean} `true` when the value is a {@link LocalDate}, {@link LocalTime} or {@link LocalDateTime}
+ */
+function isLocal(value) {
+  return value instanceof LocalDate || value instanceof LocalTime || value instanceof LocalDateTime;
+}
+
+/**
+ * Strictly validates a formatted string. The entire input must match the format of the type and each field must be within the
+ * ranges of the {@link MomentDB} notation.
+ * @private
+ * @param {String} type The SQL type (one of the global `TYPES`)
+ * @param {String} str The formatted string
+ * @param {Object} options The options from {@link resolveOptions}
+ * @throws {MomentDBParseError} When the formatted string is invalid
+ */
+function validate(type, str, options) {
+  const types = TYPES[type], dialect = options.dialect, acc = dialect.accept;
+  const era = types.includes(DATE) && str.match(expressions(dialect).era), body = era ? str.slice(0, era.index) : str;
+  let pos = 0;
+  const fail = (field, reason, at) => {
+    const position = at === undefined ? pos : at;
+    throw new MomentDBParseError(`Invalid ${type} "${str}": ${reason} at position ${position}`, type, field, position, str);
+  };
+  const num = (field, min, max, lo, hi, bounded) => {
+    const at = pos, digits = body.slice(pos, bounded ? pos + max : undefined).match(/^\d*/)[0];
+    if (digits.length < min || digits.length > max) {
+      fail(field, `${field} must be ${min === max ? min : `${min} to ${max}`} digit(s)${digits ? `, but found ${digits}` : ''}`);
+    }
+    pos += digits.length;
+    const val = parseInt(digits, 10);
+    if (val < lo || val > hi) fail(field, `${field} must be from ${lo} to ${hi}, but found ${digits}`, at);
+    return val;
+  };
+  const literal = (chars, field) => {
+    if (!chars.includes(body[pos])) {
+      fail(field || 'separator', `expected ${chars.map(chr => `"${chr}"`).join(' or ')}${pos < body.length ? `, but found "${
+        body[pos]}"` : ''}`);
+    }
+    pos++;
+  };
+  if (types.includes(YEAR_TO_MONTH) || types.includes(DAY_TO_SEC)) {
+    if (body[pos] === '+' || body[pos] === '-') pos++;
+  }
+  if (types.includes(YEAR_TO_MONTH)) {
+    num('YEARS', 1, 9, 0, 9999);
+    literal(['-']);
+    num('MM', 2, 2, 0, 11);
+  }
+  if (types.includes(DAY_TO_SEC)) {
+    num('DAYS', 1, 9, 0, 3652047);
+    literal([' ']);
+  }
+  if (types.includes(DATE)) {
+    const start = pos;
+    if (body[pos] === '+' || body[pos] === '-') {
+      if (era) fail('YYYY', `YYYY cannot be signed when followed by ${era[1]}`);
+      pos++;
+    }
+    num('YYYY', 4, 6, era ? 1 : 0, 275760);
+    const year = body.slice(start, pos), yyyy = yearOf(year, era);
+    literal(['-']);
+    const mm = num('MM', 2, 2, 1, 12);
+    literal(['-']);
+    const at = pos, dd = num('DD', 2, 2, 1, 31), dim = daysIn(yyyy, mm, options.calendar);
+    if (dd > dim) fail('DD', `DD must be from 1 to ${dim} for ${year}-${pad(mm, 2)}, but found ${pad(dd, 2)}`, at);
+    if (skipped(yyyy, mm, dd, options.calendar)) {
+      fail('DD', `${body.slice(start, pos)} was skipped by the Gregorian cutover`, at);
+    }
+    const [gyyy, gmm, gdd] = gregorianOf(yyyy, mm, dd, options.calendar);
+    if (isNaN(utc(gyyy, gmm - 1, gdd, 0, 0, 0, 0))) {
+      fail('YYYY', `${body.slice(start, pos)} is outside of the range of a Date`, start);
+    }
+    if (types.includes(TIME)) literal(acc.separators);
+  }
+  if (types.includes(TIME)) {
+    num('HH', 2, 2, 0, 23);
+    literal([':']);
+    num('MI', 2, 2, 0, 59);
+    literal([':']);
+    num('SS', 2, 2, 0, 59);
+    if (body[pos] === '.' && acc.fraction[1]) {
+      pos++;
+      num('FFF', Math.max(1, acc.fraction[0]), acc.fraction[1], 0, 999999999);
+    } else if (acc.fraction[0]) literal(['.']);
+  }
+  if (types.includes(ZONE)) {
+    if (body[pos] === ' ') pos++;
+    const at = pos;
+    if (body[pos] === 'Z' && acc.zulu) pos++;
+    else if (body[pos] === '+' || body[pos] === '-') {
+      // TH is always 2 digits so that any digits that follow are the TM of a compact HHMM offset
+      const sign = body[pos++], th = num('TH', 2, 2, 0, 14, true);
+      if (sign === '-' && th > 12) fail('TH', `TH must be from -12 to 14, but found -${pad(th, 2)}`, at + 1);
+      let style = 'HH';
+      if (body[pos] === ':') {
+        pos++;
+        style = 'HH:MM';
+      } else if (/\d/.test(body[pos] || '')) style = 'HHMM';
+      if (style !== 'HH') num('TM', 2, 2, 0, 59);
+      if (!acc.offsets.includes(style)) fail('TH', `offset style ${style} is not accepted by the ${dialect.name} dialect`, at);
+    } else {
+      const dsg = acc.regions && parseDesignator(body.slice(pos));
+      if (!dsg) fail('TH', `expected a timezone offset${acc.regions ? ' or region' : ''}`);
+      pos += dsg.length;
+    }
+  }
+  if (pos < body.length) fail('end', `unexpected "${body.slice(pos)}"`);
+  if (era && era[0] !== ` ${era[1].toUpperCase()}`) {
+    fail('end', `expected " ${era[1].toUpperCase()}", but found "${era[0]}"`, era.index);
+  }
+}
+
+/**
+ * Generates (or retrieves previously generated) regular expressions used to convert formatted strings for a given dialect
+ * @private
+ * @param {MomentDB~Dialect} dialect The dialect that determines the accepted input variants
+ * @returns {Object} The regular expressions for each `date`, `era`, `time`, `zone`, `yearToMonth` and `dayToSecond`
+ */
+function expressions(dialect) {
+  let rx = EXPRESSIONS.get(dialect);
+  if (!rx) {
+    const [min, max] = dialect.accept.fraction;
+    const fraction = min ? `\\.(\\d{${min},${max}})` : max ? `(?:\\.(\\d{1,${max}}))?` : '()';
+    rx = {
+      date: /([+-]?\d{4,6})-(\d{1,2})-(\d{1,2})/,
+      era: /\s+(AD|BC)\s*$/i,
+      time: new RegExp(`(?<![\\d:+-])(\\d{1,2}):(\\d{2})(?::(\\d{2})${fraction})?(?![.:]?\\d)`),
+      zone: /^\s*(?:(Z)|([+-])(\d{1,2})(?:(:?)(\d{2}))?)(?![\d:])/i,
+      yearToMonth: /^\s*([+-]?\d{1,9})-(\d{1,2})/,
+      dayToSecond: /^\s*([+-]?\d{1,9})\s/
+    };
+    EXPRESSIONS.set(dialect, rx);
+  }
+  return rx;
+}
+
+/**
+ * Extracts a timezone offset that immediately follows a formatted time
+ * @private
+ * @param {String} formatted The portion of the formatted string that follows the time
+ * @param {Object} rx The regular expressions from {@link expressions}
+ * @param {MomentDB~Dialect} dialect The dialect that determines the accepted offset styles
+ * @returns {Object} The `offset` in minutes from UTC or `null` when no accepted offset is present
+ */
+function offset(formatted, rx, dialect) {
+  const zns = formatted.match(rx.zone);
+  if (!zns) return null;
+  if (zns[1]) return dialect.accept.zulu ? { offset: 0 } : null;
+  const style = zns[4] ? 'HH:MM' : zns[5] ? 'HHMM' : 'HH';
+  if (!dialect.accept.offsets.includes(style)) return null;
+  return { offset: (zns[2] === '-' ? -1 : 1) * (parseInt(zns[3]) * 60 + (zns[5] ? parseInt(zns[5]) : 0)) };
+}
+
+/**
+ * Calculates/formats an interval to either a _year to month_ or a _day to second_ that is suitable for database
+ * consumption.
+ * @private
+ * @param {Boolean} isDayToSec Truthy to indicate that the interval is _day to second_, falsy to indicate the interval
+ * is _year to month_ (extracts the value from `dates[2]`).
+ * @param {Date[]} dates The __starting__ date, __ending__ date and (when `isDayToSec` is truthy) the date to extract the time
+ * from
+ * @param {Object} options The options from {@link resolveOptions}
+ * @returns {String} The formatted interval in the format `[+|-]YEARS-MM` (_year to month_) or `[+|-]DAYS HH:MI:SS.FFF` 
+ */
+function interval(isDayToSec, dates, options) {
+  if (!(dates[0] instanceof Date)) {
+    throw new TypeError(`Interval ${isDayToSec ? 'day-to-second' : 'year-to-month'} requires a starting Date`);
+  }
+  if (!(dates[1] instanceof Date)) {
+    throw new TypeError(`Interval ${isDayToSec ? 'day-to-second' : 'year-to-month'} requires an ending Date`);
+  }
+  if (isDayToSec && !(dates[2] instanceof Date)) {
+    throw new TypeError('Interval day-to-second requires an extraction Date for the time');
+  }
+  const dialect = options.dialect;
+  const utc1 = new Date(utc(dates[0].getFullYear(), dates[0].getMonth(), dates[0].getDate(), 0, 0, 0, 0));
+  const utc2 = new Date(utc(dates[1].getFullYear(), dates[1].getMonth(), dates[1].getDate(), 0, 0, 0, 0));
+  const ytm = !isDayToSec && YearToMonthInterval.between(utc1, utc2);
+  const to = isDayToSec ? clock(dates[2].getUTCHours(), dates[2].getUTCMinutes(), dates[2].getUTCSeconds(),
+    fractionOf(dates[2]), precisionOf(options, dates[2], dialect.intervalFraction)) : pad(Math.abs(ytm.months), 2);
+  const num = isDayToSec ? DayToSecondInterval.between(utc1, utc2).days : ytm.years;
+  return (utc1 < utc2 ? '-' : '+') + pad(Math.abs(num), isDayToSec ? dialect.dayPrecision : dialect.yearPrecision) +
+    (isDayToSec ? ' ' : '-') + to;
+}
+
+/**
+ * Formats a time of day
+ * @private
+ * @param {Number} hh The hours
+ * @param {Number} mi The minutes
+ * @param {Number} ss The seconds
+ * @param {Number} nanos The nanoseconds within the second (0 to 999999999)
+ * @param {Number} digits The number of fractional second digits to output (0 to 9, extra digits are truncated)
+ * @returns {String} The time in the format `HH:MI:SS.FFF`
+ */
+function clock(hh, mi, ss, nanos, digits) {
+  return `${pad(hh, 2)}:${pad(mi, 2)}:${pad(ss, 2)}${digits ? `.${pad(nanos, 9).slice(0, digits)}` : ''}`;
+}
+
+/**
+ * Determines the number of fractional second digits to output
+ * @private
+ * @param {Object} options The options from {@link resolveOptions}
+ * @param {Date} date The date being formatted
+ * @param {Number} fallback The number of digits to use when neither the options or the date have a precision
+ * @returns {Number} The number of fractional second digits
+ */
+function precisionOf(options, date, fallback) {
+  if (options.precision !== undefined) return options.precision;
+  return date instanceof PreciseDate && date.precision !== undefined ? date.precision : fallback;
+}
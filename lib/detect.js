@@ -0,0 +1,224 @@
+'use strict';
+
+import * as core from './core.js';
+import MomentDBParseError from './errors.js';
+import { compile } from './mask.js';
+import { resolveType } from './types.js';
+
+/**
+ * The result of detecting the SQL type of a formatted date/time (see {@link MomentDB.detect})
+ * @typedef {Object} MomentDB~Detection
+ * @property {String} type The detected SQL type (`null` for a sentinel without a type)
+ * @property {String} ansi The formatted string normalized into the ANSI layout of the type (`null` for zero/sentinel dates)
+ * @property {*} value The parsed value (see {@link MomentDB.parse}) or the value of the zero/sentinel date
+ * @property {Number} confidence How certain the detection is, from `0` to `1` (`1` for exact ANSI output)
+ * @property {String} pattern The name of the pattern that detected the type
+ */
+
+/**
+ * The built-in detection patterns in the order that they are attempted by default:
+ * - `sentinel` - the `sentinels` option (e.g. `infinity`)
+ * - `zero` - MySQL zero dates (e.g. `0000-00-00` or `2030-00-00 00:00:00`)
+ * - `ansi` - the exact output of the {@link MomentDB} functions (the `ansi` dialect)
+ * - `iso8601` - ISO 8601 (e.g. `2030-01-31T12:01:20.903Z`)
+ * - `sql` - space separated dates/times with compact (e.g. `+0700` or `+07`), attached or second precision offsets,
+ * `Z`/`UTC`/`GMT` or regions and without seconds (e.g. PostgreSQL, MySQL, SQL Server and SQLite output)
+ * - `oracle` - the default Oracle `NLS_DATE_FORMAT`/`NLS_TIMESTAMP_FORMAT`/`NLS_TIMESTAMP_TZ_FORMAT` output (e.g.
+ * `31-JAN-30 12.01.20.903000 PM`)
+ * @type {String[]}
+ */
+export const PATTERNS = Object.freeze(['sentinel', 'zero', 'ansi', 'iso8601', 'sql', 'oracle']);
+
+const SENTINELS = Object.freeze({ 'infinity': Infinity, '+infinity': Infinity, '-infinity': -Infinity });
+const CONFIDENCE = Object.freeze({ ansi: 1, iso8601: 0.95, sql: 0.9, oracle: 0.8, mask: 0.75 });
+const ZONE = '(Z|UTC|GMT|[+-]\\d{1,2}(?::?\\d{2}(?::?\\d{2})?)?|[A-Za-z]+(?:\\/[\\w+-]+)+)';
+const TIME = '(\\d{1,2}):(\\d{2})(?::(\\d{2})(?:[.,](\\d{1,9}))?)?';
+const DATETIME_RX = new RegExp(`^([+-]?\\d{4,6})-(\\d{1,2})-(\\d{1,2})(?:([Tt]|\\s+)${TIME}(?:\\s*${ZONE})?)?$`);
+const TIME_RX = new RegExp(`^${TIME}(?:\\s*${ZONE})?$`);
+const ZERO_RX = /^(\d{4})-(\d{2})-(\d{2})(?:[ T]\d{2}:\d{2}:\d{2}(?:\.\d{1,9})?)?$/;
+const ORACLE_RX = new RegExp('^(\\d{1,2}-[A-Za-z]{3}-\\d{2,4}'
+  + `(?:\\s+\\d{1,2}\\.\\d{1,2}\\.\\d{1,2}(\\.\\d{1,9})?\\s*[AaPp]\\.?[Mm]\\.?)?)(?:\\s+${ZONE})?$`);
+const OFFSET_RX = /^([+-])(\d{1,2}):?(\d{2})?(?::?(\d{2}))?$/;
+const ORACLE_MASKS = Object.freeze({
+  date: compile('DD-MON-RRRR'),
+  timestamp: compile('DD-MON-RRRR HH.MI.SS AM'),
+  fraction: compile('DD-MON-RRRR HH.MI.SS.FF AM')
+});
+
+/**
+ * Detects the SQL type of a formatted date/time from a mix of sources and parses it
+ * @param {String} str The formatted date/time
+ * @param {Object} [opts] The detection options (see {@link MomentDB.detect})
+ * @returns {MomentDB~Detection} The detection or `null` when none of the patterns match
+ */
+export function detect(str, opts) {
+  if (typeof str !== 'string') throw new TypeError(`Expected a String to detect, but found: ${str}`);
+  const trimmed = str.trim(), patterns = patternsOf(opts && opts.patterns);
+  const use = Object.assign({}, opts, { dialect: 'ansi', strict: true });
+  delete use.patterns;
+  delete use.zero;
+  delete use.sentinels;
+  for (let pattern of patterns) {
+    const found = pattern.detect(trimmed, opts || {});
+    if (!found) continue;
+    try {
+      const value = found.ansi === null ? found.value : core.parse(found.type, found.ansi, use);
+      const confidence = Math.round(found.confidence * 100) / 100;
+      return { type: found.type, ansi: found.ansi, value, confidence, pattern: pattern.name };
+    } catch (err) {
+      if (!(err instanceof MomentDBParseError)) throw err;
+    }
+  }
+  return null;
+}
+
+/**
+ * Resolves the detection patterns
+ * @private
+ * @param {Array} [patterns] The names of built-in patterns and/or custom `{ name, mask, type, confidence }` patterns
+ * @returns {Object[]} The patterns with a `name` and a `detect` function
+ */
+function patternsOf(patterns) {
+  if (patterns === undefined || patterns === null) return PATTERNS.map(name => ({ name, detect: BUILT_INS[name] }));
+  if (!Array.isArray(patterns)) throw new TypeError(`Option "patterns" must be an Array, but found: ${patterns}`);
+  return patterns.map(pattern => {
+    if (typeof pattern === 'string') {
+      if (!PATTERNS.includes(pattern)) {
+        throw new RangeError(`Detection pattern must be one of ${PATTERNS.join(', ')} or a mask pattern, but found: ${pattern}`);
+      }
+      return { name: pattern, detect: BUILT_INS[pattern] };
+    }
+    if (!pattern || typeof pattern.mask !== 'string') {
+      throw new TypeError(`Expected a detection pattern name or an Object with a format "mask", but found: ${pattern}`);
+    }
+    return { name: pattern.name || pattern.mask, detect: maskPattern(pattern) };
+  });
+}
+
+const BUILT_INS = Object.freeze({
+  sentinel: (str, opts) => {
+    const sentinels = opts.sentinels || SENTINELS, lower = str.toLowerCase();
+    const key = Object.keys(sentinels).find(key => key.trim().toLowerCase() === lower);
+    return key === undefined ? null : { type: null, ansi: null, value: sentinels[key], confidence: 1 };
+  },
+  zero: (str, opts) => {
+    const match = str.match(ZERO_RX);
+    if (!match || (match[2] !== '00' && match[3] !== '00')) return null;
+    return { type: str.length > 10 ? 'timestamp' : 'date', ansi: null, value: opts.zero === undefined ? null : opts.zero,
+      confidence: 1 };
+  },
+  ansi: (str) => {
+    const date = /^[+-]?\d{4,6}-\d{1,2}-\d{1,2}/.test(str), time = /\d:\d/.test(str);
+    const types = date ? time ? ['timestamp with time zone', 'timestamp'] : ['date'] : ['time with time zone', 'time'];
+    for (let type of types) {
+      // the layout output by the ansi dialect always separates the timezone with a space
+      if (/time zone$/.test(type) && !/\s[^\s\d]\S*(?:\s+BC)?$/i.test(str)) continue;
+      try {
+        core.parse(type, str, { dialect: 'ansi', strict: true });
+        return { type, ansi: str, confidence: CONFIDENCE.ansi };
+      } catch (err) {
+        if (!(err instanceof MomentDBParseError)) throw err;
+      }
+    }
+    return null;
+  },
+  iso8601: (str) => normalize(str, true),
+  sql: (str) => normalize(str, false),
+  oracle: (str) => {
+    const match = str.match(ORACLE_RX);
+    if (!match) return null;
+    const time = match[1].includes('.'), mask = ORACLE_MASKS[time ? match[2] ? 'fraction' : 'timestamp' : 'date'];
+    return fromMask(mask, match[1], time ? 'timestamp' : 'date', CONFIDENCE.oracle, match[3]);
+  }
+});
+
+/**
+ * Normalizes an ISO 8601 or SQL date/time into the ANSI layout
+ * @private
+ * @param {String} str The trimmed date/time
+ * @param {Boolean} iso Truthy to require the ISO 8601 `T` separator, otherwise whitespace
+ * @returns {Object} The `type`, `ansi` and `confidence` (`null` when the string does not match)
+ */
+function normalize(str, iso) {
+  let match = str.match(DATETIME_RX), date, fields;
+  if (match) {
+    if (match[4] && /^[Tt]$/.test(match[4]) !== iso) return null;
+    date = `${match[1]}-${match[2].padStart(2, '0')}-${match[3].padStart(2, '0')}`;
+    fields = match.slice(5);
+  } else if (!iso && (match = str.match(TIME_RX))) {
+    fields = match.slice(1);
+  } else {
+    return null;
+  }
+  const [hh, mi, ss, fff, zone] = fields;
+  if (date && hh === undefined) return iso ? { type: 'date', ansi: date, confidence: CONFIDENCE.iso8601 } : null;
+  const confidence = CONFIDENCE[iso ? 'iso8601' : 'sql'] - (ss === undefined ? 0.05 : 0);
+  const time = `${hh.padStart(2, '0')}:${mi}:${ss || '00'}${fff ? `.${fff}` : ''}`;
+  const type = `${date ? 'timestamp' : 'time'}${zone ? ' with time zone' : ''}`;
+  const body = date ? `${date} ${time}` : time;
+  return zone ? withZone(type, body, zone, confidence) : { type, ansi: body, confidence };
+}
+
+/**
+ * Appends a normalized timezone to an ANSI date/time body. Offsets with seconds are converted into UTC.
+ * @private
+ * @param {String} type The SQL type
+ * @param {String} body The ANSI date/time without a timezone
+ * @param {String} zone The timezone (an offset, `Z`, `UTC`, `GMT` or a region)
+ * @param {Number} confidence The confidence
+ * @returns {Object} The `type`, `ansi` and `confidence`
+ */
+function withZone(type, body, zone, confidence) {
+  if (/^(Z|UTC|GMT)$/i.test(zone)) return { type, ansi: `${body} +00:00`, confidence };
+  const offset = zone.match(OFFSET_RX);
+  if (!offset) return { type, ansi: `${body} ${zone}`, confidence };
+  const ansi = `${body} ${offset[1]}${offset[2].padStart(2, '0')}:${offset[3] || '00'}`;
+  if (!offset[4] || offset[4] === '00') return { type, ansi, confidence };
+  // offsets with seconds (e.g. local mean time output by PostgreSQL) cannot be represented by the ANSI layout
+  const date = core.parse(type, ansi, { dialect: 'ansi' }), secs = (offset[1] === '-' ? -1 : 1) * offset[4];
+  date.setTime(date.getTime() - secs * 1000);
+  const utc = { zone: 'UTC', precision: date.precision || 0 };
+  return { type, ansi: /^time /.test(type) ? core.time(date, false, utc) : core.timestamp(date, false, utc),
+    confidence: confidence - 0.1 };
+}
+
+/**
+ * Generates the `detect` function of a custom mask pattern
+ * @private
+ * @param {Object} pattern The pattern with a format `mask` (see {@link MomentDB.compile}), optional SQL `type` (determined by
+ * the elements of the mask when omitted) and `confidence`
+ * @returns {Function} The `detect` function
+ */
+function maskPattern(pattern) {
+  const zoned = /TZ[HMRD]/i.test(pattern.mask);
+  const type = pattern.type ? resolveType(pattern.type) : /HH|MI|SS/i.test(pattern.mask) ? zoned ? 'timestamp with time zone' :
+    'timestamp' : 'date';
+  const mask = compile(pattern.mask);
+  return (str) => fromMask(mask, str, type, pattern.confidence || CONFIDENCE.mask);
+}
+
+/**
+ * Detects a date/time using a format mask
+ * @private
+ * @param {MomentDB~Mask} mask The compiled format mask (see {@link MomentDB.compile})
+ * @param {String} str The date/time
+ * @param {String} type The SQL type
+ * @param {Number} confidence The confidence
+ * @param {String} [zone] A timezone that follows the date/time
+ * @returns {Object} The `type`, `ansi` and `confidence` (`null` when the string does not match)
+ */
+function fromMask(mask, str, type, confidence, zone) {
+  let date;
+  try {
+    date = mask.parse(str);
+  } catch (err) {
+    if (!(err instanceof MomentDBParseError)) throw err;
+    return null;
+  }
+  const opts = { zone: date.zone || 'UTC', precision: date.precision || 0 }, zoned = /time zone$/.test(type);
+  const ansi = type === 'date' ? core.date(date) : /^time(?!stamp)/.test(type) ? core.time(date, !zoned, opts) :
+    core.timestamp(date, !zoned, opts);
+  if (!zone) return { type, ansi, confidence };
+  return withZone(`${type === 'date' ? 'timestamp' : type.replace(/ with time zone$/, '')} with time zone`, ansi, zone,
+    confidence);
+}
@@ -0,0 +1,181 @@
+'use strict';
+
+import { ERAS } from './calendar.js';
+
+/**
+ * Database dialect profile that drives how {@link MomentDB} formats and parses date/time values
+ * @typedef {Object} MomentDB~Dialect
+ * @property {String} name The name of the dialect
+ * @property {String} separator The separator used between the __date__ and __time__ of a __timestamp__
+ * @property {String} zoneSeparator The separator used between the __time__ and the __timezone__ offset
+ * @property {Number} fraction The number of fractional second digits output for a __time__ or __timestamp__ (0 to 9, no greater
+ * than the `accept.fraction` maximum)
+ * @property {String} [offset] The style used when outputting timezone offsets: `HH:MM` (e.g. `-07:00`), `HHMM` (e.g. `-0700`)
+ * or `HH` (e.g. `-07`, minutes are only appended when non-zero). When falsy, the database has no zone aware types and
+ * timezones will never be output.
+ * @property {String} era How the years of dates outside of 1 AD to 9999 AD are output: `signed` for ISO 8601 years (e.g.
+ * `-000043-03-15` for 44 BC or `+012345-01-31`) or `bc` for a `BC` suffix (e.g. `0044-03-15 BC` or `12345-01-31`). Both are
+ * accepted as input.
+ * @property {Number} yearPrecision The minimum number of digits output for __YEARS__ of an interval-year-to-month
+ * @property {Number} dayPrecision The minimum number of digits output for __DAYS__ of an interval-day-to-second
+ * @property {Number} intervalFraction The number of fractional second digits output for an interval-day-to-second (0 to 9)
+ * @property {Boolean} leadingPrecision Truthy when interval literals accept a leading field precision (e.g. `DAY(7) TO SECOND(3)`
+ * rather than `DAY TO SECOND(3)`)
+ * @property {Object} accept The input variants accepted when converting a formatted string _back_ into a Date
+ * @property {String[]} accept.separators The separators accepted between the __date__ and __time__ of a __timestamp__ (only
+ * enforced when parsing strictly)
+ * @property {Number[]} accept.fraction The minimum and maximum number of fractional second digits accepted
+ * @property {String[]} accept.offsets The timezone offset styles accepted (see `offset`)
+ * @property {Boolean} accept.zulu Truthy to accept `Z` as a UTC timezone offset
+ * @property {Boolean} accept.regions Truthy to accept time zone region names and/or abbreviations in place of an offset (e.g.
+ * `America/Denver`, `MST` or `America/Denver MST`)
+ */
+
+const OFFSETS = ['HH:MM', 'HHMM', 'HH'];
+const DIALECTS = new Map();
+const CUSTOM = new WeakMap();
+
+/**
+ * Registers a dialect profile that can be used by {@link MomentDB.dialect} or passed by name as a `dialect` option
+ * @param {String} name The name of the dialect (case-insensitive)
+ * @param {Object} profile The {@link MomentDB~Dialect} properties. Any properties that are omitted will be inherited from the
+ * dialect named by `profile.extends` (defaults to `ansi`).
+ * @param {String} [profile.extends] The name of a registered dialect to inherit omitted properties from
+ * @returns {MomentDB~Dialect} The registered dialect
+ */
+export function register(name, profile) {
+  if (!name || typeof name !== 'string') {
+    throw new TypeError('Dialect name must be a non-empty String');
+  }
+  const dialect = create(name, profile);
+  DIALECTS.set(dialect.name, dialect);
+  return dialect;
+}
+
+/**
+ * Resolves a dialect
+ * @param {(String | MomentDB~Dialect)} [dialect] The name of a registered dialect or a dialect profile. Defaults to `ansi`.
+ * @returns {MomentDB~Dialect} The resolved dialect
+ */
+export function resolve(dialect) {
+  if (!dialect) return DIALECTS.get('ansi');
+  if (typeof dialect === 'object') {
+    if (DIALECTS.get(dialect.name) === dialect) return dialect;
+    if (!CUSTOM.has(dialect)) CUSTOM.set(dialect, create(dialect.name || 'custom', dialect));
+    return CUSTOM.get(dialect);
+  }
+  const resolved = DIALECTS.get(String(dialect).toLowerCase());
+  if (!resolved) {
+    throw new Error(`Unknown dialect "${dialect}" (registered: ${[...DIALECTS.keys()].join(', ')})`);
+  }
+  return resolved;
+}
+
+/**
+ * Creates a dialect from a profile
+ * @private
+ * @param {String} name The name of the dialect
+ * @param {Object} profile The {@link MomentDB~Dialect} properties (see {@link register})
+ * @returns {MomentDB~Dialect} The frozen dialect
+ */
+function create(name, profile) {
+  if (!profile || typeof profile !== 'object') {
+    throw new TypeError(`Dialect "${name}" requires a profile Object`);
+  }
+  const base = profile.extends ? resolve(profile.extends) : DIALECTS.get('ansi');
+  const dialect = Object.assign({}, base, profile, { name: name.toLowerCase() });
+  dialect.accept = Object.freeze(Object.assign({}, base && base.accept, profile.accept));
+  delete dialect.extends;
+  validate(dialect);
+  return Object.freeze(dialect);
+}
+
+/**
+ * Validates a dialect profile
+ * @private
+ * @param {MomentDB~Dialect} dialect The dialect to validate
+ */
+function validate(dialect) {
+  for (let prop of ['fraction', 'intervalFraction']) {
+    if (!Number.isInteger(dialect[prop]) || dialect[prop] < 0 || dialect[prop] > 9) {
+      throw new RangeError(`Dialect "${dialect.name}" ${prop} must be an integer from 0 to 9, but found: ${dialect[prop]}`);
+    }
+  }
+  for (let prop of ['yearPrecision', 'dayPrecision']) {
+    if (!Number.isInteger(dialect[prop]) || dialect[prop] < 1 || dialect[prop] > 9) {
+      throw new RangeError(`Dialect "${dialect.name}" ${prop} must be an integer from 1 to 9, but found: ${dialect[prop]}`);
+    }
+  }
+  if (dialect.offset && !OFFSETS.includes(dialect.offset)) {
+    throw new RangeError(`Dialect "${dialect.name}" offset must be one of ${OFFSETS.join(', ')}, but found: ${dialect.offset}`);
+  }
+  if (!ERAS.includes(dialect.era)) {
+    throw new RangeError(`Dialect "${dialect.name}" era must be one of ${ERAS.join(', ')}, but found: ${dialect.era}`);
+  }
+  const acc = dialect.accept;
+  if (!Array.isArray(acc.fraction) || acc.fraction.length !== 2 || !(acc.fraction[0] <= acc.fraction[1])
+    || acc.fraction[0] < 0 || acc.fraction[1] > 9) {
+    throw new RangeError(`Dialect "${dialect.name}" accept.fraction must be a [min, max] range within 0 to 9`);
+  }
+  if (dialect.fraction > acc.fraction[1]) {
+    throw new RangeError(`Dialect "${dialect.name}" fraction ${dialect.fraction} exceeds the accept.fraction maximum of `
+      + `${acc.fraction[1]} (formatted values could not be parsed back)`);
+  }
+  if (!Array.isArray(acc.separators) || !acc.separators.length
+    || acc.separators.some(sep => typeof sep !== 'string' || sep.length !== 1)) {
+    throw new RangeError(`Dialect "${dialect.name}" accept.separators must contain one or more single characters`);
+  }
+  if (!Array.isArray(acc.offsets) || acc.offsets.some(off => !OFFSETS.includes(off))) {
+    throw new RangeError(`Dialect "${dialect.name}" accept.offsets must only contain ${OFFSETS.join(', ')}`);
+  }
+}
+
+register('ansi', {
+  separator: ' ',
+  zoneSeparator: ' ',
+  fraction: 3,
+  offset: 'HH:MM',
+  era: 'signed',
+  yearPrecision: 4,
+  dayPrecision: 7,
+  intervalFraction: 3,
+  leadingPrecision: true,
+  accept: { separators: [' '], fraction: [0, 9], offsets: ['HH:MM'], zulu: false, regions: true }
+});
+
+register('postgres', {
+  zoneSeparator: '',
+  fraction: 6,
+  offset: 'HH',
+  era: 'bc',
+  yearPrecision: 1,
+  dayPrecision: 1,
+  intervalFraction: 6,
+  leadingPrecision: false,
+  accept: { separators: [' ', 'T'], fraction: [0, 9], offsets: OFFSETS, zulu: true }
+});
+
+register('oracle', {
+  fraction: 9,
+  era: 'bc',
+  yearPrecision: 9,
+  dayPrecision: 9,
+  intervalFraction: 9,
+  accept: { fraction: [0, 9], offsets: ['HH:MM'], zulu: false }
+});
+
+register('mysql', {
+  fraction: 6,
+  offset: null,
+  accept: { separators: [' ', 'T'], fraction: [0, 6], offsets: ['HH:MM'], zulu: false, regions: false }
+});
+
+register('mssql', {
+  fraction: 7,
+  accept: { separators: [' ', 'T'], fraction: [0, 7], offsets: ['HH:MM'], zulu: true, regions: false }
+});
+
+register('sqlite', {
+  zoneSeparator: '',
+  accept: { separators: [' ', 'T'], fraction: [0, 9], offsets: ['HH:MM'], zulu: true, regions: false }
+});
@@ -0,0 +1,652 @@
+'use strict';
+
+import * as core from './core.js';
+import MomentDBParseError from './errors.js';
+import PreciseDate, { fractionOf } from './precise-date.js';
+import { LocalDate, LocalTime, LocalDateTime } from './civil.js';
+import { fromTemporal, toTemporal } from './temporal.js';
+import { resolveCalendar, fieldsOf, gregorianOf, daysIn } from './calendar.js';
+import { resolveZone, offsetAt, instantOf, formatOffset, utc, LOCAL, UTC } from './zones.js';
+
+/**
+ * A native numeric/binary representation of a date/time type (see {@link MomentDB.encode}):
+ * - `postgres.date`, `postgres.time`, `postgres.timetz`, `postgres.timestamp`, `postgres.timestamptz` - the PostgreSQL binary
+ * protocol (big-endian `int32` days or `int64` microseconds since `2000-01-01`, microseconds since midnight followed by an `int32`
+ * offset in seconds _west_ of UTC for `timetz`)
+ * - `oracle.date`, `oracle.timestamp`, `oracle.timestamptz` - the Oracle 7, 11 and 13 byte internal formats (excess-100 century
+ * and year, excess-1 time fields, big-endian nanoseconds and excess-20/excess-60 offset hours/minutes in UTC for `timestamptz`)
+ * - `mssql.date`, `mssql.time`, `mssql.datetime2`, `mssql.datetimeoffset`, `mssql.datetime`, `mssql.smalldatetime` - the SQL
+ * Server TDS formats (little-endian days since `0001-01-01` and time units of the scale since midnight or days since `1900-01-01`
+ * and 1/300 second ticks/minutes since midnight)
+ * - `sqlite.julianday` - the fractional Julian day number returned by the SQLite `julianday` function
+ * - `unix.s`, `unix.ms`, `unix.us`, `unix.ns` - seconds, milliseconds, microseconds or nanoseconds since the Unix epoch
+ * @typedef {String} MomentDB~Encoding
+ */
+
+const DAY = 86400;
+const PG_EPOCH = 946684800; // 2000-01-01 in seconds since the Unix epoch
+const PG_OFFSET_LIMIT = 16 * 3600; // offsets of postgres.timetz must be within -15:59:59 to +15:59:59
+const MSSQL_EPOCH = -62135596800; // 0001-01-01
+const DATETIME_EPOCH = -2208988800; // 1900-01-01
+const JULIAN_EPOCH = 2440587.5; // the Julian day number of 1970-01-01T00:00:00Z
+const INT32 = [-2147483648, 2147483647];
+const INT64 = [BigInt('-9223372036854775808'), BigInt('9223372036854775807')];
+const MICROS = BigInt(1000000);
+
+/**
+ * The encodings mapped to the SQL `type` that values are formatted/parsed as, the fractional second `precision` of the
+ * encoding (`scale` when it is determined by the `precision` option) and the functions that `read` the wall-clock fields from
+ * a wire value and `write` them into a wire value. The wall-clock fields are the wall-clock `secs` (the same as a Unix time
+ * in UTC), `nanos` within the second and `offset` in minutes from UTC (fractional for `postgres.timetz` offsets with seconds).
+ */
+const ENCODINGS = Object.freeze({
+  'postgres.date': {
+    type: 'date',
+    precision: 0,
+    infinity: true,
+    read: (raw, ctx) => {
+      const days = raw instanceof Uint8Array ? view(raw, [4], ctx).getInt32(0) : Number(bigIntOf(raw, ctx));
+      if (days === INT32[0] || days === INT32[1]) return days > 0 ? Infinity : -Infinity;
+      return { secs: days * DAY + PG_EPOCH, nanos: 0 };
+    },
+    write: (wall) => bytes(4, dv => dv.setInt32(0, Math.abs(wall.secs) === Infinity ? INT32[wall.secs > 0 ? 1 : 0] :
+      (wall.secs - PG_EPOCH) / DAY))
+  },
+  'postgres.time': {
+    type: 'time',
+    precision: 6,
+    read: (raw, ctx) => timeOf(int64(raw, ctx), ctx),
+    write: (wall) => bytes(8, dv => dv.setBigInt64(0, microsOf(wall)))
+  },
+  'postgres.timetz': {
+    type: 'time with time zone',
+    precision: 6,
+    read: (raw, ctx) => {
+      const dv = view(raw, [12], ctx), west = dv.getInt32(8);
+      // the same limit as PostgreSQL (offsets can include seconds, e.g. LMT)
+      if (Math.abs(west) >= PG_OFFSET_LIMIT) ctx.fail(`offset of ${-west} seconds is invalid`, 'TM', 8);
+      return Object.assign(timeOf(dv.getBigInt64(0), ctx), { offset: -west / 60 });
+    },
+    write: (wall) => bytes(12, dv => {
+      dv.setBigInt64(0, microsOf(wall));
+      dv.setInt32(8, -wall.offset * 60);
+    })
+  },
+  'postgres.timestamp': {
+    type: 'timestamp',
+    precision: 6,
+    infinity: true,
+    read: (raw, ctx) => timestampOf(int64(raw, ctx)),
+    write: (wall) => bytes(8, dv => dv.setBigInt64(0, pgMicrosOf(wall)))
+  },
+  'postgres.timestamptz': {
+    type: 'timestamp with time zone',
+    precision: 6,
+    infinity: true,
+    read: (raw, ctx) => timestampOf(int64(raw, ctx)),
+    write: (wall) => bytes(8, dv => dv.setBigInt64(0, pgMicrosOf(wall)))
+  },
+  'oracle.date': {
+    type: 'timestamp',
+    precision: 0,
+    read: (raw, ctx) => oracleOf(view(raw, [7], ctx), ctx),
+    write: (wall, ctx) => bytes(7, dv => writeOracle(dv, wall, ctx))
+  },
+  'oracle.timestamp': {
+    type: 'timestamp',
+    precision: 9,
+    read: (raw, ctx) => oracleOf(view(raw, [7, 11], ctx), ctx),
+    write: (wall, ctx) => bytes(11, dv => writeOracle(dv, wall, ctx))
+  },
+  'oracle.timestamptz': {
+    type: 'timestamp with time zone',
+    precision: 9,
+    read: (raw, ctx) => {
+      const dv = view(raw, [13], ctx), hour = dv.getUint8(11), minute = dv.getUint8(12);
+      if (hour & 0x80) ctx.fail('time zone region IDs are not supported (only offsets)', 'TH', 11);
+      if (hour < 8 || hour > 34) ctx.fail(`offset hour byte of ${hour} is invalid`, 'TH', 11);
+      if (minute < 1 || minute > 119) ctx.fail(`offset minute byte of ${minute} is invalid`, 'TM', 12);
+      const offset = (hour - 20) * 60 + minute - 60, wall = oracleOf(dv, ctx);
+      return { secs: wall.secs + offset * 60, nanos: wall.nanos, offset };
+    },
+    write: (wall, ctx) => bytes(13, dv => {
+      writeOracle(dv, { secs: utcOf(wall), nanos: wall.nanos }, ctx);
+      dv.setUint8(11, Math.trunc(wall.offset / 60) + 20);
+      dv.setUint8(12, wall.offset % 60 + 60);
+    })
+  },
+  'mssql.date': {
+    type: 'date',
+    precision: 0,
+    read: (raw, ctx) => ({ secs: mssqlDaysOf(view(raw, [3], ctx), 0, ctx) * DAY + MSSQL_EPOCH, nanos: 0 }),
+    write: (wall) => bytes(3, dv => writeUint(dv, 0, 3, mssqlDays(wall.secs)))
+  },
+  'mssql.time': {
+    type: 'time',
+    scale: true,
+    read: (raw, ctx) => mssqlTimeOf(view(raw, [scaleLength(ctx.precision)], ctx), 0, ctx),
+    write: (wall, ctx) => bytes(scaleLength(ctx.precision), dv => writeUint(dv, 0, dv.byteLength, unitsOf(wall, ctx.precision)))
+  },
+  'mssql.datetime2': {
+    type: 'timestamp',
+    scale: true,
+    read: (raw, ctx) => mssqlDateTimeOf(view(raw, [scaleLength(ctx.precision) + 3], ctx), ctx),
+    write: (wall, ctx) => bytes(scaleLength(ctx.precision) + 3, dv => writeMssql(dv, wall.secs, wall.nanos, ctx))
+  },
+  'mssql.datetimeoffset': {
+    type: 'timestamp with time zone',
+    scale: true,
+    read: (raw, ctx) => {
+      const len = scaleLength(ctx.precision), dv = view(raw, [len + 5], ctx), offset = dv.getInt16(len + 3, true);
+      if (Math.abs(offset) > 840) ctx.fail(`offset of ${offset} minutes is invalid`, 'TH', len + 3);
+      const wall = mssqlDateTimeOf(dv, ctx);
+      return { secs: wall.secs + offset * 60, nanos: wall.nanos, offset };
+    },
+    write: (wall, ctx) => bytes(scaleLength(ctx.precision) + 5, dv => {
+      writeMssql(dv, utcOf(wall), wall.nanos, ctx);
+      dv.setInt16(dv.byteLength - 2, wall.offset, true);
+    })
+  },
+  'mssql.datetime': {
+    type: 'timestamp',
+    precision: 3,
+    read: (raw, ctx) => {
+      const dv = view(raw, [8], ctx), ticks = dv.getUint32(4, true);
+      if (ticks >= DAY * 300) ctx.fail(`time of ${ticks} ticks is out of range`, 'HH', 4);
+      return splitMillis(dv.getInt32(0, true) * DAY * 1000 + Math.round(ticks * 10 / 3) + DATETIME_EPOCH * 1000);
+    },
+    write: (wall) => bytes(8, dv => {
+      const since = wall.secs - DATETIME_EPOCH, ticks = Math.round(((since % DAY + DAY) % DAY * 1e9 + wall.nanos) * 3 / 1e7);
+      const days = Math.floor(since / DAY) + (ticks === DAY * 300 ? 1 : 0);
+      if (days < -53690 || days > 2958463) {
+        throw new RangeError(`Unable to encode ${dateOf(wall)} as mssql.datetime (1753 to 9999)`);
+      }
+      dv.setInt32(0, days, true);
+      dv.setUint32(4, ticks % (DAY * 300), true);
+    })
+  },
+  'mssql.smalldatetime': {
+    type: 'timestamp',
+    precision: 0,
+    read: (raw, ctx) => {
+      const dv = view(raw, [4], ctx), minutes = dv.getUint16(2, true);
+      if (minutes >= 1440) ctx.fail(`time of ${minutes} minutes is out of range`, 'HH', 2);
+      return { secs: dv.getUint16(0, true) * DAY + minutes * 60 + DATETIME_EPOCH, nanos: 0 };
+    },
+    write: (wall) => bytes(4, dv => {
+      const minutes = Math.floor((wall.secs - DATETIME_EPOCH + 30) / 60), days = Math.floor(minutes / 1440);
+      if (days < 0 || days > 65535) {
+        throw new RangeError(`Unable to encode ${dateOf(wall)} as mssql.smalldatetime (1900 to 2079)`);
+      }
+      dv.setUint16(0, days, true);
+      dv.setUint16(2, minutes - days * 1440, true);
+    })
+  },
+  'sqlite.julianday': {
+    type: 'timestamp with time zone',
+    precision: 3,
+    read: (raw, ctx) => splitMillis(Math.round((numberOf(raw, ctx) - JULIAN_EPOCH) * DAY * 1000)),
+    write: (wall) => (utcOf(wall) * 1000 + wall.nanos / 1e6) / (DAY * 1000) + JULIAN_EPOCH
+  },
+  'unix.s': {
+    type: 'timestamp with time zone',
+    precision: 0,
+    read: (raw, ctx) => {
+      const secs = numberOf(raw, ctx);
+      return Number.isInteger(secs) ? { secs, nanos: 0 } : Object.assign(splitMillis(Math.round(secs * 1000)), { precision: 3 });
+    },
+    write: (wall) => utcOf(wall)
+  },
+  'unix.ms': {
+    type: 'timestamp with time zone',
+    precision: 3,
+    read: (raw, ctx) => splitMillis(integerOf(numberOf(raw, ctx), ctx)),
+    write: (wall) => utcOf(wall) * 1000 + wall.nanos / 1e6
+  },
+  'unix.us': {
+    type: 'timestamp with time zone',
+    precision: 6,
+    read: (raw, ctx) => splitBig(bigIntOf(raw, ctx), MICROS),
+    write: (wall) => BigInt(utcOf(wall)) * MICROS + BigInt(wall.nanos / 1e3)
+  },
+  'unix.ns': {
+    type: 'timestamp with time zone',
+    precision: 9,
+    read: (raw, ctx) => splitBig(bigIntOf(raw, ctx), MICROS * BigInt(1000)),
+    write: (wall) => BigInt(utcOf(wall)) * MICROS * BigInt(1000) + BigInt(wall.nanos)
+  }
+});
+
+/**
+ * The supported encodings (see {@link MomentDB~Encoding})
+ * @type {String[]}
+ */
+export const ENCODING_NAMES = Object.freeze(Object.keys(ENCODINGS));
+
+/**
+ * Encodes a date/time into the native representation of a database column
+ * @param {MomentDB~Encoding} encoding The encoding
+ * @param {(Date | LocalDate | LocalTime | LocalDateTime | Object | Number)} value The value to encode (`Infinity`/`-Infinity`
+ * for the PostgreSQL `date`, `timestamp` and `timestamptz` encodings)
+ * @param {Object} [opts] The formatting options (see {@link MomentDB.encode})
+ * @returns {(Uint8Array | Number | BigInt)} The encoded value (`null` when the value is `null` or `undefined`)
+ */
+export function encode(encoding, value, opts) {
+  const enc = resolve(encoding), ctx = contextOf(encoding, enc, opts);
+  if (value === null || value === undefined) return null;
+  if (value === Infinity || value === -Infinity) {
+    if (!enc.infinity) throw new RangeError(`Unable to encode ${value} as ${encoding}`);
+    return enc.write({ secs: value, nanos: 0 }, ctx);
+  }
+  const val = fromTemporal(value);
+  if (!(val instanceof Date) && !(val instanceof LocalDate || val instanceof LocalTime || val instanceof LocalDateTime)) {
+    throw new TypeError(`Expected a Date, local value or Temporal value to encode as ${encoding}, but found: ${value}`);
+  }
+  const options = core.resolveOptions(Object.assign({}, opts, { precision: undefined }));
+  return enc.write(wallOf(enc.type, val, options, ctx.precision), ctx);
+}
+
+/**
+ * Decodes the native representation of a database column into a date/time
+ * @param {MomentDB~Encoding} encoding The encoding
+ * @param {(Uint8Array | Number | BigInt | String)} raw The encoded value
+ * @param {Object} [opts] The parsing options (see {@link MomentDB.decode})
+ * @returns {(PreciseDate | LocalDate | LocalTime | LocalDateTime | Object | Number)} The decoded value (`null` when the raw
+ * value is `null` or `undefined`)
+ * @throws {MomentDBParseError} When the raw value is not a valid value of the encoding
+ */
+export function decode(encoding, raw, opts) {
+  const enc = resolve(encoding), ctx = contextOf(encoding, enc, opts);
+  if (raw === null || raw === undefined) return null;
+  ctx.fail = (message, field, position) => {
+    throw new MomentDBParseError(`Unable to decode ${encoding}: ${message}`, enc.type, field, position, raw);
+  };
+  const wall = enc.read(raw, ctx);
+  if (wall === Infinity || wall === -Infinity) return wall;
+  const options = core.resolveOptions(Object.assign({}, opts, { precision: undefined }));
+  core.checkReturns(enc.type, options);
+  const civil = new Date(wall.secs * 1000), precision = wall.precision !== undefined ? wall.precision : ctx.precision;
+  if (isNaN(civil.getTime())) ctx.fail('the value is outside of the range of a Date', 'input', 0);
+  // the wall-clock fields are already proleptic Gregorian, so values are built directly from them
+  const hasDate = !/^time(?!stamp)/.test(enc.type), hasTime = enc.type !== 'date', zoned = /time zone$/.test(enc.type);
+  const nanos = precision ? wall.nanos - wall.nanos % Math.pow(10, 9 - precision) : 0;
+  if (!zoned && (options.as === 'local' || options.as === 'temporal')) {
+    const fields = [civil.getUTCHours(), civil.getUTCMinutes(), civil.getUTCSeconds(), nanos, precision];
+    const local = !hasTime ? new LocalDate(civil.getUTCFullYear(), civil.getUTCMonth() + 1, civil.getUTCDate()) :
+      !hasDate ? new LocalTime(...fields) :
+      new LocalDateTime(civil.getUTCFullYear(), civil.getUTCMonth() + 1, civil.getUTCDate(), ...fields);
+    return options.as === 'temporal' ? toTemporal(local) : local;
+  }
+  // times are dated 0000-01-01 the same as parsed times
+  const ms = (hasDate ? civil.getTime() : utc(0, 0, 1, 0, 0, 0, 0) + (wall.secs % DAY + DAY) % DAY * 1000)
+    + Math.floor(nanos / 1e6);
+  const date = new PreciseDate(zoned ? ms - (wall.offset || 0) * 60000 :
+    options.zone ? instantOf(options.zone, ms, options.disambiguation) : ms);
+  if (hasTime) {
+    date.setNanoseconds(nanos % 1e6);
+    date.precision = precision;
+  }
+  return options.as === 'temporal' ? toTemporal(date, formatOffset(wall.offset || 0)) : date;
+}
+
+/**
+ * Resolves the wall-clock fields of a Date or local value (the same fields that the value would be formatted as)
+ * @private
+ * @param {String} type The SQL type of the encoding
+ * @param {(Date | LocalDate | LocalTime | LocalDateTime)} value The value
+ * @param {Object} options The resolved options (see {@link MomentDB.encode})
+ * @param {Number} precision The fractional second digits of the encoding (extra digits are truncated)
+ * @returns {Object} The wall-clock fields
+ */
+function wallOf(type, value, options, precision) {
+  const hasDate = !/^time(?!stamp)/.test(type), hasTime = type !== 'date', zoned = /time zone$/.test(type);
+  let ms, nanos, offset;
+  if (value instanceof Date) {
+    const zone = options.zone || (zoned ? (value instanceof PreciseDate && value.zone && resolveZone(value.zone)) || LOCAL : UTC);
+    offset = offsetAt(zone, value.getTime());
+    ms = value.getTime() + offset * 60000;
+    nanos = fractionOf(value);
+  } else {
+    if ((hasDate && value instanceof LocalTime) || (!hasDate && value instanceof LocalDate)) {
+      throw new TypeError(`A ${value.constructor.name} cannot be formatted as a ${type}`);
+    }
+    const local = value instanceof LocalDate ? value.atTime() : value;
+    ms = utc(hasDate ? local.year : 1970, hasDate ? local.month - 1 : 0, hasDate ? local.day : 1, local.hour, local.minute,
+      local.second, 0);
+    nanos = local.nanosecond;
+    if (zoned) {
+      const zone = options.zone || UTC;
+      offset = offsetAt(zone, (local instanceof LocalTime ? local.atZone(zone, undefined, options.disambiguation) :
+        local.atZone(zone, options.disambiguation)).getTime());
+    }
+  }
+  const secs = Math.floor(ms / 1000), time = (secs % DAY + DAY) % DAY;
+  return { secs: !hasTime ? secs - time : hasDate ? secs : time, nanos: hasTime && precision ? nanos - nanos %
+    Math.pow(10, 9 - precision) : 0, offset: zoned ? offset : undefined };
+}
+
+/**
+ * @private
+ * @param {String} encoding The encoding name
+ * @returns {Object} The encoding
+ */
+function resolve(encoding) {
+  const enc = ENCODINGS.hasOwnProperty(String(encoding).toLowerCase()) && ENCODINGS[String(encoding).toLowerCase()];
+  if (!enc) throw new Error(`Unknown encoding "${encoding}" (expected one of: ${ENCODING_NAMES.join(', ')})`);
+  return enc;
+}
+
+/**
+ * @private
+ * @param {String} encoding The encoding name
+ * @param {Object} enc The encoding
+ * @param {Object} [opts] The encoding options
+ * @returns {Object} The context passed to the `read`/`write` functions of the encoding with the fractional second `precision`
+ * and the `calendar`
+ */
+function contextOf(encoding, enc, opts) {
+  const precision = opts && opts.precision !== undefined && opts.precision !== null ? opts.precision : 7;
+  if (enc.scale && (!Number.isInteger(precision) || precision < 0 || precision > 7)) {
+    throw new RangeError(`The ${encoding} scale (precision) must be an integer from 0 to 7, but found: ${precision}`);
+  }
+  return { precision: enc.scale ? precision : enc.precision, calendar: resolveCalendar(opts && opts.calendar) };
+}
+
+/**
+ * @private
+ * @param {*} raw The raw value
+ * @param {Number[]} lengths The valid number of bytes
+ * @param {Object} ctx The encoding context
+ * @returns {DataView} A view of the bytes
+ */
+function view(raw, lengths, ctx) {
+  if (!(raw instanceof Uint8Array)) ctx.fail(`expected a Uint8Array (or Buffer), but found: ${raw}`, 'input', 0);
+  if (!lengths.includes(raw.length)) ctx.fail(`expected ${lengths.join(' or ')} bytes, but found: ${raw.length}`, 'input', 0);
+  return new DataView(raw.buffer, raw.byteOffset, raw.byteLength);
+}
+
+/**
+ * @private
+ * @param {Number} length The number of bytes
+ * @param {Function} write The function that writes the bytes into a `DataView`
+ * @returns {Uint8Array} The bytes
+ */
+function bytes(length, write) {
+  const arr = new Uint8Array(length);
+  write(new DataView(arr.buffer));
+  return arr;
+}
+
+/**
+ * @private
+ * @param {DataView} dv The bytes
+ * @param {Number} offset The byte offset
+ * @param {Number} length The number of bytes
+ * @returns {Number} The little-endian unsigned integer
+ */
+function readUint(dv, offset, length) {
+  let value = 0;
+  for (let i = length - 1; i >= 0; i--) value = value * 256 + dv.getUint8(offset + i);
+  return value;
+}
+
+/**
+ * @private
+ * @param {DataView} dv The bytes
+ * @param {Number} offset The byte offset
+ * @param {Number} length The number of bytes
+ * @param {Number} value The little-endian unsigned integer
+ */
+function writeUint(dv, offset, length, value) {
+  for (let i = 0, val = value; i < length; i++, val = Math.floor(val / 256)) dv.setUint8(offset + i, val % 256);
+}
+
+/**
+ * @private
+ * @param {(Number | BigInt | String)} raw The raw value
+ * @param {Object} ctx The encoding context
+ * @returns {Number} The number
+ */
+function numberOf(raw, ctx) {
+  const num = typeof raw === 'bigint' ? Number(raw) : typeof raw === 'string' && raw.trim() ? Number(raw) : raw;
+  if (typeof num !== 'number' || !isFinite(num)) ctx.fail(`expected a Number, but found: ${raw}`, 'input', 0);
+  return num;
+}
+
+/**
+ * @private
+ * @param {Number} num The number
+ * @param {Object} ctx The encoding context
+ * @returns {Number} The number when it is an integer
+ */
+function integerOf(num, ctx) {
+  if (!Number.isInteger(num)) ctx.fail(`expected an integer, but found: ${num}`, 'input', 0);
+  return num;
+}
+
+/**
+ * @private
+ * @param {(Number | BigInt | String)} raw The raw value
+ * @param {Object} ctx The encoding context
+ * @returns {BigInt} The integer
+ */
+function bigIntOf(raw, ctx) {
+  if (typeof raw === 'bigint') return raw;
+  if (typeof raw === 'string' && /^\s*-?\d+\s*$/.test(raw)) return BigInt(raw.trim());
+  return BigInt(integerOf(numberOf(raw, ctx), ctx));
+}
+
+/**
+ * @private
+ * @param {(Uint8Array | Number | BigInt | String)} raw The 8 big-endian bytes or the integer
+ * @param {Object} ctx The encoding context
+ * @returns {BigInt} The integer
+ */
+function int64(raw, ctx) {
+  return raw instanceof Uint8Array ? view(raw, [8], ctx).getBigInt64(0) : bigIntOf(raw, ctx);
+}
+
+/**
+ * @private
+ * @param {Object} wall The wall-clock fields
+ * @returns {Number} The seconds since the Unix epoch in UTC
+ */
+function utcOf(wall) {
+  return wall.secs - (wall.offset || 0) * 60;
+}
+
+/**
+ * @private
+ * @param {Object} wall The wall-clock fields
+ * @returns {String} The wall-clock date/time (used in error messages)
+ */
+function dateOf(wall) {
+  return new Date(wall.secs * 1000).toISOString().slice(0, -1);
+}
+
+/**
+ * @private
+ * @param {Number} ms The milliseconds since the Unix epoch
+ * @returns {Object} The wall-clock fields
+ */
+function splitMillis(ms) {
+  const secs = Math.floor(ms / 1000);
+  return { secs, nanos: (ms - secs * 1000) * 1e6 };
+}
+
+/**
+ * @private
+ * @param {BigInt} total The number of units since the Unix epoch
+ * @param {BigInt} per The number of units per second
+ * @returns {Object} The wall-clock fields
+ */
+function splitBig(total, per) {
+  let secs = total / per, rem = total % per;
+  if (rem < 0) {
+    secs -= BigInt(1);
+    rem += per;
+  }
+  return { secs: Number(secs), nanos: Number(rem) * 1e9 / Number(per) };
+}
+
+/**
+ * @private
+ * @param {BigInt} micros The PostgreSQL microseconds since midnight
+ * @param {Object} ctx The encoding context
+ * @returns {Object} The wall-clock fields
+ */
+function timeOf(micros, ctx) {
+  if (micros < 0 || micros >= BigInt(DAY) * MICROS) ctx.fail(`time of ${micros} microseconds is out of range`, 'HH', 0);
+  return splitBig(micros, MICROS);
+}
+
+/**
+ * @private
+ * @param {Object} wall The wall-clock fields
+ * @returns {BigInt} The PostgreSQL microseconds since midnight
+ */
+function microsOf(wall) {
+  return BigInt((wall.secs % DAY + DAY) % DAY) * MICROS + BigInt(wall.nanos / 1e3);
+}
+
+/**
+ * @private
+ * @param {BigInt} micros The PostgreSQL microseconds since `2000-01-01`
+ * @returns {(Object | Number)} The wall-clock fields or `Infinity`/`-Infinity`
+ */
+function timestampOf(micros) {
+  if (micros === INT64[0] || micros === INT64[1]) return micros > 0 ? Infinity : -Infinity;
+  const wall = splitBig(micros, MICROS);
+  wall.secs += PG_EPOCH;
+  return wall;
+}
+
+/**
+ * @private
+ * @param {Object} wall The wall-clock fields
+ * @returns {BigInt} The PostgreSQL microseconds since `2000-01-01`
+ */
+function pgMicrosOf(wall) {
+  if (Math.abs(wall.secs) === Infinity) return INT64[wall.secs > 0 ? 1 : 0];
+  return BigInt(utcOf(wall) - PG_EPOCH) * MICROS + BigInt(wall.nanos / 1e3);
+}
+
+/**
+ * Reads the Oracle 7 byte `DATE` (and the nanoseconds of an 11 byte `TIMESTAMP`)
+ * @private
+ * @param {DataView} dv The bytes
+ * @param {Object} ctx The encoding context
+ * @returns {Object} The wall-clock fields
+ */
+function oracleOf(dv, ctx) {
+  const field = (idx, name, min, max) => {
+    const val = dv.getUint8(idx);
+    if (val < min || val > max) ctx.fail(`${name} byte of ${val} is invalid`, name, idx);
+    return val;
+  };
+  const year = (field(0, 'YYYY', 53, 199) - 100) * 100 + field(1, 'YYYY', 1, 199) - 100;
+  if (!year || year < -4712 || year > 9999) ctx.fail(`year of ${year} is out of range`, 'YYYY', 0);
+  const yyyy = year < 0 ? year + 1 : year, mm = field(2, 'MM', 1, 12), dd = field(3, 'DD', 1, daysIn(yyyy, mm, ctx.calendar));
+  const nanos = dv.byteLength > 7 ? dv.getUint32(7) : 0;
+  if (nanos > 999999999) ctx.fail(`fraction of ${nanos} nanoseconds is out of range`, 'FFF', 7);
+  const [gy, gm, gd] = gregorianOf(yyyy, mm, dd, ctx.calendar);
+  const secs = utc(gy, gm - 1, gd, field(4, 'HH', 1, 24) - 1, field(5, 'MI', 1, 60) - 1, field(6, 'SS', 1, 60) - 1, 0) / 1000;
+  return { secs, nanos };
+}
+
+/**
+ * Writes the Oracle 7 byte `DATE` (and the nanoseconds of an 11 or 13 byte `TIMESTAMP`)
+ * @private
+ * @param {DataView} dv The bytes
+ * @param {Object} wall The wall-clock fields
+ * @param {Object} ctx The encoding context
+ */
+function writeOracle(dv, wall, ctx) {
+  const date = new Date(wall.secs * 1000), [yyyy, mm, dd] = fieldsOf(date, ctx.calendar), year = yyyy > 0 ? yyyy : yyyy - 1;
+  if (year < -4712 || year > 9999) throw new RangeError(`Unable to encode ${dateOf(wall)} as an Oracle date (4712 BC to 9999)`);
+  [100 + Math.trunc(year / 100), 100 + year % 100, mm, dd, date.getUTCHours() + 1, date.getUTCMinutes() + 1,
+    date.getUTCSeconds() + 1].forEach((val, idx) => dv.setUint8(idx, val));
+  if (dv.byteLength > 7) dv.setUint32(7, wall.nanos);
+}
+
+/**
+ * @private
+ * @param {Number} scale The SQL Server fractional second scale (0 to 7)
+ * @returns {Number} The number of bytes used for the time
+ */
+function scaleLength(scale) {
+  return scale < 3 ? 3 : scale < 5 ? 4 : 5;
+}
+
+/**
+ * @private
+ * @param {Object} wall The wall-clock fields
+ * @param {Number} scale The SQL Server fractional second scale (0 to 7)
+ * @returns {Number} The time units of the scale since midnight
+ */
+function unitsOf(wall, scale) {
+  return (wall.secs % DAY + DAY) % DAY * Math.pow(10, scale) + Math.floor(wall.nanos / Math.pow(10, 9 - scale));
+}
+
+/**
+ * @private
+ * @param {Number} secs The wall-clock seconds since the Unix epoch
+ * @returns {Number} The SQL Server days since `0001-01-01`
+ */
+function mssqlDays(secs) {
+  const days = Math.floor((secs - MSSQL_EPOCH) / DAY);
+  if (days < 0 || days > 3652058) {
+    throw new RangeError(`Unable to encode ${dateOf({ secs })} as an SQL Server date (0001 to 9999)`);
+  }
+  return days;
+}
+
+/**
+ * @private
+ * @param {DataView} dv The bytes
+ * @param {Number} offset The byte offset of the 3 byte days since `0001-01-01`
+ * @param {Object} ctx The encoding context
+ * @returns {Number} The days since `0001-01-01`
+ */
+function mssqlDaysOf(dv, offset, ctx) {
+  const days = readUint(dv, offset, 3);
+  if (days > 3652058) ctx.fail(`date of ${days} days is out of range`, 'YYYY', offset);
+  return days;
+}
+
+/**
+ * @private
+ * @param {DataView} dv The bytes
+ * @param {Number} offset The byte offset of the time units of the scale since midnight
+ * @param {Object} ctx The encoding context
+ * @returns {Object} The wall-clock fields
+ */
+function mssqlTimeOf(dv, offset, ctx) {
+  const units = readUint(dv, offset, scaleLength(ctx.precision)), per = Math.pow(10, ctx.precision);
+  if (units >= DAY * per) ctx.fail(`time of ${units} units is out of range`, 'HH', offset);
+  return { secs: Math.floor(units / per), nanos: units % per * Math.pow(10, 9 - ctx.precision) };
+}
+
+/**
+ * @private
+ * @param {DataView} dv The bytes of the time units followed by the days since `0001-01-01`
+ * @param {Object} ctx The encoding context
+ * @returns {Object} The wall-clock fields
+ */
+function mssqlDateTimeOf(dv, ctx) {
+  const time = mssqlTimeOf(dv, 0, ctx);
+  return { secs: mssqlDaysOf(dv, scaleLength(ctx.precision), ctx) * DAY + MSSQL_EPOCH + time.secs, nanos: time.nanos };
+}
+
+/**
+ * @private
+ * @param {DataView} dv The bytes
+ * @param {Number} secs The seconds since the Unix epoch
+ * @param {Number} nanos The nanoseconds within the second
+ * @param {Object} ctx The encoding context
+ */
+function writeMssql(dv, secs, nanos, ctx) {
+  const len = scaleLength(ctx.precision);
+  writeUint(dv, len, 3, mssqlDays(secs));
+  writeUint(dv, 0, len, unitsOf({ secs, nanos }, ctx.precision));
+}
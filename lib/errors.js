@@ -0,0 +1,87 @@
+'use strict';
+
+/**
+ * Thrown when a formatted date/time/interval cannot be converted into a Date
+ */
+export default class MomentDBParseError extends Error {
+
+  /**
+   * Constructs a parse error
+   * @param {String} message The error message
+   * @param {String} type The SQL type that was being parsed (e.g. `timestamp with time zone`)
+   * @param {String} field The offending field using the {@link MomentDB} notation (e.g. `MM`, `TH`, `DAYS`), `separator` for
+   * an unexpected/missing separator, `end` for unexpected trailing characters or `input` when the input is not a String (ranges
+   * also use `bounds`, `lower` and `upper` while format masks use `element` and `literal` for an invalid mask)
+   * @param {Number} position The zero-based character position of the offending field within the input
+   * @param {*} input The input that was being parsed
+   */
+  constructor(message, type, field, position, input) {
+    super(message);
+    this.name = 'MomentDBParseError';
+    /**
+     * The SQL type that was being parsed
+     * @type {String}
+     */
+    this.type = type;
+    /**
+     * The offending field
+     * @type {String}
+     */
+    this.field = field;
+    /**
+     * The zero-based character position of the offending field within the input
+     * @type {Number}
+     */
+    this.position = position;
+    /**
+     * The input that was being parsed
+     * @type {*}
+     */
+    this.input = input;
+  }
+}
+
+/**
+ * Thrown by a {@link MomentDB~Schema} when a column value cannot be converted
+ */
+export class MomentDBSchemaError extends Error {
+
+  /**
+   * Constructs a schema error
+   * @param {String} message The error message
+   * @param {String} column The schema column that failed (e.g. `items[].created_at`)
+   * @param {String} path The path of the value that failed within the row (e.g. `items[2].created_at`)
+   * @param {Number} [row] The zero-based index of the row that failed (when an Array of rows was being converted)
+   * @param {*} value The value that could not be converted
+   * @param {Error} cause The error that was thrown when converting the value
+   */
+  constructor(message, column, path, row, value, cause) {
+    super(message);
+    this.name = 'MomentDBSchemaError';
+    /**
+     * The schema column that failed
+     * @type {String}
+     */
+    this.column = column;
+    /**
+     * The path of the value that failed within the row
+     * @type {String}
+     */
+    this.path = path;
+    /**
+     * The zero-based index of the row that failed (`undefined` when a single row was being converted)
+     * @type {Number}
+     */
+    this.row = row;
+    /**
+     * The value that could not be converted
+     * @type {*}
+     */
+    this.value = value;
+    /**
+     * The error that was thrown when converting the value
+     * @type {Error}
+     */
+    this.cause = cause;
+  }
+}
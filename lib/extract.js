@@ -0,0 +1,313 @@
+'use strict';
+
+import * as core from './core.js';
+import PreciseDate, { fractionOf } from './precise-date.js';
+import { YearToMonthInterval, DayToSecondInterval } from './intervals.js';
+import { LocalDate, LocalTime, LocalDateTime } from './civil.js';
+import { fromTemporal } from './temporal.js';
+import { resolveZone, resolveDisambiguation, offsetAt, instantOf, utc, UTC } from './zones.js';
+
+/**
+ * The fields that can be extracted by {@link MomentDB.extract} (the same as the PostgreSQL `EXTRACT`/`date_part` fields)
+ * @type {String[]}
+ */
+export const FIELDS = Object.freeze(['century', 'day', 'decade', 'dow', 'doy', 'epoch', 'hour', 'isodow', 'isoyear', 'julian',
+  'microseconds', 'millennium', 'milliseconds', 'minute', 'month', 'quarter', 'second', 'timezone', 'timezone_hour',
+  'timezone_minute', 'week', 'year']);
+
+/**
+ * The units that can be truncated to by {@link MomentDB.trunc} (the same as the PostgreSQL `date_trunc` units)
+ * @type {String[]}
+ */
+export const UNITS = Object.freeze(['microseconds', 'milliseconds', 'second', 'minute', 'hour', 'day', 'week', 'month',
+  'quarter', 'year', 'decade', 'century', 'millennium']);
+
+const TIME_FIELDS = Object.freeze(['hour', 'minute', 'second', 'milliseconds', 'microseconds', 'epoch']);
+const INTERVAL_FIELDS = Object.freeze(['millennium', 'century', 'decade', 'year', 'quarter', 'month', 'day', 'hour', 'minute',
+  'second', 'milliseconds', 'microseconds', 'epoch']);
+const ZONE_FIELDS = Object.freeze(['timezone', 'timezone_hour', 'timezone_minute']);
+const MILLIS_PER_DAY = 864e5;
+const EPOCH_JDN = 2440588;
+const SECONDS_PER_DAY = 86400;
+const NANOS_PER_MILLI = BigInt(1000000);
+const ZERO = BigInt(0);
+
+/**
+ * Extracts a field from a date/time or interval (see {@link MomentDB.extract})
+ * @param {String} field The field (one of the {@link FIELDS}, case-insensitive)
+ * @param {(Date | LocalDate | LocalTime | LocalDateTime | YearToMonthInterval | DayToSecondInterval | Object)} value The value
+ * @param {Object} [opts] The extraction options
+ * @param {(String | Number)} [opts.zone] The time zone that the fields of a Date are observed in (defaults to UTC)
+ * @returns {Number} The value of the field
+ */
+export function extract(field, value, opts) {
+  const name = resolveName('field', FIELDS, field), val = fromTemporal(value);
+  if (val instanceof YearToMonthInterval || val instanceof DayToSecondInterval) {
+    supports(name, INTERVAL_FIELDS, val);
+    return fromInterval(name, val);
+  }
+  const wall = wallOf(val, opts);
+  if (val instanceof LocalTime) supports(name, TIME_FIELDS, val);
+  else if (!(val instanceof Date)) supports(name, FIELDS.filter(fld => !ZONE_FIELDS.includes(fld)), val);
+  const { year, month, day, hour, minute, second, nanosecond } = wall;
+  const days = wall.date ? daysOf(year, month, day) : 0, secs = hour * 3600 + minute * 60 + second;
+  switch (name) {
+    case 'year': return yearOf(year);
+    case 'isoyear': return yearOf(isoWeekOf(days)[0]);
+    case 'decade': return year >= 0 ? Math.trunc(year / 10) : -Math.trunc((8 - (year - 1)) / 10);
+    case 'century': return year > 0 ? Math.trunc((year + 99) / 100) : -Math.trunc((99 - (year - 1)) / 100);
+    case 'millennium': return year > 0 ? Math.trunc((year + 999) / 1000) : -Math.trunc((999 - (year - 1)) / 1000);
+    case 'quarter': return Math.floor((month - 1) / 3) + 1;
+    case 'month': return month;
+    case 'week': return isoWeekOf(days)[1];
+    case 'day': return day;
+    case 'dow': return dowOf(days);
+    case 'isodow': return dowOf(days) || 7;
+    case 'doy': return days - daysOf(year, 1, 1) + 1;
+    case 'julian': return days + EPOCH_JDN + (secs + nanosecond / 1e9) / SECONDS_PER_DAY;
+    case 'hour': return hour;
+    case 'minute': return minute;
+    case 'second': return second + nanosecond / 1e9;
+    case 'milliseconds': return second * 1e3 + nanosecond / 1e6;
+    case 'microseconds': return second * 1e6 + nanosecond / 1e3;
+    case 'timezone': return wall.offset * 60;
+    case 'timezone_hour': return Math.trunc(wall.offset / 60) + 0;
+    case 'timezone_minute': return (wall.offset % 60) + 0;
+    default: // epoch (the actual instant of a Date, the nominal wall-clock of local values)
+      if (val instanceof Date) return val.getTime() / 1000 + (val instanceof PreciseDate ? val.getNanoseconds() / 1e9 : 0);
+      return days * SECONDS_PER_DAY + secs + nanosecond / 1e9;
+  }
+}
+
+/**
+ * Truncates a date/time to the start of a unit (see {@link MomentDB.trunc})
+ * @param {String} unit The unit (one of the {@link UNITS}, case-insensitive)
+ * @param {(Date | LocalDate | LocalTime | LocalDateTime | Object)} value The value
+ * @param {Object} [opts] The truncation options
+ * @param {(String | Number)} [opts.zone] The time zone that a Date is truncated in (defaults to UTC)
+ * @param {MomentDB~Disambiguation} [opts.disambiguation] How a truncated Date that falls within a DST gap/overlap is resolved
+ * @returns {(PreciseDate | LocalDate | LocalTime | LocalDateTime)} The truncated value
+ */
+export function trunc(unit, value, opts) {
+  const name = resolveName('unit', UNITS, unit), val = fromTemporal(value), idx = UNITS.indexOf(name);
+  if (val instanceof LocalTime && idx > UNITS.indexOf('hour')) {
+    throw new TypeError(`Unable to truncate a LocalTime to a ${name}`);
+  }
+  const wall = wallOf(val, opts);
+  let { year, month, day, hour, minute, second, nanosecond } = wall;
+  nanosecond -= nanosecond % (idx > 1 ? 1e9 : idx ? 1e6 : 1e3);
+  if (idx > UNITS.indexOf('second')) second = 0;
+  if (idx > UNITS.indexOf('minute')) minute = 0;
+  if (idx > UNITS.indexOf('hour')) hour = 0;
+  if (name === 'week') {
+    const monday = new Date((daysOf(year, month, day) - (dowOf(daysOf(year, month, day)) + 6) % 7) * MILLIS_PER_DAY);
+    [year, month, day] = [monday.getUTCFullYear(), monday.getUTCMonth() + 1, monday.getUTCDate()];
+  }
+  if (idx > UNITS.indexOf('week')) day = 1;
+  if (name === 'quarter') month -= (month - 1) % 3;
+  if (idx > UNITS.indexOf('quarter')) month = 1;
+  if (name === 'decade') year = year > 0 ? Math.trunc(year / 10) * 10 : -Math.trunc((8 - (year - 1)) / 10) * 10;
+  if (name === 'century') {
+    year = year > 0 ? Math.trunc((year + 99) / 100) * 100 - 99 : -Math.trunc((99 - (year - 1)) / 100) * 100 + 1;
+  }
+  if (name === 'millennium') {
+    year = year > 0 ? Math.trunc((year + 999) / 1000) * 1000 - 999 : -Math.trunc((999 - (year - 1)) / 1000) * 1000 + 1;
+  }
+  if (val instanceof LocalDate) return new LocalDate(year, month, day);
+  if (val instanceof LocalTime) return new LocalTime(hour, minute, second, nanosecond, val.precision);
+  if (val instanceof LocalDateTime) return new LocalDateTime(year, month, day, hour, minute, second, nanosecond, val.precision);
+  // units below a day stay within the offset of the value when the truncated wall-clock time repeats (e.g. a DST fall-back)
+  const ms = instantOf(wall.zone, utc(year, month - 1, day, hour, minute, second, Math.floor(nanosecond / 1e6)),
+    resolveDisambiguation(opts && opts.disambiguation), idx < UNITS.indexOf('day') ? wall.offset : undefined);
+  return copy(val, ms, nanosecond % 1e6);
+}
+
+/**
+ * Bins a timestamp into the start of a stride that is aligned with an origin (see {@link MomentDB.bin})
+ * @param {(DayToSecondInterval | Object | String)} stride The stride (a `Temporal.Duration` or a formatted
+ * interval-day-to-second)
+ * @param {(Date | LocalDateTime | Object)} value The value
+ * @param {(Date | LocalDateTime | Object)} [origin] The origin that the strides are aligned with (defaults to the Unix epoch)
+ * @param {Object} [opts] The parsing options used when the stride is a formatted String (see {@link MomentDB.parse})
+ * @returns {(PreciseDate | LocalDateTime)} The start of the stride that the value is in
+ */
+export function bin(stride, value, origin, opts) {
+  let step = fromTemporal(stride, DayToSecondInterval);
+  if (typeof step === 'string') {
+    step = core.parse('interval day to second', step, Object.assign({}, opts, { as: 'interval' }));
+  }
+  if (step instanceof YearToMonthInterval) {
+    throw new RangeError(`Unable to bin into a stride of months or years, but found: ${step}`);
+  }
+  if (!(step instanceof DayToSecondInterval)) {
+    throw new TypeError(`Expected a DayToSecondInterval, Temporal.Duration or String stride, but found: ${stride}`);
+  }
+  if (step.sign <= 0) throw new RangeError(`Stride must be greater than zero, but found: ${step}`);
+  const val = fromTemporal(value), local = val instanceof LocalDateTime;
+  if (!local && !(val instanceof Date && !isNaN(val.getTime()))) {
+    throw new TypeError(`Expected a valid Date or LocalDateTime to bin, but found: ${value}`);
+  }
+  let from = fromTemporal(origin);
+  if (from === null || from === undefined) from = local ? new LocalDateTime(1970, 1, 1) : new Date(0);
+  if (local ? !(from instanceof LocalDateTime) : !(from instanceof Date) || isNaN(from.getTime())) {
+    throw new TypeError(`Expected a valid ${local ? 'LocalDateTime' : 'Date'} origin, but found: ${origin}`);
+  }
+  const nanos = nanosOf(local ? val.toDate() : val), start = nanosOf(local ? from.toDate() : from);
+  const size = step.totalNanoseconds, diff = nanos - start;
+  let offset = diff % size;
+  if (offset < ZERO) offset += size;
+  const binned = PreciseDate.fromEpochNanoseconds(nanos - offset, local ? val.precision : undefined);
+  if (local) return LocalDateTime.from(binned);
+  return copy(val, binned.getTime(), binned.getNanoseconds());
+}
+
+/**
+ * Resolves the name of a field/unit (case-insensitive)
+ * @private
+ * @param {String} kind The kind of name (`field` or `unit`)
+ * @param {String[]} names The valid names
+ * @param {String} name The name
+ * @returns {String} The resolved name
+ */
+function resolveName(kind, names, name) {
+  const resolved = String(name).trim().toLowerCase();
+  if (!names.includes(resolved)) {
+    throw new Error(`Unknown ${kind} "${name}" (expected one of: ${names.join(', ')})`);
+  }
+  return resolved;
+}
+
+/**
+ * Validates that a field can be extracted from a value
+ * @private
+ * @param {String} field The field
+ * @param {String[]} fields The fields that can be extracted from the value
+ * @param {*} value The value
+ */
+function supports(field, fields, value) {
+  if (!fields.includes(field)) throw new TypeError(`Unable to extract ${field} from a ${value.constructor.name}`);
+}
+
+/**
+ * Gets the wall-clock fields of a value
+ * @private
+ * @param {(Date | LocalDate | LocalTime | LocalDateTime)} value The value
+ * @param {Object} [opts] The options with the `zone` that the fields of a Date are observed in
+ * @returns {Object} The `year`, `month`, `day`, `hour`, `minute`, `second` and `nanosecond` along with whether the value has a
+ * `date` and the `zone`/`offset` (in minutes) of a Date
+ */
+function wallOf(value, opts) {
+  if (value instanceof LocalDate) {
+    return { year: value.year, month: value.month, day: value.day, hour: 0, minute: 0, second: 0, nanosecond: 0, date: true };
+  }
+  if (value instanceof LocalTime) {
+    return { year: 1970, month: 1, day: 1, hour: value.hour, minute: value.minute, second: value.second,
+      nanosecond: value.nanosecond, date: false };
+  }
+  if (value instanceof LocalDateTime) {
+    return { year: value.year, month: value.month, day: value.day, hour: value.hour, minute: value.minute,
+      second: value.second, nanosecond: value.nanosecond, date: true };
+  }
+  if (!(value instanceof Date) || isNaN(value.getTime())) {
+    throw new TypeError(`Expected a valid Date, LocalDate, LocalTime, LocalDateTime or interval, but found: ${value}`);
+  }
+  const zone = opts && opts.zone !== undefined && opts.zone !== null ? resolveZone(opts.zone) : UTC;
+  const offset = offsetAt(zone, value.getTime()), wall = new Date(value.getTime() + offset * 60000);
+  return { year: wall.getUTCFullYear(), month: wall.getUTCMonth() + 1, day: wall.getUTCDate(), hour: wall.getUTCHours(),
+    minute: wall.getUTCMinutes(), second: wall.getUTCSeconds(), nanosecond: fractionOf(value), date: true, zone, offset };
+}
+
+/**
+ * Extracts a field from an interval
+ * @private
+ * @param {String} field The field
+ * @param {(YearToMonthInterval | DayToSecondInterval)} interval The interval
+ * @returns {Number} The value of the field
+ */
+function fromInterval(field, interval) {
+  const months = interval instanceof YearToMonthInterval ? interval.totalMonths : 0, years = Math.trunc(months / 12);
+  const dts = interval instanceof DayToSecondInterval ? interval : new DayToSecondInterval();
+  switch (field) {
+    case 'millennium': return Math.trunc(years / 1000) + 0;
+    case 'century': return Math.trunc(years / 100) + 0;
+    case 'decade': return Math.trunc(years / 10) + 0;
+    case 'year': return years;
+    case 'quarter': return Math.trunc((months % 12) / 3) + 1;
+    case 'month': return (months % 12) + 0;
+    case 'day': return dts.days;
+    case 'hour': return dts.hours;
+    case 'minute': return dts.minutes;
+    case 'second': return dts.seconds + dts.nanoseconds / 1e9;
+    case 'milliseconds': return dts.seconds * 1e3 + dts.nanoseconds / 1e6;
+    case 'microseconds': return dts.seconds * 1e6 + dts.nanoseconds / 1e3;
+    default: // epoch (a year is 365.25 days and a month is 30 days, the same as PostgreSQL)
+      return years * 365.25 * SECONDS_PER_DAY + (months % 12) * 30 * SECONDS_PER_DAY + Number(dts.totalNanoseconds) / 1e9;
+  }
+}
+
+/**
+ * @private
+ * @param {Number} year The year (astronomical, e.g. `0` is 1 BC)
+ * @returns {Number} The year without a year zero (e.g. `-1` is 1 BC), the same as the PostgreSQL `year` field
+ */
+function yearOf(year) {
+  return year > 0 ? year : year - 1;
+}
+
+/**
+ * @private
+ * @param {Number} year The year
+ * @param {Number} month The month (1 to 12)
+ * @param {Number} day The day of the month
+ * @returns {Number} The number of days since the Unix epoch
+ */
+function daysOf(year, month, day) {
+  return Math.floor(utc(year, month - 1, day, 0, 0, 0, 0) / MILLIS_PER_DAY);
+}
+
+/**
+ * @private
+ * @param {Number} days The number of days since the Unix epoch
+ * @returns {Number} The day of the week (`0` is Sunday to `6` is Saturday)
+ */
+function dowOf(days) {
+  return (((days + 4) % 7) + 7) % 7;
+}
+
+/**
+ * @private
+ * @param {Number} days The number of days since the Unix epoch
+ * @returns {Number[]} The ISO 8601 week-numbering year and week number (weeks start on Monday and the first week of a year
+ * contains its first Thursday)
+ */
+function isoWeekOf(days) {
+  const thursday = days + 3 - (dowOf(days) + 6) % 7, year = new Date(thursday * MILLIS_PER_DAY).getUTCFullYear();
+  return [year, Math.floor((thursday - daysOf(year, 1, 1)) / 7) + 1];
+}
+
+/**
+ * @private
+ * @param {Date} date The date
+ * @returns {BigInt} The nanoseconds since the Unix epoch
+ */
+function nanosOf(date) {
+  return date instanceof PreciseDate ? date.epochNanoseconds : BigInt(date.getTime()) * NANOS_PER_MILLI;
+}
+
+/**
+ * Creates a {@link PreciseDate} that retains the `precision` and `zone` of another date
+ * @private
+ * @param {Date} from The date to copy from
+ * @param {Number} ms The milliseconds since the Unix epoch of the new date
+ * @param {Number} nanos The nanoseconds beyond milliseconds of the new date
+ * @returns {PreciseDate} The new date
+ */
+function copy(from, ms, nanos) {
+  const date = new PreciseDate(ms);
+  date.setNanoseconds(nanos);
+  if (from instanceof PreciseDate) {
+    date.precision = from.precision;
+    date.zone = from.zone;
+  }
+  return date;
+}
@@ -0,0 +1,142 @@
+'use strict';
+
+import PreciseDate from './precise-date.js';
+import { resolveZone, offsetAt, instantOf, formatOffset, utc, LOCAL, UTC } from './zones.js';
+import { fieldsOf, formatYear, eraOf } from './calendar.js';
+import { pad } from './util.js';
+
+/**
+ * A formatter/parser that has been precompiled for a single SQL type and set of options (see {@link MomentDB.formatter})
+ * @typedef {Object} MomentDB~Formatter
+ * @property {String} type The SQL type
+ * @property {Function} format Accepts a Date, local or Temporal value (or an interval/`Duration` for interval types) and returns
+ * the formatted String
+ * @property {Function} parse Accepts a formatted String and returns a {@link PreciseDate} (or an interval/local/Temporal value
+ * when the `as` option is `interval`/`local`/`temporal`)
+ */
+
+const TWO_DIGITS = Object.freeze(Array.from({ length: 100 }, (val, idx) => pad(idx, 2)));
+const WALL = new Date(0);
+
+/**
+ * Precompiles a formatter/parser for an SQL type. The layout, zone and precision decisions are made once so that formatting
+ * only extracts the fields of each Date. Formatted strings in the layout output by the dialect are parsed by a single anchored
+ * expression, all other strings (and interval types) are passed to the `fallback` parser. Years outside of 1 to 9999 and Julian
+ * dates of the `hybrid` calendar are formatted by the general calendar functions and parsed by the `fallback` parser.
+ * @param {String} type The SQL type (resolved)
+ * @param {Object} options The resolved options (see {@link MomentDB.parse})
+ * @param {Object} fallback The `format(value)` and `parse(str)` functions that handle values the formatter does not
+ * @returns {MomentDB~Formatter} The formatter
+ */
+export function create(type, options, fallback) {
+  if (/^interval/.test(type)) {
+    return Object.freeze({ type, format: fallback.format, parse: fallback.parse });
+  }
+  const layout = {
+    date: type === 'date' || type.startsWith('timestamp'),
+    time: type !== 'date',
+    zone: /with time zone$/.test(type)
+  };
+  return Object.freeze({
+    type,
+    format: formatter(layout, options, fallback.format),
+    parse: parser(layout, options, fallback.parse)
+  });
+}
+
+/**
+ * Generates the format function for a date/time type
+ * @private
+ * @param {Object} layout The `date`, `time` and `zone` flags of the type
+ * @param {Object} options The resolved options
+ * @param {Function} fallback The format function used for values that are not Dates
+ * @returns {Function} The format function
+ */
+function formatter(layout, options, fallback) {
+  const dialect = options.dialect, useZone = layout.zone && !!dialect.offset, offsets = new Map();
+  const gregorian = options.calendar !== 'hybrid';
+  const zone = options.zone || (useZone ? null : UTC);
+  const dateSep = layout.date && layout.time ? dialect.separator : '', zoneSep = useZone ? dialect.zoneSeparator : '';
+  return (date) => {
+    if (!(date instanceof Date)) return fallback(date);
+    const time = date.getTime(), precise = date instanceof PreciseDate;
+    const zn = zone || (precise && date.zone && resolveZone(date.zone)) || LOCAL;
+    const off = zn === UTC ? 0 : offsetAt(zn, time);
+    WALL.setTime(time + off * 60000);
+    let str = '', era = '';
+    if (layout.date) {
+      const year = WALL.getUTCFullYear();
+      if (year > 0 && year < 10000 && (gregorian || year > 1582)) {
+        str = `${pad(year, 4)}-${TWO_DIGITS[WALL.getUTCMonth() + 1]}-${TWO_DIGITS[WALL.getUTCDate()]}${dateSep}`;
+      } else {
+        const [yyyy, mm, dd] = fieldsOf(WALL, options.calendar);
+        str = `${formatYear(yyyy, dialect.era)}-${TWO_DIGITS[mm]}-${TWO_DIGITS[dd]}${dateSep}`;
+        era = eraOf(yyyy, dialect.era);
+      }
+    }
+    if (layout.time) {
+      const digits = options.precision !== undefined ? options.precision : precise && date.precision !== undefined ?
+        date.precision : dialect.fraction;
+      str += `${TWO_DIGITS[WALL.getUTCHours()]}:${TWO_DIGITS[WALL.getUTCMinutes()]}:${TWO_DIGITS[WALL.getUTCSeconds()]}`;
+      if (digits) {
+        const nanos = WALL.getUTCMilliseconds() * 1e6 + (precise ? date.getNanoseconds() : 0);
+        str += `.${pad(nanos, 9).slice(0, digits)}`;
+      }
+    }
+    if (useZone) {
+      let offset = offsets.get(off);
+      if (offset === undefined) offsets.set(off, offset = formatOffset(off, dialect.offset));
+      str += `${zoneSep}${offset}`;
+    }
+    return era ? str + era : str;
+  };
+}
+
+/**
+ * Generates the parse function for a date/time type
+ * @private
+ * @param {Object} layout The `date`, `time` and `zone` flags of the type
+ * @param {Object} options The resolved options
+ * @param {Function} fallback The parse function used when the formatted string is not in the dialect layout
+ * @returns {Function} The parse function
+ */
+function parser(layout, options, fallback) {
+  if (options.as && options.as !== 'date') return fallback;
+  const acc = options.dialect.accept, [min, max] = acc.fraction;
+  const rx = new RegExp(`^${layout.date ? `(\\d{4})-(\\d{2})-(\\d{2})` : '()()()'}${layout.date && layout.time ?
+    `[${acc.separators.map(sep => sep.replace(/[\]\\^-]/g, '\\$&')).join('')}]` : ''}${layout.time ?
+    `(\\d{2}):(\\d{2}):(\\d{2})${min ? `\\.(\\d{${min},${max}})` : max ? `(?:\\.(\\d{1,${max}}))?` : '()'}` : '()()()()'}${
+    layout.zone ? ' ?(?:(Z)|([+-])(\\d{2})(?:(:)?(\\d{2}))?)?' : ''}$`);
+  return (str) => {
+    const match = typeof str === 'string' && rx.exec(str);
+    if (!match) return fallback(str);
+    const yyyy = layout.date ? parseInt(match[1], 10) : 0, mm = layout.date ? parseInt(match[2], 10) - 1 : 0;
+    if (yyyy < 1583 && layout.date && options.calendar === 'hybrid') return fallback(str);
+    const dd = layout.date ? parseInt(match[3], 10) : 1, hh = layout.time ? parseInt(match[4], 10) : 0;
+    const mi = layout.time ? parseInt(match[5], 10) : 0, ss = layout.time ? parseInt(match[6], 10) : 0;
+    const fraction = match[7] || '', nanos = fraction ? parseInt(fraction.padEnd(9, '0'), 10) : 0;
+    let offset;
+    if (match[8]) {
+      if (!acc.zulu) return fallback(str);
+      offset = 0;
+    } else if (match[9]) {
+      const th = parseInt(match[10], 10), tm = match[12] ? parseInt(match[12], 10) : 0;
+      if (!acc.offsets.includes(match[11] ? 'HH:MM' : match[12] ? 'HHMM' : 'HH')) return fallback(str);
+      if (options.strict && (th > 14 || (match[9] === '-' && th > 12) || tm > 59)) return fallback(str);
+      offset = (match[9] === '-' ? -1 : 1) * (th * 60 + tm);
+    } else if (layout.zone && options.strict) return fallback(str);
+    if (options.strict && (mm > 11 || mm < 0 || dd < 1 || hh > 23 || mi > 59 || ss > 59
+      || (layout.date && dd > new Date(utc(yyyy, mm + 1, 0, 0, 0, 0, 0)).getUTCDate()))) {
+      return fallback(str);
+    }
+    const wall = yyyy >= 100 ? Date.UTC(yyyy, mm, dd, hh, mi, ss, Math.floor(nanos / 1e6)) :
+      utc(yyyy, mm, dd, hh, mi, ss, Math.floor(nanos / 1e6));
+    const date = new PreciseDate(offset !== undefined ? wall - offset * 60000 :
+      options.zone ? instantOf(options.zone, wall, options.disambiguation) : wall);
+    if (layout.time) {
+      date.setNanoseconds(nanos % 1e6);
+      date.precision = fraction.length;
+    }
+    return date;
+  };
+}
@@ -0,0 +1,189 @@
+'use strict';
+
+import MomentDBParseError from './errors.js';
+import { YearToMonthInterval, DayToSecondInterval } from './intervals.js';
+import { pad } from './util.js';
+
+/**
+ * The representations that intervals can be formatted as or parsed from (named after the PostgreSQL `IntervalStyle` setting):
+ * - `sql_standard` - the ANSI format used throughout {@link MomentDB} (e.g. `+0001-02` or `+0000003 04:05:06.789`, default)
+ * - `iso_8601` - ISO 8601 durations (e.g. `P1Y2M` or `P3DT4H5M6.789S`)
+ * - `postgres` - PostgreSQL output (e.g. `1 year 2 mons` or `3 days 04:05:06.789`)
+ * - `postgres_verbose` - PostgreSQL verbose output (e.g. `@ 1 year 2 mons` or `@ 3 days 4 hours 5 mins 6.789 secs ago`)
+ * @typedef {String} MomentDB~IntervalStyle
+ */
+export const STYLES = Object.freeze(['sql_standard', 'iso_8601', 'postgres', 'postgres_verbose']);
+
+const NANOS_PER_SECOND = BigInt(1e9);
+const ISO_RX = new RegExp('^([+-])?P(?!$)(?:([+-]?\\d+)Y)?(?:([+-]?\\d+)M)?(?:([+-]?\\d+)W)?(?:([+-]?\\d+)D)?'
+  + '(?:T(?!$)(?:([+-]?\\d+)H)?(?:([+-]?\\d+)M)?(?:([+-]?\\d+(?:[.,]\\d{1,9})?)S)?)?$', 'i');
+const PG_RX = /\s*(?:([+-])?(\d+):(\d{2})(?::(\d{2})(?:\.(\d{1,9}))?)?(?![\d:.])|([+-]?\d+(?:\.\d{1,9})?)\s*([a-z]+)\b)/iy;
+const UNITS = Object.freeze({
+  millennium: ['months', 12000], millennia: ['months', 12000], millenniums: ['months', 12000], century: ['months', 1200],
+  centuries: ['months', 1200], decade: ['months', 120], decades: ['months', 120], y: ['months', 12], yr: ['months', 12],
+  yrs: ['months', 12], year: ['months', 12], years: ['months', 12], mon: ['months', 1], mons: ['months', 1],
+  month: ['months', 1], months: ['months', 1], w: ['days', 7], week: ['days', 7], weeks: ['days', 7], d: ['days', 1],
+  day: ['days', 1], days: ['days', 1], h: ['nanos', 3600e9], hr: ['nanos', 3600e9], hrs: ['nanos', 3600e9],
+  hour: ['nanos', 3600e9], hours: ['nanos', 3600e9], m: ['nanos', 60e9], min: ['nanos', 60e9], mins: ['nanos', 60e9],
+  minute: ['nanos', 60e9], minutes: ['nanos', 60e9], s: ['nanos', 1e9], sec: ['nanos', 1e9], secs: ['nanos', 1e9],
+  second: ['nanos', 1e9], seconds: ['nanos', 1e9], ms: ['nanos', 1e6], msec: ['nanos', 1e6], msecs: ['nanos', 1e6],
+  millisecond: ['nanos', 1e6], milliseconds: ['nanos', 1e6], us: ['nanos', 1e3], usec: ['nanos', 1e3], usecs: ['nanos', 1e3],
+  microsecond: ['nanos', 1e3], microseconds: ['nanos', 1e3]
+});
+
+/**
+ * Validates an interval style
+ * @param {MomentDB~IntervalStyle} [style] The interval style to validate
+ * @returns {MomentDB~IntervalStyle} The interval style (defaults to `sql_standard`)
+ */
+export function resolveStyle(style) {
+  if (!style) return 'sql_standard';
+  const resolved = String(style).toLowerCase();
+  if (!STYLES.includes(resolved)) {
+    throw new RangeError(`Interval style must be one of ${STYLES.join(', ')}, but found: ${style}`);
+  }
+  return resolved;
+}
+
+/**
+ * Formats an interval using one of the non-ANSI interval styles. Trailing zeros of fractional seconds are omitted.
+ * @param {(YearToMonthInterval | DayToSecondInterval)} interval The interval to format
+ * @param {MomentDB~IntervalStyle} style The interval style (`iso_8601`, `postgres` or `postgres_verbose`)
+ * @param {Number} [precision] The maximum number of fractional second digits to output (0 to 9, extra digits are truncated)
+ * @returns {String} The formatted interval
+ */
+export function format(interval, style, precision) {
+  const ytm = interval instanceof YearToMonthInterval, neg = interval.sign < 0, verbose = style === 'postgres_verbose';
+  const abs = ytm ? [interval.years, interval.months].map(Math.abs) :
+    [interval.days, interval.hours, interval.minutes, interval.seconds, interval.nanoseconds].map(Math.abs);
+  const nanos = ytm ? 0 : abs[4] - (abs[4] % Math.pow(10, 9 - (precision === undefined ? 9 : precision)));
+  const secs = ytm ? '' : `${abs[3]}${nanos ? `.${pad(nanos, 9).replace(/0+$/, '')}` : ''}`;
+  if (style === 'iso_8601') {
+    const sign = neg ? '-' : '';
+    const date = ytm ? [[abs[0], 'Y'], [abs[1], 'M']] : [[abs[0], 'D']];
+    const time = ytm ? [] : [[abs[1], 'H'], [abs[2], 'M'], [nanos || abs[3] ? secs : 0, 'S']];
+    const part = (fields) => fields.filter(([val]) => val && val !== '0').map(([val, unit]) => `${sign}${val}${unit}`).join('');
+    const str = `${part(date)}${part(time) ? `T${part(time)}` : ''}`;
+    return str ? `P${str}` : 'PT0S';
+  }
+  const units = ytm ? [[abs[0], 'year'], [abs[1], 'mon']] : [[abs[0], 'day']];
+  if (verbose) {
+    if (!ytm) units.push([abs[1], 'hour'], [abs[2], 'min'], [secs, 'sec']);
+    const str = units.filter(([val]) => val && val !== '0').map(([val, unit]) => `${val} ${unit}${val === 1 ||
+      val === '1' ? '' : 's'}`).join(' ');
+    return str ? `@ ${str}${neg ? ' ago' : ''}` : '@ 0';
+  }
+  const sign = neg ? '-' : '';
+  const parts = units.filter(([val]) => val).map(([val, unit]) => `${sign}${val} ${unit}${val === 1 && !neg ? '' : 's'}`);
+  if (!ytm && (abs[1] || abs[2] || abs[3] || nanos || !parts.length)) {
+    parts.push(`${sign}${pad(abs[1], 2)}:${pad(abs[2], 2)}:${pad(abs[3], 2)}${nanos ? secs.slice(secs.indexOf('.')) : ''}`);
+  }
+  return parts.length ? parts.join(' ') : '00:00:00';
+}
+
+/**
+ * Parses an interval from one of the non-ANSI interval styles. Mixed signs within the year/month fields or within the day/time
+ * fields are combined exactly (e.g. `1 year -2 mons` is the same as `10 mons`), but year/month fields cannot be combined with
+ * day/time fields (and vice versa) since they would not be representable by an ANSI interval.
+ * @param {String} type The SQL type of the interval (`interval year to month` or `interval day to second`)
+ * @param {String} str The formatted interval
+ * @param {MomentDB~IntervalStyle} style The interval style (`iso_8601`, `postgres` or `postgres_verbose`)
+ * @returns {(YearToMonthInterval | DayToSecondInterval)} The parsed interval
+ * @throws {MomentDBParseError} When the formatted interval is invalid
+ */
+export function parse(type, str, style) {
+  const { fields, fail } = fieldsOf(type, str, style);
+  const ytm = type === 'interval year to month';
+  if (ytm && (fields.days || fields.nanos)) {
+    fail(fields.days ? 'DAYS' : 'HH', `${style} day/time fields cannot be combined with year/month fields`, 0);
+  }
+  if (!ytm && fields.months) fail('YEARS', `${style} year/month fields cannot be combined with day/time fields`, 0);
+  return ytm ? new YearToMonthInterval(0, fields.months) :
+    new DayToSecondInterval(fields.days, 0, 0, 0, fields.nanos, fields.precision);
+}
+
+/**
+ * Parses an interval from one of the non-ANSI interval styles that combines year/month fields with day/time fields (e.g.
+ * `1 year 2 mons 3 days` as returned by the PostgreSQL `age` function) into a pair of intervals. The year/month fields are
+ * always applied before the day/time fields (the same order that PostgreSQL uses when adding an interval to a timestamp).
+ * @param {String} str The formatted interval
+ * @param {MomentDB~IntervalStyle} style The interval style (`iso_8601`, `postgres` or `postgres_verbose`)
+ * @returns {Array} The {@link YearToMonthInterval} and the {@link DayToSecondInterval}
+ * @throws {MomentDBParseError} When the formatted interval is invalid
+ */
+export function split(str, style) {
+  const { fields } = fieldsOf('interval', str, style);
+  return [new YearToMonthInterval(0, fields.months),
+    new DayToSecondInterval(fields.days, 0, 0, 0, fields.nanos, fields.precision)];
+}
+
+/**
+ * Parses the fields of an interval in one of the non-ANSI interval styles
+ * @private
+ * @param {String} type The SQL type of the interval (used in error messages)
+ * @param {String} str The formatted interval
+ * @param {MomentDB~IntervalStyle} style The interval style (`iso_8601`, `postgres` or `postgres_verbose`)
+ * @returns {Object} The parsed `fields` (see {@link iso}) and the `fail` function
+ */
+function fieldsOf(type, str, style) {
+  const fail = (field, reason, position) => {
+    throw new MomentDBParseError(`Invalid ${type} "${str}": ${reason} at position ${position}`, type, field, position, str);
+  };
+  return { fields: style === 'iso_8601' ? iso(str, fail) : postgres(str, fail), fail };
+}
+
+/**
+ * Parses the fields of an ISO 8601 duration (e.g. `P1Y2M3W4DT5H6M7.89S` or `-P1D`)
+ * @private
+ * @param {String} str The ISO 8601 duration
+ * @param {Function} fail The failure function
+ * @returns {Object} The `months`, `days`, `nanos` (BigInt) and seconds `precision`
+ */
+function iso(str, fail) {
+  const match = str.match(ISO_RX);
+  if (!match) fail('input', 'expected an ISO 8601 duration (e.g. P1Y2M3DT4H5M6.789S)', 0);
+  const sign = match[1] === '-' ? -1 : 1, int = (idx) => match[idx] ? sign * parseInt(match[idx]) : 0;
+  const [secs, fraction = ''] = (match[8] || '0').replace(',', '.').split('.');
+  const nanos = (BigInt(int(6)) * BigInt(3600) + BigInt(int(7)) * BigInt(60) + BigInt(sign * parseInt(secs))) * NANOS_PER_SECOND
+    + BigInt((secs[0] === '-' ? -sign : sign) * parseInt(fraction.padEnd(9, '0')));
+  return { months: int(2) * 12 + int(3), days: int(4) * 7 + int(5), nanos, precision: fraction.length };
+}
+
+/**
+ * Parses the fields of a PostgreSQL `postgres` or `postgres_verbose` interval (e.g. `1 year -2 mons +3 days -04:05:06.789` or
+ * `@ 1 year 2 mons 3 days 4 hours 5 mins 6.789 secs ago`)
+ * @private
+ * @param {String} str The PostgreSQL interval
+ * @param {Function} fail The failure function
+ * @returns {Object} The `months`, `days`, `nanos` (BigInt) and seconds `precision`
+ */
+function postgres(str, fail) {
+  const fields = { months: 0, days: 0, nanos: BigInt(0), precision: 0 }, verbose = str.match(/^\s*@/);
+  const ago = str.match(/\s+ago\s*$/i), end = ago ? ago.index : str.length;
+  let pos = verbose ? verbose[0].length : 0, match, parts = 0;
+  if (str.slice(pos, end).trim() === '0') return fields;
+  for (PG_RX.lastIndex = pos; pos < end && (match = PG_RX.exec(str)) && PG_RX.lastIndex <= end; pos = PG_RX.lastIndex, parts++) {
+    if (match[2] !== undefined) {
+      const sign = match[1] === '-' ? -1 : 1, fraction = match[5] || '';
+      fields.nanos += BigInt(sign) * ((BigInt(match[2]) * BigInt(3600) + BigInt(match[3]) * BigInt(60)
+        + BigInt(match[4] || 0)) * NANOS_PER_SECOND + BigInt(fraction.padEnd(9, '0') || 0));
+      fields.precision = Math.max(fields.precision, fraction.length);
+      continue;
+    }
+    const unit = UNITS[match[7].toLowerCase()], [int, fraction = ''] = match[6].split('.');
+    if (!unit) fail('input', `unrecognized unit "${match[7]}"`, pos + match[0].indexOf(match[7]));
+    if (unit[0] === 'nanos') {
+      const sign = int[0] === '-' ? -1 : 1, scaled = BigInt(unit[1]);
+      fields.nanos += BigInt(int) * scaled + BigInt(sign) * BigInt(fraction.padEnd(9, '0')) * scaled / NANOS_PER_SECOND;
+      if (scaled === NANOS_PER_SECOND) fields.precision = Math.max(fields.precision, fraction.length);
+    } else if (fraction) fail('input', `fractional ${match[7]} are not supported`, pos);
+    else fields[unit[0]] += parseInt(int) * unit[1];
+  }
+  if (pos < end || !parts) fail('input', `expected a PostgreSQL interval (e.g. 1 year 2 mons 3 days 04:05:06.789)`, pos);
+  if (ago) {
+    fields.months = -fields.months + 0;
+    fields.days = -fields.days + 0;
+    fields.nanos = -fields.nanos;
+  }
+  return fields;
+}
@@ -0,0 +1,355 @@
+'use strict';
+
+import { resolve as resolveDialect } from './dialects.js';
+import PreciseDate from './precise-date.js';
+import { utc } from './zones.js';
+import { pad } from './util.js';
+
+const NANOS_PER_MILLI = BigInt(1000000);
+const NANOS_PER_SECOND = BigInt(1e9);
+const NANOS_PER_MINUTE = NANOS_PER_SECOND * BigInt(60);
+const NANOS_PER_HOUR = NANOS_PER_MINUTE * BigInt(60);
+const NANOS_PER_DAY = NANOS_PER_HOUR * BigInt(24);
+const ZERO = BigInt(0);
+
+/**
+ * An __interval-year-to-month__ (i.e. `[+|-]YEARS-MM`) that retains the number of years and months separately. The `years` and
+ * `months` always have the same sign and `months` is always normalized to a value from -11 to 11. Calendar arithmetic is
+ * performed on the UTC fields of a Date and the day of the month is constrained to the last day of the resulting month (e.g.
+ * `2030-01-31` plus one month is `2030-02-28`).
+ */
+export class YearToMonthInterval {
+
+  /**
+   * Constructs an interval-year-to-month
+   * @param {Number} [years=0] The number of years
+   * @param {Number} [months=0] The number of months (values beyond 11 are carried into `years`)
+   */
+  constructor(years = 0, months = 0) {
+    integers('Interval year-to-month', { years, months });
+    const total = years * 12 + months;
+    /**
+     * The number of years
+     * @type {Number}
+     */
+    this.years = Math.trunc(total / 12) + 0;
+    /**
+     * The number of months (-11 to 11)
+     * @type {Number}
+     */
+    this.months = (total % 12) + 0;
+    Object.freeze(this);
+  }
+
+  /**
+   * Calculates the exact number of whole calendar months from one date to another
+   * @param {Date} start The starting date
+   * @param {Date} end The ending date
+   * @returns {YearToMonthInterval} The interval that, when added to `start`, will not go beyond `end` (negative when `end` is
+   * before `start`)
+   */
+  static between(start, end) {
+    dates('Interval year-to-month', start, end);
+    let total = (end.getUTCFullYear() - start.getUTCFullYear()) * 12 + end.getUTCMonth() - start.getUTCMonth();
+    const dir = Math.sign(total), to = nanosOf(end), from = nanosOf(addMonths(start, total));
+    if ((dir > 0 && to < from) || (dir < 0 && to > from)) total -= dir;
+    return new YearToMonthInterval(0, total);
+  }
+
+  /**
+   * @returns {Number} The total number of months (`years * 12 + months`)
+   */
+  get totalMonths() {
+    return this.years * 12 + this.months;
+  }
+
+  /**
+   * @returns {Number} `-1` when the interval is negative, `1` when positive or `0` when empty
+   */
+  get sign() {
+    return Math.sign(this.totalMonths);
+  }
+
+  /**
+   * Adds the interval to a date
+   * @param {Date} date The date to add the interval to
+   * @returns {PreciseDate} The resulting date (retains the nanoseconds, `precision` and `zone` of the date)
+   */
+  addTo(date) {
+    dates('Interval year-to-month', date);
+    return addMonths(date, this.totalMonths);
+  }
+
+  /**
+   * Subtracts the interval from a date
+   * @param {Date} date The date to subtract the interval from
+   * @returns {PreciseDate} The resulting date (retains the nanoseconds, `precision` and `zone` of the date)
+   */
+  subtractFrom(date) {
+    return this.negate().addTo(date);
+  }
+
+  /**
+   * @param {YearToMonthInterval} interval The interval to add
+   * @returns {YearToMonthInterval} The sum of the intervals
+   */
+  plus(interval) {
+    same(this, interval);
+    return new YearToMonthInterval(0, this.totalMonths + interval.totalMonths);
+  }
+
+  /**
+   * @returns {YearToMonthInterval} The interval with the opposite sign
+   */
+  negate() {
+    return new YearToMonthInterval(-this.years, -this.months);
+  }
+
+  /**
+   * @param {YearToMonthInterval} interval The interval to compare to
+   * @returns {Number} `-1` when this interval is shorter, `1` when longer or `0` when equal
+   */
+  compareTo(interval) {
+    same(this, interval);
+    return Math.sign(this.totalMonths - interval.totalMonths);
+  }
+
+  /**
+   * Formats the interval (i.e. `[+|-]YEARS-MM`)
+   * @param {Number} [yearPrecision] The minimum number of digits output for the __YEARS__ (defaults to the `ansi` dialect)
+   * @returns {String} The formatted interval
+   */
+  toString(yearPrecision) {
+    return `${this.sign < 0 ? '-' : '+'}${pad(Math.abs(this.years), yearPrecision || resolveDialect().yearPrecision)}-${
+      pad(Math.abs(this.months), 2)}`;
+  }
+}
+
+/**
+ * An __interval-day-to-second__ (i.e. `[+|-]DAYS HH:MI:SS.FFF`) that retains the number of days, hours, minutes, seconds and
+ * nanoseconds separately. Each of the fields always have the same sign and are normalized to their natural range (e.g. 25 hours
+ * is 1 day and 1 hour). A day is always 24 hours, so arithmetic is performed on the exact instant of a Date.
+ */
+export class DayToSecondInterval {
+
+  /**
+   * Constructs an interval-day-to-second
+   * @param {Number} [days=0] The number of days
+   * @param {Number} [hours=0] The number of hours
+   * @param {Number} [minutes=0] The number of minutes
+   * @param {Number} [seconds=0] The number of seconds
+   * @param {(Number | BigInt)} [nanoseconds=0] The number of nanoseconds
+   * @param {Number} [precision] The number of fractional second digits that the interval was parsed from (0 to 9)
+   */
+  constructor(days = 0, hours = 0, minutes = 0, seconds = 0, nanoseconds = 0, precision) {
+    integers('Interval day-to-second', { days, hours, minutes, seconds, nanoseconds }, true);
+    let total = BigInt(days) * NANOS_PER_DAY + BigInt(hours) * NANOS_PER_HOUR + BigInt(minutes) * NANOS_PER_MINUTE
+      + BigInt(seconds) * NANOS_PER_SECOND + BigInt(nanoseconds);
+    const neg = total < ZERO;
+    if (neg) total = -total;
+    const field = (unit, max) => (neg ? -1 : 1) * Number((total / unit) % max) + 0;
+    /**
+     * The number of days
+     * @type {Number}
+     */
+    this.days = (neg ? -1 : 1) * Number(total / NANOS_PER_DAY) + 0;
+    /**
+     * The number of hours (-23 to 23)
+     * @type {Number}
+     */
+    this.hours = field(NANOS_PER_HOUR, BigInt(24));
+    /**
+     * The number of minutes (-59 to 59)
+     * @type {Number}
+     */
+    this.minutes = field(NANOS_PER_MINUTE, BigInt(60));
+    /**
+     * The number of seconds (-59 to 59)
+     * @type {Number}
+     */
+    this.seconds = field(NANOS_PER_SECOND, BigInt(60));
+    /**
+     * The number of nanoseconds (-999999999 to 999999999)
+     * @type {Number}
+     */
+    this.nanoseconds = field(BigInt(1), NANOS_PER_SECOND);
+    /**
+     * The number of fractional second digits that the interval was parsed from (0 to 9) or `undefined` when unknown
+     * @type {Number}
+     */
+    this.precision = precision;
+    Object.freeze(this);
+  }
+
+  /**
+   * Calculates the exact amount of time from one date to another (including any nanoseconds retained by a {@link PreciseDate})
+   * @param {Date} start The starting date
+   * @param {Date} end The ending date
+   * @returns {DayToSecondInterval} The interval (negative when `end` is before `start`)
+   */
+  static between(start, end) {
+    dates('Interval day-to-second', start, end);
+    return new DayToSecondInterval(0, 0, 0, 0, nanosOf(end) - nanosOf(start));
+  }
+
+  /**
+   * @returns {BigInt} The total number of nanoseconds
+   */
+  get totalNanoseconds() {
+    return BigInt(this.days) * NANOS_PER_DAY + BigInt(this.hours) * NANOS_PER_HOUR + BigInt(this.minutes) * NANOS_PER_MINUTE
+      + BigInt(this.seconds) * NANOS_PER_SECOND + BigInt(this.nanoseconds);
+  }
+
+  /**
+   * @returns {Number} `-1` when the interval is negative, `1` when positive or `0` when empty
+   */
+  get sign() {
+    const total = this.totalNanoseconds;
+    return total < ZERO ? -1 : total > ZERO ? 1 : 0;
+  }
+
+  /**
+   * Adds the interval to a date
+   * @param {Date} date The date to add the interval to
+   * @returns {PreciseDate} The resulting date (retains the `precision` and `zone` of the date)
+   */
+  addTo(date) {
+    dates('Interval day-to-second', date);
+    return copy(date, PreciseDate.fromEpochNanoseconds(nanosOf(date) + this.totalNanoseconds));
+  }
+
+  /**
+   * Subtracts the interval from a date
+   * @param {Date} date The date to subtract the interval from
+   * @returns {PreciseDate} The resulting date (retains the `precision` and `zone` of the date)
+   */
+  subtractFrom(date) {
+    return this.negate().addTo(date);
+  }
+
+  /**
+   * @param {DayToSecondInterval} interval The interval to add
+   * @returns {DayToSecondInterval} The sum of the intervals (retains the greater of the two `precision` values)
+   */
+  plus(interval) {
+    same(this, interval);
+    const precision = this.precision === undefined ? interval.precision : interval.precision === undefined ? this.precision :
+      Math.max(this.precision, interval.precision);
+    return new DayToSecondInterval(0, 0, 0, 0, this.totalNanoseconds + interval.totalNanoseconds, precision);
+  }
+
+  /**
+   * @returns {DayToSecondInterval} The interval with the opposite sign
+   */
+  negate() {
+    return new DayToSecondInterval(0, 0, 0, 0, -this.totalNanoseconds, this.precision);
+  }
+
+  /**
+   * @param {DayToSecondInterval} interval The interval to compare to
+   * @returns {Number} `-1` when this interval is shorter, `1` when longer or `0` when equal
+   */
+  compareTo(interval) {
+    same(this, interval);
+    const diff = this.totalNanoseconds - interval.totalNanoseconds;
+    return diff < ZERO ? -1 : diff > ZERO ? 1 : 0;
+  }
+
+  /**
+   * Formats the interval (i.e. `[+|-]DAYS HH:MI:SS.FFF`)
+   * @param {Number} [dayPrecision] The minimum number of digits output for the __DAYS__ (defaults to the `ansi` dialect)
+   * @param {Number} [precision] The number of fractional second digits to output (0 to 9, extra digits are truncated). Defaults
+   * to the `precision` of the interval or the fewest number of digits (3, 6 or 9) that retain the nanoseconds.
+   * @returns {String} The formatted interval
+   */
+  toString(dayPrecision, precision) {
+    const nanos = Math.abs(this.nanoseconds);
+    const digits = precision !== undefined ? precision : this.precision !== undefined ? this.precision :
+      nanos % 1e6 ? (nanos % 1e3 ? 9 : 6) : 3;
+    return `${this.sign < 0 ? '-' : '+'}${pad(Math.abs(this.days), dayPrecision || resolveDialect().dayPrecision)} ${
+      pad(Math.abs(this.hours), 2)}:${pad(Math.abs(this.minutes), 2)}:${pad(Math.abs(this.seconds), 2)}${
+      digits ? `.${pad(nanos, 9).slice(0, digits)}` : ''}`;
+  }
+}
+
+/**
+ * Adds calendar months to the UTC fields of a date (constraining the day of the month)
+ * @private
+ * @param {Date} date The date
+ * @param {Number} months The number of months to add
+ * @returns {PreciseDate} The resulting date
+ */
+function addMonths(date, months) {
+  const total = date.getUTCFullYear() * 12 + date.getUTCMonth() + months, yyyy = Math.floor(total / 12), mm = total - yyyy * 12;
+  const dd = Math.min(date.getUTCDate(), new Date(utc(yyyy, mm + 1, 0, 0, 0, 0, 0)).getUTCDate());
+  return copy(date, new PreciseDate(utc(yyyy, mm, dd, date.getUTCHours(), date.getUTCMinutes(), date.getUTCSeconds(),
+    date.getUTCMilliseconds())), true);
+}
+
+/**
+ * Copies the nanoseconds, `precision` and `zone` of a date into a {@link PreciseDate}
+ * @private
+ * @param {Date} from The date to copy from
+ * @param {PreciseDate} to The date to copy to
+ * @param {Boolean} [nanos] Truthy to also copy the nanoseconds beyond milliseconds
+ * @returns {PreciseDate} The date that was copied to
+ */
+function copy(from, to, nanos) {
+  if (from instanceof PreciseDate) {
+    if (nanos) to.setNanoseconds(from.getNanoseconds());
+    to.precision = from.precision;
+    to.zone = from.zone;
+  }
+  return to;
+}
+
+/**
+ * @private
+ * @param {Date} date The date
+ * @returns {BigInt} The nanoseconds since the Unix epoch
+ */
+function nanosOf(date) {
+  return date instanceof PreciseDate ? date.epochNanoseconds : BigInt(date.getTime()) * NANOS_PER_MILLI;
+}
+
+/**
+ * Validates that interval fields are integers
+ * @private
+ * @param {String} name The name of the interval
+ * @param {Object} fields The fields to validate
+ * @param {Boolean} [bigints] Truthy to also allow `BigInt` fields
+ */
+function integers(name, fields, bigints) {
+  for (let field in fields) {
+    if (bigints && typeof fields[field] === 'bigint') continue;
+    if (!Number.isSafeInteger(fields[field])) {
+      throw new TypeError(`${name} ${field} must be an integer, but found: ${fields[field]}`);
+    }
+  }
+}
+
+/**
+ * Validates that each of the arguments are valid Dates
+ * @private
+ * @param {String} name The name of the interval
+ * @param {...Date} args The dates to validate
+ */
+function dates(name, ...args) {
+  for (let date of args) {
+    if (!(date instanceof Date) || isNaN(date.getTime())) {
+      throw new TypeError(`${name} requires a valid Date, but found: ${date}`);
+    }
+  }
+}
+
+/**
+ * Validates that two intervals are of the same type
+ * @private
+ * @param {(YearToMonthInterval | DayToSecondInterval)} interval The interval
+ * @param {(YearToMonthInterval | DayToSecondInterval)} other The other interval
+ */
+function same(interval, other) {
+  if (!(other instanceof interval.constructor)) {
+    throw new TypeError(`Expected a ${interval.constructor.name}, but found: ${other}`);
+  }
+}
@@ -0,0 +1,131 @@
+'use strict';
+
+import * as core from './core.js';
+import MomentDBParseError from './errors.js';
+import { YearToMonthInterval, DayToSecondInterval } from './intervals.js';
+import { LocalDate, LocalTime, LocalDateTime } from './civil.js';
+import { isTemporal, fromTemporal } from './temporal.js';
+import { resolve as resolveDialect } from './dialects.js';
+
+const LITERAL_RX = new RegExp('^\\s*(DATE|TIME|TIMESTAMP|INTERVAL)\\s*(?:\\(\\s*(\\d)\\s*\\))?'
+  + '(?:\\s+(WITH|WITHOUT)\\s+TIME\\s+ZONE)?\\s*\'((?:[^\']|\'\')*)\''
+  + '(?:\\s*(YEAR|DAY)\\s*(?:\\(\\s*(\\d)\\s*\\))?\\s+TO\\s+(MONTH|SECOND)\\s*(?:\\(\\s*(\\d)\\s*\\))?)?\\s*$', 'i');
+
+/**
+ * Generates a typed SQL `DATE` literal (e.g. `DATE '2030-01-31'`)
+ * @param {(Date | LocalDate | LocalDateTime | Object)} date The date (or local/Temporal value) to extract the __date__ from
+ * @param {Object} [opts] The formatting options (see {@link MomentDB.date})
+ * @returns {String} The SQL literal
+ */
+export function date(date, opts) {
+  return `DATE ${quote(core.date(required(date), opts))}`;
+}
+
+/**
+ * Generates a typed SQL `TIME` literal (e.g. `TIME WITH TIME ZONE '12:01:20.903 -07:00'`)
+ * @param {(Date | LocalTime | LocalDateTime | Object)} date The date (or local/Temporal value) to extract the __time__ from
+ * @param {Boolean} [excludeTimezone] Truthy to generate a `TIME` literal rather than a `TIME WITH TIME ZONE` literal
+ * @param {Object} [opts] The formatting options (see {@link MomentDB.time})
+ * @returns {String} The SQL literal
+ */
+export function time(date, excludeTimezone, opts) {
+  return `TIME${zoned(excludeTimezone, opts)} ${quote(core.time(required(date), excludeTimezone, opts))}`;
+}
+
+/**
+ * Generates a typed SQL `TIMESTAMP` literal (e.g. `TIMESTAMP WITH TIME ZONE '2030-01-31 12:01:20.903 -07:00'`)
+ * @param {(Date | LocalDate | LocalDateTime | Object)} date The date (or local/Temporal value) to extract the __timestamp__
+ * from
+ * @param {Boolean} [excludeTimezone] Truthy to generate a `TIMESTAMP` literal rather than a `TIMESTAMP WITH TIME ZONE` literal
+ * @param {Object} [opts] The formatting options (see {@link MomentDB.timestamp})
+ * @returns {String} The SQL literal
+ */
+export function timestamp(date, excludeTimezone, opts) {
+  return `TIMESTAMP${zoned(excludeTimezone, opts)} ${quote(core.timestamp(required(date), excludeTimezone, opts))}`;
+}
+
+/**
+ * Generates a typed SQL `INTERVAL` literal with the leading and fractional precision qualifiers (e.g.
+ * `INTERVAL '+0001-02' YEAR(4) TO MONTH` or `INTERVAL '+0000003 04:05:06.789' DAY(7) TO SECOND(3)`). The leading precision is
+ * the greater of the dialect `yearPrecision`/`dayPrecision` and the number of digits in the __YEARS__/__DAYS__ (omitted when
+ * the dialect does not support a `leadingPrecision`).
+ * @param {(YearToMonthInterval | DayToSecondInterval | Object)} interval The interval (or a `Temporal.Duration`)
+ * @param {Object} [opts] The formatting options (see {@link MomentDB.intervalYearToMonth} and {@link MomentDB.intervalDayToSecond},
+ * the `intervalStyle` option is ignored)
+ * @returns {String} The SQL literal
+ */
+export function interval(interval, opts) {
+  interval = fromTemporal(interval);
+  const dialect = resolveDialect(opts && opts.dialect), use = Object.assign({}, opts, { intervalStyle: 'sql_standard' });
+  const lead = (digits, num) => dialect.leadingPrecision ? `(${Math.min(9, Math.max(digits, String(Math.abs(num)).length))})` : '';
+  if (interval instanceof YearToMonthInterval) {
+    return `INTERVAL ${quote(core.intervalYearToMonth(interval, null, null, use))} YEAR${
+      lead(dialect.yearPrecision, interval.years)} TO MONTH`;
+  }
+  if (interval instanceof DayToSecondInterval) {
+    use.precision = use.precision !== undefined && use.precision !== null ? use.precision :
+      interval.precision !== undefined ? interval.precision : dialect.intervalFraction;
+    return `INTERVAL ${quote(core.intervalDayToSecond(interval, null, null, use))} DAY${
+      lead(dialect.dayPrecision, interval.days)} TO SECOND(${use.precision})`;
+  }
+  throw new TypeError(`Expected a YearToMonthInterval or DayToSecondInterval, but found: ${interval}`);
+}
+
+/**
+ * Parses a typed SQL literal generated by one of the literal functions (or written by hand) back into a Date or interval. Any
+ * precision qualifiers are accepted, but ignored (the precision is determined by the quoted value). The quoted value is parsed
+ * strictly by default so that nothing other than the value can be smuggled inside of the quotes.
+ * @param {String} literal The SQL literal (e.g. `TIMESTAMP WITH TIME ZONE '2030-01-31 12:01:20.903 -07:00'`)
+ * @param {Object} [opts] The parsing options (see {@link MomentDB.parse}, the `as` and `intervalStyle` options are ignored and
+ * `strict` defaults to `true`)
+ * @returns {(PreciseDate | YearToMonthInterval | DayToSecondInterval)} A Date for `DATE`, `TIME` and `TIMESTAMP` literals or an
+ * interval for `INTERVAL` literals
+ * @throws {MomentDBParseError} When the literal is invalid
+ */
+export function parse(literal, opts) {
+  const match = typeof literal === 'string' && literal.match(LITERAL_RX);
+  const keyword = match && match[1].toUpperCase(), qualifier = match && match[5] && `${match[5]} TO ${match[7]}`.toUpperCase();
+  if (!match || (keyword === 'INTERVAL') !== !!qualifier || (qualifier && !/^(YEAR TO MONTH|DAY TO SECOND)$/.test(qualifier))
+    || (match[3] && !/^TIME/i.test(keyword))) {
+    throw new MomentDBParseError(`Invalid SQL literal: ${literal}`, 'literal', 'input', 0, literal);
+  }
+  const type = keyword === 'INTERVAL' ? `interval ${qualifier.toLowerCase()}` :
+    `${keyword.toLowerCase()}${match[3] && match[3].toUpperCase() === 'WITH' ? ' with time zone' : ''}`;
+  const use = Object.assign({ strict: true }, opts, { as: keyword === 'INTERVAL' ? 'interval' : 'date',
+    intervalStyle: 'sql_standard' });
+  return core.parse(type, match[4].replace(/''/g, '\''), use);
+}
+
+/**
+ * Quotes a value as an SQL string (escaping any single quotes)
+ * @private
+ * @param {String} value The value to quote
+ * @returns {String} The quoted value
+ */
+function quote(value) {
+  return `'${value.replace(/'/g, '\'\'')}'`;
+}
+
+/**
+ * @private
+ * @param {Boolean} [excludeTimezone] Truthy when the timezone is excluded
+ * @param {Object} [opts] The formatting options
+ * @returns {String} The `WITH TIME ZONE` qualifier when the literal will contain a timezone
+ */
+function zoned(excludeTimezone, opts) {
+  return !excludeTimezone && resolveDialect(opts && opts.dialect).offset ? ' WITH TIME ZONE' : '';
+}
+
+/**
+ * Validates that a Date, local or Temporal value was passed (formatted strings are not accepted by the literal functions)
+ * @private
+ * @param {(Date | LocalDate | LocalTime | LocalDateTime | Object)} value The value
+ * @returns {(Date | LocalDate | LocalTime | LocalDateTime | Object)} The value
+ */
+function required(value) {
+  if (!(value instanceof Date || value instanceof LocalDate || value instanceof LocalTime || value instanceof LocalDateTime
+    || isTemporal(value))) {
+    throw new TypeError(`Expected a Date, local or Temporal value to generate an SQL literal from, but found: ${value}`);
+  }
+  return value;
+}
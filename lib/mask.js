@@ -0,0 +1,412 @@
+'use strict';
+
+import MomentDBParseError from './errors.js';
+import PreciseDate, { fractionOf } from './precise-date.js';
+import { daysIn } from './calendar.js';
+import { pad } from './util.js';
+import { resolveZone, resolveDisambiguation, offsetAt, instantOf, abbreviationAt, formatOffset, utc, ABBREVIATIONS, LOCAL, UTC }
+  from './zones.js';
+
+const MONTHS = ['JANUARY', 'FEBRUARY', 'MARCH', 'APRIL', 'MAY', 'JUNE', 'JULY', 'AUGUST', 'SEPTEMBER', 'OCTOBER', 'NOVEMBER',
+  'DECEMBER'];
+const DAYS = ['SUNDAY', 'MONDAY', 'TUESDAY', 'WEDNESDAY', 'THURSDAY', 'FRIDAY', 'SATURDAY'];
+const TOKENS = ['SSSSS', 'MONTH', 'HH24', 'HH12', 'A.M.', 'P.M.', 'YYYY', 'RRRR', 'FF1', 'FF2', 'FF3', 'FF4', 'FF5', 'FF6', 'FF7',
+  'FF8', 'FF9', 'YYY', 'DDD', 'MON', 'DAY', 'FFF', 'TZH', 'TZM', 'TZR', 'TZD', 'YY', 'RR', 'MM', 'DD', 'DY', 'HH', 'MI', 'SS',
+  'FF', 'AM', 'PM', 'TH', 'TM', 'FM', 'FX', 'Y', 'Q', 'J'];
+const MERIDIANS = ['AM', 'PM', 'A.M.', 'P.M.'];
+const ZONE_TOKENS = ['TZH', 'TZM', 'TZR', 'TZD', 'TH', 'TM'];
+const JULIAN_EPOCH = 2440588; // Julian day number of 1970-01-01
+
+/**
+ * A compiled format mask
+ * @typedef {Object} MomentDB~Mask
+ * @property {String} mask The format mask that was compiled
+ * @property {Function} format Formats a Date using the mask (like `TO_CHAR`). Accepts a single Date argument and returns the
+ * formatted String.
+ * @property {Function} parse Parses a String using the mask (like `TO_DATE`/`TO_TIMESTAMP_TZ`). Accepts a single String argument
+ * and returns a {@link PreciseDate}.
+ */
+
+/**
+ * Compiles an Oracle/NLS-style format mask into a reusable formatter and parser. Supported elements (case determines the case of
+ * any text output, e.g. `MON` = `JAN`, `Mon` = `Jan`, `mon` = `jan`):
+ * | <u>Element</u>        | <u>Description</u>
+ * | :---                  | :---
+ * | YYYY, RRRR            | 4-digit year
+ * | YYY, YY, Y            | Last 3, 2 or 1 digit(s) of the year (parsed relative to the current year)
+ * | RR                    | 2-digit year (parsed as a year within 50 years of the current year)
+ * | MM                    | 2-digit month (01 to 12)
+ * | MON, MONTH            | Abbreviated/full month name
+ * | DD                    | 2-digit day (01 to 31)
+ * | DDD                   | 3-digit day of the year (001 to 366)
+ * | DY, DAY               | Abbreviated/full day name (ignored when parsing)
+ * | HH                    | 2-digit hour (00 to 23) or (01 to 12) when the mask contains a meridian indicator
+ * | HH24, HH12            | 2-digit hour (00 to 23) or (01 to 12, parsed as AM when the mask has no meridian indicator)
+ * | MI                    | 2-digit minute (00 to 59)
+ * | SS                    | 2-digit second (00 to 59)
+ * | SSSSS                 | Seconds past midnight (0 to 86399)
+ * | FF1 to FF9, FF, FFF   | Fraction of a second with 1 to 9 digits, `FF` = 6 digits and `FFF` = 3 digits
+ * | AM, PM, A.M., P.M.    | Meridian indicator
+ * | TZH, TH               | 2-digit hour offset (-12 to 14), the Oracle `TH` ordinal suffix (e.g. `DDTH`) is not supported
+ * | TZM, TM               | 2-digit minute offset (00 to 59), the Oracle `TM` text modifier (e.g. `TMMonth`) is not supported
+ * | TZR                   | Time zone region (e.g. `America/Denver`) or the offset when the zone has no region (e.g. `-07:00`)
+ * | TZD                   | Time zone abbreviation with daylight saving information (e.g. `MST`/`MDT`)
+ * | Q                     | Quarter of the year (1 to 4, ignored when parsing)
+ * | J                     | Julian day number (days since January 1, 4712 BC)
+ * | FM                    | Toggles _fill mode_ (suppresses padding of the elements that follow)
+ * | FX                    | Toggles _format exact_ (literals must match exactly when parsing)
+ * | "text"                | Quoted literal text
+ *
+ * Any other punctuation/whitespace is treated as a literal. When parsing (and _format exact_ is off) literal punctuation will
+ * match any run of punctuation/whitespace. Masks that contain timezone elements are formatted using the `zone` option (or the
+ * `zone` of a {@link PreciseDate} or the host time zone when omitted), otherwise UTC is used (same as the {@link MomentDB}
+ * `excludeTimezone` option). Parsed values that omit the year or month default to the current UTC year/month, omitted days
+ * default to `1` and omitted times default to midnight. Parsed values that omit the timezone are interpreted in the `zone` option
+ * (or UTC when omitted). Parsed fields must be within the ranges above (days within the month/year) or a
+ * {@link MomentDBParseError} is thrown with a `type` of `mask` (invalid masks also throw with a `field` of `element` or
+ * `literal`).
+ * @param {String} mask The format mask
+ * @param {Object} [opts] The formatting/parsing options
+ * @param {(String | Number)} [opts.zone] An IANA time zone identifier (e.g. `America/Denver`) or fixed offset (e.g. `-07:00`)
+ * that will be used to format values and to parse values that do not contain a timezone
+ * @param {MomentDB~Disambiguation} [opts.disambiguation] How local wall-clock times that fall within DST gaps/overlaps are resolved
+ * when parsing
+ * @returns {MomentDB~Mask} The compiled mask
+ */
+export function compile(mask, opts) {
+  if (typeof mask !== 'string' || !mask) {
+    throw new TypeError('Format mask must be a non-empty String');
+  }
+  const elements = tokenize(mask);
+  const rx = expression(elements);
+  const options = {
+    zone: opts && opts.zone !== undefined && opts.zone !== null ? resolveZone(opts.zone) : undefined,
+    disambiguation: resolveDisambiguation(opts && opts.disambiguation)
+  };
+  return Object.freeze({
+    mask,
+    format: (date) => format(elements, options, date),
+    parse: (str) => parse(elements, rx, options, mask, str)
+  });
+}
+
+/**
+ * Splits a format mask into elements
+ * @private
+ * @param {String} mask The format mask
+ * @returns {Object[]} The elements with a `token` (uppercase) and the original `text` along with the `fill`/`exact` modifiers
+ * that are in effect. Literals have no `token`.
+ */
+function tokenize(mask) {
+  const elements = [];
+  let fill = true, exact = false, pos = 0;
+  while (pos < mask.length) {
+    if (mask[pos] === '"') {
+      const end = mask.indexOf('"', pos + 1);
+      if (end < 0) {
+        throw new MomentDBParseError(`Unterminated quoted literal in format mask "${mask}" at position ${pos}`, 'mask', 'literal',
+          pos, mask);
+      }
+      elements.push({ text: mask.slice(pos + 1, end), quoted: true, exact });
+      pos = end + 1;
+      continue;
+    }
+    const upper = mask.slice(pos).toUpperCase();
+    const token = TOKENS.find(tkn => upper.startsWith(tkn));
+    if (token) {
+      const text = mask.substr(pos, token.length), last = elements[elements.length - 1];
+      // TH/TM are the MomentDB offset notation, so the Oracle suffix/modifier of the same name is rejected rather than misread
+      if (token === 'TH' && last && last.token && !ZONE_TOKENS.includes(last.token)) {
+        throw new MomentDBParseError(`Unsupported ordinal suffix TH (TH is the hour offset) in format mask "${mask}" at position ${
+          pos}`, 'mask', 'element', pos, mask);
+      }
+      if (token === 'TM' && TOKENS.some(tkn => upper.startsWith(tkn, 2))) {
+        throw new MomentDBParseError(`Unsupported text modifier TM (TM is the minute offset) in format mask "${mask}" at position ${
+          pos}`, 'mask', 'element', pos, mask);
+      }
+      pos += token.length;
+      if (token === 'FM') fill = !fill;
+      else if (token === 'FX') exact = !exact;
+      else elements.push({ token, text, fill, exact });
+    } else if (/[A-Za-z0-9]/.test(mask[pos])) {
+      throw new MomentDBParseError(`Unrecognized element in format mask "${mask}" at position ${pos}`, 'mask', 'element', pos,
+        mask);
+    } else {
+      const last = elements[elements.length - 1];
+      if (last && !last.token && !last.quoted) last.text += mask[pos];
+      else elements.push({ text: mask[pos], exact });
+      pos++;
+    }
+  }
+  const meridian = elements.some(elm => MERIDIANS.includes(elm.token));
+  for (let elm of elements) {
+    if (elm.token === 'HH') elm.token = meridian ? 'HH12' : 'HH24';
+  }
+  return elements;
+}
+
+/**
+ * Formats a Date using compiled mask elements
+ * @private
+ * @param {Object[]} elements The elements from {@link tokenize}
+ * @param {Object} options The resolved options from {@link compile}
+ * @param {Date} date The date to format
+ * @returns {String} The formatted date
+ */
+function format(elements, options, date) {
+  if (!(date instanceof Date)) {
+    throw new Error('Specified date must be an instance of Date');
+  }
+  const zoned = elements.some(elm => ZONE_TOKENS.includes(elm.token));
+  const zone = options.zone || (zoned ? (date instanceof PreciseDate && date.zone && resolveZone(date.zone)) || LOCAL : UTC);
+  const offset = offsetAt(zone, date.getTime()), wall = new Date(date.getTime() + offset * 60000);
+  const yyyy = wall.getUTCFullYear(), mm = wall.getUTCMonth(), dd = wall.getUTCDate(), dow = wall.getUTCDay();
+  const hh = wall.getUTCHours(), mi = wall.getUTCMinutes(), ss = wall.getUTCSeconds(), nanos = fractionOf(date);
+  const day = Math.floor(utc(yyyy, mm, dd, 0, 0, 0, 0) / 8.64e+7);
+  let out = '';
+  for (let elm of elements) {
+    const num = (value, digits) => elm.fill ? pad(value, digits) : String(value);
+    switch (elm.token) {
+      case 'YYYY': case 'RRRR': out += num(yyyy, 4); break;
+      case 'YYY': out += num(yyyy % 1000, 3); break;
+      case 'YY': case 'RR': out += num(yyyy % 100, 2); break;
+      case 'Y': out += String(yyyy % 10); break;
+      case 'MM': out += num(mm + 1, 2); break;
+      case 'MON': out += text(elm, MONTHS[mm].slice(0, 3)); break;
+      case 'MONTH': out += text(elm, MONTHS[mm], 9); break;
+      case 'DD': out += num(dd, 2); break;
+      case 'DDD': out += num(day - utc(yyyy, 0, 1, 0, 0, 0, 0) / 8.64e+7 + 1, 3); break;
+      case 'DY': out += text(elm, DAYS[dow].slice(0, 3)); break;
+      case 'DAY': out += text(elm, DAYS[dow], 9); break;
+      case 'HH24': out += num(hh, 2); break;
+      case 'HH12': out += num(hh % 12 || 12, 2); break;
+      case 'MI': out += num(mi, 2); break;
+      case 'SS': out += num(ss, 2); break;
+      case 'SSSSS': out += num(hh * 3600 + mi * 60 + ss, 5); break;
+      case 'FFF': out += fraction(nanos, 3); break;
+      case 'FF': out += fraction(nanos, 6); break;
+      case 'AM': case 'PM': out += text(elm, hh < 12 ? 'AM' : 'PM'); break;
+      case 'A.M.': case 'P.M.': out += text(elm, hh < 12 ? 'A.M.' : 'P.M.'); break;
+      case 'TZH': case 'TH': out += `${offset < 0 ? '-' : '+'}${num(Math.floor(Math.abs(offset) / 60), 2)}`; break;
+      case 'TZM': case 'TM': out += num(Math.abs(offset) % 60, 2); break;
+      case 'TZR': out += region(zone, offset); break;
+      case 'TZD': out += abbreviationAt(zone, date.getTime()); break;
+      case 'Q': out += String(Math.floor(mm / 3) + 1); break;
+      case 'J': out += String(day + JULIAN_EPOCH); break;
+      default:
+        if (elm.token) out += fraction(nanos, parseInt(elm.token.slice(2)));
+        else out += elm.text;
+    }
+  }
+  return out;
+}
+
+/**
+ * Generates a regular expression used to parse strings using compiled mask elements
+ * @private
+ * @param {Object[]} elements The elements from {@link tokenize}
+ * @param {Boolean} [prefix] Truthy to only match the start of a string with at least one character for each literal (used to
+ * locate where a string stops matching)
+ * @returns {RegExp} The regular expression with a capture group for leading whitespace followed by a capture group for each
+ * mask element
+ */
+function expression(elements, prefix) {
+  let src = '';
+  for (let elm of elements) {
+    switch (elm.token) {
+      case 'YYYY': case 'RRRR': src += '(\\d{1,4})'; break;
+      case 'YYY': src += '(\\d{1,3})'; break;
+      case 'YY': case 'RR': case 'MM': case 'DD': case 'HH24': case 'HH12': case 'MI': case 'SS': case 'TZM': case 'TM':
+        src += '(\\d{1,2})'; break;
+      case 'Y': case 'Q': src += '(\\d)'; break;
+      case 'DDD': src += '(\\d{1,3})'; break;
+      case 'SSSSS': src += '(\\d{1,5})'; break;
+      case 'FFF': case 'FF': src += '(\\d{1,9})'; break;
+      case 'J': src += '(\\d{1,7})'; break;
+      case 'MON': case 'DY': src += '([A-Za-z]{3})'; break;
+      case 'MONTH': case 'DAY': src += '([A-Za-z]+\\s*)'; break;
+      case 'AM': case 'PM': case 'A.M.': case 'P.M.': src += '([AaPp]\\.?[Mm]\\.?)'; break;
+      case 'TZH': case 'TH': src += '([+-]\\d{1,2})'; break;
+      case 'TZR': src += '([A-Za-z][\\w+-]*(?:\\/[\\w+-]+)*|[+-]\\d{1,2}:\\d{2})'; break;
+      case 'TZD': src += '([A-Za-z]{1,5})'; break;
+      default:
+        if (elm.token) src += `(\\d{1,${elm.token.slice(2)}})`;
+        else if (elm.quoted || elm.exact) src += `(${escape(elm.text)})`;
+        else src += prefix ? '([^A-Za-z0-9]+)' : '([^A-Za-z0-9]*?)';
+    }
+  }
+  return new RegExp(`^(\\s*)${src}${prefix ? '' : '\\s*$'}`, elements.some(elm => elm.quoted && !elm.exact) ? 'i' : '');
+}
+
+/**
+ * Parses a string using compiled mask elements
+ * @private
+ * @param {Object[]} elements The elements from {@link tokenize}
+ * @param {RegExp} rx The regular expression from {@link expression}
+ * @param {Object} options The resolved options from {@link compile}
+ * @param {String} mask The format mask (used for error messages)
+ * @param {String} str The string to parse
+ * @returns {PreciseDate} The parsed date
+ */
+function parse(elements, rx, options, mask, str) {
+  if (typeof str !== 'string') {
+    throw new TypeError(`Expected a String to parse using format mask "${mask}", but found: ${typeof str}`);
+  }
+  const match = str.match(rx);
+  if (!match) mismatch(elements, mask, str);
+  const fail = (field, reason, position) => {
+    throw new MomentDBParseError(`${reason} in "${str}" for format mask "${mask}" at position ${position}`, 'mask', field,
+      position, str);
+  };
+  const now = new Date(), year = now.getUTCFullYear();
+  let yyyy = year, mm = now.getUTCMonth(), dd = 1, doy, hh = 0, mi = 0, ss = 0, nanos = 0, precision, pm, julian, offset;
+  let sign = 1, zone, abbr, day, twelve = false, pos = match[1].length, grp = 1;
+  for (let elm of elements) {
+    const val = match[++grp], int = parseInt(val, 10), at = pos;
+    const range = (lo, hi) => {
+      if (int < lo || int > hi) fail(elm.token, `${elm.token} must be from ${lo} to ${hi}, but found ${val}`, at);
+    };
+    pos += val.length;
+    switch (elm.token) {
+      case 'YYYY': case 'RRRR':
+        yyyy = val.length <= 2 && elm.token === 'RRRR' ? rr(int, year) : int; break;
+      case 'YYY': yyyy = year - year % 1000 + int; break;
+      case 'YY': yyyy = year - year % 100 + int; break;
+      case 'Y': yyyy = year - year % 10 + int; break;
+      case 'RR': yyyy = rr(int, year); break;
+      case 'MM': range(1, 12); mm = int - 1; break;
+      case 'MON': case 'MONTH':
+        mm = MONTHS.findIndex(mon => elm.token === 'MON' ? mon.startsWith(val.toUpperCase()) : mon === val.trim().toUpperCase());
+        if (mm < 0) fail(elm.token, `Invalid month "${val.trim()}"`, at);
+        break;
+      case 'DD': dd = int; day = { elm, val, int, at }; break;
+      case 'DDD': doy = int; day = { elm, val, int, at }; break;
+      case 'HH24': range(0, 23); hh = int; break;
+      case 'HH12': range(1, 12); hh = int; twelve = true; break;
+      case 'MI': range(0, 59); mi = int; break;
+      case 'SS': range(0, 59); ss = int; break;
+      case 'SSSSS': range(0, 86399); hh = Math.floor(int / 3600); mi = Math.floor(int % 3600 / 60); ss = int % 60; break;
+      case 'AM': case 'PM': case 'A.M.': case 'P.M.': pm = /^p/i.test(val); break;
+      case 'TZH': case 'TH':
+        range(-12, 14);
+        sign = val[0] === '-' ? -1 : 1;
+        offset = (offset || 0) + sign * Math.abs(int) * 60;
+        break;
+      case 'TZM': case 'TM': range(0, 59); offset = (offset || 0) + sign * int; break;
+      case 'TZR':
+        try {
+          zone = resolveZone(val);
+        } catch (err) {
+          fail(elm.token, `Invalid time zone region "${val}"`, at);
+        }
+        break;
+      case 'TZD':
+        if (!ABBREVIATIONS.hasOwnProperty(val.toUpperCase())) fail(elm.token, `Invalid time zone abbreviation "${val}"`, at);
+        abbr = ABBREVIATIONS[val.toUpperCase()];
+        break;
+      case 'J': julian = int; break;
+      case 'DY': case 'DAY': case 'Q': case undefined: break;
+      default: nanos = parseInt(val.padEnd(9, '0')); precision = val.length;
+    }
+  }
+  if (day && julian === undefined) {
+    // days are checked once the year/month are known since they can follow the day in the mask
+    const max = doy ? daysIn(yyyy, 2) === 29 ? 366 : 365 : daysIn(yyyy, mm + 1), token = day.elm.token;
+    if (day.int < 1 || day.int > max) {
+      const within = doy ? yyyy : `${MONTHS[mm][0]}${MONTHS[mm].slice(1).toLowerCase()} ${yyyy}`;
+      fail(token, `${token} must be from 1 to ${max} in ${within}, but found ${day.val}`, day.at);
+    }
+  }
+  // the same as Oracle, a 12-hour clock without a meridian indicator is AM
+  if (twelve || pm !== undefined) hh = hh % 12 + (pm ? 12 : 0);
+  const wall = julian !== undefined ? (julian - JULIAN_EPOCH) * 8.64e+7 + ((hh * 60 + mi) * 60 + ss) * 1000 + Math.floor(nanos / 1e6) :
+    utc(yyyy, doy ? 0 : mm, doy || dd, hh, mi, ss, Math.floor(nanos / 1e6));
+  let time;
+  if (offset !== undefined) time = wall - offset * 60000;
+  else if (zone || options.zone) time = instantOf(zone || options.zone, wall, options.disambiguation, abbr);
+  else time = wall - (abbr || 0) * 60000;
+  const date = new PreciseDate(time);
+  date.setNanoseconds(nanos % 1e6);
+  date.precision = precision;
+  if (zone && zone.fixed === undefined) date.zone = zone.id;
+  return date;
+}
+
+/**
+ * Locates where a string stops matching compiled mask elements
+ * @private
+ * @param {Object[]} elements The elements from {@link tokenize}
+ * @param {String} mask The format mask (used for error messages)
+ * @param {String} str The string that does not match
+ * @throws {MomentDBParseError} Always, with the first mask element that does not match as the `field` (`separator` for
+ * literals or `end` for unexpected trailing characters)
+ */
+function mismatch(elements, mask, str) {
+  let count = elements.length, match;
+  while (!(match = str.match(expression(elements.slice(0, count), true)))) count--;
+  const elm = elements[count], position = match[0].length;
+  const field = elm ? elm.token || 'separator' : 'end', expected = elm ? elm.token || `"${elm.text}"` : 'the end';
+  throw new MomentDBParseError(`"${str}" does not match format mask "${mask}": expected ${expected} at position ${position}`,
+    'mask', field, position, str);
+}
+
+/**
+ * Gets the region of a time zone
+ * @private
+ * @param {MomentDB~Zone} zone The time zone
+ * @param {Number} offset The offset in minutes from UTC (used when the zone has no region)
+ * @returns {String} The time zone region
+ */
+function region(zone, offset) {
+  if (zone === LOCAL) return Intl.DateTimeFormat().resolvedOptions().timeZone || formatOffset(offset);
+  return zone.fixed === undefined ? zone.id : formatOffset(offset);
+}
+
+/**
+ * Resolves a 2-digit `RR` year
+ * @private
+ * @param {Number} yy The 2-digit year
+ * @param {Number} year The current year
+ * @returns {Number} The year within 50 years of the current year
+ */
+function rr(yy, year) {
+  const century = year - year % 100, cur = year % 100;
+  if (cur < 50) return yy < 50 ? century + yy : century - 100 + yy;
+  return yy < 50 ? century + 100 + yy : century + yy;
+}
+
+/**
+ * Applies the case of a mask element to text output
+ * @private
+ * @param {Object} elm The mask element
+ * @param {String} value The uppercase text value
+ * @param {Number} [width] The width to pad to when fill mode is on
+ * @returns {String} The text in the case of the mask element
+ */
+function text(elm, value, width) {
+  const out = elm.fill && width ? value.padEnd(width, ' ') : value;
+  if (/[a-z]/.test(elm.text[0])) return out.toLowerCase();
+  if (/[a-z]/.test(elm.text[1])) return out[0] + out.slice(1).toLowerCase();
+  return out;
+}
+
+/**
+ * Formats a fraction of a second
+ * @private
+ * @param {Number} nanos The nanoseconds within the second
+ * @param {Number} digits The number of digits
+ * @returns {String} The fraction of a second
+ */
+function fraction(nanos, digits) {
+  return pad(nanos, 9).slice(0, digits);
+}
+
+/**
+ * Escapes literal text for use in a regular expression
+ * @private
+ * @param {String} text The text to escape
+ * @returns {String} The escaped text
+ */
+function escape(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
@@ -0,0 +1,95 @@
+'use strict';
+
+const NANOS_PER_MILLI = BigInt(1000000);
+
+/**
+ * A Date that retains fractional seconds beyond millisecond precision (up to nanoseconds) along with the number of fractional
+ * second digits it was parsed from. Returned by the {@link MomentDB} parsers so that a formatted value can be converted into a
+ * Date and _back_ into the same formatted value without losing any precision. Any of the {@link MomentDB} formatters will use the
+ * retained nanoseconds and `precision` (unless a `precision` option is explicitly set). When parsed from a value that contains a
+ * time zone region (e.g. `America/Denver`), the region is retained as the `zone` and will be used in place of the host time
+ * zone when formatted with a timezone (unless a `zone` option is explicitly set).
+ * __Note:__ The nanoseconds beyond milliseconds are retained as-is when any of the inherited Date mutators are called.
+ */
+export default class PreciseDate extends Date {
+
+  /**
+   * Constructs a precise date
+   * @param {...any} args The same arguments accepted by a `Date` constructor. When a single `PreciseDate` is passed its
+   * nanoseconds, `precision` and `zone` will also be copied.
+   */
+  constructor(...args) {
+    super(...args);
+    /**
+     * The nanoseconds beyond milliseconds (0 to 999999)
+     * @private
+     * @type {Number}
+     */
+    this.nanos = args.length === 1 && args[0] instanceof PreciseDate ? args[0].getNanoseconds() : 0;
+    /**
+     * The number of fractional second digits that the date was parsed from (0 to 9) or `undefined` when unknown
+     * @type {Number}
+     */
+    this.precision = args.length === 1 && args[0] instanceof PreciseDate ? args[0].precision : undefined;
+    /**
+     * The IANA time zone identifier that the date was parsed from or `undefined` when unknown
+     * @type {String}
+     */
+    this.zone = args.length === 1 && args[0] instanceof PreciseDate ? args[0].zone : undefined;
+  }
+
+  /**
+   * Creates a precise date from nanoseconds since the Unix epoch
+   * @param {(BigInt | Number | String)} epochNanoseconds The nanoseconds since `1970-01-01T00:00:00Z`
+   * @param {Number} [precision] The number of fractional second digits
+   * @returns {PreciseDate} The precise date
+   */
+  static fromEpochNanoseconds(epochNanoseconds, precision) {
+    const ns = BigInt(epochNanoseconds);
+    let ms = ns / NANOS_PER_MILLI, sub = ns % NANOS_PER_MILLI;
+    if (sub < 0) {
+      ms -= BigInt(1);
+      sub += NANOS_PER_MILLI;
+    }
+    const date = new PreciseDate(Number(ms));
+    date.setNanoseconds(Number(sub));
+    date.precision = precision;
+    return date;
+  }
+
+  /**
+   * @returns {Number} The nanoseconds beyond milliseconds (0 to 999999)
+   */
+  getNanoseconds() {
+    return this.nanos;
+  }
+
+  /**
+   * Sets the nanoseconds beyond milliseconds
+   * @param {Number} nanoseconds The nanoseconds (0 to 999999)
+   * @returns {Number} The number of milliseconds since the Unix epoch (same as `setTime`)
+   */
+  setNanoseconds(nanoseconds) {
+    if (!Number.isInteger(nanoseconds) || nanoseconds < 0 || nanoseconds > 999999) {
+      throw new RangeError(`Nanoseconds must be an integer from 0 to 999999, but found: ${nanoseconds}`);
+    }
+    this.nanos = nanoseconds;
+    return this.getTime();
+  }
+
+  /**
+   * @returns {BigInt} The nanoseconds since `1970-01-01T00:00:00Z`
+   */
+  get epochNanoseconds() {
+    return BigInt(this.getTime()) * NANOS_PER_MILLI + BigInt(this.nanos);
+  }
+}
+
+/**
+ * Gets the nanoseconds within the second of a date (including the milliseconds)
+ * @param {Date} date The date
+ * @returns {Number} The nanoseconds (0 to 999999999)
+ */
+export function fractionOf(date) {
+  return date.getUTCMilliseconds() * 1e6 + (date instanceof PreciseDate ? date.getNanoseconds() : 0);
+}
@@ -0,0 +1,509 @@
+'use strict';
+
+import * as core from './core.js';
+import MomentDBParseError from './errors.js';
+import PreciseDate from './precise-date.js';
+import { LocalDate, LocalDateTime } from './civil.js';
+import { resolveType, returnsOf } from './types.js';
+import { isTemporal, fromTemporal } from './temporal.js';
+
+/**
+ * The PostgreSQL range types mapped to the SQL type of their bounds
+ * @type {Object}
+ */
+export const RANGE_TYPES = Object.freeze({
+  'daterange': 'date',
+  'tsrange': 'timestamp',
+  'tstzrange': 'timestamp with time zone'
+});
+
+const NANOS_PER_MILLI = BigInt(1000000);
+const MILLIS_PER_DAY = 864e5;
+const ZERO = BigInt(0);
+const EMPTY = 'empty';
+const INFINITY = Object.freeze({ 'infinity': Infinity, '+infinity': Infinity, '-infinity': -Infinity });
+
+/**
+ * A __range__ of dates or timestamps with the same semantics as the PostgreSQL `daterange`, `tsrange` and `tstzrange` types.
+ * Each bound is either inclusive or exclusive, a `null` bound is unbounded (and always exclusive) and ranges without any points
+ * are normalized to a single `empty` range. `date` ranges are discrete, so operations are always performed on their canonical
+ * form (see {@link Range#canonicalize}).
+ */
+export class Range {
+
+  /**
+   * Constructs a range
+   * @param {String} type The range type (`daterange`, `tsrange` or `tstzrange`) or the SQL type of its bounds (`date`,
+   * `timestamp` or `timestamp with time zone`)
+   * @param {(Date | LocalDate | LocalDateTime | Object | Number)} [lower] The lower bound: a Date, a local value (a
+   * {@link LocalDate} for `date` ranges or a {@link LocalDateTime} for `timestamp` ranges), a Temporal value (converted the same
+   * as {@link fromTemporal}), `Infinity`/`-Infinity` or `null` when unbounded
+   * @param {(Date | LocalDate | LocalDateTime | Object | Number)} [upper] The upper bound (see `lower`)
+   * @param {String} [bounds='[)'] The inclusivity of the bounds (`[]`, `[)`, `(]` or `()`) or `empty` for an empty range
+   */
+  constructor(type, lower, upper, bounds = '[)') {
+    const resolved = resolveRangeType(type);
+    if (bounds !== EMPTY && !/^[[(][\])]$/.test(bounds)) {
+      throw new TypeError(`Range bounds must be one of "[)", "[]", "(]", "()" or "empty", but found: ${bounds}`);
+    }
+    let lo = boundOf(resolved, 'lower', lower), hi = boundOf(resolved, 'upper', upper);
+    let loInc = lo !== null && bounds[0] === '[', hiInc = hi !== null && bounds[1] === ']', empty = bounds === EMPTY;
+    if (!empty && lo !== null && hi !== null) {
+      const cmp = compareValues(lo, hi);
+      if (cmp > 0) {
+        throw new RangeError(`Range lower bound must be less than or equal to the upper bound, but found: ${lo} and ${hi}`);
+      }
+      empty = !cmp ? !loInc || !hiInc : resolved === 'date' && !compareValues(loInc ? lo : nextDay(lo), hiInc ? nextDay(hi) : hi);
+    }
+    if (empty) {
+      lo = hi = null;
+      loInc = hiInc = false;
+    }
+    /**
+     * The SQL type of the bounds (`date`, `timestamp` or `timestamp with time zone`)
+     * @type {String}
+     */
+    this.type = resolved;
+    /**
+     * The lower bound (`null` when unbounded or empty)
+     * @type {(Date | LocalDate | LocalDateTime | Number)}
+     */
+    this.lower = lo;
+    /**
+     * The upper bound (`null` when unbounded or empty)
+     * @type {(Date | LocalDate | LocalDateTime | Number)}
+     */
+    this.upper = hi;
+    /**
+     * `true` when the lower bound is included in the range
+     * @type {Boolean}
+     */
+    this.lowerInclusive = loInc;
+    /**
+     * `true` when the upper bound is included in the range
+     * @type {Boolean}
+     */
+    this.upperInclusive = hiInc;
+    /**
+     * `true` when the range does not contain any points
+     * @type {Boolean}
+     */
+    this.empty = empty;
+    Object.freeze(this);
+  }
+
+  /**
+   * @returns {String} The inclusivity of the bounds (e.g. `[)`) or `empty`
+   */
+  get bounds() {
+    return this.empty ? EMPTY : `${this.lowerInclusive ? '[' : '('}${this.upperInclusive ? ']' : ')'}`;
+  }
+
+  /**
+   * Converts a discrete `date` range into its canonical `[)` form (e.g. `[2030-01-01,2030-01-31]` into
+   * `[2030-01-01,2030-02-01)`), the same as PostgreSQL does for a `daterange`. Infinite and unbounded bounds are left as-is.
+   * @returns {Range} The canonical range (the same range when it is not a `date` range or is already canonical)
+   */
+  canonicalize() {
+    if (this.type !== 'date' || this.empty) return this;
+    const lo = finite(this.lower) && !this.lowerInclusive, hi = finite(this.upper) && this.upperInclusive;
+    if (!lo && !hi) return this;
+    return new Range(this.type, lo ? nextDay(this.lower) : this.lower, hi ? nextDay(this.upper) : this.upper,
+      `${lo || this.lowerInclusive ? '[' : '('}${hi || !this.upperInclusive ? ')' : ']'}`);
+  }
+
+  /**
+   * Determines if the range contains a value or every point of another range (i.e. the PostgreSQL `@>` operator)
+   * @param {(Range | Date | LocalDate | LocalDateTime | Object | Number)} value The range or value (see the `lower` of the
+   * {@link Range} constructor). A Date within a `date` range is truncated to its date in UTC (the same as it is formatted).
+   * @returns {Boolean} `true` when the value is within the range (an empty range is contained by every range)
+   */
+  contains(value) {
+    if (value instanceof Range) {
+      same(this, value);
+      if (value.empty) return true;
+      if (this.empty) return false;
+      const [range, other] = [this.canonicalize(), value.canonicalize()];
+      return compareBounds(lowerOf(range), lowerOf(other)) <= 0 && compareBounds(upperOf(range), upperOf(other)) >= 0;
+    }
+    const val = boundOf(this.type, 'value', value);
+    if (this.empty || val === null) return false;
+    const range = this.canonicalize(), point = { value: this.type === 'date' ? dayOf(val) : val, inclusive: true };
+    return compareBounds(lowerOf(range), point) <= 0 && compareBounds(upperOf(range), point) >= 0;
+  }
+
+  /**
+   * Determines if the range has any points in common with another range (i.e. the PostgreSQL `&&` operator)
+   * @param {Range} range The other range
+   * @returns {Boolean} `true` when the ranges overlap (never for an empty range)
+   */
+  overlaps(range) {
+    same(this, range);
+    if (this.empty || range.empty) return false;
+    const [a, b] = [this.canonicalize(), range.canonicalize()];
+    return compareBounds(lowerOf(a), upperOf(b)) <= 0 && compareBounds(lowerOf(b), upperOf(a)) <= 0;
+  }
+
+  /**
+   * Determines if the range is next to another range without a gap or any points in common (i.e. the PostgreSQL `-|-`
+   * operator)
+   * @param {Range} range The other range
+   * @returns {Boolean} `true` when the ranges are adjacent (never for an empty range)
+   */
+  adjacent(range) {
+    same(this, range);
+    if (this.empty || range.empty) return false;
+    const [a, b] = [this.canonicalize(), range.canonicalize()];
+    return touches(a.upper, a.upperInclusive, b.lower, b.lowerInclusive)
+      || touches(b.upper, b.upperInclusive, a.lower, a.lowerInclusive);
+  }
+
+  /**
+   * Calculates the points that the range has in common with another range (i.e. the PostgreSQL `*` operator)
+   * @param {Range} range The other range
+   * @returns {Range} The intersection (empty when the ranges do not overlap)
+   */
+  intersect(range) {
+    if (!this.overlaps(range)) return new Range(this.type, null, null, EMPTY);
+    const [a, b] = [this.canonicalize(), range.canonicalize()];
+    const lo = compareBounds(lowerOf(a), lowerOf(b)) >= 0 ? lowerOf(a) : lowerOf(b);
+    const hi = compareBounds(upperOf(a), upperOf(b)) <= 0 ? upperOf(a) : upperOf(b);
+    return between(this.type, lo, hi);
+  }
+
+  /**
+   * Calculates the points that are in either the range or another range (i.e. the PostgreSQL `+` operator)
+   * @param {Range} range The other range
+   * @returns {Range} The union
+   * @throws {RangeError} When the ranges neither overlap or are adjacent (the union would not be contiguous)
+   */
+  union(range) {
+    same(this, range);
+    if (range.empty) return this.canonicalize();
+    if (this.empty) return range.canonicalize();
+    if (!this.overlaps(range) && !this.adjacent(range)) {
+      throw new RangeError(`The union of ranges ${this} and ${range} would not be contiguous`);
+    }
+    const [a, b] = [this.canonicalize(), range.canonicalize()];
+    const lo = compareBounds(lowerOf(a), lowerOf(b)) <= 0 ? lowerOf(a) : lowerOf(b);
+    const hi = compareBounds(upperOf(a), upperOf(b)) >= 0 ? upperOf(a) : upperOf(b);
+    return between(this.type, lo, hi);
+  }
+
+  /**
+   * @param {*} other The value to compare to
+   * @returns {Boolean} `true` when the value is a range of the same type that contains the same points (e.g. the `date` ranges
+   * `[2030-01-01,2030-01-31]` and `[2030-01-01,2030-02-01)` are equal)
+   */
+  equals(other) {
+    if (!(other instanceof Range) || other.type !== this.type) return false;
+    if (this.empty || other.empty) return this.empty === other.empty;
+    const [a, b] = [this.canonicalize(), other.canonicalize()];
+    return !compareBounds(lowerOf(a), lowerOf(b)) && !compareBounds(upperOf(a), upperOf(b));
+  }
+
+  /**
+   * Converts the range into the start and end of an SQL:2011 `PERIOD` (the start is always inclusive and the end is always
+   * exclusive)
+   * @returns {Object} The `start` and `end` of the period
+   * @throws {RangeError} When the range is empty, unbounded, infinite or the upper bound is inclusive (after canonicalization)
+   */
+  toPeriod() {
+    const range = this.canonicalize();
+    if (range.empty || !finite(range.lower) || !finite(range.upper) || !range.lowerInclusive || range.upperInclusive) {
+      throw new RangeError(`A PERIOD requires a finite range with an inclusive start and an exclusive end, but found: ${this}`);
+    }
+    return { start: range.lower, end: range.upper };
+  }
+
+  /**
+   * Formats the range using the default formatting options (see {@link MomentDB.range})
+   * @returns {String} The formatted range
+   */
+  toString() {
+    return format(this.type, this);
+  }
+}
+
+/**
+ * Resolves a range type
+ * @param {String} type The range type (`daterange`, `tsrange` or `tstzrange`) or the SQL type of its bounds (case-insensitive)
+ * @returns {String} The SQL type of the bounds (`date`, `timestamp` or `timestamp with time zone`)
+ */
+export function resolveRangeType(type) {
+  const name = String(type).trim().toLowerCase();
+  if (RANGE_TYPES.hasOwnProperty(name)) return RANGE_TYPES[name];
+  const resolved = Object.values(RANGE_TYPES).find(subtype => {
+    try {
+      return resolveType(name) === subtype;
+    } catch (err) {
+      return false;
+    }
+  });
+  if (!resolved) {
+    throw new Error(`Unknown range type "${type}" (expected one of: ${Object.keys(RANGE_TYPES).join(', ')}, ${
+      Object.values(RANGE_TYPES).join(', ')})`);
+  }
+  return resolved;
+}
+
+/**
+ * Formats a range (e.g. `[2030-01-01,2030-02-01)`, `("2030-01-31 12:01:20.903",)` or `empty`). Bounds are formatted the same
+ * as the {@link MomentDB} function for the SQL type of the bounds and are quoted when they contain whitespace, commas, quotes,
+ * brackets or parentheses.
+ * @param {String} type The range type (see {@link resolveRangeType})
+ * @param {Range} range The range
+ * @param {Object} [opts] The formatting options (see the `opts` of the {@link MomentDB} function for the SQL type)
+ * @returns {String} The formatted range
+ */
+export function format(type, range, opts) {
+  const resolved = resolveRangeType(type);
+  if (!(range instanceof Range) || range.type !== resolved) {
+    throw new TypeError(`Expected a Range of ${resolved} values, but found: ${range}`);
+  }
+  if (range.empty) return EMPTY;
+  const bound = (value) => {
+    if (value === null) return '';
+    if (value === Infinity || value === -Infinity) return value > 0 ? 'infinity' : '-infinity';
+    const str = resolved === 'date' ? core.date(value, opts) : core.timestamp(value, resolved === 'timestamp', opts);
+    return /[\s,()[\]"\\]/.test(str) ? `"${str.replace(/["\\]/g, '$&$&')}"` : str;
+  };
+  return `${range.lowerInclusive ? '[' : '('}${bound(range.lower)},${bound(range.upper)}${range.upperInclusive ? ']' : ')'}`;
+}
+
+/**
+ * Parses a formatted range (see {@link format}). Bounds can be quoted (a quote or backslash within a quoted bound is escaped
+ * by a backslash or by doubling it), `infinity`/`-infinity` and omitted when unbounded.
+ * @param {String} type The range type (see {@link resolveRangeType})
+ * @param {String} str The formatted range
+ * @param {Object} [opts] The parsing options used for each bound (see {@link MomentDB.parse})
+ * @returns {Range} The range
+ * @throws {MomentDBParseError} When the string is not a valid range (the `field` is `bounds`, `separator`, `lower`, `upper` or
+ * `end`) or a bound is not valid for the SQL type
+ */
+export function parse(type, str, opts) {
+  const resolved = resolveRangeType(type), name = nameOf(resolved);
+  const fail = (message, field, position) => {
+    throw new MomentDBParseError(`Invalid ${name} "${str}": ${message} at position ${position}`, name, field, position, str);
+  };
+  if (typeof str !== 'string') {
+    throw new MomentDBParseError(`Invalid ${name}: expected a String, but found: ${str}`, name, 'input', 0, str);
+  }
+  if (str.trim().toLowerCase() === EMPTY) return new Range(resolved, null, null, EMPTY);
+  let pos = Math.max(str.search(/\S/), 0);
+  if (str[pos] !== '[' && str[pos] !== '(') fail('expected "[" or "("', 'bounds', pos);
+  const open = str[pos++];
+  const read = (side) => {
+    let text = '', quoted = false, inQuote = false;
+    const start = pos;
+    for (; pos < str.length && (inQuote || !/[,)\]]/.test(str[pos])); pos++) {
+      if (str[pos] === '\\') {
+        if (++pos >= str.length) fail('expected an escaped character', side, pos);
+        text += str[pos];
+      } else if (str[pos] === '"') {
+        if (inQuote && str[pos + 1] === '"') {
+          text += str[++pos];
+        } else {
+          inQuote = !inQuote;
+          quoted = true;
+        }
+      } else {
+        text += str[pos];
+      }
+    }
+    if (inQuote) fail('expected a closing quote', side, pos);
+    if (!quoted && !text) return { value: null, start };
+    if (INFINITY.hasOwnProperty(text.trim().toLowerCase())) return { value: INFINITY[text.trim().toLowerCase()], start };
+    const as = returnsOf(resolved, opts && opts.as);
+    return { value: fromTemporal(core.parse(resolved, text, Object.assign({}, opts, { as }))), start };
+  };
+  const lower = read('lower');
+  if (str[pos] !== ',') fail('expected ","', 'separator', pos);
+  pos++;
+  const upper = read('upper');
+  if (str[pos] !== ']' && str[pos] !== ')') fail('expected "]" or ")"', 'bounds', pos);
+  const close = str[pos++];
+  if (pos < str.length && str.slice(pos).trim()) fail('unexpected characters', 'end', pos);
+  if (lower.value !== null && upper.value !== null && compareValues(lower.value, upper.value) > 0) {
+    fail('the lower bound must be less than or equal to the upper bound', 'upper', upper.start);
+  }
+  return new Range(resolved, lower.value, upper.value, `${open}${close}`);
+}
+
+/**
+ * Creates a range from the start and end columns of an SQL:2011 `PERIOD` (the start is inclusive and the end is exclusive)
+ * @param {String} type The range type (see {@link resolveRangeType})
+ * @param {(Date | LocalDate | LocalDateTime | Object | String)} start The start of the period (formatted strings are parsed as
+ * the SQL type of the range)
+ * @param {(Date | LocalDate | LocalDateTime | Object | String)} end The end of the period
+ * @param {Object} [opts] The parsing options used for formatted strings (see {@link MomentDB.parse})
+ * @returns {Range} The `[)` range
+ * @throws {RangeError} When the start is not before the end
+ */
+export function period(type, start, end, opts) {
+  const resolved = resolveRangeType(type);
+  const value = (val) => typeof val === 'string' ?
+    core.parse(resolved, val, Object.assign({}, opts, { as: returnsOf(resolved, opts && opts.as) })) : val;
+  const [from, to] = [value(start), value(end)];
+  if (from === null || from === undefined || to === null || to === undefined) {
+    throw new RangeError(`A PERIOD requires both a start and an end, but found: ${start} and ${end}`);
+  }
+  const range = new Range(resolved, from, to);
+  if (range.empty) throw new RangeError(`A PERIOD requires a start that is before its end, but found: ${start} and ${end}`);
+  return range;
+}
+
+/**
+ * Validates a bound/value of a range
+ * @private
+ * @param {String} type The SQL type of the bounds
+ * @param {String} name The name of the bound
+ * @param {*} value The bound
+ * @returns {(Date | LocalDate | LocalDateTime | Number)} The bound (`null` when unbounded)
+ */
+function boundOf(type, name, value) {
+  if (value === null || value === undefined) return null;
+  const val = isTemporal(value) ? fromTemporal(value) : value;
+  if (val === Infinity || val === -Infinity || (val instanceof Date && !isNaN(val.getTime()))
+    || (type === 'date' && val instanceof LocalDate) || (type === 'timestamp' && val instanceof LocalDateTime)) {
+    return val;
+  }
+  const local = type === 'date' ? ', LocalDate' : type === 'timestamp' ? ', LocalDateTime' : '';
+  throw new TypeError(`Expected a valid Date${local} or Infinity/-Infinity ${name} for a ${type} range, but found: ${value}`);
+}
+
+/**
+ * @private
+ * @param {String} type The SQL type of the bounds
+ * @returns {String} The name of the range type (e.g. `daterange`)
+ */
+function nameOf(type) {
+  return Object.keys(RANGE_TYPES).find(name => RANGE_TYPES[name] === type);
+}
+
+/**
+ * @private
+ * @param {*} value The bound
+ * @returns {Boolean} `true` when the bound is neither unbounded or infinite
+ */
+function finite(value) {
+  return value !== null && value !== Infinity && value !== -Infinity;
+}
+
+/**
+ * @private
+ * @param {(Date | LocalDate)} value The date
+ * @returns {(PreciseDate | LocalDate)} The next day (`Infinity`/`-Infinity` are returned as-is)
+ */
+function nextDay(value) {
+  if (!finite(value)) return value;
+  if (value instanceof LocalDate) return LocalDate.from(new Date(value.toDate().getTime() + MILLIS_PER_DAY));
+  const date = new PreciseDate(value.getTime() + MILLIS_PER_DAY);
+  if (value instanceof PreciseDate) date.zone = value.zone;
+  return date;
+}
+
+/**
+ * @private
+ * @param {(Date | LocalDate | Number)} value The value of a `date` range
+ * @returns {(LocalDate | Number)} The date of the value in UTC (`Infinity`/`-Infinity` and local dates are returned as-is)
+ */
+function dayOf(value) {
+  return value instanceof Date ? LocalDate.from(value) : value;
+}
+
+/**
+ * @private
+ * @param {(Date | LocalDate | LocalDateTime | Number)} value The value
+ * @param {(Date | LocalDate | LocalDateTime | Number)} other The other value
+ * @returns {Number} `-1` when the value is earlier, `1` when later or `0` when equal
+ */
+function compareValues(value, other) {
+  if (value === other) return 0;
+  if (value === -Infinity || other === Infinity) return -1;
+  if (value === Infinity || other === -Infinity) return 1;
+  const diff = nanosOf(value) - nanosOf(other);
+  return diff < ZERO ? -1 : diff > ZERO ? 1 : 0;
+}
+
+/**
+ * @private
+ * @param {(Date | LocalDate | LocalDateTime)} value The value (local values are compared in UTC)
+ * @returns {BigInt} The nanoseconds since the Unix epoch
+ */
+function nanosOf(value) {
+  const date = value instanceof Date ? value : value.toDate();
+  return date instanceof PreciseDate ? date.epochNanoseconds : BigInt(date.getTime()) * NANOS_PER_MILLI;
+}
+
+/**
+ * @private
+ * @param {Range} range The non-empty range
+ * @returns {Object} The lower bound `value`, whether it is `inclusive` and `lower: true`
+ */
+function lowerOf(range) {
+  return { value: range.lower, inclusive: range.lowerInclusive, lower: true };
+}
+
+/**
+ * @private
+ * @param {Range} range The non-empty range
+ * @returns {Object} The upper bound `value`, whether it is `inclusive` and `lower: false`
+ */
+function upperOf(range) {
+  return { value: range.upper, inclusive: range.upperInclusive, lower: false };
+}
+
+/**
+ * Compares two range bounds (in the same way as the PostgreSQL `range_cmp_bounds`)
+ * @private
+ * @param {Object} bound The bound (see {@link lowerOf} and {@link upperOf})
+ * @param {Object} other The other bound
+ * @returns {Number} `-1` when the bound is before the other, `1` when after or `0` when equal
+ */
+function compareBounds(bound, other) {
+  if (bound.value === null || other.value === null) {
+    if (bound.value === null && other.value === null && bound.lower === other.lower) return 0;
+    if (bound.value === null) return bound.lower ? -1 : 1;
+    return other.lower ? 1 : -1;
+  }
+  const cmp = compareValues(bound.value, other.value);
+  if (cmp || (bound.inclusive && other.inclusive)) return cmp;
+  if (!bound.inclusive && !other.inclusive) return bound.lower === other.lower ? 0 : bound.lower ? 1 : -1;
+  return !bound.inclusive ? (bound.lower ? 1 : -1) : (other.lower ? -1 : 1);
+}
+
+/**
+ * @private
+ * @param {*} upper The upper bound of a range
+ * @param {Boolean} upperInclusive Whether the upper bound is inclusive
+ * @param {*} lower The lower bound of another range
+ * @param {Boolean} lowerInclusive Whether the lower bound is inclusive
+ * @returns {Boolean} `true` when the other range starts exactly where the range ends (i.e. one bound is inclusive)
+ */
+function touches(upper, upperInclusive, lower, lowerInclusive) {
+  return upper !== null && lower !== null && !compareValues(upper, lower) && upperInclusive !== lowerInclusive;
+}
+
+/**
+ * @private
+ * @param {String} type The SQL type of the bounds
+ * @param {Object} lower The lower bound (see {@link lowerOf})
+ * @param {Object} upper The upper bound (see {@link upperOf})
+ * @returns {Range} The range between the bounds
+ */
+function between(type, lower, upper) {
+  return new Range(type, lower.value, upper.value, `${lower.inclusive ? '[' : '('}${upper.inclusive ? ']' : ')'}`);
+}
+
+/**
+ * Validates that two ranges have the same type
+ * @private
+ * @param {Range} range The range
+ * @param {Range} other The other range
+ */
+function same(range, other) {
+  if (!(other instanceof Range) || other.type !== range.type) {
+    throw new TypeError(`Expected a Range of ${range.type} values, but found: ${other}`);
+  }
+}
@@ -0,0 +1,164 @@
+'use strict';
+
+import * as core from './core.js';
+import { MomentDBSchemaError } from './errors.js';
+import { resolveType, returnsOf } from './types.js';
+import { YearToMonthInterval, DayToSecondInterval } from './intervals.js';
+import { LocalDate, LocalTime, LocalDateTime } from './civil.js';
+import { isTemporal } from './temporal.js';
+import { parse, serialize } from './adapter.js';
+
+/**
+ * A row/object mapper that converts the date/time/interval columns of rows using the same mapping as a
+ * {@link MomentDB~Adapter}. Input rows are never mutated (changed rows/objects/Arrays are copied).
+ * @typedef {Object} MomentDB~Schema
+ * @property {Object} columns The column paths mapped to the SQL type that they are converted as
+ * @property {Function} serialize Converts the Dates/intervals of a row (or an Array of rows) into formatted Strings
+ * @property {Function} deserialize Converts the formatted Strings (or driver Dates) of a row (or an Array of rows) into
+ * {@link PreciseDate}s/intervals
+ * Both functions accept an optional index of the (first) row as the second argument that is reported when a column fails
+ * (e.g. when converting rows in batches).
+ */
+
+const ARRAY = '[]';
+
+/**
+ * Creates a schema-driven row mapper
+ * @param {Object} spec The column paths mapped to SQL types (see {@link MomentDB.schema})
+ * @param {Object} [opts] The options used for every column (see {@link MomentDB.parse})
+ * @returns {MomentDB~Schema} The mapper
+ */
+export function create(spec, opts) {
+  if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+    throw new TypeError(`Expected a schema Object of column paths mapped to SQL types, but found: ${spec}`);
+  }
+  const columns = compile(spec, [], [], opts);
+  const map = (op, convert) => (rowOrRows, start) => {
+    if (!Array.isArray(rowOrRows)) return mapRow(op, convert, columns, rowOrRows, start);
+    return rowOrRows.map((row, idx) => mapRow(op, convert, columns, row, (start || 0) + idx));
+  };
+  return Object.freeze({
+    columns: Object.freeze(columns.reduce((cols, col) => Object.assign(cols, { [col.name]: col.type }), {})),
+    serialize: map('serialize', (value, col) => serialize(value, col.type, col.options, col.formatter)),
+    deserialize: map('deserialize', (value, col) => {
+      if (value instanceof YearToMonthInterval || value instanceof DayToSecondInterval || value instanceof LocalDate
+        || value instanceof LocalTime || value instanceof LocalDateTime || isTemporal(value)) {
+        return value;
+      }
+      return parse(col.type, value, col.options, col.formatter);
+    })
+  });
+}
+
+/**
+ * Flattens a (possibly nested) schema into columns
+ * @private
+ * @param {Object} spec The schema
+ * @param {String[]} names The column names of the parent schema
+ * @param {String[]} segments The path segments of the parent schema
+ * @param {Object} [opts] The options used for every column
+ * @returns {Object[]} The columns with a `name`, path `segments`, `type`, `options` and precompiled `formatter`
+ */
+function compile(spec, names, segments, opts) {
+  return Object.keys(spec).reduce((columns, key) => {
+    const value = spec[key], path = segments.concat(segmentsOf(key)), name = names.concat(key);
+    if (value && typeof value === 'object' && typeof value.type !== 'string') {
+      return columns.concat(compile(value, name, path, opts));
+    }
+    const type = typeof value === 'string' ? value : value && value.type;
+    if (typeof type !== 'string') {
+      throw new TypeError(`Expected an SQL type for schema column "${name.join('.')}", but found: ${value}`);
+    }
+    const options = Object.assign({}, opts, typeof value === 'object' ? value : null);
+    delete options.type;
+    const resolved = /^\s*interval\s*$/i.test(type) ? 'interval' : resolveType(type);
+    return columns.concat({
+      name: name.join('.'),
+      segments: path,
+      type: resolved,
+      options: Object.freeze(options),
+      formatter: resolved === 'interval' ? null : core.formatter(resolved, Object.assign({}, options, {
+        as: returnsOf(resolved, options.as)
+      }))
+    });
+  }, []);
+}
+
+/**
+ * Splits a column path into segments (e.g. `items[].created_at` into `items`, `[]` and `created_at`)
+ * @private
+ * @param {String} key The column path
+ * @returns {String[]} The path segments
+ */
+function segmentsOf(key) {
+  return key.split('.').reduce((segments, part) => {
+    const match = part.match(/^([^[\]]*)((?:\[\])*)$/);
+    if (!match || (!match[1] && !match[2])) throw new TypeError(`Invalid schema column path: ${key}`);
+    if (match[1]) segments.push(match[1]);
+    for (let i = 0; i < match[2].length / 2; i++) segments.push(ARRAY);
+    return segments;
+  }, []);
+}
+
+/**
+ * Converts the columns of a single row
+ * @private
+ * @param {String} op The operation name (`serialize` or `deserialize`)
+ * @param {Function} convert The function that converts a single column value
+ * @param {Object[]} columns The schema columns
+ * @param {Object} row The row
+ * @param {Number} [idx] The index of the row
+ * @returns {Object} The converted row
+ */
+function mapRow(op, convert, columns, row, idx) {
+  if (row === null || row === undefined) return row;
+  return columns.reduce((mapped, col) => {
+    const fail = (path, value, err) => {
+      throw new MomentDBSchemaError(`Unable to ${op} column "${col.name}"${path !== col.name ? ` at ${path}` : ''}${
+        idx !== undefined ? ` of row ${idx}` : ''} as ${col.type}: ${err.message}`, col.name, path, idx, value, err);
+    };
+    return mapValue(mapped, col.segments, 0, '', (value, path) => {
+      try {
+        return convert(value, col);
+      } catch (err) {
+        fail(path, value, err);
+      }
+    }, fail);
+  }, row);
+}
+
+/**
+ * Converts the value(s) at a column path. Missing, `null` and `undefined` values are left as-is.
+ * @private
+ * @param {*} value The value at the current path segment
+ * @param {String[]} segments The path segments
+ * @param {Number} idx The index of the current path segment
+ * @param {String} path The path of the value
+ * @param {Function} convert The function that converts a single column value
+ * @param {Function} fail The failure function
+ * @returns {*} The value (copied when any of the nested values were converted)
+ */
+function mapValue(value, segments, idx, path, convert, fail) {
+  if (value === null || value === undefined) return value;
+  if (idx === segments.length && !Array.isArray(value)) return convert(value, path);
+  if (idx === segments.length || segments[idx] === ARRAY) {
+    if (!Array.isArray(value)) fail(path, value, new TypeError(`Expected an Array, but found: ${value}`));
+    const next = idx === segments.length ? idx : idx + 1;
+    return copyOnChange(value, value.map((val, vdx) => mapValue(val, segments, next, `${path}[${vdx}]`, convert, fail)));
+  }
+  const key = segments[idx], keyPath = path ? `${path}.${key}` : key;
+  if (typeof value !== 'object') fail(keyPath, value, new TypeError(`Expected an Object, but found: ${value}`));
+  if (!Object.prototype.hasOwnProperty.call(value, key)) return value;
+  const mapped = mapValue(value[key], segments, idx + 1, keyPath, convert, fail);
+  return mapped === value[key] ? value : Object.assign({}, value, { [key]: mapped });
+}
+
+/**
+ * @private
+ * @param {Array} array The original Array
+ * @param {Array} mapped The mapped Array
+ * @returns {Array} The original Array when none of the values were changed, otherwise the mapped Array
+ */
+function copyOnChange(array, mapped) {
+  return mapped.every((val, idx) => val === array[idx]) ? array : mapped;
+}
@@ -0,0 +1,235 @@
+'use strict';
+
+import { Transform } from 'stream';
+import { StringDecoder } from 'string_decoder';
+import * as core from './core.js';
+import { MomentDBSchemaError } from './errors.js';
+import { resolveType, returnsOf } from './types.js';
+import { create as createSchema } from './schema.js';
+
+const DIRECTIONS = Object.freeze(['serialize', 'deserialize']);
+
+/**
+ * Creates a `Transform` stream that converts the date/time/interval fields of object rows or the columns of CSV text
+ * @param {Object} spec The column paths mapped to SQL types (see {@link MomentDB.transform})
+ * @param {Object} [opts] The transform options (see {@link MomentDB.transform})
+ * @returns {Transform} The transform stream
+ */
+export function create(spec, opts) {
+  const direction = (opts && opts.direction) || 'serialize';
+  if (!DIRECTIONS.includes(direction)) {
+    throw new RangeError(`Option "direction" must be one of ${DIRECTIONS.join(', ')}, but found: ${direction}`);
+  }
+  const options = Object.assign({ strict: true }, opts);
+  delete options.direction;
+  delete options.csv;
+  delete options.from;
+  return opts && opts.csv ? csv(spec, options, opts) : rows(createSchema(spec, options)[direction]);
+}
+
+/**
+ * Creates an object mode transform that converts each row using a {@link MomentDB~Schema}
+ * @private
+ * @param {Function} convert The `serialize` or `deserialize` function of the schema
+ * @returns {Transform} The transform stream
+ */
+function rows(convert) {
+  let idx = 0;
+  return new Transform({
+    objectMode: true,
+    transform(row, encoding, done) {
+      let mapped;
+      try {
+        mapped = convert(row, idx++);
+      } catch (err) {
+        return done(err);
+      }
+      done(null, mapped);
+    }
+  });
+}
+
+/**
+ * Creates a text transform that converts the configured columns of CSV records from one format to another
+ * @private
+ * @param {Object} spec The column names (or zero-based indexes when there is no header) mapped to SQL types
+ * @param {Object} options The options used to format each column
+ * @param {Object} opts The transform options
+ * @returns {Transform} The transform stream
+ */
+function csv(spec, options, opts) {
+  const conf = Object.assign({ delimiter: ',', quote: '"', header: true }, typeof opts.csv === 'object' ? opts.csv : null);
+  if (typeof conf.delimiter !== 'string' || conf.delimiter.length !== 1 || typeof conf.quote !== 'string'
+    || conf.quote.length !== 1 || conf.delimiter === conf.quote) {
+    throw new RangeError('CSV delimiter and quote must be different single characters');
+  }
+  const from = Object.assign({}, options, opts.from), columns = Object.keys(spec).map(name => {
+    const value = spec[name], type = resolveType(typeof value === 'string' ? value : value && value.type);
+    const use = typeof value === 'object' ? Object.assign({}, value) : {}, as = returnsOf(type, from.as);
+    delete use.type;
+    return {
+      name,
+      type,
+      parse: core.formatter(type, Object.assign({}, from, use, { as })).parse,
+      format: core.formatter(type, Object.assign({}, options, use)).format
+    };
+  });
+  const decoder = new StringDecoder('utf8'), scanner = records(conf.quote);
+  const special = new RegExp(`[\\r\\n${[conf.delimiter, conf.quote].map(chr => chr.replace(/[\]\\^-]/, '\\$&')).join('')}]`);
+  let header = conf.header, idx = 0, indexes = header ? null : columns.map(col => index(col.name));
+  const convert = (record) => {
+    const cells = split(record.text, conf.delimiter, conf.quote);
+    if (header) {
+      header = false;
+      indexes = columns.map(col => {
+        const pos = cells.findIndex(cell => unquote(cell, conf.quote) === col.name);
+        return pos >= 0 ? pos : index(col.name, cells);
+      });
+      return record.text + record.end;
+    }
+    for (let cdx = 0; cdx < columns.length; cdx++) {
+      const col = columns[cdx], pos = indexes[cdx], value = pos < cells.length ? unquote(cells[pos], conf.quote) : '';
+      if (!value) continue;
+      try {
+        cells[pos] = quote(col.format(col.parse(value)), conf.quote, special);
+      } catch (err) {
+        throw new MomentDBSchemaError(`Unable to convert CSV column "${col.name}" of row ${idx} as ${col.type}: ${err.message}`,
+          col.name, col.name, idx, value, err);
+      }
+    }
+    idx++;
+    return cells.join(conf.delimiter) + record.end;
+  };
+  const push = (text, final, done) => {
+    let out = '';
+    try {
+      for (let record of scanner(text, final)) out += convert(record);
+    } catch (err) {
+      return done(err);
+    }
+    done(null, out || undefined);
+  };
+  return new Transform({
+    transform(chunk, encoding, done) {
+      push(typeof chunk === 'string' ? chunk : decoder.write(chunk), false, done);
+    },
+    flush(done) {
+      push(decoder.end(), true, done);
+    }
+  });
+}
+
+/**
+ * Generates a scanner that splits CSV text into complete records (quoted line breaks are retained within the record)
+ * @private
+ * @param {String} quote The quote character
+ * @returns {Function} A function that accepts the next chunk of text and a flag that indicates that the text has ended and
+ * returns the complete records with the record `text` and line `end`
+ */
+function records(quote) {
+  let buffer = '', pos = 0, quoted = false;
+  return (text, final) => {
+    const found = [];
+    let start = 0, next;
+    buffer += text;
+    // jump between quotes and line breaks rather than visiting every character
+    for (next = buffer.indexOf(quote, pos); ; next = next >= pos || next < 0 ? next : buffer.indexOf(quote, pos)) {
+      if (quoted) {
+        if (next < 0) break;
+        quoted = false;
+        pos = next + 1;
+        continue;
+      }
+      const eol = buffer.indexOf('\n', pos);
+      if (next >= 0 && (eol < 0 || next < eol)) {
+        quoted = true;
+        pos = next + 1;
+        continue;
+      }
+      if (eol < 0) break;
+      const cr = eol > start && buffer[eol - 1] === '\r';
+      found.push({ text: buffer.slice(start, cr ? eol - 1 : eol), end: cr ? '\r\n' : '\n' });
+      start = pos = eol + 1;
+    }
+    pos = buffer.length;
+    if (final && start < buffer.length) {
+      found.push({ text: buffer.slice(start), end: '' });
+      start = buffer.length;
+    }
+    buffer = buffer.slice(start);
+    pos -= start;
+    return found;
+  };
+}
+
+/**
+ * Splits a CSV record into its raw (possibly quoted) cells
+ * @private
+ * @param {String} text The record text
+ * @param {String} delimiter The delimiter character
+ * @param {String} quote The quote character
+ * @returns {String[]} The raw cells
+ */
+function split(text, delimiter, quote) {
+  let next = text.indexOf(quote);
+  if (next < 0) return text.split(delimiter);
+  const cells = [];
+  let quoted = false, start = 0, pos = 0;
+  for (; ; next = next >= pos || next < 0 ? next : text.indexOf(quote, pos)) {
+    if (quoted) {
+      if (next < 0) break;
+      quoted = false;
+      pos = next + 1;
+      continue;
+    }
+    const delim = text.indexOf(delimiter, pos);
+    if (next >= 0 && (delim < 0 || next < delim)) {
+      quoted = true;
+      pos = next + 1;
+      continue;
+    }
+    if (delim < 0) break;
+    cells.push(text.slice(start, delim));
+    start = pos = delim + 1;
+  }
+  cells.push(text.slice(start));
+  return cells;
+}
+
+/**
+ * @private
+ * @param {String} cell The raw cell
+ * @param {String} quote The quote character
+ * @returns {String} The cell value without any enclosing quotes (escaped quotes are unescaped)
+ */
+function unquote(cell, quote) {
+  if (cell.length < 2 || cell[0] !== quote || cell[cell.length - 1] !== quote) return cell;
+  return cell.slice(1, -1).split(quote + quote).join(quote);
+}
+
+/**
+ * @private
+ * @param {String} value The cell value
+ * @param {String} quote The quote character
+ * @param {RegExp} special Matches the delimiter, quote and line break characters
+ * @returns {String} The value enclosed in quotes when it contains a delimiter, quote or line break
+ */
+function quote(value, quote, special) {
+  if (!special.test(value)) return value;
+  return `${quote}${value.split(quote).join(quote + quote)}${quote}`;
+}
+
+/**
+ * Resolves a CSV column name that is a zero-based index
+ * @private
+ * @param {String} name The column name
+ * @param {String[]} [header] The header cells (when a header is present)
+ * @returns {Number} The zero-based index
+ */
+function index(name, header) {
+  if (!/^\d+$/.test(name)) {
+    throw new MomentDBSchemaError(`CSV column "${name}" ${header ? 'is not in the header' :
+      'must be a zero-based index when there is no header'}`, name, name);
+  }
+  return parseInt(name, 10);
+}
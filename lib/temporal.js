@@ -0,0 +1,151 @@
+'use strict';
+
+import PreciseDate from './precise-date.js';
+import { YearToMonthInterval, DayToSecondInterval } from './intervals.js';
+import { LocalDate, LocalTime, LocalDateTime } from './civil.js';
+
+const TYPES = Object.freeze(['PlainDate', 'PlainTime', 'PlainDateTime', 'ZonedDateTime', 'Instant', 'Duration']);
+let registered;
+
+/**
+ * Registers the `Temporal` namespace used to create Temporal values (only needed when a polyfill is not installed as the
+ * global `Temporal`)
+ * @param {Object} [temporal] The `Temporal` namespace (omit to use the global `Temporal`)
+ * @returns {Object} The registered namespace
+ */
+export function register(temporal) {
+  if (temporal !== undefined && temporal !== null && !TYPES.every(type => typeof temporal[type] === 'function')) {
+    throw new TypeError(`Expected a Temporal namespace with ${TYPES.join(', ')}, but found: ${temporal}`);
+  }
+  registered = temporal || undefined;
+  return registered;
+}
+
+/**
+ * Detects Temporal values at runtime (native or polyfilled) without depending upon the `Temporal` namespace
+ * @param {*} value The value
+ * @returns {Boolean} `true` when the value is a Temporal value
+ */
+export function isTemporal(value) {
+  return !!typeOf(value);
+}
+
+/**
+ * @private
+ * @param {*} value The value
+ * @returns {String} The name of the Temporal type (e.g. `PlainDate`) or `undefined` when the value is not a Temporal value
+ */
+function typeOf(value) {
+  const tag = value !== null && typeof value === 'object' && value[Symbol.toStringTag];
+  return typeof tag === 'string' && tag.startsWith('Temporal.') ? tag.slice(9) : undefined;
+}
+
+/**
+ * Converts a Temporal value into the equivalent {@link MomentDB} value. `Instant`s and `ZonedDateTime`s are converted into a
+ * {@link PreciseDate} (the `zone` of a `ZonedDateTime` is retained), `PlainDate`, `PlainTime` and `PlainDateTime` into a
+ * {@link LocalDate}, {@link LocalTime} and {@link LocalDateTime} and `Duration`s into an interval.
+ * @param {*} value The value to convert (returned as-is when it is not a Temporal value)
+ * @param {Function} [interval] The {@link YearToMonthInterval} or {@link DayToSecondInterval} class that a `Duration` must be
+ * converted into (otherwise, determined by the fields of the `Duration`)
+ * @returns {*} The converted value
+ */
+export function fromTemporal(value, interval) {
+  const type = typeOf(value);
+  if (!type) return value;
+  if (type === 'Instant' || type === 'ZonedDateTime') {
+    const date = PreciseDate.fromEpochNanoseconds(value.epochNanoseconds);
+    if (type === 'ZonedDateTime') date.zone = zoneIdOf(value);
+    return date;
+  }
+  if (type === 'PlainTime') return new LocalTime(value.hour, value.minute, value.second, nanosOf(value));
+  if (type === 'PlainDate' || type === 'PlainDateTime') {
+    const iso = value.withCalendar('iso8601');
+    if (type === 'PlainDate') return new LocalDate(iso.year, iso.month, iso.day);
+    return new LocalDateTime(iso.year, iso.month, iso.day, iso.hour, iso.minute, iso.second, nanosOf(iso));
+  }
+  if (type === 'Duration') return durationOf(value, interval);
+  throw new TypeError(`Unable to convert a Temporal.${type} (expected one of: ${TYPES.join(', ')})`);
+}
+
+/**
+ * Converts a {@link MomentDB} value into the equivalent Temporal value (see {@link fromTemporal})
+ * @param {(Date | LocalDate | LocalTime | LocalDateTime | YearToMonthInterval | DayToSecondInterval)} value The value to convert
+ * @param {String} [zone] The time zone identifier (or offset) of the `ZonedDateTime` that a Date is converted into (defaults to
+ * the `zone` of a {@link PreciseDate}, otherwise `UTC`)
+ * @returns {Object} The Temporal value
+ */
+export function toTemporal(value, zone) {
+  const T = namespace();
+  if (value instanceof LocalDate) return new T.PlainDate(value.year, value.month, value.day);
+  if (value instanceof LocalTime) return new T.PlainTime(value.hour, value.minute, value.second, ...subseconds(value.nanosecond));
+  if (value instanceof LocalDateTime) {
+    return new T.PlainDateTime(value.year, value.month, value.day, value.hour, value.minute, value.second,
+      ...subseconds(value.nanosecond));
+  }
+  if (value instanceof YearToMonthInterval) return new T.Duration(value.years, value.months);
+  if (value instanceof DayToSecondInterval) {
+    return new T.Duration(0, 0, 0, value.days, value.hours, value.minutes, value.seconds, ...subseconds(value.nanoseconds));
+  }
+  const ns = value instanceof PreciseDate ? value.epochNanoseconds : BigInt(value.getTime()) * BigInt(1000000);
+  return new T.ZonedDateTime(ns, zone || value.zone || 'UTC');
+}
+
+/**
+ * @private
+ * @returns {Object} The registered or global `Temporal` namespace
+ */
+function namespace() {
+  const T = registered || globalThis.Temporal;
+  if (!T) {
+    throw new TypeError('Temporal is not available: use a runtime that provides Temporal or register a polyfill via '
+      + 'MomentDB.registerTemporal');
+  }
+  return T;
+}
+
+/**
+ * @private
+ * @param {Object} zdt The `ZonedDateTime`
+ * @returns {String} The time zone identifier (`timeZoneId` or the `timeZone` of earlier Temporal implementations)
+ */
+function zoneIdOf(zdt) {
+  return zdt.timeZoneId || String(zdt.timeZone);
+}
+
+/**
+ * @private
+ * @param {Object} value The `PlainTime` or `PlainDateTime`
+ * @returns {Number} The nanoseconds within the second (0 to 999999999)
+ */
+function nanosOf(value) {
+  return value.millisecond * 1e6 + value.microsecond * 1e3 + value.nanosecond;
+}
+
+/**
+ * @private
+ * @param {Number} nanos The (signed) nanoseconds within the second
+ * @returns {Number[]} The milliseconds, microseconds and nanoseconds
+ */
+function subseconds(nanos) {
+  return [Math.trunc(nanos / 1e6) + 0, Math.trunc(nanos / 1e3) % 1000 + 0, nanos % 1000 + 0];
+}
+
+/**
+ * Converts a `Duration` into an interval
+ * @private
+ * @param {Object} duration The `Duration`
+ * @param {Function} [interval] The interval class that the `Duration` must be converted into
+ * @returns {(YearToMonthInterval | DayToSecondInterval)} The interval
+ */
+function durationOf(duration, interval) {
+  const ytm = !!(duration.years || duration.months), dts = !!(duration.weeks || duration.days || duration.hours
+    || duration.minutes || duration.seconds || duration.milliseconds || duration.microseconds || duration.nanoseconds);
+  const type = interval || (ytm ? YearToMonthInterval : DayToSecondInterval);
+  if (type === YearToMonthInterval ? dts : ytm) {
+    throw new RangeError(`Unable to convert a Duration of ${duration} into a ${type.name} (${type === YearToMonthInterval ?
+      'weeks, days and time' : 'years and months'} must be zero)`);
+  }
+  if (type === YearToMonthInterval) return new YearToMonthInterval(duration.years, duration.months);
+  return new DayToSecondInterval(duration.weeks * 7 + duration.days, duration.hours, duration.minutes, duration.seconds,
+    duration.milliseconds * 1e6 + duration.microseconds * 1e3 + duration.nanoseconds);
+}
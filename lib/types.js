@@ -0,0 +1,44 @@
+'use strict';
+
+/**
+ * The SQL types supported by {@link MomentDB.parse}, {@link MomentDB.schema}, etc.
+ * @type {String[]}
+ */
+export const TYPE_NAMES = Object.freeze(['date', 'time', 'time with time zone', 'timestamp', 'timestamp with time zone',
+  'interval year to month', 'interval day to second']);
+
+const ALIASES = Object.freeze({
+  'time without time zone': 'time',
+  'timetz': 'time with time zone',
+  'timestamp without time zone': 'timestamp',
+  'timestamptz': 'timestamp with time zone',
+  'intervalyeartomonth': 'interval year to month',
+  'intervaldaytosecond': 'interval day to second'
+});
+
+/**
+ * Resolves an SQL type name (case-insensitive)
+ * @param {String} type The SQL type name or alias (e.g. `timestamptz` or `TIMESTAMP WITH TIME ZONE`)
+ * @returns {String} The SQL type name (one of the {@link TYPE_NAMES})
+ */
+export function resolveType(type) {
+  const name = String(type).trim().toLowerCase().replace(/\s+/g, ' ');
+  const resolved = TYPE_NAMES.includes(name) ? name : ALIASES[name];
+  if (!resolved) {
+    throw new Error(`Unknown type "${type}" (expected one of: ${TYPE_NAMES.join(', ')})`);
+  }
+  return resolved;
+}
+
+/**
+ * Determines what a parsed value of an SQL type is returned as
+ * @param {String} type The SQL type name (see {@link resolveType}) or `interval`
+ * @param {String} [as] The requested `as` option (see {@link MomentDB.parse})
+ * @returns {String} `temporal` for all types except `time with time zone` when `temporal` was requested, `interval` for
+ * interval types, `local` for types without a time zone when `local` was requested, otherwise `date`
+ */
+export function returnsOf(type, as) {
+  if (as === 'temporal' && type !== 'time with time zone') return 'temporal';
+  if (/^interval/.test(type)) return 'interval';
+  return as === 'local' && !/time zone$/.test(type) ? 'local' : 'date';
+}
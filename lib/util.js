@@ -0,0 +1,11 @@
+'use strict';
+
+/**
+ * Left pads a number with zeros
+ * @param {Number} num The number to pad
+ * @param {Number} digits The minimum number of digits
+ * @returns {String} The padded number
+ */
+export function pad(num, digits) {
+  return String(num).padStart(digits, '0');
+}
@@ -0,0 +1,229 @@
+'use strict';
+
+/**
+ * A resolved time zone
+ * @typedef {Object} MomentDB~Zone
+ * @property {String} id The IANA time zone identifier (e.g. `America/Denver`), the fixed offset (e.g. `+05:30`), `UTC` or `local`
+ * for the time zone of the host process
+ * @property {Number} [fixed] The fixed offset in minutes from UTC (`undefined` when the offset depends upon the date)
+ */
+
+/**
+ * The time zone abbreviations (Oracle `TZD`) that are recognized when parsing along with their offset in minutes from UTC
+ * @type {Object}
+ */
+export const ABBREVIATIONS = Object.freeze({
+  UTC: 0, UT: 0, GMT: 0, Z: 0, WET: 0, WEST: 60, BST: 60, CET: 60, CEST: 120, EET: 120, EEST: 180, MSK: 180, IST: 330, HKT: 480,
+  SGT: 480, AWST: 480, JST: 540, KST: 540, ACST: 570, ACDT: 630, AEST: 600, AEDT: 660, NZST: 720, NZDT: 780, HST: -600,
+  AKST: -540, AKDT: -480, PST: -480, PDT: -420, MST: -420, MDT: -360, CST: -360, CDT: -300, EST: -300, EDT: -240, AST: -240,
+  ADT: -180, NST: -210, NDT: -150
+});
+
+/**
+ * How a local wall-clock time that falls within a daylight saving time _gap_ (the wall-clock time does not exist) or _overlap_
+ * (the wall-clock time occurs twice) is resolved:
+ * - `compatible` - _gaps_ are shifted forward by the length of the gap and _overlaps_ use the earlier instant (default)
+ * - `earlier` - the earlier of the two possible instants
+ * - `later` - the later of the two possible instants
+ * - `reject` - a `RangeError` is thrown
+ * @typedef {String} MomentDB~Disambiguation
+ */
+const DISAMBIGUATIONS = ['compatible', 'earlier', 'later', 'reject'];
+
+/**
+ * The time zone of the host process
+ * @type {MomentDB~Zone}
+ */
+export const LOCAL = Object.freeze({ id: 'local' });
+
+/**
+ * Coordinated Universal Time
+ * @type {MomentDB~Zone}
+ */
+export const UTC = Object.freeze({ id: 'UTC', fixed: 0 });
+
+const OFFSET_RX = /^([+-])(\d{1,2})(?::?(\d{2}))?$/;
+const ZONES = new Map();
+const FORMATTERS = new Map();
+
+/**
+ * Resolves a time zone
+ * @param {(String | Number | MomentDB~Zone)} zone An IANA time zone identifier (e.g. `America/Denver`), a fixed offset (e.g.
+ * `+05:30`, `-0700`, `-07` or the number of minutes from UTC), `UTC`/`Z`/`GMT` or `local` for the time zone of the host process
+ * @returns {MomentDB~Zone} The resolved time zone
+ */
+export function resolveZone(zone) {
+  if (zone && typeof zone === 'object' && zone.id) return zone;
+  if (typeof zone === 'number') {
+    if (!Number.isInteger(zone) || Math.abs(zone) > 1080) {
+      throw new RangeError(`Time zone offset must be an integer number of minutes from -1080 to 1080, but found: ${zone}`);
+    }
+    return zone ? Object.freeze({ id: formatOffset(zone), fixed: zone }) : UTC;
+  }
+  if (!zone || typeof zone !== 'string') {
+    throw new TypeError(`Time zone must be an IANA time zone identifier or offset, but found: ${zone}`);
+  }
+  let resolved = ZONES.get(zone);
+  if (resolved) return resolved;
+  const upper = zone.toUpperCase(), off = zone.match(OFFSET_RX);
+  if (upper === 'LOCAL') resolved = LOCAL;
+  else if (upper === 'UTC' || upper === 'Z' || upper === 'GMT' || upper === 'UT') resolved = UTC;
+  else if (off) resolved = resolveZone((off[1] === '-' ? -1 : 1) * (parseInt(off[2]) * 60 + (off[3] ? parseInt(off[3]) : 0)));
+  else {
+    let id;
+    try {
+      id = new Intl.DateTimeFormat('en-US', { timeZone: zone }).resolvedOptions().timeZone;
+    } catch (err) {
+      throw new RangeError(`Unknown time zone "${zone}"`);
+    }
+    resolved = Object.freeze({ id });
+  }
+  ZONES.set(zone, resolved);
+  return resolved;
+}
+
+/**
+ * Validates a disambiguation
+ * @param {MomentDB~Disambiguation} [disambiguation] The disambiguation to validate
+ * @returns {MomentDB~Disambiguation} The disambiguation (defaults to `compatible`)
+ */
+export function resolveDisambiguation(disambiguation) {
+  if (!disambiguation) return 'compatible';
+  if (!DISAMBIGUATIONS.includes(disambiguation)) {
+    throw new RangeError(`Disambiguation must be one of ${DISAMBIGUATIONS.join(', ')}, but found: ${disambiguation}`);
+  }
+  return disambiguation;
+}
+
+/**
+ * Calculates the offset of a time zone at a given instant
+ * @param {MomentDB~Zone} zone The time zone
+ * @param {Number} epochMs The instant in milliseconds since the Unix epoch
+ * @returns {Number} The offset in minutes from UTC
+ */
+export function offsetAt(zone, epochMs) {
+  if (zone.fixed !== undefined) return zone.fixed;
+  if (zone === LOCAL) return -new Date(epochMs).getTimezoneOffset();
+  const fields = {};
+  for (let part of formatter(zone.id).formatToParts(new Date(epochMs))) {
+    fields[part.type] = part.value;
+  }
+  const year = /^B/i.test(fields.era) ? 1 - parseInt(fields.year) : parseInt(fields.year);
+  const wall = utc(year, parseInt(fields.month) - 1, parseInt(fields.day), parseInt(fields.hour) % 24, parseInt(fields.minute),
+    parseInt(fields.second), 0);
+  return Math.round((wall - (epochMs - (((epochMs % 1000) + 1000) % 1000))) / 60000);
+}
+
+/**
+ * Converts a local wall-clock time in a time zone into an instant
+ * @param {MomentDB~Zone} zone The time zone
+ * @param {Number} wallMs The wall-clock time expressed as milliseconds since the Unix epoch _as if_ it were UTC
+ * @param {MomentDB~Disambiguation} [disambiguation] How to resolve wall-clock times that fall within DST gaps/overlaps
+ * @param {Number} [preferred] An offset in minutes from UTC that will be preferred when the wall-clock time is ambiguous
+ * (e.g. from a time zone abbreviation)
+ * @returns {Number} The instant in milliseconds since the Unix epoch
+ */
+export function instantOf(zone, wallMs, disambiguation, preferred) {
+  if (zone.fixed !== undefined) return wallMs - zone.fixed * 60000;
+  const before = offsetAt(zone, wallMs - 8.64e+7), after = offsetAt(zone, wallMs + 8.64e+7);
+  const candidates = (before === after ? [before] : [before, after]).map(off => wallMs - off * 60000)
+    .filter(time => offsetAt(zone, time) * 60000 === wallMs - time).sort((a, b) => a - b);
+  if (candidates.length === 1) return candidates[0];
+  const pref = preferred !== undefined ? candidates.find(time => wallMs - time === preferred * 60000) : undefined;
+  if (pref !== undefined) return pref;
+  if (disambiguation === 'reject') {
+    throw new RangeError(`Local time ${new Date(wallMs).toISOString().replace('Z', '')} is ${candidates.length ? 'ambiguous' :
+      'skipped'} in time zone "${zone.id}"`);
+  }
+  if (candidates.length) return disambiguation === 'later' ? candidates[candidates.length - 1] : candidates[0];
+  return wallMs - (disambiguation === 'earlier' ? after : before) * 60000;
+}
+
+/**
+ * Gets the abbreviation of a time zone at a given instant (e.g. `MST`/`MDT` for `America/Denver`). Zones that do not have an
+ * abbreviation will use the offset (e.g. `GMT+1`).
+ * @param {MomentDB~Zone} zone The time zone
+ * @param {Number} epochMs The instant in milliseconds since the Unix epoch
+ * @returns {String} The abbreviation
+ */
+export function abbreviationAt(zone, epochMs) {
+  if (zone.fixed === 0) return 'UTC';
+  if (zone.fixed !== undefined) return `GMT${formatOffset(zone.fixed)}`;
+  const name = new Intl.DateTimeFormat('en-US', { timeZone: zone === LOCAL ? undefined : zone.id, timeZoneName: 'short' })
+    .formatToParts(new Date(epochMs)).find(part => part.type === 'timeZoneName');
+  return name ? name.value : formatOffset(offsetAt(zone, epochMs));
+}
+
+/**
+ * Parses a time zone designator (region and/or abbreviation) from the beginning of a string
+ * @param {String} str The string that starts with the designator (leading whitespace is ignored)
+ * @returns {Object} The resolved `zone` (when a region was found), the `offset` in minutes from UTC of the abbreviation (when an
+ * abbreviation was found), the `region`/`abbreviation` text and the `length` of the designator _or_ `null` when the string does
+ * not start with a recognized designator
+ */
+export function parseDesignator(str) {
+  const match = str.match(/^\s*([A-Za-z][\w+-]*(?:\/[\w+-]+)*)(?:\s+([A-Za-z]{1,5})(?![\w/]))?(?![\w/])/);
+  if (!match) return null;
+  let zone;
+  const abbr = match[2] && match[2].toUpperCase(), region = match[1];
+  if (region.indexOf('/') < 0 && ABBREVIATIONS.hasOwnProperty(region.toUpperCase()) && !match[2]) {
+    return { offset: ABBREVIATIONS[region.toUpperCase()], abbreviation: region, length: match[0].length };
+  }
+  try {
+    zone = resolveZone(region);
+  } catch (err) {
+    return null;
+  }
+  if (abbr && !ABBREVIATIONS.hasOwnProperty(abbr)) {
+    return { zone, region, length: match[0].indexOf(region) + region.length };
+  }
+  return { zone, region, abbreviation: match[2], offset: abbr ? ABBREVIATIONS[abbr] : undefined, length: match[0].length };
+}
+
+/**
+ * Formats an offset
+ * @param {Number} minutes The offset in minutes from UTC
+ * @param {String} [style] The offset style `HH:MM` (default), `HHMM` or `HH` (see {@link MomentDB~Dialect} `offset`)
+ * @returns {String} The formatted offset (e.g. `-07:00`)
+ */
+export function formatOffset(minutes, style) {
+  const off = Math.abs(minutes), sign = minutes < 0 ? '-' : '+';
+  const th = String(Math.floor(off / 60)).padStart(2, '0'), tm = String(off % 60).padStart(2, '0');
+  if (style === 'HHMM') return `${sign}${th}${tm}`;
+  if (style === 'HH') return `${sign}${th}${off % 60 ? `:${tm}` : ''}`;
+  return `${sign}${th}:${tm}`;
+}
+
+/**
+ * Generates a UTC time value from date/time fields (unlike `Date.UTC`, years from 0 to 99 are __not__ mapped to 1900 to 1999)
+ * @param {Number} yyyy The year
+ * @param {Number} mm The zero-based month
+ * @param {Number} dd The day of the month
+ * @param {Number} hh The hours
+ * @param {Number} mi The minutes
+ * @param {Number} ss The seconds
+ * @param {Number} fff The milliseconds
+ * @returns {Number} The milliseconds since the Unix epoch
+ */
+export function utc(yyyy, mm, dd, hh, mi, ss, fff) {
+  const date = new Date(0);
+  date.setUTCFullYear(yyyy, mm, dd);
+  date.setUTCHours(hh, mi, ss, fff);
+  return date.getTime();
+}
+
+/**
+ * Gets (or creates) a formatter used to extract the wall-clock fields for a time zone
+ * @private
+ * @param {String} id The IANA time zone identifier
+ * @returns {Intl.DateTimeFormat} The formatter
+ */
+function formatter(id) {
+  let fmtr = FORMATTERS.get(id);
+  if (!fmtr) {
+    fmtr = new Intl.DateTimeFormat('en-US', { timeZone: id, hourCycle: 'h23', era: 'short', year: 'numeric', month: 'numeric',
+      day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric' });
+    FORMATTERS.set(id, fmtr);
+  }
+  return fmtr;
+}
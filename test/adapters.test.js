@@ -0,0 +1,92 @@
+'use strict';
+
+import { install as pg } from '../adapters/pg.js';
+import { install as mysql2 } from '../adapters/mysql2.js';
+import { install as oracledb, SESSION_SQL } from '../adapters/oracledb.js';
+import { install as mssql } from '../adapters/mssql.js';
+import { PreciseDate, YearToMonthInterval, DayToSecondInterval, Range } from '../index.js';
+
+const PLAN = 'MomentDB adapters';
+const ISO = '2030-01-31T12:01:20.903Z';
+
+test(`${PLAN}: pg`, () => {
+  const parsers = {}, types = { setTypeParser: (oid, fn) => parsers[oid] = fn };
+  const adapter = pg({ types });
+  expect(Object.keys(parsers).map(Number).sort()).toEqual([1082, 1083, 1114, 1115, 1182, 1183, 1184, 1185, 1186, 1187, 1266,
+    1270, 3908, 3909, 3910, 3911, 3912, 3913]);
+  expect(parsers[1082]('2030-01-31').toISOString()).toBe('2030-01-31T00:00:00.000Z');
+  expect(parsers[1083]('12:01:20.903').getUTCHours()).toBe(12);
+  expect(parsers[1266]('05:01:20.903-07').toISOString()).toBe('0000-01-01T12:01:20.903Z');
+  const ts = parsers[1184]('2030-01-31 05:01:20.903456-07');
+  expect(ts).toBeInstanceOf(PreciseDate);
+  expect([ts.toISOString(), ts.getNanoseconds()]).toEqual([ISO, 456000]);
+  expect(parsers[1114]('infinity')).toBe(Infinity);
+  expect(parsers[1186]('1 year 2 mons')).toBeInstanceOf(YearToMonthInterval);
+  expect(parsers[1186]('-3 days -04:05:06.789').toString()).toBe('-0000003 04:05:06.789');
+  const [ytm, dts] = parsers[1186]('1 year 2 mons 3 days 04:05:06');
+  expect([ytm, dts].map(String)).toEqual(['+0001-02', '+0000003 04:05:06']);
+  expect(dts.addTo(ytm.addTo(new Date('2030-01-31T00:00:00Z'))).toISOString()).toBe('2031-04-03T04:05:06.000Z');
+  expect(() => parsers[1186]('1 year 2 fortnights')).toThrow(/unrecognized unit "fortnights"/);
+  expect(parsers[1185]('{"2030-01-31 05:01:20.903-07",NULL}').map(date => date && date.toISOString())).toEqual([ISO, null]);
+  expect(parsers[1182]('{{2030-01-31},{2030-02-01}}')[1][0].toISOString()).toBe('2030-02-01T00:00:00.000Z');
+  expect(adapter.serialize(new Date(ISO), 'timestamp with time zone')).toMatch(/^2030-01-31 \d\d:\d\d:20\.903000[+-]\d\d/);
+  expect(adapter.serialize(new DayToSecondInterval(3, 4, 5, 6, 789e6))).toBe('3 days 04:05:06.789');
+  const range = parsers[3910]('["2030-01-31 05:01:20.903456-07",infinity)');
+  expect(range).toBeInstanceOf(Range);
+  expect([range.lower.toISOString(), range.upper]).toEqual([ISO, Infinity]);
+  expect(parsers[3913]('{"[2030-01-01,2030-02-01)",empty}').map(String)).toEqual(['[2030-01-01,2030-02-01)', 'empty']);
+  expect(pg({ types }, { zone: 'UTC' }).serialize(range)).toBe('["2030-01-31 12:01:20.903456+00",infinity)');
+  expect(pg({ types }, { intervalStyle: 'iso_8601' }).parse('interval', 'P1Y2M').toString()).toBe('+0001-02');
+  expect(() => pg({})).toThrow(TypeError);
+});
+
+test(`${PLAN}: mysql2`, () => {
+  const config = { typeCast: (field, next) => `cast:${next()}` }, adapter = mysql2(config);
+  const field = (type, value) => ({ type, string: () => value });
+  expect(config.typeCast(field('DATETIME', '2030-01-31 12:01:20.903'), () => null).toISOString()).toBe(ISO);
+  expect(config.typeCast(field('DATE', '2030-01-31'), () => null).toISOString()).toBe('2030-01-31T00:00:00.000Z');
+  expect(config.typeCast(field('DATE', '0000-00-00'), () => null)).toBeNull();
+  expect(config.typeCast(field('DATE', '2030-00-00'), () => null)).toBeNull();
+  expect(config.typeCast(field('DATETIME', '2030-01-00 12:01:20'), () => null)).toBeNull();
+  expect(config.typeCast(field('TIME', '-838:59:59'), () => null).toString()).toBe('-0000034 22:59:59');
+  expect(config.typeCast(field('VARCHAR', 'x'), () => 'x')).toBe('cast:x');
+  expect(mysql2({}, { zone: 'America/Denver' }).parse('timestamp', '2030-01-31 05:01:20.903').toISOString()).toBe(ISO);
+  expect(adapter.serialize(new Date(ISO), 'timestamp')).toBe('2030-01-31 12:01:20.903000');
+});
+
+test(`${PLAN}: oracledb`, () => {
+  const driver = { STRING: 2001, DB_TYPE_DATE: 1, DB_TYPE_TIMESTAMP: 2, DB_TYPE_TIMESTAMP_TZ: 3, DB_TYPE_INTERVAL_YM: 4,
+    DB_TYPE_INTERVAL_DS: 5, fetchTypeHandler: () => 'other' };
+  oracledb(driver);
+  const handle = (dbType, value) => driver.fetchTypeHandler({ dbType }).converter(value);
+  expect(driver.fetchTypeHandler({ dbType: 2 }).type).toBe(2001);
+  expect(handle(1, '2030-01-31 12:01:20').toISOString()).toBe('2030-01-31T12:01:20.000Z');
+  const ts = handle(3, '2030-01-31 05:01:20.903456789 -07:00');
+  expect([ts.toISOString(), ts.getNanoseconds(), ts.precision]).toEqual([ISO, 456789, 9]);
+  expect(handle(4, '+01-02').toString()).toBe('+0001-02');
+  expect(handle(5, { days: 3, hours: 4, minutes: 5, seconds: 6, fseconds: 789e6 }).toString()).toBe('+0000003 04:05:06.789');
+  expect(driver.fetchTypeHandler({ dbType: 99 })).toBe('other');
+  expect(SESSION_SQL).toMatch(/^ALTER SESSION SET NLS_DATE_FORMAT/);
+
+  // TIMESTAMP WITH LOCAL TIME ZONE values are in the session time zone
+  const ltz = { STRING: 2001, DB_TYPE_TIMESTAMP: 2, DB_TYPE_TIMESTAMP_LTZ: 6 };
+  oracledb(ltz, { sessionZone: 'America/Denver' });
+  expect(ltz.fetchTypeHandler({ dbType: 6 }).type).toBe(2001);
+  expect(ltz.fetchTypeHandler({ dbType: 6 }).converter('2030-01-31 05:01:20.903').toISOString()).toBe(ISO);
+  expect(ltz.fetchTypeHandler({ dbType: 2 }).converter('2030-01-31 12:01:20.903').toISOString()).toBe(ISO);
+  oracledb(ltz, { zone: '+05:30' });
+  expect(ltz.fetchTypeHandler({ dbType: 6 }).converter('2030-01-31 17:31:20.903').toISOString()).toBe(ISO);
+});
+
+test(`${PLAN}: mssql`, () => {
+  const sql = { TYPES: { Date: 'Date', Time: 'Time', DateTime2: 'DateTime2', DateTimeOffset: 'DateTimeOffset' },
+    valueHandler: new Map() };
+  const adapter = mssql(sql);
+  const value = new Date(ISO);
+  value.nanosecondsDelta = 0.0000004;
+  const ts = sql.valueHandler.get('DateTime2')(value);
+  expect([ts.toISOString(), ts.getNanoseconds()]).toEqual([ISO, 400]);
+  expect(sql.valueHandler.get('Time')(new Date(ISO)).toISOString()).toBe('0000-01-01T12:01:20.903Z');
+  expect(adapter.parse('timestamp', '2030-01-31 12:01:20.9030004').getNanoseconds()).toBe(400);
+  expect(adapter.serialize(new Date(ISO), 'timestamp')).toBe('2030-01-31 12:01:20.9030000');
+});
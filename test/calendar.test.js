@@ -0,0 +1,61 @@
+'use strict';
+
+import MomentDB, { LocalDate, MomentDBParseError } from '../index.js';
+
+const PLAN = 'MomentDB calendar';
+
+test(`${PLAN}: signed/expanded years and era suffixes`, () => {
+  const bc = MomentDB.parse('date', '0044-03-15 BC');
+  expect(bc.toISOString()).toBe('-000043-03-15T00:00:00.000Z');
+  expect(MomentDB.date(bc)).toBe('-000043-03-15');
+  expect(MomentDB.date(bc, { dialect: 'postgres' })).toBe('0044-03-15 BC');
+  expect(MomentDB.timestamp(bc, false, { dialect: 'postgres', zone: 'UTC' })).toBe('0044-03-15 00:00:00.000000+00 BC');
+  expect(MomentDB.parse('timestamptz', '0044-03-15 00:00:00+00 BC', { dialect: 'postgres', strict: true })).toEqual(bc);
+  expect(MomentDB.parse('date', '-000043-03-15', { strict: true })).toEqual(bc);
+  expect(MomentDB.parse('date', '0001-01-01 BC').getUTCFullYear()).toBe(0);
+
+  const big = MomentDB.parse('timestamp', '+012345-01-31 12:01:20.903', { strict: true });
+  expect(big.toISOString()).toBe('+012345-01-31T12:01:20.903Z');
+  expect(MomentDB.timestamp(big, true)).toBe('+012345-01-31 12:01:20.903');
+  expect(MomentDB.timestamp(big, true, { dialect: 'postgres' })).toBe('12345-01-31 12:01:20.903');
+  expect(MomentDB.parse('timestamp', '12345-01-31 12:01:20.903', { dialect: 'postgres', strict: true })).toEqual(big);
+
+  for (let dialect of ['ansi', 'postgres']) {
+    const fmt = MomentDB.formatter('timestamptz', { dialect, zone: 'UTC' });
+    for (let date of [bc, big, new Date(Date.UTC(-271820, 0, 1)), new Date(Date.UTC(0, 0, 1))]) {
+      expect(fmt.parse(fmt.format(date))).toEqual(date);
+      expect(MomentDB.parse('timestamptz', MomentDB.timestamp(date, false, { dialect }), { dialect, strict: true }))
+        .toEqual(date);
+    }
+  }
+  expect(MomentDB.parse('date', '0044-03-15 BC', { as: 'local' })).toEqual(new LocalDate(-43, 3, 15));
+  expect(new LocalDate(-43, 3, 15).toString()).toBe('-000043-03-15');
+  expect(MomentDB.date(new LocalDate(-43, 3, 15), { dialect: 'oracle' })).toBe('0044-03-15 BC');
+  expect(() => MomentDB.parse('date', '-0044-03-15 BC', { strict: true })).toThrow(/cannot be signed/);
+  expect(() => MomentDB.parse('date', '0000-03-15 BC', { strict: true })).toThrow(MomentDBParseError);
+  expect(() => MomentDB.parse('date', '+275760-09-14', { strict: true })).toThrow(/outside of the range/);
+  expect(() => MomentDB.parse('date', '0044-03-15 bc', { strict: true })).toThrow(/expected " BC"/);
+  expect(() => MomentDB.registerDialect('bad', { era: 'ad' })).toThrow(RangeError);
+});
+
+test(`${PLAN}: hybrid Julian/Gregorian cutover`, () => {
+  const opts = { dialect: 'oracle', calendar: 'hybrid' };
+  expect(MomentDB.parse('date', '1582-10-04', opts).toISOString()).toBe('1582-10-14T00:00:00.000Z');
+  expect(MomentDB.parse('date', '1582-10-15', opts).toISOString()).toBe('1582-10-15T00:00:00.000Z');
+  expect(MomentDB.date(new Date(Date.UTC(1582, 9, 14)), opts)).toBe('1582-10-04');
+  expect(MomentDB.formatter('date', opts).format(new Date(Date.UTC(1582, 9, 14)))).toBe('1582-10-04');
+
+  const ides = MomentDB.parse('timestamp', '0044-03-15 12:00:00 BC', opts);
+  expect(ides.toISOString()).toBe('-000043-03-13T12:00:00.000Z');
+  expect(MomentDB.timestamp(ides, true, opts)).toBe('0044-03-15 12:00:00 BC');
+  expect(MomentDB.formatter('timestamp', opts).parse('0044-03-15 12:00:00 BC')).toEqual(ides);
+  expect(MomentDB.parse('date', '1500-02-29', Object.assign({ strict: true }, opts)).toISOString())
+    .toBe('1500-03-10T00:00:00.000Z');
+  expect(MomentDB.formatter('date', opts).parse('1500-02-29').toISOString()).toBe('1500-03-10T00:00:00.000Z');
+  expect(MomentDB.parse('date', '1500-02-29', Object.assign({ as: 'local' }, opts))).toEqual(new LocalDate(1500, 3, 10));
+  expect(MomentDB.date(new LocalDate(1500, 3, 10), opts)).toBe('1500-02-29');
+
+  expect(() => MomentDB.parse('date', '1500-02-29', { strict: true })).toThrow(/DD must be from 1 to 28/);
+  expect(() => MomentDB.parse('date', '1582-10-10', Object.assign({ strict: true }, opts))).toThrow(/skipped/);
+  expect(() => MomentDB.date(new Date(), { calendar: 'julian' })).toThrow(RangeError);
+});
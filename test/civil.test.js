@@ -0,0 +1,81 @@
+'use strict';
+
+import MomentDB, { PreciseDate, MomentDBParseError, LocalDate, LocalTime, LocalDateTime } from '../index.js';
+
+const PLAN = 'MomentDB local';
+
+test(`${PLAN}: value types`, () => {
+  const date = new LocalDate(2030, 1, 31), time = new LocalTime(12, 1, 20, 903456789, 9);
+  const dateTime = date.atTime(time);
+  expect(Object.isFrozen(date) && Object.isFrozen(time) && Object.isFrozen(dateTime)).toBe(true);
+  expect([date.toString(), time.toString(), dateTime.toString()]).toEqual(['2030-01-31', '12:01:20.903456789',
+    '2030-01-31 12:01:20.903456789']);
+  expect(new LocalTime(1, 2, 3).toString()).toBe('01:02:03.000');
+  expect(new LocalTime(1, 2, 3, 450000).toString()).toBe('01:02:03.000450');
+  expect(dateTime.toLocalDate().equals(date) && dateTime.toLocalTime().equals(time)).toBe(true);
+  expect(time.atDate(date).equals(dateTime)).toBe(true);
+  expect(date.compareTo(new LocalDate(2030, 2, 1))).toBe(-1);
+  expect(dateTime.compareTo(date.atTime())).toBe(1);
+  expect(date.toDate().toISOString()).toBe('2030-01-31T00:00:00.000Z');
+  expect(date.atZone('America/Denver').toISOString()).toBe('2030-01-31T07:00:00.000Z');
+  const zoned = dateTime.atZone('America/Denver');
+  expect([zoned.toISOString(), zoned.getNanoseconds(), zoned.precision, zoned.zone]).toEqual(['2030-01-31T19:01:20.903Z', 456789,
+    9, 'America/Denver']);
+  expect(dateTime.atZone('+05:30').zone).toBeUndefined();
+  expect(time.toDate().toISOString()).toBe('0000-01-01T12:01:20.903Z');
+  expect(time.atZone('-07:00', date).toISOString()).toBe('2030-01-31T19:01:20.903Z');
+  expect(new LocalDateTime(2030, 3, 10, 2, 30).atZone('America/Denver', 'later').toISOString()).toBe('2030-03-10T09:30:00.000Z');
+  expect(() => new LocalDateTime(2030, 3, 10, 2, 30).atZone('America/Denver', 'reject')).toThrow(RangeError);
+  const from = new PreciseDate('2030-02-01T02:01:20.903Z');
+  expect(LocalDate.from(from).toString()).toBe('2030-02-01');
+  expect(LocalDate.from(from, 'America/Denver').toString()).toBe('2030-01-31');
+  expect(LocalDateTime.from(from, -420).toString()).toBe('2030-01-31 19:01:20.903');
+  expect(LocalTime.from(from, 'UTC').equals(new LocalTime(2, 1, 20, 903e6))).toBe(true);
+  expect(() => new LocalDate(2030, 2, 29)).toThrow(RangeError);
+  expect(() => new LocalTime(24)).toThrow(RangeError);
+  expect(() => new LocalDate(2030.5, 1, 1)).toThrow(TypeError);
+  expect(() => date.compareTo(time)).toThrow(TypeError);
+});
+
+test(`${PLAN}: format and parse`, () => {
+  const date = new LocalDate(2030, 1, 31), time = new LocalTime(12, 1, 20, 903456000), dateTime = date.atTime(time);
+  expect(MomentDB.date(date)).toBe('2030-01-31');
+  expect(MomentDB.date(dateTime)).toBe('2030-01-31');
+  expect(MomentDB.time(time, true)).toBe('12:01:20.903');
+  expect(MomentDB.time(dateTime, true, { dialect: 'postgres' })).toBe('12:01:20.903456');
+  expect(MomentDB.time(time, false, { zone: '-07:00' })).toBe('12:01:20.903 -07:00');
+  expect(MomentDB.timestamp(dateTime, true, { precision: 9 })).toBe('2030-01-31 12:01:20.903456000');
+  expect(MomentDB.timestamp(dateTime, false, { zone: 'America/Denver' })).toBe('2030-01-31 12:01:20.903 -07:00');
+  expect(MomentDB.timestamp(date, true)).toBe('2030-01-31 00:00:00.000');
+  expect(() => MomentDB.date(time)).toThrow(TypeError);
+  expect(() => MomentDB.time(date, true)).toThrow(TypeError);
+
+  const parsed = MomentDB.date('2030-01-31', { as: 'local' });
+  expect(parsed).toBeInstanceOf(LocalDate);
+  expect(parsed.equals(date)).toBe(true);
+  const ptime = MomentDB.time('12:01:20.903456', true, { as: 'local', zone: 'America/Denver' });
+  expect(ptime).toBeInstanceOf(LocalTime);
+  expect([ptime.toString(), ptime.precision]).toEqual(['12:01:20.903456', 6]);
+  const pts = MomentDB.parse('timestamp', '2030-01-31 12:01:20', { as: 'local' });
+  expect(pts).toBeInstanceOf(LocalDateTime);
+  expect(pts.toString()).toBe('2030-01-31 12:01:20');
+  expect(MomentDB.timestamp(pts, true)).toBe('2030-01-31 12:01:20');
+  expect(() => MomentDB.parse('timestamptz', '2030-01-31 12:01:20 +00:00', { as: 'local' })).toThrow(TypeError);
+  let err;
+  try {
+    MomentDB.parse('date', '2030-02-30', { as: 'local' });
+  } catch (e) {
+    err = e;
+  }
+  expect(err).toBeInstanceOf(MomentDBParseError);
+  expect([err.field, err.position]).toEqual(['DD', 8]);
+  expect(() => MomentDB.parse('time', 'noon', { as: 'local' })).toThrow(MomentDBParseError);
+  const fmt = MomentDB.formatter('timestamp', { as: 'local' });
+  expect(fmt.parse('2030-01-31 12:01:20.903').equals(new LocalDateTime(2030, 1, 31, 12, 1, 20, 903e6))).toBe(true);
+  expect(fmt.format(pts)).toBe('2030-01-31 12:01:20');
+  const mapper = MomentDB.schema({ born: 'date', at: 'timestamptz' }, { as: 'local', zone: 'UTC' });
+  const row = mapper.deserialize({ born: '1990-06-15', at: '2030-01-31 12:01:20.903 +00:00' });
+  expect(row.born).toBeInstanceOf(LocalDate);
+  expect(row.at).toBeInstanceOf(PreciseDate);
+  expect(mapper.serialize(row)).toEqual({ born: '1990-06-15', at: '2030-01-31 12:01:20.903 +00:00' });
+});
@@ -0,0 +1,43 @@
+'use strict';
+
+import MomentDB, { PreciseDate, LocalDate } from '../index.js';
+
+const PLAN = 'MomentDB detect';
+const summary = (found) => found && [found.type, found.ansi, found.confidence, found.pattern];
+
+test(`${PLAN}: detects the type and format of mixed-source strings`, () => {
+  expect(summary(MomentDB.detect('2030-01-31 12:01:20.903 -07:00')))
+    .toEqual(['timestamp with time zone', '2030-01-31 12:01:20.903 -07:00', 1, 'ansi']);
+  expect(summary(MomentDB.detect('12:01:20.903'))).toEqual(['time', '12:01:20.903', 1, 'ansi']);
+  expect(summary(MomentDB.detect('2030-01-31T12:01:20.903+0700')))
+    .toEqual(['timestamp with time zone', '2030-01-31 12:01:20.903 +07:00', 0.95, 'iso8601']);
+  expect(MomentDB.detect('2030-01-31T12:01:20.903Z').value).toEqual(new PreciseDate('2030-01-31T12:01:20.903Z'));
+  expect(summary(MomentDB.detect('12:01:20+05:30'))).toEqual(['time with time zone', '12:01:20 +05:30', 0.9, 'sql']);
+  expect(summary(MomentDB.detect(' 2030-1-5 1:02 '))).toEqual(['timestamp', '2030-01-05 01:02:00', 0.85, 'sql']);
+  const lmt = MomentDB.detect('1850-01-01 00:00:00-07:19:32');
+  expect([lmt.ansi, lmt.confidence, lmt.value.toISOString()]).toEqual(['1850-01-01 07:19:32 +00:00', 0.8,
+    '1850-01-01T07:19:32.000Z']);
+  // Oracle's default NLS formats (RR years are relative to the current century)
+  expect(summary(MomentDB.detect('31-JAN-30 12.01.20.903000 PM')))
+    .toEqual(['timestamp', '2030-01-31 12:01:20.903000', 0.8, 'oracle']);
+  expect(MomentDB.detect('31-jan-30 12.01.20.903000 pm America/Denver').value.toISOString()).toBe('2030-01-31T19:01:20.903Z');
+
+  expect(summary(MomentDB.detect('0000-00-00 00:00:00'))).toEqual(['timestamp', null, 1, 'zero']);
+  expect(MomentDB.detect('0000-00-00', { zero: 0 }).value).toBe(0);
+  expect(MomentDB.detect('-Infinity').value).toBe(-Infinity);
+  expect(MomentDB.detect('2030-02-30')).toBeNull();
+  expect(MomentDB.detect('31-FEB-30')).toBeNull();
+  expect(MomentDB.detect('yesterday')).toBeNull();
+  expect(MomentDB.detect('2030-01-31', { as: 'local' }).value).toEqual(new LocalDate(2030, 1, 31));
+});
+
+test(`${PLAN}: patterns`, () => {
+  const patterns = ['ansi', { name: 'us', mask: 'MM/DD/YYYY HH24:MI', confidence: 0.6 }];
+  expect(summary(MomentDB.detect('01/31/2030 13:01', { patterns }))).toEqual(['timestamp', '2030-01-31 13:01:00', 0.6, 'us']);
+  expect(MomentDB.detect('31-JAN-30', { patterns })).toBeNull();
+  expect(MomentDB.detect('02/31/2030 13:01', { patterns })).toBeNull();
+  expect(MomentDB.detect('infinity', { patterns: ['ansi'] })).toBeNull();
+  expect(() => MomentDB.detect('2030-01-31', { patterns: ['mysql'] })).toThrow(RangeError);
+  expect(() => MomentDB.detect('2030-01-31', { patterns: [{ name: 'none' }] })).toThrow(TypeError);
+  expect(() => MomentDB.detect(new Date())).toThrow(TypeError);
+});
@@ -0,0 +1,61 @@
+'use strict';
+
+import MomentDB from '../index.js';
+
+const PLAN = 'MomentDB.dialect';
+const DATE = new Date(Date.UTC(2030, 0, 31, 12, 1, 20, 903));
+const START = new Date(Date.UTC(1900, 0, 1));
+
+test(`${PLAN}: ansi is the default`, () => {
+  expect(MomentDB.dialect('ansi').timestamp(DATE, true)).toBe(MomentDB.timestamp(DATE, true));
+  expect(MomentDB.dialect('ansi').profile).toBe(MomentDB.dialect().profile);
+});
+
+test(`${PLAN}: fraction precision`, () => {
+  expect(MomentDB.dialect('postgres').timestamp(DATE, true)).toBe('2030-01-31 12:01:20.903000');
+  expect(MomentDB.dialect('oracle').time(DATE, true)).toBe('12:01:20.903000000');
+  expect(MomentDB.dialect('mssql').timestamp(DATE, true)).toBe('2030-01-31 12:01:20.9030000');
+  expect(MomentDB.dialect('sqlite').timestamp(DATE, true)).toBe('2030-01-31 12:01:20.903');
+});
+
+test(`${PLAN}: offset style`, () => {
+  const tz = MomentDB.time(DATE).split(' ')[1];
+  expect(MomentDB.dialect('postgres').timestamp(DATE)).toBe(`2030-01-31 ${MomentDB.time(DATE, false, { dialect: 'postgres' })}`);
+  expect(MomentDB.dialect('postgres').timestamp(DATE)).toMatch(new RegExp(`${tz.replace(/:00$/, '').replace('+', '\\+')}$`));
+  expect(MomentDB.dialect('mssql').timestamp(DATE)).toMatch(new RegExp(`\\.\\d{7} ${tz.replace('+', '\\+')}$`));
+  expect(MomentDB.dialect('mysql').timestamp(DATE)).toBe('2030-01-31 12:01:20.903000');
+});
+
+test(`${PLAN}: interval precision`, () => {
+  // legacy year-to-month intervals count the local years/months between the dates
+  const start = new Date(1900, 0, 1), end = new Date(2030, 0, 31);
+  expect(MomentDB.dialect('oracle').intervalYearToMonth(start, end)).toBe('-000000130-00');
+  expect(MomentDB.dialect('oracle').intervalDayToSecond(DATE, START, DATE)).toMatch(/^\+\d{9} 12:01:20\.903000000$/);
+  expect(MomentDB.dialect('postgres').intervalYearToMonth(start, end)).toBe('-130-00');
+});
+
+test(`${PLAN}: accepted input variants`, () => {
+  const pg = MomentDB.dialect('postgres');
+  expect(pg.timestamp('2030-01-31 12:01:20.903123-07').toISOString()).toBe('2030-01-31T19:01:20.903Z');
+  expect(pg.timestamp('2030-01-31 12:01:20.903-0730').toISOString()).toBe('2030-01-31T19:31:20.903Z');
+  expect(pg.timestamp('2030-01-31 12:01:20Z').toISOString()).toBe('2030-01-31T12:01:20.000Z');
+  expect(pg.intervalYearToMonth('130-02', new Date(Date.UTC(2030, 1, 3))).toISOString()).toBe('2160-04-03T00:00:00.000Z');
+  expect(MomentDB.dialect('mssql').timestamp('2030-01-31 12:01:20.9031234 -07:00').toISOString()).toBe('2030-01-31T19:01:20.903Z');
+  // ansi does not accept the compact offset, so the timestamp is treated as UTC
+  expect(MomentDB.timestamp('2030-01-31 12:01:20.903 -0700').toISOString()).toBe('2030-01-31T12:01:20.903Z');
+});
+
+test(`${PLAN}: register custom dialect`, () => {
+  const profile = MomentDB.registerDialect('Cockroach', { extends: 'postgres', fraction: 3 });
+  expect(profile.name).toBe('cockroach');
+  expect(profile.offset).toBe('HH');
+  expect(MomentDB.dialect('cockroach').timestamp(DATE, true)).toBe('2030-01-31 12:01:20.903');
+  expect(MomentDB.timestamp(DATE, true, { dialect: { separator: 'T', fraction: 0 } })).toBe('2030-01-31T12:01:20');
+});
+
+test(`${PLAN}: invalid dialects`, () => {
+  expect(() => MomentDB.dialect('nope')).toThrow(/Unknown dialect/);
+  expect(() => MomentDB.registerDialect('bad', { fraction: 10 })).toThrow(RangeError);
+  expect(() => MomentDB.registerDialect('bad', { offset: 'TZR' })).toThrow(RangeError);
+  expect(() => MomentDB.registerDialect('bad', { extends: 'mysql', fraction: 7 })).toThrow(/accept\.fraction maximum of 6/);
+});
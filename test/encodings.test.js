@@ -0,0 +1,88 @@
+'use strict';
+
+import MomentDB, { PreciseDate, LocalDate, LocalTime, MomentDBParseError } from '../index.js';
+
+const PLAN = 'MomentDB encodings';
+const DATE = PreciseDate.fromEpochNanoseconds('1896091280903456789'); // 2030-01-31T12:01:20.903456789Z
+const hex = (bytes) => Buffer.from(bytes).toString('hex');
+const raw = (str) => Buffer.from(str, 'hex');
+
+test(`${PLAN}: binary encodings`, () => {
+  const opts = { zone: 'UTC' };
+  expect(hex(MomentDB.encode('postgres.date', DATE, opts))).toBe('00002aec');
+  expect(hex(MomentDB.encode('postgres.timestamptz', DATE))).toBe('00035f7aec0aad20');
+  expect(hex(MomentDB.encode('postgres.timetz', DATE, { zone: 'America/Denver' }))).toBe('0000000435b4b12000006270');
+  expect(hex(MomentDB.encode('oracle.date', DATE, opts))).toBe('7882011f0d0215');
+  expect(hex(MomentDB.encode('oracle.timestamptz', DATE, { zone: '-03:30' }))).toBe('7882011f0d021535d9a815111e');
+  expect(hex(MomentDB.encode('mssql.date', DATE, opts))).toBe('f34e0b');
+  expect(hex(MomentDB.encode('mssql.datetime2', DATE, opts))).toBe('47c36dc564f34e0b');
+  expect(hex(MomentDB.encode('mssql.datetime2', DATE, { zone: 'UTC', precision: 3 }))).toBe('076a9402f34e0b');
+  expect(hex(MomentDB.encode('mssql.datetimeoffset', DATE, { zone: '+05:30' }))).toBe('47c36dc564f34e0b4a01');
+  expect(hex(MomentDB.encode('mssql.datetime', DATE, opts))).toBe('98b90000cf1fc600');
+  expect(hex(MomentDB.encode('mssql.smalldatetime', DATE, opts))).toBe('98b9d102');
+
+  expect(MomentDB.decode('postgres.timestamptz', raw('00035f7aec0aad20'))).toEqual(PreciseDate.fromEpochNanoseconds(
+    '1896091280903456000', 6));
+  expect(MomentDB.decode('postgres.timestamp', BigInt('949406480903456'), { zone: 'America/Denver' }).toISOString())
+    .toBe('2030-01-31T19:01:20.903Z');
+  expect(MomentDB.decode('postgres.date', 10988, { as: 'local' })).toEqual(new LocalDate(2030, 1, 31));
+  expect(MomentDB.decode('postgres.time', raw('0000000435b4b120'), { as: 'local' }).toString()).toBe('05:01:20.903456');
+  expect(MomentDB.decode('postgres.date', raw('7fffffff'))).toBe(Infinity);
+  // PostgreSQL offsets can include seconds (e.g. LMT) up to 15:59:59
+  expect(MomentDB.decode('postgres.timetz', raw('0000000a0eebb000fffffbe6')).toISOString()).toBe('0000-01-01T11:42:30.000Z');
+  expect(MomentDB.decode('postgres.timetz', raw('0000000a0eebb000ffff1f01')).toISOString()).toBe('-000001-12-31T20:00:01.000Z');
+  expect(() => MomentDB.decode('postgres.timetz', raw('0000000a0eebb0000000e100'))).toThrow(/offset of -57600 seconds/);
+  expect(hex(MomentDB.encode('postgres.timestamp', -Infinity))).toBe('8000000000000000');
+  const tz = MomentDB.decode('oracle.timestamptz', raw('7882011f0d021535d9a815111e'));
+  expect(tz).toEqual(DATE);
+  expect(tz.precision).toBe(9);
+  expect(MomentDB.decode('oracle.date', raw('7882011f0d0215'), { as: 'local' }).toString()).toBe('2030-01-31 12:01:20');
+  const offset = MomentDB.decode('mssql.datetimeoffset', raw('47c36dc564f34e0b4a01'));
+  expect([offset.toISOString(), offset.precision]).toEqual(['2030-01-31T12:01:20.903Z', 7]);
+  expect(MomentDB.decode('mssql.time', raw('076a9402'), { precision: 3, as: 'local' }))
+    .toEqual(new LocalTime(12, 1, 20, 903e6, 3));
+  expect(MomentDB.decode('mssql.datetime', raw('98b90000cf1fc600')).toISOString()).toBe('2030-01-31T12:01:20.903Z');
+  expect(MomentDB.decode('postgres.date', null)).toBeNull();
+  expect(() => MomentDB.decode('postgres.timetz', raw('0000000a0eebb000fffffbe6'), { as: 'local' })).toThrow(TypeError);
+
+  // BC years and the Julian calendar used by Oracle before the Gregorian cutover
+  const ides = MomentDB.parse('date', '0044-03-15 BC', { calendar: 'hybrid' });
+  expect(hex(MomentDB.encode('oracle.date', ides, { calendar: 'hybrid' }))).toBe('6438030f010101');
+  expect(MomentDB.decode('oracle.date', raw('6438030f010101'), { calendar: 'hybrid' })).toEqual(ides);
+  expect(MomentDB.decode('oracle.date', raw('35580101010101')).toISOString()).toBe('-004711-01-01T00:00:00.000Z');
+});
+
+test(`${PLAN}: numeric encodings`, () => {
+  expect(MomentDB.encode('unix.s', DATE)).toBe(1896091280);
+  expect(MomentDB.encode('unix.ms', DATE)).toBe(1896091280903);
+  expect(MomentDB.encode('unix.us', DATE)).toBe(BigInt('1896091280903456'));
+  expect(MomentDB.encode('unix.ns', DATE)).toBe(BigInt('1896091280903456789'));
+  expect(MomentDB.encode('sqlite.julianday', DATE)).toBeCloseTo(2462533.0009363773, 9);
+  expect(MomentDB.encode('unix.ms', new LocalDate(2030, 1, 31), { zone: 'America/Denver' })).toBe(1896073200000);
+
+  expect(MomentDB.decode('unix.ns', '1896091280903456789')).toEqual(DATE);
+  expect(MomentDB.decode('unix.us', -1).toISOString()).toBe('1969-12-31T23:59:59.999Z');
+  expect(MomentDB.decode('unix.s', 1896091280.903).toISOString()).toBe('2030-01-31T12:01:20.903Z');
+  expect(MomentDB.decode('sqlite.julianday', 2462533.0009363773).toISOString()).toBe('2030-01-31T12:01:20.903Z');
+  expect(MomentDB.decode('SQLite.JulianDay', '2440587.5').getTime()).toBe(0);
+});
+
+test(`${PLAN}: errors`, () => {
+  expect(() => MomentDB.encode('postgres.float', DATE)).toThrow(/Unknown encoding/);
+  expect(() => MomentDB.encode('unix.s', '2030-01-31')).toThrow(TypeError);
+  expect(() => MomentDB.encode('unix.s', Infinity)).toThrow(RangeError);
+  expect(() => MomentDB.encode('mssql.time', DATE, { precision: 9 })).toThrow(RangeError);
+  expect(() => MomentDB.encode('oracle.date', new Date(Date.UTC(-5000, 0, 1)))).toThrow(RangeError);
+  expect(() => MomentDB.encode('mssql.smalldatetime', new Date(Date.UTC(2080, 0, 1)))).toThrow(RangeError);
+  expect(() => MomentDB.decode('postgres.timestamp', raw('0000'))).toThrow(/expected 8 bytes/);
+  expect(() => MomentDB.decode('mssql.datetime2', raw('47c36dc564f34e0b'), { precision: 2 })).toThrow(MomentDBParseError);
+  expect(() => MomentDB.decode('unix.ms', 'now')).toThrow(MomentDBParseError);
+  try {
+    MomentDB.decode('oracle.date', raw('78820b1f0d0215'));
+    throw new Error('expected a MomentDBParseError');
+  } catch (err) {
+    expect(err).toBeInstanceOf(MomentDBParseError);
+    expect([err.type, err.field, err.position]).toEqual(['timestamp', 'DD', 3]);
+  }
+  expect(() => MomentDB.decode('oracle.timestamptz', raw('7882011f0d021500000000a406'))).toThrow(/region/);
+});
@@ -0,0 +1,95 @@
+'use strict';
+
+import MomentDB, { PreciseDate, LocalDate, LocalTime, LocalDateTime, YearToMonthInterval, DayToSecondInterval }
+  from '../index.js';
+
+const PLAN = 'MomentDB extract';
+const DATE = PreciseDate.fromEpochNanoseconds('1896091280903456789', 9); // 2030-01-31T12:01:20.903456789Z
+const fields = (names, value, opts) => names.map(name => MomentDB.extract(name, value, opts));
+
+test(`${PLAN}: extracts fields`, () => {
+  expect(fields(['year', 'quarter', 'month', 'week', 'day', 'dow', 'isodow', 'doy', 'hour', 'minute', 'second'], DATE))
+    .toEqual([2030, 1, 1, 5, 31, 4, 4, 31, 12, 1, 20.903456789]);
+  expect(fields(['milliseconds', 'microseconds', 'decade', 'century', 'millennium'], DATE))
+    .toEqual([20903.456789, 20903456.789, 203, 21, 3]);
+  expect(MomentDB.extract('epoch', DATE)).toBeCloseTo(1896091280.903457, 6);
+  expect(MomentDB.extract('epoch', new Date(-1))).toBe(-0.001);
+  expect(fields(['hour', 'minute', 'timezone', 'timezone_hour', 'timezone_minute'], DATE, { zone: 'America/Denver' }))
+    .toEqual([5, 1, -25200, -7, 0]);
+  expect(fields(['hour', 'minute', 'timezone_hour', 'timezone_minute'], DATE, { zone: '-03:30' })).toEqual([8, 31, -3, -30]);
+  expect(MomentDB.extract('DAY', new Date('2030-02-01T03:00:00Z'), { zone: 'America/Denver' })).toBe(31);
+
+  // ISO 8601 weeks start on Monday and week 1 contains the first Thursday of the year
+  expect(fields(['isoyear', 'week', 'isodow'], new LocalDate(2030, 12, 30))).toEqual([2031, 1, 1]);
+  expect(fields(['isoyear', 'week', 'dow', 'isodow'], new LocalDate(2027, 1, 3))).toEqual([2026, 53, 0, 7]);
+  expect(fields(['doy', 'quarter'], new LocalDate(2028, 12, 31))).toEqual([366, 4]);
+  expect(fields(['epoch', 'julian'], new LocalDate(2030, 1, 31))).toEqual([1896048000, 2462533]);
+  expect(MomentDB.extract('julian', new LocalDateTime(2030, 1, 31, 18))).toBe(2462533.75);
+  expect(fields(['century', 'millennium'], new LocalDate(2000, 12, 31))).toEqual([20, 2]);
+  // there is no year zero (the local year 0 is 1 BC)
+  const bc = MomentDB.parse('date', '0044-03-15 BC', { as: 'local' });
+  expect(fields(['year', 'decade', 'century', 'millennium'], bc)).toEqual([-44, -5, -1, -1]);
+  expect(fields(['hour', 'second', 'epoch'], new LocalTime(12, 1, 20, 903e6))).toEqual([12, 20.903, 43280.903]);
+
+  expect(fields(['year', 'month', 'quarter', 'day', 'epoch'], new YearToMonthInterval(-1, -5)))
+    .toEqual([-1, -5, 0, 0, -44517600]);
+  expect(fields(['day', 'hour', 'minute', 'second', 'milliseconds', 'epoch'], new DayToSecondInterval(3, 4, 5, 6, 789e6)))
+    .toEqual([3, 4, 5, 6.789, 6789, 273906.789]);
+
+  expect(() => MomentDB.extract('fortnight', DATE)).toThrow(/Unknown field/);
+  expect(() => MomentDB.extract('timezone', new LocalDateTime(2030, 1, 31))).toThrow(TypeError);
+  expect(() => MomentDB.extract('day', new LocalTime(12))).toThrow(TypeError);
+  expect(() => MomentDB.extract('dow', new DayToSecondInterval(1))).toThrow(TypeError);
+  expect(() => MomentDB.extract('year', '2030-01-31')).toThrow(TypeError);
+});
+
+test(`${PLAN}: truncates`, () => {
+  const trunc = (unit, opts) => MomentDB.trunc(unit, DATE, opts).toISOString();
+  expect(['second', 'minute', 'hour', 'day', 'week', 'month', 'quarter', 'year', 'decade', 'century', 'millennium']
+    .map(unit => trunc(unit))).toEqual(['2030-01-31T12:01:20.000Z', '2030-01-31T12:01:00.000Z', '2030-01-31T12:00:00.000Z',
+    '2030-01-31T00:00:00.000Z', '2030-01-28T00:00:00.000Z', '2030-01-01T00:00:00.000Z', '2030-01-01T00:00:00.000Z',
+    '2030-01-01T00:00:00.000Z', '2030-01-01T00:00:00.000Z', '2001-01-01T00:00:00.000Z', '2001-01-01T00:00:00.000Z']);
+  const micros = MomentDB.trunc('microseconds', DATE);
+  expect([micros.getNanoseconds(), micros.precision]).toEqual([456000, 9]);
+  expect(MomentDB.trunc('Milliseconds', DATE).getNanoseconds()).toBe(0);
+
+  const opts = { zone: 'America/Denver' };
+  expect(MomentDB.trunc('day', new Date('2030-01-31T03:01:20.903Z'), opts).toISOString()).toBe('2030-01-30T07:00:00.000Z');
+  expect(MomentDB.trunc('month', new Date('2030-04-01T03:00:00Z'), opts).toISOString()).toBe('2030-03-01T07:00:00.000Z');
+  // the start of the day that DST begins is still midnight, but the hour after it is an hour shorter
+  expect(MomentDB.trunc('day', new Date('2030-03-10T12:00:00Z'), opts).toISOString()).toBe('2030-03-10T07:00:00.000Z');
+  expect(MomentDB.trunc('hour', new Date('2030-03-10T09:30:00Z'), opts).toISOString()).toBe('2030-03-10T09:00:00.000Z');
+  // 01:30 occurs twice on the day that DST ends, so each instant is truncated within its own offset
+  expect(MomentDB.trunc('hour', new Date('2030-11-03T07:30:00Z'), opts).toISOString()).toBe('2030-11-03T07:00:00.000Z');
+  expect(MomentDB.trunc('hour', new Date('2030-11-03T08:30:00Z'), opts).toISOString()).toBe('2030-11-03T08:00:00.000Z');
+  expect(MomentDB.trunc('minute', new Date('2030-11-03T08:30:20Z'), opts).toISOString()).toBe('2030-11-03T08:30:00.000Z');
+  expect(MomentDB.trunc('quarter', DATE, { zone: '+05:30' }).toISOString()).toBe('2029-12-31T18:30:00.000Z');
+
+  expect(MomentDB.trunc('quarter', new LocalDate(2030, 5, 31))).toEqual(new LocalDate(2030, 4, 1));
+  expect(MomentDB.trunc('week', new LocalDate(2030, 1, 1))).toEqual(new LocalDate(2029, 12, 31));
+  expect(MomentDB.trunc('hour', new LocalDate(2030, 5, 31))).toEqual(new LocalDate(2030, 5, 31));
+  expect(MomentDB.trunc('minute', new LocalDateTime(2030, 1, 31, 12, 1, 20, 903e6, 3)))
+    .toEqual(new LocalDateTime(2030, 1, 31, 12, 1, 0, 0, 3));
+  expect(MomentDB.trunc('minute', new LocalTime(12, 1, 20))).toEqual(new LocalTime(12, 1));
+  expect(() => MomentDB.trunc('day', new LocalTime(12))).toThrow(TypeError);
+  expect(() => MomentDB.trunc('fortnight', DATE)).toThrow(/Unknown unit/);
+});
+
+test(`${PLAN}: bins`, () => {
+  expect(MomentDB.bin('0 00:15:00', DATE).toISOString()).toBe('2030-01-31T12:00:00.000Z');
+  const origin = new Date('2030-01-01T06:00:00Z');
+  expect(MomentDB.bin(new DayToSecondInterval(0, 8), new Date('2030-01-31T05:01:20Z'), origin).toISOString())
+    .toBe('2030-01-30T22:00:00.000Z');
+  expect(MomentDB.bin(new DayToSecondInterval(0, 8), new Date('2029-12-31T23:00:00Z'), origin).toISOString())
+    .toBe('2029-12-31T22:00:00.000Z');
+  const binned = MomentDB.bin('0 00:00:00.000001', DATE);
+  expect([binned.getNanoseconds(), binned.precision]).toEqual([456000, 9]);
+  expect(MomentDB.bin('7 days', new LocalDateTime(2030, 1, 31, 12), new LocalDateTime(2030, 1, 6), { intervalStyle: 'postgres' }))
+    .toEqual(new LocalDateTime(2030, 1, 27));
+
+  expect(() => MomentDB.bin(new YearToMonthInterval(0, 1), DATE)).toThrow(RangeError);
+  expect(() => MomentDB.bin(new DayToSecondInterval(), DATE)).toThrow(RangeError);
+  expect(() => MomentDB.bin(new DayToSecondInterval(-1), DATE)).toThrow(RangeError);
+  expect(() => MomentDB.bin(new DayToSecondInterval(1), new LocalDate(2030, 1, 31))).toThrow(TypeError);
+  expect(() => MomentDB.bin(new DayToSecondInterval(1), DATE, new LocalDateTime(2030, 1, 1))).toThrow(TypeError);
+});
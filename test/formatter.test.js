@@ -0,0 +1,50 @@
+'use strict';
+
+import MomentDB, { PreciseDate, MomentDBParseError, DayToSecondInterval } from '../index.js';
+
+const PLAN = 'MomentDB formatter';
+const ISO = '2030-01-31T12:01:20.903Z';
+
+test(`${PLAN}: output matches the MomentDB functions`, () => {
+  const date = new PreciseDate(ISO), calls = {
+    'date': (dte, opts) => MomentDB.date(dte, opts),
+    'time': (dte, opts) => MomentDB.time(dte, true, opts),
+    'timetz': (dte, opts) => MomentDB.time(dte, false, opts),
+    'timestamp': (dte, opts) => MomentDB.timestamp(dte, true, opts),
+    'timestamptz': (dte, opts) => MomentDB.timestamp(dte, false, opts)
+  };
+  date.setNanoseconds(456789);
+  const optsList = [{}, { dialect: 'postgres' }, { dialect: 'mssql', zone: 'America/Denver' }, { dialect: 'mysql', precision: 6 }];
+  for (let opts of optsList) {
+    for (let type of Object.keys(calls)) {
+      const fmt = MomentDB.formatter(type, opts), str = fmt.format(date);
+      expect(str).toBe(calls[type](date, opts));
+      expect(fmt.parse(str)).toEqual(MomentDB.parse(type, str, opts));
+      expect(fmt.parse(str).precision).toBe(MomentDB.parse(type, str, opts).precision);
+    }
+  }
+  const fmt = MomentDB.formatter('timestamptz', { dialect: 'postgres', zone: 'UTC' });
+  expect(fmt.type).toBe('timestamp with time zone');
+  expect(fmt.format(date)).toBe('2030-01-31 12:01:20.903456+00');
+  const parsed = fmt.parse('2030-01-31 05:01:20.903456789-07');
+  expect([parsed.toISOString(), parsed.getNanoseconds(), parsed.precision]).toEqual([ISO, 456789, 9]);
+  expect(fmt.parse('2030-01-31T12:01:20.903Z').toISOString()).toBe(ISO);
+  expect(fmt.parse('2030-01-31 05:01:20.903 America/Denver').zone).toBe('America/Denver');
+  expect(() => fmt.format('2030-01-31')).toThrow(Error);
+  // mysql only accepts 6 fractional digits, so output that could not be parsed back is never generated
+  expect(() => MomentDB.formatter('timestamp', { dialect: 'mysql', precision: 9 })).toThrow(/accepted by the mysql dialect/);
+  expect(() => MomentDB.formatter('timestamp', { dialect: 'mysql' }).parse('2030-01-31 12:01:20.903456789'))
+    .toThrow(expect.objectContaining({ name: 'MomentDBParseError', field: 'FFF', position: 20 }));
+});
+
+test(`${PLAN}: strict and intervals`, () => {
+  const fmt = MomentDB.formatter('date', { strict: true });
+  expect(fmt.parse('2032-02-29').toISOString()).toBe('2032-02-29T00:00:00.000Z');
+  expect(() => fmt.parse('2030-02-29')).toThrow(MomentDBParseError);
+  expect(() => MomentDB.formatter('timestamptz', { strict: true }).parse('2030-01-31 12:01:20')).toThrow(/timezone/);
+  const dts = MomentDB.formatter('interval day to second', { intervalStyle: 'postgres', as: 'interval' });
+  expect(dts.format(new DayToSecondInterval(3, 4, 5, 6, 789e6))).toBe('3 days 04:05:06.789');
+  expect(dts.parse('-3 days -04:05:06.789').toString()).toBe('-0000003 04:05:06.789');
+  expect(() => dts.format(new Date())).toThrow(TypeError);
+  expect(() => MomentDB.formatter('datetime')).toThrow(/Unknown type/);
+});
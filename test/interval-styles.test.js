@@ -0,0 +1,53 @@
+'use strict';
+
+import MomentDB, { YearToMonthInterval, DayToSecondInterval, MomentDBParseError } from '../index.js';
+
+const PLAN = 'MomentDB interval styles';
+const YTM = new YearToMonthInterval(1, 2);
+const DTS = new DayToSecondInterval(3, 4, 5, 6, 789e6);
+
+test(`${PLAN}: format intervals`, () => {
+  const styles = { iso_8601: ['P1Y2M', 'P-1Y-2M', 'P3DT4H5M6.789S', 'P-3DT-4H-5M-6.789S', 'PT0S'],
+    postgres: ['1 year 2 mons', '-1 years -2 mons', '3 days 04:05:06.789', '-3 days -04:05:06.789', '00:00:00'],
+    postgres_verbose: ['@ 1 year 2 mons', '@ 1 year 2 mons ago', '@ 3 days 4 hours 5 mins 6.789 secs',
+      '@ 3 days 4 hours 5 mins 6.789 secs ago', '@ 0'] };
+  for (let intervalStyle in styles) {
+    const opts = { intervalStyle };
+    expect([MomentDB.intervalYearToMonth(YTM, null, null, opts), MomentDB.intervalYearToMonth(YTM.negate(), null, null, opts),
+      MomentDB.intervalDayToSecond(DTS, null, null, opts), MomentDB.intervalDayToSecond(DTS.negate(), null, null, opts),
+      MomentDB.intervalDayToSecond(new DayToSecondInterval(), null, null, opts)]).toEqual(styles[intervalStyle]);
+  }
+  expect(MomentDB.intervalDayToSecond(DTS, null, null, { intervalStyle: 'iso_8601', precision: 1 })).toBe('P3DT4H5M6.7S');
+  expect(MomentDB.intervalYearToMonth(YTM, null, null, { intervalStyle: 'sql_standard' })).toBe('+0001-02');
+});
+
+test(`${PLAN}: parse intervals`, () => {
+  const ytm = (str, intervalStyle) => MomentDB.parse('interval year to month', str, { intervalStyle, as: 'interval' });
+  const dts = (str, intervalStyle) => MomentDB.parse('interval day to second', str, { intervalStyle, as: 'interval' });
+  expect(ytm('P1Y2M', 'iso_8601').toString()).toBe('+0001-02');
+  expect(ytm('-P1Y2M', 'iso_8601').toString()).toBe('-0001-02');
+  expect(dts('P3DT4H5M6.789S', 'iso_8601').toString()).toBe('+0000003 04:05:06.789');
+  expect(dts('P1W', 'iso_8601').toString()).toBe('+0000007 00:00:00');
+  expect(ytm('-1 years -2 mons', 'postgres').toString()).toBe('-0001-02');
+  expect(dts('-3 days -04:05:06.789', 'postgres').toString()).toBe('-0000003 04:05:06.789');
+  expect(dts('@ 3 days 4 hours 5 mins 6.789 secs ago', 'postgres_verbose').toString()).toBe('-0000003 04:05:06.789');
+  expect(MomentDB.intervalYearToMonth('P1Y', new Date(Date.UTC(2032, 1, 29)), null, { intervalStyle: 'iso_8601' })
+    .toISOString()).toBe('2033-02-28T00:00:00.000Z');
+});
+
+test(`${PLAN}: mixed signs`, () => {
+  const opts = { intervalStyle: 'postgres', as: 'interval' };
+  expect(MomentDB.parse('interval year to month', '1 year -2 mons', opts).toString()).toBe('+0000-10');
+  expect(MomentDB.parse('interval day to second', '-1 days +02:00:00', opts).toString()).toBe('-0000000 22:00:00');
+  let err;
+  try {
+    MomentDB.parse('interval day to second', '1 year -2 mons +3 days', opts);
+  } catch (e) {
+    err = e;
+  }
+  expect(err).toBeInstanceOf(MomentDBParseError);
+  expect(err.field).toBe('YEARS');
+  expect(() => MomentDB.parse('interval year to month', 'P1Y2M3D', { intervalStyle: 'iso_8601' })).toThrow(MomentDBParseError);
+  expect(() => MomentDB.parse('interval day to second', '3 days junk', opts)).toThrow('at position 6');
+  expect(() => MomentDB.intervalYearToMonth(YTM, null, null, { intervalStyle: 'sql' })).toThrow(RangeError);
+});
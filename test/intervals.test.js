@@ -0,0 +1,87 @@
+'use strict';
+
+import MomentDB, { YearToMonthInterval, DayToSecondInterval, PreciseDate } from '../index.js';
+
+const PLAN = 'MomentDB intervals';
+
+test(`${PLAN}: year-to-month calendar arithmetic`, () => {
+  const jan31 = new Date(Date.UTC(2032, 0, 31));
+  expect(YearToMonthInterval.between(jan31, new Date(Date.UTC(2032, 1, 29))).toString()).toBe('+0000-01');
+  expect(YearToMonthInterval.between(jan31, new Date(Date.UTC(2032, 1, 28))).toString()).toBe('+0000-00');
+  expect(YearToMonthInterval.between(new Date(Date.UTC(2030, 5, 15)), new Date(Date.UTC(1900, 0, 1))).toString())
+    .toBe('-0130-05');
+  expect(new YearToMonthInterval(0, 1).addTo(jan31).toISOString()).toBe('2032-02-29T00:00:00.000Z');
+  expect(new YearToMonthInterval(1).subtractFrom(new Date(Date.UTC(2032, 1, 29))).toISOString()).toBe('2031-02-28T00:00:00.000Z');
+  const intvl = new YearToMonthInterval(1, 14);
+  expect([intvl.years, intvl.months, intvl.totalMonths]).toEqual([2, 2, 26]);
+  expect(intvl.negate().toString()).toBe('-0002-02');
+  expect(intvl.plus(new YearToMonthInterval(0, -3)).toString()).toBe('+0001-11');
+  expect(intvl.compareTo(new YearToMonthInterval(2, 3))).toBe(-1);
+  expect(() => intvl.compareTo(new DayToSecondInterval(1))).toThrow(TypeError);
+});
+
+test(`${PLAN}: day-to-second exact arithmetic`, () => {
+  const start = new Date(Date.UTC(2030, 0, 31, 12, 1, 20, 903));
+  const end = PreciseDate.fromEpochNanoseconds(BigInt(start.getTime()) * BigInt(1e6) + BigInt(2 * 8.64e+13 + 3600e9 + 5), 9);
+  const intvl = DayToSecondInterval.between(start, end);
+  expect([intvl.days, intvl.hours, intvl.minutes, intvl.seconds, intvl.nanoseconds]).toEqual([2, 1, 0, 0, 5]);
+  expect(intvl.toString()).toBe('+0000002 01:00:00.000000005');
+  expect(intvl.negate().toString()).toBe('-0000002 01:00:00.000000005');
+  expect(intvl.addTo(start).epochNanoseconds).toBe(end.epochNanoseconds);
+  expect(intvl.subtractFrom(end).toISOString()).toBe(start.toISOString());
+  expect(new DayToSecondInterval(0, 25, 0, 59, 1e9).toString()).toBe('+0000001 01:01:00.000');
+  expect(new DayToSecondInterval(1).plus(new DayToSecondInterval(0, -1)).toString(1, 0)).toBe('+0 23:00:00');
+  expect(new DayToSecondInterval(1).compareTo(new DayToSecondInterval(0, 24))).toBe(0);
+});
+
+test(`${PLAN}: format and parse interval objects`, () => {
+  expect(MomentDB.intervalYearToMonth(new YearToMonthInterval(130, 1))).toBe('+0130-01');
+  expect(MomentDB.dialect('postgres').intervalYearToMonth(new YearToMonthInterval(-130, -1))).toBe('-130-01');
+  expect(MomentDB.intervalDayToSecond(new DayToSecondInterval(-47482, -12, -1, -20, -903e6))).toBe('-0047482 12:01:20.903');
+  const ytm = MomentDB.intervalYearToMonth('-0130-02', null, null, { as: 'interval' });
+  expect(ytm).toBeInstanceOf(YearToMonthInterval);
+  expect([ytm.years, ytm.months]).toEqual([-130, -2]);
+  const dts = MomentDB.parse('interval day to second', '-0047482 12:01:20.903456', { as: 'interval' });
+  expect([dts.days, dts.hours, dts.minutes, dts.seconds, dts.nanoseconds, dts.precision]).toEqual([-47482, -12, -1, -20,
+    -903456000, 6]);
+  expect(MomentDB.intervalDayToSecond(dts)).toBe('-0047482 12:01:20.903456');
+  expect(() => MomentDB.date('2030-01-31', { as: 'interval' })).toThrow(TypeError);
+});
+
+// runs before any other test passes a monthDate since the warning is only emitted once
+test(`${PLAN}: year-to-month monthDate is deprecated and ignored`, () => {
+  const emitWarning = process.emitWarning, warnings = [];
+  process.emitWarning = (...args) => warnings.push(args);
+  try {
+    const start = new Date(1900, 0, 1), end = new Date(2030, 0, 31), january = new Date(2030, 0, 31);
+    // prior versions extracted MM from the monthDate (-0130-01), now the months are calculated from the dates
+    expect(MomentDB.intervalYearToMonth(start, end, january)).toBe('-0130-00');
+    expect(MomentDB.intervalYearToMonth(start, end, new Date(2030, 5, 1))).toBe(MomentDB.intervalYearToMonth(start, end));
+    expect(warnings).toEqual([[expect.stringMatching(/monthDate .* is ignored/), 'DeprecationWarning', 'MOMENTDB_MONTH_DATE']]);
+  } finally {
+    process.emitWarning = emitWarning;
+  }
+});
+
+test(`${PLAN}: legacy dates use calendar exact counts`, () => {
+  const leap = new Date(2032, 1, 29), time = new Date(Date.UTC(2030, 0, 1, 12, 1, 20, 903));
+  expect(MomentDB.intervalYearToMonth(leap, new Date(2033, 1, 28))).toBe('-0001-00');
+  expect(MomentDB.intervalYearToMonth(leap, new Date(2033, 1, 27))).toBe('-0000-11');
+  expect(MomentDB.intervalYearToMonth(new Date(1900, 0, 1), new Date(2030, 5, 1), leap)).toBe('-0130-05');
+  expect(MomentDB.intervalDayToSecond(new Date(2030, 0, 31), new Date(2030, 2, 1), time)).toBe('-0000029 12:01:20.903');
+  expect(MomentDB.intervalYearToMonth('+0001-03', new Date(Date.UTC(2032, 1, 29))).toISOString())
+    .toBe('2033-05-29T00:00:00.000Z');
+});
+
+test(`${PLAN}: year-to-month months are a duration`, () => {
+  expect(MomentDB.intervalYearToMonth('+0001-00', new Date(Date.UTC(2030, 5, 15))).toISOString()).toBe('2031-06-15T00:00:00.000Z');
+  expect(MomentDB.intervalYearToMonth('-0000-11', new Date(Date.UTC(2030, 5, 15))).toISOString()).toBe('2029-07-15T00:00:00.000Z');
+  // strict parsing accepts everything that is formatted
+  const opts = { strict: true, as: 'interval' };
+  for (let str of ['+0001-00', '-0000-11', '+0130-05']) {
+    expect(MomentDB.intervalYearToMonth(MomentDB.intervalYearToMonth(str, null, null, opts))).toBe(str);
+  }
+  const legacy = MomentDB.intervalYearToMonth(new Date(2030, 5, 15), new Date(2029, 6, 15));
+  expect(MomentDB.intervalYearToMonth(MomentDB.intervalYearToMonth(legacy, null, null, opts))).toBe('+0000-11');
+  expect(() => MomentDB.intervalYearToMonth('+0001-12', null, null, opts)).toThrow(/MM must be from 0 to 11/);
+});
@@ -0,0 +1,52 @@
+'use strict';
+
+import MomentDB, { YearToMonthInterval, DayToSecondInterval, MomentDBParseError, LocalDate, LocalTime, LocalDateTime }
+  from '../index.js';
+
+const PLAN = 'MomentDB literal';
+const DATE = new Date(Date.UTC(2030, 0, 31, 12, 1, 20, 903));
+
+test(`${PLAN}: dates, times and timestamps`, () => {
+  const lit = MomentDB.literal;
+  expect(lit.date(DATE)).toBe('DATE \'2030-01-31\'');
+  expect(lit.time(DATE, true)).toBe('TIME \'12:01:20.903\'');
+  expect(lit.time(DATE, false, { zone: 'America/Denver' })).toBe('TIME WITH TIME ZONE \'05:01:20.903 -07:00\'');
+  expect(lit.timestamp(DATE, false, { zone: '+05:30', precision: 6 }))
+    .toBe('TIMESTAMP WITH TIME ZONE \'2030-01-31 17:31:20.903000 +05:30\'');
+  expect(lit.timestamp(DATE, false, { dialect: 'mysql' })).toBe('TIMESTAMP \'2030-01-31 12:01:20.903000\'');
+  expect(lit.date(new LocalDate(2030, 1, 31))).toBe('DATE \'2030-01-31\'');
+  expect(lit.timestamp(new LocalDateTime(2030, 1, 31, 12, 1, 20, 903e6, 3), true)).toBe('TIMESTAMP \'2030-01-31 12:01:20.903\'');
+  expect(lit.time(new LocalTime(12, 1, 20), true, { precision: 0 })).toBe('TIME \'12:01:20\'');
+  expect(() => lit.date('2030-01-31')).toThrow(TypeError);
+});
+
+test(`${PLAN}: intervals`, () => {
+  const lit = MomentDB.literal;
+  expect(lit.interval(new YearToMonthInterval(1, 2))).toBe('INTERVAL \'+0001-02\' YEAR(4) TO MONTH');
+  expect(lit.interval(new YearToMonthInterval(-12345))).toBe('INTERVAL \'-12345-00\' YEAR(5) TO MONTH');
+  expect(lit.interval(new DayToSecondInterval(3, 4, 5, 6, 789e6))).toBe('INTERVAL \'+0000003 04:05:06.789\' DAY(7) TO SECOND(3)');
+  expect(lit.interval(new DayToSecondInterval(-3), { precision: 0 })).toBe('INTERVAL \'-0000003 00:00:00\' DAY(7) TO SECOND(0)');
+  expect(lit.interval(new DayToSecondInterval(3), { dialect: 'postgres' })).toBe('INTERVAL \'+3 00:00:00.000000\' DAY TO SECOND(6)');
+  expect(lit.interval(new DayToSecondInterval(3), { dialect: 'oracle' }))
+    .toBe('INTERVAL \'+000000003 00:00:00.000000000\' DAY(9) TO SECOND(9)');
+  expect(() => lit.interval(DATE)).toThrow(TypeError);
+});
+
+test(`${PLAN}: parse literals`, () => {
+  const lit = MomentDB.literal;
+  expect(lit.parse(lit.date(DATE)).toISOString()).toBe('2030-01-31T00:00:00.000Z');
+  expect(lit.parse(lit.timestamp(DATE, false, { zone: 'Asia/Tokyo' })).toISOString()).toBe(DATE.toISOString());
+  expect(lit.parse('timestamp(3) without time zone \'2030-01-31 12:01:20.903\'').toISOString()).toBe(DATE.toISOString());
+  const ytm = lit.parse(lit.interval(new YearToMonthInterval(-130, -1)));
+  expect(ytm).toBeInstanceOf(YearToMonthInterval);
+  expect(ytm.toString()).toBe('-0130-01');
+  const dts = lit.parse('INTERVAL \'-3 04:05:06.789123\' DAY TO SECOND(6)');
+  expect(dts).toBeInstanceOf(DayToSecondInterval);
+  expect(dts.toString()).toBe('-0000003 04:05:06.789123');
+  expect(() => lit.parse('INTERVAL \'1-2\'')).toThrow(MomentDBParseError);
+  expect(() => lit.parse('DATE WITH TIME ZONE \'2030-01-31\'')).toThrow(MomentDBParseError);
+  expect(() => lit.parse('DATE \'2030-01-31\'\'; DROP TABLE x; --\'', { strict: true })).toThrow(MomentDBParseError);
+  // quoted values are parsed strictly by default
+  expect(() => lit.parse('DATE \'2030-01-31\'\' OR 1=1 --\'')).toThrow(MomentDBParseError);
+  expect(lit.parse('DATE \'2030-01-31 \'', { strict: false }).toISOString()).toBe('2030-01-31T00:00:00.000Z');
+});
@@ -0,0 +1,112 @@
+'use strict';
+
+import MomentDB from '../index.js';
+
+const PLAN = 'MomentDB.compile';
+const DATE = new Date(Date.UTC(2030, 0, 31, 13, 1, 20, 903));
+
+test(`${PLAN}: notation in any order`, () => {
+  const mask = MomentDB.compile('MM/DD/YYYY HH:MI:SS.FFF');
+  expect(mask.format(DATE)).toBe('01/31/2030 13:01:20.903');
+  expect(mask.parse('01/31/2030 13:01:20.903').toISOString()).toBe(DATE.toISOString());
+});
+
+test(`${PLAN}: text elements and case`, () => {
+  expect(MomentDB.compile('DD-MON-YYYY').format(DATE)).toBe('31-JAN-2030');
+  expect(MomentDB.compile('Dy, DD Mon YYYY').format(DATE)).toBe('Thu, 31 Jan 2030');
+  expect(MomentDB.compile('Day Month').format(DATE)).toBe('Thursday  January  ');
+  expect(MomentDB.compile('FMDay Month DD').format(DATE)).toBe('Thursday January 31');
+  expect(MomentDB.compile('"Q"Q YYYY').format(DATE)).toBe('Q1 2030');
+  expect(MomentDB.compile('DD-mon-YYYY').parse('31-jan-2030').toISOString()).toBe('2030-01-31T00:00:00.000Z');
+  expect(MomentDB.compile('FMMonth DD, YYYY').parse('January 31, 2030').toISOString()).toBe('2030-01-31T00:00:00.000Z');
+});
+
+test(`${PLAN}: 12/24 hour clocks`, () => {
+  expect(MomentDB.compile('HH12:MI AM').format(DATE)).toBe('01:01 PM');
+  expect(MomentDB.compile('HH:MI a.m.').format(DATE)).toBe('01:01 p.m.');
+  expect(MomentDB.compile('HH24:MI').format(DATE)).toBe('13:01');
+  expect(MomentDB.compile('YYYY-MM-DD HH:MI PM').parse('2030-01-31 01:01 PM').toISOString()).toBe('2030-01-31T13:01:00.000Z');
+  expect(MomentDB.compile('YYYY-MM-DD HH:MI PM').parse('2030-01-31 12:01 AM').toISOString()).toBe('2030-01-31T00:01:00.000Z');
+  expect(MomentDB.compile('YYYY-MM-DD SSSSS').parse('2030-01-31 46880').toISOString()).toBe('2030-01-31T13:01:20.000Z');
+  // a 12-hour clock without a meridian indicator is AM (the same as Oracle)
+  expect(MomentDB.compile('YYYY-MM-DD HH12:MI').parse('2030-01-31 12:00').toISOString()).toBe('2030-01-31T00:00:00.000Z');
+  expect(MomentDB.compile('YYYY-MM-DD HH12:MI').parse('2030-01-31 01:01').toISOString()).toBe('2030-01-31T01:01:00.000Z');
+});
+
+test(`${PLAN}: fractional seconds`, () => {
+  expect(MomentDB.compile('HH24:MI:SS.FF6').format(DATE)).toBe('13:01:20.903000');
+  expect(MomentDB.compile('HH24:MI:SS.FF1').format(DATE)).toBe('13:01:20.9');
+  expect(MomentDB.compile('HH24:MI:SS.FF').format(DATE)).toBe('13:01:20.903000');
+  expect(MomentDB.compile('YYYY-MM-DD HH24:MI:SS.FF9').parse('2030-01-31 13:01:20.903456789').toISOString())
+    .toBe(DATE.toISOString());
+});
+
+test(`${PLAN}: RR years`, () => {
+  const year = new Date().getUTCFullYear(), century = year - year % 100;
+  const mask = MomentDB.compile('DD-MON-RR');
+  expect(mask.parse(`31-JAN-${String(year % 100).padStart(2, '0')}`).getUTCFullYear()).toBe(year);
+  const far = (year % 100 + 60) % 100;
+  expect(Math.abs(mask.parse(`31-JAN-${String(far).padStart(2, '0')}`).getUTCFullYear() - year)).toBeLessThanOrEqual(50);
+  expect(MomentDB.compile('YY').parse('05').getUTCFullYear()).toBe(century + 5);
+  expect(MomentDB.compile('RR').format(DATE)).toBe('30');
+});
+
+test(`${PLAN}: timezone offsets`, () => {
+  const mask = MomentDB.compile('YYYY-MM-DD HH24:MI:SS TZH:TZM');
+  expect(mask.parse('2030-01-31 12:01:20 -07:00').toISOString()).toBe('2030-01-31T19:01:20.000Z');
+  expect(mask.parse('2030-01-31 12:01:20 +05:30').toISOString()).toBe('2030-01-31T06:31:20.000Z');
+  expect(mask.parse(mask.format(DATE)).toISOString()).toBe('2030-01-31T13:01:20.000Z');
+  expect(MomentDB.compile('YYYY-MM-DD HH:MI:SS.FFF TH:TM').format(DATE)).toBe(MomentDB.timestamp(DATE));
+});
+
+test(`${PLAN}: day of year and julian days`, () => {
+  expect(MomentDB.compile('YYYY-DDD').format(DATE)).toBe('2030-031');
+  expect(MomentDB.compile('YYYY-DDD').parse('2030-060').toISOString()).toBe('2030-03-01T00:00:00.000Z');
+  expect(MomentDB.compile('J').format(new Date(Date.UTC(1970, 0, 1)))).toBe('2440588');
+  expect(MomentDB.compile('J').parse('2440589').toISOString()).toBe('1970-01-02T00:00:00.000Z');
+});
+
+test(`${PLAN}: literals`, () => {
+  const iso = MomentDB.compile('YYYY-MM-DD"T"HH24:MI:SS');
+  expect(iso.format(DATE)).toBe('2030-01-31T13:01:20');
+  expect(iso.parse('2030-01-31T13:01:20').toISOString()).toBe('2030-01-31T13:01:20.000Z');
+  expect(MomentDB.compile('YYYY-MM-DD').parse('2030/01/31').toISOString()).toBe('2030-01-31T00:00:00.000Z');
+  expect(() => MomentDB.compile('FXYYYY-MM-DD').parse('2030/01/31')).toThrow(/does not match/);
+});
+
+test(`${PLAN}: invalid masks and input`, () => {
+  expect(() => MomentDB.compile('YYYY-XX')).toThrow(/Unrecognized element/);
+  expect(() => MomentDB.compile('YYYY "T')).toThrow(/Unterminated/);
+  expect(() => MomentDB.compile('')).toThrow(TypeError);
+  expect(() => MomentDB.compile('DD-MON-YYYY').parse('31-JAX-2030')).toThrow(/Invalid month/);
+  expect(() => MomentDB.compile('DD-MON-YYYY').parse(null)).toThrow(TypeError);
+  expect(() => MomentDB.compile('DD-MON-YYYY').format('2030-01-31')).toThrow(/instance of Date/);
+});
+
+test(`${PLAN}: out of range fields`, () => {
+  const error = (mask, str) => {
+    try {
+      MomentDB.compile(mask).parse(str);
+    } catch (err) {
+      return err;
+    }
+  };
+  expect(error('YYYY-MM-DD', '2030-02-31')).toMatchObject({ name: 'MomentDBParseError', type: 'mask', field: 'DD', position: 8 });
+  expect(MomentDB.compile('YYYY-MM-DD').parse('2028-02-29').toISOString()).toBe('2028-02-29T00:00:00.000Z');
+  expect(error('DD/MM/YYYY', '29/02/2030')).toMatchObject({ field: 'DD', position: 0 });
+  expect(error('YYYY-MM-DD', '2030-13-01')).toMatchObject({ field: 'MM', position: 5 });
+  expect(error('YYYY-DDD', '2030-366')).toMatchObject({ field: 'DDD', position: 5 });
+  expect(MomentDB.compile('YYYY-DDD').parse('2028-366').toISOString()).toBe('2028-12-31T00:00:00.000Z');
+  expect(error('HH24:MI:SS', '24:00:00')).toMatchObject({ field: 'HH24', position: 0 });
+  expect(error('HH:MI AM', '00:30 AM')).toMatchObject({ field: 'HH12', position: 0 });
+  expect(error('HH24:MI:SS', '23:59:60')).toMatchObject({ field: 'SS', position: 6 });
+  expect(error('YYYY-MM-DD', '2030-01-xx')).toMatchObject({ field: 'DD', position: 8 });
+  expect(error('YYYY-MM-DD', '2030-01-31 x')).toMatchObject({ field: 'end', position: 10 });
+  expect(error('DD-MON-YYYY', '31-JAX-2030')).toMatchObject({ field: 'MON', position: 3 });
+  expect(error('YYYY-XX', '')).toMatchObject({ name: 'MomentDBParseError', field: 'element', position: 5, input: 'YYYY-XX' });
+  // the Oracle TH ordinal suffix and TM text modifier are not misread as the hour/minute offset
+  expect(error('YYYY-MM-DDTH', '')).toMatchObject({ field: 'element', position: 10, message: expect.stringMatching(/suffix TH/) });
+  expect(error('TMMonth DD, YYYY', '')).toMatchObject({ field: 'element', position: 0, message: expect.stringMatching(/TM/) });
+  expect(MomentDB.compile('YYYY-MM-DD HH24:MI THTM').parse('2030-01-31 05:01 -0700').toISOString())
+    .toBe('2030-01-31T12:01:00.000Z');
+});
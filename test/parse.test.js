@@ -0,0 +1,83 @@
+'use strict';
+
+import MomentDB, { MomentDBParseError } from '../index.js';
+
+const PLAN = 'MomentDB parse';
+const DATE = new Date(Date.UTC(2030, 0, 31, 12, 1, 20, 903));
+
+function parseError(fn) {
+  try {
+    fn();
+  } catch (err) {
+    return err;
+  }
+  throw new Error('Expected a MomentDBParseError to be thrown');
+}
+
+test(`${PLAN}: strict parsing of valid values`, () => {
+  const opts = { strict: true };
+  expect(MomentDB.parse('date', '2030-01-31', opts).toISOString()).toBe('2030-01-31T00:00:00.000Z');
+  expect(MomentDB.parse('timestamp', '2030-01-31 12:01:20.903', opts).toISOString()).toBe(DATE.toISOString());
+  expect(MomentDB.parse('TIMESTAMPTZ', '2030-01-31 05:01:20.903 -07:00', opts).toISOString()).toBe(DATE.toISOString());
+  expect(MomentDB.parse('timestamp with time zone', '2030-01-31 05:01:20.903 America/Denver', opts).toISOString())
+    .toBe(DATE.toISOString());
+  expect(MomentDB.parse('time', '12:01:20', opts).getUTCHours()).toBe(12);
+  expect(MomentDB.timestamp('2030-01-31 12:01:20.903', true, opts).toISOString()).toBe(DATE.toISOString());
+  expect(MomentDB.parse('interval day to second', '-0000001 00:00:00.000', { strict: true, refDate: DATE }).toISOString())
+    .toBe('2030-01-30T00:00:00.000Z');
+  expect(MomentDB.dialect('postgres').parse('timestamptz', '2030-01-31T12:01:20.903Z', opts).toISOString())
+    .toBe(DATE.toISOString());
+});
+
+test(`${PLAN}: strict parsing reports the offending field and position`, () => {
+  const opts = { strict: true };
+  let err = parseError(() => MomentDB.parse('date', '2030-13-45', opts));
+  expect(err).toBeInstanceOf(MomentDBParseError);
+  expect(err.name).toBe('MomentDBParseError');
+  expect(err.message).toBe('Invalid date "2030-13-45": MM must be from 1 to 12, but found 13 at position 5');
+  expect([err.type, err.field, err.position, err.input]).toEqual(['date', 'MM', 5, '2030-13-45']);
+  err = parseError(() => MomentDB.date('2030-02-29', opts));
+  expect([err.field, err.position]).toEqual(['DD', 8]);
+  err = parseError(() => MomentDB.time('99:99:99.999', true, opts));
+  expect([err.type, err.field, err.position]).toEqual(['time', 'HH', 0]);
+  err = parseError(() => MomentDB.timestamp('id=7 2030-01-31 12:01:20.903', true, opts));
+  expect([err.field, err.position]).toEqual(['YYYY', 0]);
+  err = parseError(() => MomentDB.timestamp('2030-01-31 12:01:20.903 trailing', true, opts));
+  expect([err.field, err.position]).toEqual(['end', 23]);
+  err = parseError(() => MomentDB.timestamp('2030-01-31T12:01:20.903', true, opts));
+  expect([err.field, err.position]).toEqual(['separator', 10]);
+  err = parseError(() => MomentDB.timestamp('2030-01-31 12:01:20 -13:00', false, opts));
+  expect([err.field, err.position]).toEqual(['TH', 21]);
+  err = parseError(() => MomentDB.timestamp('2030-01-31 12:01:20 +05:60', false, opts));
+  expect([err.field, err.position]).toEqual(['TM', 24]);
+  err = parseError(() => MomentDB.timestamp('2030-01-31 12:01:20', false, opts));
+  expect(err.field).toBe('TH');
+  err = parseError(() => MomentDB.intervalYearToMonth('+10000-01', null, null, opts));
+  expect([err.type, err.field, err.position]).toEqual(['interval year to month', 'YEARS', 1]);
+  err = parseError(() => MomentDB.intervalDayToSecond('3652048 00:00:00', null, null, opts));
+  expect([err.field, err.position]).toEqual(['DAYS', 0]);
+  err = parseError(() => MomentDB.dialect('mysql').timestamp('2030-01-31 12:01:20.1234567', true, opts));
+  expect([err.field, err.position]).toEqual(['FFF', 20]);
+});
+
+test(`${PLAN}: strict parsing of compact HHMM offsets`, () => {
+  const opts = { strict: true }, pg = MomentDB.dialect('postgres');
+  expect(pg.parse('timestamptz', '2030-01-31 17:31:20.903+0530', opts).toISOString()).toBe(DATE.toISOString());
+  expect(pg.parse('timestamptz', '2030-01-31 05:01:20.903-0700', opts).toISOString()).toBe(DATE.toISOString());
+  expect(pg.parse('timestamptz', '2030-01-31 05:01:20.903-0700', opts).toISOString())
+    .toBe(pg.parse('timestamptz', '2030-01-31 05:01:20.903-0700').toISOString());
+  let err = parseError(() => MomentDB.parse('timestamptz', '2030-01-31 05:01:20.903-0700', opts));
+  expect(err.message).toMatch('offset style HHMM is not accepted by the ansi dialect');
+  expect([err.field, err.position]).toEqual(['TH', 23]);
+  err = parseError(() => pg.parse('timestamptz', '2030-01-31 05:01:20.903-07001', opts));
+  expect([err.field, err.position]).toEqual(['TM', 26]);
+});
+
+test(`${PLAN}: non-string input`, () => {
+  let err = parseError(() => MomentDB.date(20300131));
+  expect(err).toBeInstanceOf(MomentDBParseError);
+  expect([err.type, err.field, err.position, err.input]).toEqual(['date', 'input', 0, 20300131]);
+  err = parseError(() => MomentDB.parse('timestamp', null, { strict: true }));
+  expect(err.field).toBe('input');
+  expect(() => MomentDB.parse('datetime2', '2030-01-31')).toThrow('Unknown type');
+});
@@ -0,0 +1,60 @@
+'use strict';
+
+import MomentDB, { PreciseDate } from '../index.js';
+
+const PLAN = 'PreciseDate';
+const DATE = new Date(Date.UTC(2030, 0, 31, 12, 1, 20, 903));
+
+test(`${PLAN}: precision option`, () => {
+  expect(MomentDB.time(DATE, true, { precision: 0 })).toBe('12:01:20');
+  expect(MomentDB.time(DATE, true, { precision: 1 })).toBe('12:01:20.9');
+  expect(MomentDB.timestamp(DATE, true, { precision: 9 })).toBe('2030-01-31 12:01:20.903000000');
+  expect(MomentDB.intervalDayToSecond(DATE, DATE, DATE, { precision: 6 })).toBe('+0000000 12:01:20.903000');
+  expect(MomentDB.dialect('oracle').timestamp(DATE, true, { precision: 3 })).toBe('2030-01-31 12:01:20.903');
+  expect(() => MomentDB.time(DATE, true, { precision: 10 })).toThrow(RangeError);
+});
+
+test(`${PLAN}: parse any fraction length`, () => {
+  expect(MomentDB.time('12:01:20', true).toISOString()).toBe('0000-01-01T12:01:20.000Z');
+  expect(MomentDB.time('12:01:20.9', true).toISOString()).toBe('0000-01-01T12:01:20.900Z');
+  const date = MomentDB.timestamp('2030-01-31 12:01:20.903456789', true);
+  expect(date).toBeInstanceOf(PreciseDate);
+  expect(date.toISOString()).toBe('2030-01-31T12:01:20.903Z');
+  expect(date.getNanoseconds()).toBe(456789);
+  expect(date.precision).toBe(9);
+  expect(date.epochNanoseconds).toBe(BigInt(DATE.getTime()) * BigInt(1000000) + BigInt(456789));
+});
+
+test(`${PLAN}: lossless round-trips`, () => {
+  for (let str of ['12:01:20', '12:01:20.9', '12:01:20.903456', '12:01:20.903456789']) {
+    expect(MomentDB.time(MomentDB.time(str, true), true)).toBe(str);
+  }
+  const ts = '2030-01-31 12:01:20.903456789';
+  expect(MomentDB.timestamp(MomentDB.timestamp(ts, true), true)).toBe(ts);
+  const tz = MomentDB.timestamp('2030-01-31 12:01:20.9034567 -07:00');
+  expect(MomentDB.timestamp(tz, false, { dialect: 'mssql' })).toBe(MomentDB.timestamp(new Date(tz.getTime()), false,
+    { dialect: 'mssql' }).replace('.9030000', '.9034567'));
+  const pg = MomentDB.dialect('postgres');
+  expect(pg.timestamp(pg.timestamp('2030-01-31 12:01:20.903123', true), true)).toBe('2030-01-31 12:01:20.903123');
+  const ref = new Date(Date.UTC(2030, 1, 3));
+  const intvl = MomentDB.intervalDayToSecond('-0047482 12:01:20.903456789', ref);
+  expect(intvl.toISOString()).toBe('1900-02-03T12:01:20.903Z');
+  expect(MomentDB.intervalDayToSecond(intvl, intvl, intvl)).toBe('+0000000 12:01:20.903456789');
+  const mask = MomentDB.compile('YYYY-MM-DD HH24:MI:SS.FF9');
+  expect(mask.format(mask.parse('2030-01-31 12:01:20.000000001'))).toBe('2030-01-31 12:01:20.000000001');
+});
+
+test(`${PLAN}: epoch nanoseconds`, () => {
+  const date = PreciseDate.fromEpochNanoseconds(BigInt('1896091280903456789'), 9);
+  expect(date.toISOString()).toBe('2030-01-31T12:01:20.903Z');
+  expect(date.getNanoseconds()).toBe(456789);
+  expect(MomentDB.time(date, true)).toBe('12:01:20.903456789');
+  const before = PreciseDate.fromEpochNanoseconds(-1);
+  expect(before.getTime()).toBe(-1);
+  expect(before.getNanoseconds()).toBe(999999);
+  expect(before.epochNanoseconds).toBe(BigInt(-1));
+  const copy = new PreciseDate(date);
+  expect(copy.epochNanoseconds).toBe(date.epochNanoseconds);
+  expect(copy.precision).toBe(9);
+  expect(() => copy.setNanoseconds(1e6)).toThrow(RangeError);
+});
@@ -0,0 +1,92 @@
+'use strict';
+
+import MomentDB, { Range, LocalDate, LocalDateTime, MomentDBParseError } from '../index.js';
+
+const PLAN = 'MomentDB ranges';
+const dr = (str) => MomentDB.range('daterange', str);
+const ts = (str) => MomentDB.range('tsrange', str);
+
+test(`${PLAN}: formats and parses ranges`, () => {
+  const range = dr('[2030-01-01,2030-01-31]');
+  expect([range.type, range.lower.toISOString(), range.upper.toISOString(), range.bounds])
+    .toEqual(['date', '2030-01-01T00:00:00.000Z', '2030-01-31T00:00:00.000Z', '[]']);
+  expect(MomentDB.range('daterange', range)).toBe('[2030-01-01,2030-01-31]');
+  expect(String(dr('(,2030-01-31]'))).toBe('(,2030-01-31]');
+  expect(String(dr('[,)'))).toBe('(,)');
+  expect(String(dr(' EMPTY '))).toBe('empty');
+  expect(dr('(2030-01-01,2030-01-01]').empty).toBe(true);
+  expect(dr('[-infinity,"2030-01-01"]').lower).toBe(-Infinity);
+
+  const opts = { dialect: 'postgres', zone: 'UTC' };
+  const tz = MomentDB.range('tstzrange', '["2030-01-31 05:01:20.903456-07","2030-02-01 00:00:00+00")', opts);
+  expect([tz.type, tz.lower.toISOString(), tz.lower.getNanoseconds()])
+    .toEqual(['timestamp with time zone', '2030-01-31T12:01:20.903Z', 456000]);
+  expect(MomentDB.range('tstzrange', tz, opts)).toBe('["2030-01-31 12:01:20.903456+00","2030-02-01 00:00:00+00")');
+  expect(MomentDB.range('timestamp', new Range('tsrange', new LocalDateTime(2030, 1, 31, 12, 1, 20), null, '(]')))
+    .toBe('("2030-01-31 12:01:20.000",)');
+  expect(ts('["2030-01-31 12:01:20.903",infinity]').upperInclusive).toBe(true);
+  expect(MomentDB.range('date', '[2030-01-01,2030-01-31)', { as: 'local' }).upper).toEqual(new LocalDate(2030, 1, 31));
+});
+
+test(`${PLAN}: operations`, () => {
+  const jan = dr('[2030-01-01,2030-01-31]'), feb = dr('[2030-02-01,2030-03-01)'), mid = dr('(2030-01-14,2030-02-15)');
+  expect(String(jan.canonicalize())).toBe('[2030-01-01,2030-02-01)');
+  expect(String(dr('(,2030-01-31]').canonicalize())).toBe('(,2030-02-01)');
+  expect(String(dr('(2030-01-01,infinity]').canonicalize())).toBe('[2030-01-02,infinity]');
+  expect(jan.equals(dr('[2030-01-01,2030-02-01)'))).toBe(true);
+  expect(dr('(2030-01-01,2030-01-02)').empty).toBe(true);
+
+  expect(jan.contains(new Date('2030-01-31T00:00:00Z'))).toBe(true);
+  expect(jan.contains(new LocalDate(2030, 2, 1))).toBe(false);
+  // dates are contained by their day, the same as PostgreSQL
+  expect(jan.contains(new Date('2030-01-31T23:59:59.999Z'))).toBe(true);
+  expect(jan.contains(new Date('2030-02-01T00:00:00.001Z'))).toBe(false);
+  expect(dr('(2030-01-01,2030-01-31]').contains(new Date('2030-01-01T12:01:20.903Z'))).toBe(false);
+  expect(dr('[2030-01-01,infinity]').contains(Infinity)).toBe(true);
+  expect(jan.contains(dr('[2030-01-15,2030-02-01)'))).toBe(true);
+  expect(jan.contains(dr('empty'))).toBe(true);
+  expect(dr('empty').contains(dr('empty'))).toBe(true);
+  expect([jan.adjacent(feb), jan.overlaps(feb), jan.overlaps(mid), jan.adjacent(mid)]).toEqual([true, false, true, false]);
+  expect(String(jan.union(feb))).toBe('[2030-01-01,2030-03-01)');
+  expect(String(jan.intersect(mid))).toBe('[2030-01-15,2030-02-01)');
+  expect(String(jan.intersect(feb))).toBe('empty');
+  expect(String(dr('empty').union(mid))).toBe('[2030-01-15,2030-02-15)');
+  expect(() => jan.union(dr('[2030-02-02,)'))).toThrow(RangeError);
+
+  // continuous ranges are only adjacent when exactly one of the touching bounds is inclusive
+  const day1 = ts('[2030-01-01 00:00:00,2030-01-02 00:00:00]'), day2 = ts('(2030-01-02 00:00:00,2030-01-03 00:00:00)');
+  expect([day1.adjacent(day2), day1.overlaps(day2)]).toEqual([true, false]);
+  expect(ts('[2030-01-01 00:00:00,2030-01-02 00:00:00)').adjacent(day2)).toBe(false);
+  expect(String(day1.union(day2))).toBe('["2030-01-01 00:00:00","2030-01-03 00:00:00")');
+  expect(day1.contains(new Date('2030-01-02T00:00:00Z'))).toBe(true);
+  expect(day2.contains(new Date('2030-01-02T00:00:00Z'))).toBe(false);
+  expect(ts('(,)').contains(-Infinity)).toBe(true);
+  expect(() => jan.overlaps(day1)).toThrow(TypeError);
+});
+
+test(`${PLAN}: periods and errors`, () => {
+  const valid = MomentDB.period('daterange', '2030-01-01', new LocalDate(2030, 2, 1));
+  expect(valid.bounds).toBe('[)');
+  expect(valid.toPeriod().end).toEqual(new LocalDate(2030, 2, 1));
+  expect(dr('[2030-01-01,2030-01-31]').toPeriod().end.toISOString()).toBe('2030-02-01T00:00:00.000Z');
+  expect(() => MomentDB.period('tsrange', '2030-01-01 00:00:00', '2030-01-01 00:00:00')).toThrow(RangeError);
+  expect(() => MomentDB.period('tsrange', '2030-01-01 00:00:00', null)).toThrow(RangeError);
+  expect(() => ts('[2030-01-01 00:00:00,2030-01-02 00:00:00]').toPeriod()).toThrow(RangeError);
+  expect(() => dr('[2030-01-01,)').toPeriod()).toThrow(RangeError);
+
+  expect(() => MomentDB.range('numrange', '[1,2)')).toThrow(/Unknown range type/);
+  expect(() => MomentDB.range('daterange', new Date())).toThrow(TypeError);
+  expect(() => new Range('daterange', new Date('2030-01-02'), new Date('2030-01-01'))).toThrow(RangeError);
+  expect(() => new Range('daterange', null, null, '[')).toThrow(TypeError);
+  expect(() => new Range('tstzrange', new LocalDateTime(2030, 1, 31))).toThrow(TypeError);
+  expect(() => dr('[2030-01-01;2030-02-01)')).toThrow(MomentDBParseError);
+  try {
+    dr('[2030-02-01,2030-01-01)');
+    throw new Error('expected a MomentDBParseError');
+  } catch (err) {
+    expect(err).toBeInstanceOf(MomentDBParseError);
+    expect([err.type, err.field, err.position]).toEqual(['daterange', 'upper', 12]);
+  }
+  expect(() => dr('["2030-01-01,)')).toThrow(/closing quote/);
+  expect(() => MomentDB.range('daterange', '[2030-13-01,)', { strict: true })).toThrow(MomentDBParseError);
+});
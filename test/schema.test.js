@@ -0,0 +1,84 @@
+'use strict';
+
+import MomentDB, { PreciseDate, MomentDBSchemaError, YearToMonthInterval, DayToSecondInterval } from '../index.js';
+
+const PLAN = 'MomentDB schema';
+const ISO = '2030-01-31T12:01:20.903Z';
+
+test(`${PLAN}: deserialize/serialize rows`, () => {
+  const mapper = MomentDB.schema({
+    created_at: 'timestamptz',
+    birth_date: 'date',
+    shift_start: { type: 'time', precision: 0 },
+    tenure: 'interval year to month'
+  }, { zone: 'UTC' });
+  expect(mapper.columns).toEqual({ created_at: 'timestamp with time zone', birth_date: 'date', shift_start: 'time',
+    tenure: 'interval year to month' });
+  const input = [
+    { id: 1, created_at: '2030-01-31 12:01:20.903 +00:00', birth_date: '1990-06-15', shift_start: '08:30:00', tenure: '+1-02' },
+    null,
+    { id: 3, created_at: null, birth_date: undefined }
+  ];
+  const rows = mapper.deserialize(input);
+  expect(rows[0].created_at).toBeInstanceOf(PreciseDate);
+  expect(rows[0].created_at.toISOString()).toBe(ISO);
+  expect(rows[0].birth_date.toISOString()).toBe('1990-06-15T00:00:00.000Z');
+  expect(rows[0].tenure).toBeInstanceOf(YearToMonthInterval);
+  expect(rows[0].tenure.totalMonths).toBe(14);
+  expect(rows[1]).toBeNull();
+  expect(rows[2]).toEqual({ id: 3, created_at: null, birth_date: undefined });
+  expect(input[0].created_at).toBe('2030-01-31 12:01:20.903 +00:00');
+  const out = mapper.serialize(rows[0]);
+  expect(out).toEqual({ id: 1, created_at: '2030-01-31 12:01:20.903 +00:00', birth_date: '1990-06-15', shift_start: '08:30:00',
+    tenure: '+0001-02' });
+  expect(mapper.deserialize(undefined)).toBeUndefined();
+});
+
+test(`${PLAN}: nested paths and arrays`, () => {
+  const mapper = MomentDB.schema({
+    'audit.created': 'timestamp',
+    'items[].due': 'date',
+    shifts: { 'breaks[]': 'interval day to second' },
+    holidays: 'date',
+    elapsed: 'interval'
+  }, { zone: 'UTC' });
+  expect(Object.keys(mapper.columns)).toEqual(['audit.created', 'items[].due', 'shifts.breaks[]', 'holidays', 'elapsed']);
+  const row = {
+    audit: { created: '2030-01-31 12:01:20.903', by: 'me' },
+    items: [{ due: '2030-02-01' }, { due: null }, { name: 'none' }],
+    shifts: { breaks: ['+0000000 00:15:00.000', '+0000000 00:30:00.000'] },
+    holidays: ['2030-01-01', '2030-12-25'],
+    elapsed: '+0000003 04:05:06.789'
+  };
+  const mapped = mapper.deserialize(row);
+  expect(mapped.audit.created.toISOString()).toBe(ISO);
+  expect(mapped.audit.by).toBe('me');
+  expect(mapped.items[0].due.toISOString()).toBe('2030-02-01T00:00:00.000Z');
+  expect(mapped.items.slice(1)).toEqual([{ due: null }, { name: 'none' }]);
+  expect(mapped.shifts.breaks.map(brk => brk.minutes)).toEqual([15, 30]);
+  expect(mapped.holidays.map(date => date.getUTCDate())).toEqual([1, 25]);
+  expect(mapped.elapsed).toBeInstanceOf(DayToSecondInterval);
+  expect(row.audit.created).toBe('2030-01-31 12:01:20.903');
+  expect(mapper.deserialize(mapped)).toEqual(mapped);
+  expect(mapper.serialize(mapped)).toEqual(row);
+  expect(mapper.deserialize({ other: true })).toEqual({ other: true });
+});
+
+test(`${PLAN}: errors`, () => {
+  const mapper = MomentDB.schema({ 'items[].due': 'date', created_at: 'timestamptz' }, { strict: true });
+  let err;
+  try {
+    mapper.deserialize([{ created_at: null }, { items: [{ due: '2030-01-31' }, { due: '2030-13-01' }] }]);
+  } catch (e) {
+    err = e;
+  }
+  expect(err).toBeInstanceOf(MomentDBSchemaError);
+  expect([err.column, err.path, err.row, err.value]).toEqual(['items[].due', 'items[1].due', 1, '2030-13-01']);
+  expect(err.cause.field).toBe('MM');
+  expect(err.message).toMatch(/^Unable to deserialize column "items\[\]\.due" at items\[1\]\.due of row 1 as date: /);
+  expect(() => mapper.serialize({ created_at: 'now' })).toThrow(/^Unable to serialize column "created_at" as timestamp/);
+  expect(() => mapper.deserialize({ items: 'none' })).toThrow(MomentDBSchemaError);
+  expect(() => MomentDB.schema({ created_at: 'datetime' })).toThrow(/Unknown type/);
+  expect(() => MomentDB.schema({ created_at: 1 })).toThrow(TypeError);
+  expect(() => MomentDB.schema(null)).toThrow(TypeError);
+});
@@ -0,0 +1,62 @@
+'use strict';
+
+import { Readable } from 'stream';
+import MomentDB, { PreciseDate, MomentDBSchemaError } from '../index.js';
+
+const PLAN = 'MomentDB transform';
+const ISO = '2030-01-31T12:01:20.903Z';
+
+/**
+ * Pipes chunks through a transform stream
+ * @param {Array} chunks The chunks to write
+ * @param {stream.Transform} stream The transform stream
+ * @returns {Promise<Array>} The output chunks
+ */
+function pipe(chunks, stream) {
+  const out = [];
+  return new Promise((resolve, reject) => {
+    Readable.from(chunks).pipe(stream).on('data', data => out.push(data)).on('error', reject).on('end', () => resolve(out));
+  });
+}
+
+test(`${PLAN}: object rows`, async () => {
+  const rows = await pipe([{ id: 1, created_at: new Date(ISO), items: [{ due: new Date(ISO) }] }, { id: 2, created_at: null }],
+    MomentDB.transform({ created_at: 'timestamptz', 'items[].due': 'date' }, { zone: 'UTC' }));
+  expect(rows).toEqual([{ id: 1, created_at: '2030-01-31 12:01:20.903 +00:00', items: [{ due: '2030-01-31' }] },
+    { id: 2, created_at: null }]);
+  const parsed = await pipe([{ ts: '2030-01-31 12:01:20.903' }], MomentDB.transform({ ts: 'timestamp' },
+    { direction: 'deserialize' }));
+  expect(parsed[0].ts).toBeInstanceOf(PreciseDate);
+  expect(parsed[0].ts.toISOString()).toBe(ISO);
+  const err = await pipe([{ ts: new Date(ISO) }, { ts: 'now' }], MomentDB.transform({ ts: 'timestamp' })).catch(err => err);
+  expect(err).toBeInstanceOf(MomentDBSchemaError);
+  expect([err.column, err.row]).toEqual(['ts', 1]);
+  expect(() => MomentDB.transform({ ts: 'timestamp' }, { direction: 'up' })).toThrow(RangeError);
+});
+
+test(`${PLAN}: csv`, async () => {
+  const stream = MomentDB.transform({ created_at: 'timestamptz', span: 'interval day to second' },
+    { csv: true, from: { dialect: 'postgres', intervalStyle: 'postgres' }, zone: 'UTC' });
+  const out = await pipe(['id,note,created_at,span\r\n1,"a, ""b""\nc",2030-01-31 05:0', '1:20.903-07,3 days 04:05:06.789\r\n',
+    Buffer.from('2,,,\n3,x,"2030-01-31T12:01:20.903Z",')], stream);
+  expect(out.join('')).toBe('id,note,created_at,span\r\n1,"a, ""b""\nc",2030-01-31 12:01:20.903 +00:00,+0000003 04:05:06.789\r\n'
+    + '2,,,\n3,x,2030-01-31 12:01:20.903 +00:00,');
+  const semi = await pipe(['x;2030-01-31\n'], MomentDB.transform({ 1: 'date' }, { csv: { delimiter: ';', header: false },
+    dialect: 'mssql' }));
+  expect(semi.join('')).toBe('x;2030-01-31\n');
+  const err = await pipe(['ts\n2030-01-31 12:01:20\nbad\n'], MomentDB.transform({ ts: 'timestamp' },
+    { csv: true, strict: true })).catch(err => err);
+  expect(err).toBeInstanceOf(MomentDBSchemaError);
+  expect([err.column, err.row, err.value]).toEqual(['ts', 1, 'bad']);
+  const rolled = await pipe(['ts\n2030-02-30 12:01:20\n'], MomentDB.transform({ ts: 'timestamp' }, { csv: true }))
+    .catch(err => err);
+  expect([rolled.column, rolled.row, rolled.value]).toEqual(['ts', 0, '2030-02-30 12:01:20']);
+  const lenient = await pipe(['ts\n2030-02-30 12:01:20\n'], MomentDB.transform({ ts: 'timestamp' },
+    { csv: true, from: { strict: false } }));
+  expect(lenient.join('')).toBe('ts\n2030-03-02 12:01:20\n');
+  const quoted = await pipe(['a;b\n"x;""y";2030-01-31\n"z'], MomentDB.transform({ b: 'date' }, { csv: { delimiter: ';' },
+    dialect: 'mssql' }));
+  expect(quoted.join('')).toBe('a;b\n"x;""y";2030-01-31\n"z');
+  const missing = await pipe(['id\n1\n'], MomentDB.transform({ ts: 'timestamp' }, { csv: true })).catch(err => err);
+  expect(missing.message).toMatch(/not in the header/);
+});
@@ -0,0 +1,94 @@
+'use strict';
+
+import { Temporal as Polyfill } from '@js-temporal/polyfill';
+import MomentDB, { PreciseDate } from '../index.js';
+import { install as pg } from '../adapters/pg.js';
+import { toTemporal } from '../lib/temporal.js';
+
+const PLAN = 'MomentDB Temporal';
+const NANOS = BigInt('1896091280903456789'); // 2030-01-31T12:01:20.903456789Z
+// the native Temporal when available (e.g. node --harmony-temporal), otherwise the registered polyfill
+const T = typeof Temporal === 'undefined' ? Polyfill : Temporal;
+
+beforeEach(() => MomentDB.registerTemporal(T));
+afterEach(() => MomentDB.registerTemporal());
+
+test(`${PLAN}: formats Temporal values`, () => {
+  const opts = { precision: 9 };
+  expect(MomentDB.date(new T.PlainDate(2030, 1, 31))).toBe('2030-01-31');
+  expect(MomentDB.time(new T.PlainTime(12, 1, 20, 903, 456, 789), true, opts)).toBe('12:01:20.903456789');
+  expect(MomentDB.timestamp(new T.PlainDateTime(2030, 1, 31, 12, 1, 20, 903, 456, 789), true, opts))
+    .toBe('2030-01-31 12:01:20.903456789');
+  expect(MomentDB.timestamp(T.Instant.fromEpochNanoseconds(NANOS), false, Object.assign({ zone: 'UTC' }, opts)))
+    .toBe('2030-01-31 12:01:20.903456789 +00:00');
+  const zdt = new T.ZonedDateTime(NANOS, 'America/Denver');
+  expect(MomentDB.timestamp(zdt, false, opts)).toBe('2030-01-31 05:01:20.903456789 -07:00');
+  expect(MomentDB.time(zdt, false, Object.assign({ dialect: 'postgres' }, opts))).toBe('05:01:20.903456789-07');
+
+  expect(MomentDB.intervalYearToMonth(T.Duration.from('-P1Y2M'))).toBe('-0001-02');
+  expect(MomentDB.intervalDayToSecond(T.Duration.from('P1W3DT4H5M6.789S'))).toBe('+0000010 04:05:06.789');
+  expect(MomentDB.intervalDayToSecond(T.Instant.fromEpochNanoseconds(NANOS), new Date('2030-01-01T12:00:00Z'), zdt))
+    .toBe('+0000030 12:01:20.903');
+  expect(() => MomentDB.intervalYearToMonth(T.Duration.from('P1D'))).toThrow(RangeError);
+  expect(() => MomentDB.date(T.PlainYearMonth.from('2030-01'))).toThrow(TypeError);
+
+  const fmt = MomentDB.formatter('timestamptz', { dialect: 'postgres', zone: 'UTC' });
+  expect(fmt.format(zdt)).toBe('2030-01-31 12:01:20.903456+00');
+  expect(MomentDB.formatter('interval day to second').format(T.Duration.from('PT36H'))).toBe('+0000001 12:00:00.000');
+  const adapter = pg({ types: { setTypeParser: () => {} } });
+  expect(adapter.serialize(new T.PlainDate(2030, 1, 31))).toBe('2030-01-31');
+  expect(adapter.serialize(T.Duration.from('P1Y2M'))).toBe('1 year 2 mons');
+});
+
+test(`${PLAN}: returns Temporal values`, () => {
+  const opts = { as: 'temporal' };
+  const date = MomentDB.parse('date', '2030-01-31', opts);
+  expect(date).toBeInstanceOf(T.PlainDate);
+  expect(date.equals(new T.PlainDate(2030, 1, 31))).toBe(true);
+  expect(MomentDB.time('12:01:20.903456789', true, opts).equals(new T.PlainTime(12, 1, 20, 903, 456, 789))).toBe(true);
+  expect(MomentDB.parse('timestamp', '2030-01-31 12:01:20.903456789', opts).toString()).toBe('2030-01-31T12:01:20.903456789');
+  const zdt = MomentDB.parse('timestamptz', '2030-01-31 05:01:20.903456789 America/Denver', opts);
+  expect(zdt).toBeInstanceOf(T.ZonedDateTime);
+  expect(zdt.epochNanoseconds).toBe(NANOS);
+  expect(zdt.toString()).toBe('2030-01-31T05:01:20.903456789-07:00[America/Denver]');
+  expect(MomentDB.parse('timestamptz', '2030-01-31 05:01:20.903456789 -07:00', opts).offset).toBe('-07:00');
+  expect(MomentDB.parse('timestamptz', '2030-01-31 05:01:20', { as: 'temporal', zone: 'America/Denver' }).toString())
+    .toBe('2030-01-31T05:01:20-07:00[America/Denver]');
+  expect(MomentDB.parse('interval day to second', '-3 04:05:06.789', opts).toString()).toBe('-P3DT4H5M6.789S');
+  expect(MomentDB.parse('interval year to month', '1 year 2 mons', { as: 'temporal', intervalStyle: 'postgres' }).toString())
+    .toBe('P1Y2M');
+  expect(() => MomentDB.parse('timetz', '12:01:20 +00:00', opts)).toThrow(TypeError);
+  expect(MomentDB.decode('postgres.time', Buffer.from('0000000435b4b120', 'hex'), opts).toString()).toBe('05:01:20.903456');
+  expect(MomentDB.decode('unix.ns', NANOS, opts).toString()).toBe('2030-01-31T12:01:20.903456789+00:00[+00:00]');
+
+  const schema = MomentDB.schema({ day: 'date', span: 'interval', at: 'timestamptz', tz: 'timetz' }, opts);
+  const row = schema.deserialize({ day: '2030-01-31', span: '1-02', at: '2030-01-31 12:01:20 +00:00', tz: '12:01:20 +00:00' });
+  expect([row.day.toString(), row.span.toString(), row.at.toString()]).toEqual(['2030-01-31', 'P1Y2M',
+    '2030-01-31T12:01:20+00:00[+00:00]']);
+  expect(row.tz).toBeInstanceOf(Date);
+  expect(schema.deserialize(row).span).toBe(row.span);
+  expect(schema.serialize(row)).toEqual({ day: '2030-01-31', span: '+0001-02', at: '2030-01-31 12:01:20.000 +00:00',
+    tz: MomentDB.time(row.tz, false) });
+});
+
+test(`${PLAN}: converts into the zone of a PreciseDate`, () => {
+  const date = MomentDB.parse('timestamptz', '2030-01-31 05:01:20.903456789 America/Denver');
+  expect(date).toBeInstanceOf(PreciseDate);
+  expect(toTemporal(date).toString()).toBe('2030-01-31T05:01:20.903456789-07:00[America/Denver]');
+  expect(toTemporal(date, 'Europe/Paris').toString()).toBe('2030-01-31T13:01:20.903456789+01:00[Europe/Paris]');
+  expect(toTemporal(new Date('2030-01-31T12:01:20.903Z')).toString()).toBe('2030-01-31T12:01:20.903+00:00[UTC]');
+});
+
+test(`${PLAN}: registration`, () => {
+  expect(() => MomentDB.registerTemporal({})).toThrow(TypeError);
+  expect(MomentDB.registerTemporal()).toBeUndefined();
+  if (typeof Temporal === 'undefined') {
+    expect(() => MomentDB.parse('date', '2030-01-31', { as: 'temporal' })).toThrow(/Temporal is not available/);
+  }
+  const namespace = { PlainDate: class PlainDate extends T.PlainDate {} };
+  for (let type of ['PlainTime', 'PlainDateTime', 'ZonedDateTime', 'Instant', 'Duration']) namespace[type] = T[type];
+  expect(MomentDB.registerTemporal(namespace)).toBe(namespace);
+  expect(MomentDB.parse('date', '2030-01-31', { as: 'temporal' })).toBeInstanceOf(namespace.PlainDate);
+  expect(MomentDB.date({ [Symbol.toStringTag]: 'Temporal.PlainDate', withCalendar: () => ({ year: 2030, month: 1, day: 31 }) }))
+    .toBe('2030-01-31');
+});
@@ -0,0 +1,84 @@
+'use strict';
+
+import MomentDB from '../index.js';
+
+const PLAN = 'MomentDB zones';
+const DATE = new Date(Date.UTC(2030, 0, 31, 12, 1, 20, 903));
+const SUMMER = new Date(Date.UTC(2030, 6, 4, 12, 1, 20, 903));
+
+test(`${PLAN}: format in a named zone`, () => {
+  expect(MomentDB.timestamp(DATE, false, { zone: 'America/Denver' })).toBe('2030-01-31 05:01:20.903 -07:00');
+  expect(MomentDB.timestamp(SUMMER, false, { zone: 'America/Denver' })).toBe('2030-07-04 06:01:20.903 -06:00');
+  expect(MomentDB.time(DATE, false, { zone: 'Asia/Kolkata' })).toBe('17:31:20.903 +05:30');
+  expect(MomentDB.timestamp(DATE, true, { zone: 'Asia/Tokyo' })).toBe('2030-01-31 21:01:20.903');
+  expect(MomentDB.date(new Date(Date.UTC(2030, 0, 31, 20)), { zone: 'Asia/Tokyo' })).toBe('2030-02-01');
+  expect(MomentDB.dialect('postgres').timestamp(DATE, false, { zone: 'America/Denver' })).toBe('2030-01-31 05:01:20.903000-07');
+});
+
+test(`${PLAN}: format in a fixed offset`, () => {
+  expect(MomentDB.timestamp(DATE, false, { zone: '+05:30' })).toBe('2030-01-31 17:31:20.903 +05:30');
+  expect(MomentDB.timestamp(DATE, false, { zone: -420 })).toBe('2030-01-31 05:01:20.903 -07:00');
+  expect(MomentDB.timestamp(DATE, false, { zone: 'UTC' })).toBe('2030-01-31 12:01:20.903 +00:00');
+  expect(() => MomentDB.timestamp(DATE, false, { zone: 'Mars/Olympus' })).toThrow(RangeError);
+});
+
+test(`${PLAN}: parse region names and abbreviations`, () => {
+  const date = MomentDB.timestamp('2030-01-31 05:01:20.903 America/Denver');
+  expect(date.toISOString()).toBe(DATE.toISOString());
+  expect(date.zone).toBe('America/Denver');
+  expect(MomentDB.timestamp(date)).toBe('2030-01-31 05:01:20.903 -07:00');
+  expect(MomentDB.timestamp('2030-01-31 05:01:20.903 MST').toISOString()).toBe(DATE.toISOString());
+  expect(MomentDB.time('05:01:20.903 UTC').toISOString()).toBe('0000-01-01T05:01:20.903Z');
+  expect(MomentDB.dialect('postgres').timestamp('2030-01-31 05:01:20.903 America/Denver').toISOString()).toBe(DATE.toISOString());
+  // mysql does not accept regions
+  expect(MomentDB.dialect('mysql').timestamp('2030-01-31 05:01:20.903 America/Denver').toISOString())
+    .toBe('2030-01-31T05:01:20.903Z');
+  // seconds are optional, but an unrecognized time is never treated as midnight
+  expect(MomentDB.parse('timestamptz', '2030-01-31 12:00 America/Denver', { dialect: 'postgres' }).toISOString())
+    .toBe('2030-01-31T19:00:00.000Z');
+  expect(MomentDB.parse('timetz', '12:00-07', { dialect: 'postgres' }).toISOString()).toBe('0000-01-01T19:00:00.000Z');
+  expect(MomentDB.parse('timestamp', '2030-01-31').toISOString()).toBe('2030-01-31T00:00:00.000Z');
+  expect(() => MomentDB.parse('timestamptz', '2030-01-31 noon America/Denver')).toThrow(expect.objectContaining({
+    name: 'MomentDBParseError', field: 'HH', position: 11 }));
+  expect(() => MomentDB.parse('timestamptz', '2030-01-31 -07:00')).toThrow(/expected HH:MI\[:SS\] at position 11/);
+});
+
+test(`${PLAN}: parse zone-less values in a zone`, () => {
+  expect(MomentDB.timestamp('2030-01-31 05:01:20.903', true, { zone: 'America/Denver' }).toISOString()).toBe(DATE.toISOString());
+  expect(MomentDB.date('2030-01-31', { zone: 'Asia/Tokyo' }).toISOString()).toBe('2030-01-30T15:00:00.000Z');
+});
+
+test(`${PLAN}: DST gaps`, () => {
+  const gap = '2030-03-10 02:30:00 America/Denver';
+  expect(MomentDB.timestamp(gap).toISOString()).toBe('2030-03-10T09:30:00.000Z');
+  expect(MomentDB.timestamp(gap, false, { disambiguation: 'later' }).toISOString()).toBe('2030-03-10T09:30:00.000Z');
+  expect(MomentDB.timestamp(gap, false, { disambiguation: 'earlier' }).toISOString()).toBe('2030-03-10T08:30:00.000Z');
+  expect(() => MomentDB.timestamp(gap, false, { disambiguation: 'reject' })).toThrow(/skipped/);
+});
+
+test(`${PLAN}: DST overlaps`, () => {
+  const overlap = '2030-11-03 01:30:00 America/Denver';
+  expect(MomentDB.timestamp(overlap).toISOString()).toBe('2030-11-03T07:30:00.000Z');
+  expect(MomentDB.timestamp(overlap, false, { disambiguation: 'earlier' }).toISOString()).toBe('2030-11-03T07:30:00.000Z');
+  expect(MomentDB.timestamp(overlap, false, { disambiguation: 'later' }).toISOString()).toBe('2030-11-03T08:30:00.000Z');
+  expect(() => MomentDB.timestamp(overlap, false, { disambiguation: 'reject' })).toThrow(/ambiguous/);
+  // Oracle TZR TZD resolves the overlap
+  expect(MomentDB.timestamp(`${overlap} MST`, false, { disambiguation: 'reject' }).toISOString()).toBe('2030-11-03T08:30:00.000Z');
+  expect(MomentDB.timestamp(`${overlap} MDT`).toISOString()).toBe('2030-11-03T07:30:00.000Z');
+  expect(() => MomentDB.timestamp(overlap, false, { disambiguation: 'sometimes' })).toThrow(RangeError);
+});
+
+test(`${PLAN}: masks with TZR/TZD`, () => {
+  const mask = MomentDB.compile('YYYY-MM-DD HH24:MI:SS TZR TZD', { zone: 'America/Denver' });
+  expect(mask.format(DATE)).toBe('2030-01-31 05:01:20 America/Denver MST');
+  expect(mask.format(SUMMER)).toBe('2030-07-04 06:01:20 America/Denver MDT');
+  expect(mask.parse('2030-11-03 01:30:00 America/Denver MST').toISOString()).toBe('2030-11-03T08:30:00.000Z');
+  expect(MomentDB.compile('YYYY-MM-DD HH24:MI:SS TZR').parse('2030-01-31 05:01:20 America/Denver').toISOString())
+    .toBe('2030-01-31T12:01:20.000Z');
+  expect(MomentDB.compile('YYYY-MM-DD HH24:MI:SS TZD').parse('2030-01-31 05:01:20 MST').toISOString())
+    .toBe('2030-01-31T12:01:20.000Z');
+  expect(MomentDB.compile('YYYY-MM-DD HH24:MI TZH:TZM', { zone: '+05:30' }).format(DATE)).toBe('2030-01-31 17:31 +05:30');
+  expect(MomentDB.compile('YYYY-MM-DD HH24:MI', { zone: 'Asia/Tokyo' }).parse('2030-01-31 21:01').toISOString())
+    .toBe('2030-01-31T12:01:00.000Z');
+  expect(() => MomentDB.compile('YYYY TZD').parse('2030 XYZ')).toThrow(/abbreviation/);
+});